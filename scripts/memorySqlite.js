@@ -0,0 +1,86 @@
+const path = require('path')
+
+const { exportMemorySqliteToJson, importMemoryJsonToSqlite } = require('../src/memory')
+
+const USAGE = [
+  'Usage:',
+  '  node scripts/memorySqlite.js import --json=<memory.json> --db=<memory.sqlite3> [--overwrite] [--driver=native|cli]',
+  '  node scripts/memorySqlite.js export --db=<memory.sqlite3> --json=<memory.json> [--driver=native|cli]'
+].join('\n')
+
+/**
+ * @param {string[]} argv
+ */
+function parseMemorySqliteArgs(argv) {
+  const parsed = {
+    command: '',
+    jsonPath: '',
+    dbPath: '',
+    driver: 'native',
+    overwrite: false
+  }
+  for (const raw of argv) {
+    if (raw === '--overwrite') {
+      parsed.overwrite = true
+      continue
+    }
+    const [k, v] = raw.split('=')
+    if (k === '--json') {
+      parsed.jsonPath = path.resolve(String(v || ''))
+      continue
+    }
+    if (k === '--db') {
+      parsed.dbPath = path.resolve(String(v || ''))
+      continue
+    }
+    if (k === '--driver') {
+      parsed.driver = v === 'cli' ? 'cli' : 'native'
+      continue
+    }
+    if (!parsed.command && !raw.startsWith('--')) parsed.command = raw
+  }
+  return parsed
+}
+
+function main() {
+  const args = parseMemorySqliteArgs(process.argv.slice(2))
+  if (!['import', 'export'].includes(args.command) || !args.jsonPath || !args.dbPath) {
+    console.error(USAGE)
+    process.exitCode = 1
+    return
+  }
+
+  if (args.command === 'import') {
+    const summary = importMemoryJsonToSqlite({
+      filePath: args.jsonPath,
+      sqlitePath: args.dbPath,
+      sqliteDriver: args.driver,
+      overwrite: args.overwrite
+    })
+    console.log(`MEMORY_SQLITE_IMPORTED: ${summary.sqlitePath} revision=${summary.revision}`)
+    for (const [key, count] of Object.entries(summary.collections)) {
+      console.log(`  ${key}: ${count}`)
+    }
+    return
+  }
+
+  exportMemorySqliteToJson({
+    sqlitePath: args.dbPath,
+    filePath: args.jsonPath,
+    sqliteDriver: args.driver
+  })
+  console.log(`MEMORY_SQLITE_EXPORTED: ${args.jsonPath}`)
+}
+
+if (require.main === module) {
+  try {
+    main()
+  } catch (err) {
+    console.error(err instanceof Error ? err.stack || err.message : String(err))
+    process.exitCode = 1
+  }
+}
+
+module.exports = {
+  parseMemorySqliteArgs
+}
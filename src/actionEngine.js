@@ -1,14 +1,30 @@
 const { createLogger } = require('./logger')
 const { AppError } = require('./errors')
 
+const GAMEPLAY_ACTION_TYPES = new Set([
+  'offer_trade',
+  'post_contract',
+  'start_rumor',
+  'volunteer_for_project',
+  'petition_mayor'
+])
 const ACTION_TYPES = new Set([
   'none',
   'spread_rumor',
   'recruit',
   'call_meeting',
   'desert_faction',
-  'attack_player'
+  'attack_player',
+  ...GAMEPLAY_ACTION_TYPES
 ])
+const DEFAULT_GAMEPLAY_ACTIONS_PER_DAY = 2
+const MIN_GAMEPLAY_ACTION_CONFIDENCE = 0.5
+const MAX_PENDING_GAMEPLAY_ACTIONS = 24
+const RUMOR_KIND_DEFAULT_TEMPLATES = {
+  grounded: 'missing_goods',
+  supernatural: 'mist_shapes',
+  political: 'levy_accusations'
+}
 const DETERMINISTIC_TIME_EPOCH_MS = Date.parse('2026-01-01T00:00:00.000Z')
 
 /**
@@ -62,15 +78,123 @@ function asText(value, fallback, maxLen) {
  * @param {unknown} actions
  */
 function sanitizeActions(actions) {
-  if (!Array.isArray(actions)) return [{ type: 'none', reason: 'invalid_actions' }]
+  if (!Array.isArray(actions)) return [{ type: 'none', target: 'none', confidence: 0, reason: 'invalid_actions' }]
   const safe = actions.slice(0, 3).map((action) => {
     const type = asText(action?.type, 'none', 32)
+    const confidence = Number(action?.confidence)
     return {
       type: ACTION_TYPES.has(type) ? type : 'none',
+      target: asText(action?.target, 'none', 80),
+      confidence: Number.isFinite(confidence) ? clamp(confidence, 0, 1) : 0,
       reason: asText(action?.reason, 'none', 220)
     }
   })
-  return safe.length ? safe : [{ type: 'none', reason: 'empty_actions' }]
+  return safe.length ? safe : [{ type: 'none', target: 'none', confidence: 0, reason: 'empty_actions' }]
+}
+
+/**
+ * @param {any} world
+ * @param {string} agentName
+ */
+function resolveAgentHomeTown(world, agentName) {
+  const roster = world?.agentRoster && typeof world.agentRoster === 'object' ? world.agentRoster : {}
+  const entry = roster[agentName.toLowerCase()]
+  return asText(entry?.town, '', 80)
+}
+
+/**
+ * @param {any} world
+ * @param {string} townName
+ */
+function findTownMarketName(world, townName) {
+  const townTag = `town:${townName}`.toLowerCase()
+  const townMarkers = new Set((Array.isArray(world?.markers) ? world.markers : [])
+    .filter(marker => asText(marker?.tag, '', 80).toLowerCase() === townTag)
+    .map(marker => asText(marker?.name, '', 80).toLowerCase()))
+  const market = (Array.isArray(world?.markets) ? world.markets : [])
+    .filter(item => townMarkers.has(asText(item?.marker, '', 80).toLowerCase()))
+    .sort((left, right) => asText(left?.name, '', 80).localeCompare(asText(right?.name, '', 80)))[0]
+  return market ? asText(market.name, '', 80) : ''
+}
+
+/**
+ * @param {any} world
+ * @param {string} townName
+ * @param {string} target
+ */
+function findTownProjectId(world, townName, target) {
+  const wanted = target.toLowerCase()
+  const projects = (Array.isArray(world?.projects) ? world.projects : [])
+    .filter(project => asText(project?.townId, '', 80).toLowerCase() === townName.toLowerCase())
+    .filter(project => project.status === 'planned' || project.status === 'active')
+    .sort((left, right) => asText(left?.id, '', 200).localeCompare(asText(right?.id, '', 200)))
+  const match = projects.find(project => asText(project.id, '', 200).toLowerCase() === wanted)
+    || projects.find(project => asText(project.type, '', 80).toLowerCase() === wanted)
+    || (wanted === 'none' || wanted === 'any' ? projects[0] : null)
+  return match ? asText(match.id, '', 200) : ''
+}
+
+/**
+ * Translate an NPC gameplay action into the god command that performs it.
+ * Targets are space-separated arguments:
+ * - offer_trade: `<buy|sell> [good] <amount> <price> [market]`
+ * - post_contract: `trade_n <n> [good]` or `visit_town <town>`
+ * - start_rumor: `<grounded|supernatural|political> [templateKey]`
+ * - volunteer_for_project: `<projectId|projectType>`
+ * - petition_mayor: ignored; always the agent's home town
+ * @param {any} world
+ * @param {{type: string, target: string, agentName: string, townName: string}} input
+ * @returns {{command: string} | {reason: string}}
+ */
+function buildGameplayCommand(world, input) {
+  const { type, agentName, townName } = input
+  if (!townName) return { reason: 'Agent has no home town.' }
+  const args = asText(input.target, '', 80).split(/\s+/).filter(Boolean)
+
+  if (type === 'offer_trade') {
+    const side = asText(args[0], '', 8).toLowerCase()
+    const good = /^[a-z_]+$/i.test(args[1] || '') ? args[1].toLowerCase() : ''
+    const rest = good ? args.slice(2) : args.slice(1)
+    const amount = Number(rest[0])
+    const price = Number(rest[1])
+    if ((side !== 'buy' && side !== 'sell') || !Number.isInteger(amount) || amount <= 0 || !Number.isInteger(price) || price <= 0) {
+      return { reason: 'Invalid trade target.' }
+    }
+    const marketName = rest[2] || findTownMarketName(world, townName)
+    if (!marketName) return { reason: 'No market in home town.' }
+    return { command: `offer add ${marketName} ${agentName} ${side}${good ? ` ${good}` : ''} ${amount} ${price}` }
+  }
+
+  if (type === 'post_contract') {
+    const kind = asText(args[0], '', 20).toLowerCase()
+    if (kind === 'trade_n' && Number.isInteger(Number(args[1])) && Number(args[1]) > 0) {
+      const good = /^[a-z_]+$/i.test(args[2] || '') ? args[2].toLowerCase() : ''
+      return { command: `quest offer ${townName} trade_n ${Number(args[1])}${good ? ` good:${good}` : ''}` }
+    }
+    if (kind === 'visit_town' && args[1]) {
+      return { command: `quest offer ${townName} visit_town ${args[1]}` }
+    }
+    return { reason: 'Invalid contract target.' }
+  }
+
+  if (type === 'start_rumor') {
+    const kind = asText(args[0], '', 20).toLowerCase()
+    const templateKey = asText(args[1], '', 80).toLowerCase() || RUMOR_KIND_DEFAULT_TEMPLATES[kind]
+    if (!RUMOR_KIND_DEFAULT_TEMPLATES[kind]) return { reason: 'Invalid rumor kind.' }
+    return { command: `rumor spawn ${townName} ${kind} 1 ${templateKey} 1` }
+  }
+
+  if (type === 'volunteer_for_project') {
+    const projectId = findTownProjectId(world, townName, asText(args[0], 'any', 200))
+    if (!projectId) return { reason: 'No open project in home town.' }
+    return { command: `project advance ${townName} ${projectId}` }
+  }
+
+  if (type === 'petition_mayor') {
+    return { command: `mayor talk ${townName}` }
+  }
+
+  return { reason: 'Unknown action type.' }
 }
 
 /**
@@ -86,7 +210,11 @@ function ensureFactionStats(factions, faction) {
  * @param {{
  *   memoryStore: ReturnType<import('./memory').createMemoryStore>,
  *   logger?: ReturnType<typeof createLogger>,
- *   now?: () => number
+ *   now?: () => number,
+ *   godCommandService?: ReturnType<import('./godCommands').createGodCommandService> | null,
+ *   getAgents?: () => any[],
+ *   onGodCommandApplied?: (input: {command: string, operationId: string, outputLines: string[]}) => Promise<void> | void,
+ *   gameplayActionsPerDay?: number
  * }} deps
  */
 function createActionEngine(deps) {
@@ -101,11 +229,81 @@ function createActionEngine(deps) {
   const memoryStore = deps.memoryStore
   const logger = deps.logger || createLogger({ component: 'action_engine' })
   const providedNow = typeof deps.now === 'function' ? deps.now : null
+  const godCommandService = deps.godCommandService || null
+  const getAgents = typeof deps.getAgents === 'function' ? deps.getAgents : () => []
+  const onGodCommandApplied = typeof deps.onGodCommandApplied === 'function' ? deps.onGodCommandApplied : null
+  const gameplayActionsPerDay = Number.isInteger(deps.gameplayActionsPerDay) && deps.gameplayActionsPerDay >= 0
+    ? deps.gameplayActionsPerDay
+    : DEFAULT_GAMEPLAY_ACTIONS_PER_DAY
+
+  /**
+   * Run reserved gameplay actions through the god command service. Each one
+   * gets its own operation id, so a replayed turn cannot apply it twice.
+   * @param {Array<{index: number, type: string, command: string}>} planned
+   * @param {Array<Record<string, unknown>>} outcomes
+   * @param {string} operationId
+   * @param {string} agentName
+   */
+  async function executeGameplayActions(planned, outcomes, operationId, agentName) {
+    for (const item of planned) {
+      const actionOperationId = `${operationId}:action:${item.index}`
+      try {
+        const result = await godCommandService.applyGodCommand({
+          agents: getAgents(),
+          command: item.command,
+          operationId: actionOperationId
+        })
+        if (!result.applied) {
+          outcomes[item.index] = { type: item.type, accepted: false, command: item.command, reason: result.reason }
+          continue
+        }
+        outcomes[item.index] = { type: item.type, accepted: true, command: item.command, outcome: 'god_command_applied' }
+        if (result.audit && onGodCommandApplied) {
+          await onGodCommandApplied({ command: item.command, operationId: actionOperationId, outputLines: result.outputLines || [] })
+        }
+      } catch (err) {
+        logger.warn('gameplay_action_failed', {
+          operationId: actionOperationId,
+          agent: agentName,
+          type: item.type,
+          error: err instanceof Error ? err.message : String(err)
+        })
+        outcomes[item.index] = { type: item.type, accepted: false, command: item.command, reason: 'Action failed.' }
+      }
+    }
+  }
+
+  /**
+   * @param {string} agentName
+   * @param {string} operationId
+   * @returns {Array<{index: number, type: string, command: string}>}
+   */
+  function listPendingGameplayActions(agentName, operationId) {
+    const record = memoryStore.getSnapshot().agents?.[agentName]
+    const pendingActions = Array.isArray(record?.pendingActions) ? record.pendingActions : []
+    return pendingActions
+      .filter(item => item && item.operationId === operationId && Number.isInteger(item.index) && typeof item.command === 'string')
+      .map(item => ({ index: item.index, type: asText(item.type, '', 40), command: item.command }))
+  }
+
+  /**
+   * @param {string} agentName
+   * @param {string} operationId
+   */
+  async function clearPendingGameplayActions(agentName, operationId) {
+    await memoryStore.transact((memory) => {
+      const record = memory.agents[agentName]
+      if (!record || !Array.isArray(record.pendingActions)) return
+      const remaining = record.pendingActions.filter(item => item?.operationId !== operationId)
+      if (remaining.length > 0) record.pendingActions = remaining
+      else delete record.pendingActions
+    })
+  }
 
   /**
    * Deterministic action application with persistent idempotency.
    * @param {{
-   *   agent: {name: string, faction: string},
+   *   agent: {name: string, faction: string, town?: string | null},
    *   proposedActions: unknown,
    *   operationId: string
    * }} input
@@ -132,6 +330,7 @@ function createActionEngine(deps) {
 
     const actions = sanitizeActions(input?.proposedActions)
     const outcomes = []
+    const planned = []
 
     const tx = await memoryStore.transact((memory) => {
       const world = memory.world
@@ -160,6 +359,47 @@ function createActionEngine(deps) {
           continue
         }
 
+        if (GAMEPLAY_ACTION_TYPES.has(type)) {
+          if (!godCommandService) {
+            outcomes.push({ type, accepted: false, reason: 'Gameplay actions unavailable.' })
+            continue
+          }
+          if (action.confidence < MIN_GAMEPLAY_ACTION_CONFIDENCE) {
+            outcomes.push({ type, accepted: false, reason: 'Confidence too low.' })
+            continue
+          }
+          const day = Number.isInteger(Number(world.clock?.day)) ? Number(world.clock.day) : 1
+          const agentRecord = memory.agents[agentName] && typeof memory.agents[agentName] === 'object'
+            ? memory.agents[agentName]
+            : null
+          if (!agentRecord) {
+            outcomes.push({ type, accepted: false, reason: 'Unknown agent.' })
+            continue
+          }
+          const budget = agentRecord.actionBudget?.day === day
+            ? agentRecord.actionBudget
+            : { day, used: 0 }
+          if (budget.used >= gameplayActionsPerDay) {
+            outcomes.push({ type, accepted: false, reason: `Rate limited (${gameplayActionsPerDay}/day).` })
+            continue
+          }
+          const townName = asText(input?.agent?.town, '', 80) || resolveAgentHomeTown(world, agentName)
+          const built = buildGameplayCommand(world, { type, target: action.target, agentName, townName })
+          if (!built.command) {
+            outcomes.push({ type, accepted: false, reason: built.reason })
+            continue
+          }
+          // Reserve the budget in this transaction so replays and concurrent turns cannot overspend it.
+          agentRecord.actionBudget = { day, used: budget.used + 1 }
+          planned.push({ index: outcomes.length, type, command: built.command })
+          // Kept until the commands have run, so a turn replayed after a crash can finish them.
+          const pendingActions = Array.isArray(agentRecord.pendingActions) ? agentRecord.pendingActions : []
+          pendingActions.push({ operationId, index: outcomes.length, type, command: built.command })
+          agentRecord.pendingActions = pendingActions.slice(-MAX_PENDING_GAMEPLAY_ACTIONS)
+          outcomes.push({ type, accepted: false, command: built.command, reason: 'Pending.' })
+          continue
+        }
+
         if (type === 'spread_rumor') {
           world.player.legitimacy = clamp(world.player.legitimacy - 2, 0, 100)
           factionStats.hostilityToPlayer = clamp(factionStats.hostilityToPlayer + 3, 0, 100)
@@ -219,11 +459,24 @@ function createActionEngine(deps) {
 
     if (tx.skipped) {
       logger.info('apply_actions_skipped_duplicate', { operationId, agent: agentName })
-      return actions.map(action => ({
+      const duplicates = actions.map(action => ({
         type: action.type,
         accepted: false,
         reason: 'Duplicate operation ignored.'
       }))
+      const pending = listPendingGameplayActions(agentName, operationId)
+      if (pending.length > 0 && godCommandService) {
+        // The budget was spent but the commands never ran; per-action ids keep this from doubling any.
+        logger.warn('apply_actions_resuming_pending', { operationId, agent: agentName, pending: pending.length })
+        await executeGameplayActions(pending, duplicates, operationId, agentName)
+        await clearPendingGameplayActions(agentName, operationId)
+      }
+      return duplicates
+    }
+
+    if (planned.length > 0) {
+      await executeGameplayActions(planned, outcomes, operationId, agentName)
+      await clearPendingGameplayActions(agentName, operationId)
     }
 
     logger.debug('apply_actions_complete', { operationId, agent: agentName, outcomes })
@@ -233,4 +486,10 @@ function createActionEngine(deps) {
   return { applyProposedActions }
 }
 
-module.exports = { createActionEngine, sanitizeActions }
+module.exports = {
+  DEFAULT_GAMEPLAY_ACTIONS_PER_DAY,
+  GAMEPLAY_ACTION_TYPES,
+  buildGameplayCommand,
+  createActionEngine,
+  sanitizeActions
+}
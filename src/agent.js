@@ -28,12 +28,13 @@ function asText(value, fallback, maxLen) {
  */
 class Agent {
   /**
-   * @param {{name: string, role: string, faction: string}} input
+   * @param {{name: string, role: string, faction: string, town?: string | null}} input
    */
   constructor(input) {
     this.name = asText(input?.name, 'Unknown', 80)
     this.role = asText(input?.role, 'Unknown', 80)
     this.faction = asText(input?.faction, 'Neutral', 80)
+    this.town = asText(input?.town, '', 80) || null
     this.mood = 'calm'
     this.trust = 3
     this.combatState = 'peace'
@@ -93,6 +94,7 @@ class Agent {
       name: this.name,
       role: this.role,
       faction: this.faction,
+      town: this.town,
       mood: this.mood,
       trust: this.trust,
       combatState: this.combatState,
@@ -0,0 +1,126 @@
+const MAX_AGENT_ROSTER_ENTRIES = 64
+const AGENT_ROSTER_STATUSES = new Set(['active', 'retired'])
+const AGENT_NAME_PATTERN = /^[A-Za-z0-9_]{3,16}$/
+const DEFAULT_AGENT_ROSTER = Object.freeze([
+  Object.freeze({ name: 'Mara', role: 'Scout', faction: 'Pilgrims', town: null, status: 'active', spawned_at: 0 }),
+  Object.freeze({ name: 'Eli', role: 'Guard', faction: 'Pilgrims', town: null, status: 'active', spawned_at: 0 })
+])
+
+function isPlainObject(value) {
+  return Boolean(value && typeof value === 'object' && !Array.isArray(value))
+}
+
+function asText(value, fallback = '', maxLen = 80) {
+  if (typeof value !== 'string') return fallback
+  const trimmed = value.trim()
+  return trimmed ? trimmed.slice(0, maxLen) : fallback
+}
+
+/**
+ * Agent names double as Minecraft usernames on the bridge side.
+ * @param {unknown} name
+ */
+function isValidAgentName(name) {
+  return typeof name === 'string' && AGENT_NAME_PATTERN.test(name)
+}
+
+/**
+ * @param {unknown} name
+ */
+function rosterKey(name) {
+  return asText(name, '', 16).toLowerCase()
+}
+
+/**
+ * @param {unknown} input
+ * @param {string} [keyHint]
+ */
+function normalizeRosterEntry(input, keyHint = '') {
+  if (!isPlainObject(input)) return null
+  const name = asText(input.name, asText(keyHint, '', 16), 16)
+  if (!isValidAgentName(name)) return null
+  const status = asText(input.status, 'active', 16).toLowerCase()
+  const spawnedAt = Number(input.spawned_at)
+  const entry = {
+    name,
+    role: asText(input.role, 'Unknown', 40),
+    faction: asText(input.faction, 'Neutral', 80),
+    town: asText(input.town, '', 80) || null,
+    status: AGENT_ROSTER_STATUSES.has(status) ? status : 'active',
+    spawned_at: Number.isFinite(spawnedAt) && spawnedAt >= 0 ? spawnedAt : 0
+  }
+  const retiredAt = Number(input.retired_at)
+  if (entry.status === 'retired' && Number.isFinite(retiredAt) && retiredAt >= 0) entry.retired_at = retiredAt
+  return entry
+}
+
+/**
+ * Past the cap, retired entries go first and then the oldest spawns, so a
+ * fresh spawn is never the one that vanishes on reload.
+ * @param {Record<string, NonNullable<ReturnType<typeof normalizeRosterEntry>>>} entries
+ */
+function pickRosterKeysToKeep(entries) {
+  const keys = Object.keys(entries)
+  if (keys.length <= MAX_AGENT_ROSTER_ENTRIES) return keys
+  const rank = (entry) => (entry.status === 'active' ? 1 : 0)
+  return keys
+    .sort((left, right) => (
+      rank(entries[right]) - rank(entries[left]) ||
+      entries[right].spawned_at - entries[left].spawned_at ||
+      left.localeCompare(right)
+    ))
+    .slice(0, MAX_AGENT_ROSTER_ENTRIES)
+}
+
+/**
+ * @param {unknown} rosterInput
+ * @returns {Record<string, ReturnType<typeof normalizeRosterEntry>>}
+ */
+function normalizeAgentRoster(rosterInput) {
+  const source = isPlainObject(rosterInput) ? rosterInput : {}
+  const entries = {}
+  for (const [keyRaw, value] of Object.entries(source)) {
+    const entry = normalizeRosterEntry(value, keyRaw)
+    if (!entry) continue
+    entries[rosterKey(entry.name)] = entry
+  }
+  const roster = {}
+  for (const key of pickRosterKeysToKeep(entries).sort((left, right) => left.localeCompare(right))) {
+    roster[key] = entries[key]
+  }
+  return roster
+}
+
+/**
+ * An empty durable roster means the world predates the registry; it is read
+ * as the legacy Mara/Eli pair so old memory files keep their agents.
+ * @param {unknown} rosterInput
+ */
+function materializeAgentRoster(rosterInput) {
+  const roster = normalizeAgentRoster(rosterInput)
+  if (Object.keys(roster).length > 0) return roster
+  return normalizeAgentRoster(Object.fromEntries(
+    DEFAULT_AGENT_ROSTER.map(entry => [rosterKey(entry.name), { ...entry }])
+  ))
+}
+
+/**
+ * @param {unknown} rosterInput
+ */
+function listActiveRosterEntries(rosterInput) {
+  return Object.values(materializeAgentRoster(rosterInput))
+    .filter(entry => entry.status === 'active')
+}
+
+module.exports = {
+  AGENT_NAME_PATTERN,
+  AGENT_ROSTER_STATUSES,
+  DEFAULT_AGENT_ROSTER,
+  MAX_AGENT_ROSTER_ENTRIES,
+  isValidAgentName,
+  listActiveRosterEntries,
+  materializeAgentRoster,
+  normalizeAgentRoster,
+  normalizeRosterEntry,
+  rosterKey
+}
@@ -0,0 +1,258 @@
+const fs = require('fs')
+
+const { materializeAgentRoster, rosterKey } = require('./agentRoster')
+const { readJournaledMemoryFile } = require('./memoryJournal')
+const { createMemorySqliteStorage } = require('./memorySqlite')
+
+const DIRECTION_VECTORS = {
+  north: { x: 0, z: -1 },
+  east: { x: 1, z: 0 },
+  south: { x: 0, z: 1 },
+  west: { x: -1, z: 0 }
+}
+const DEFAULT_WANDER_STEP = 12
+const LOOP_INTENT_LINE = /^>?\s*\[LOOP\]\s+([A-Za-z0-9_]{3,16})\s+(wanders|follows)\s+([A-Za-z0-9_:-]+)\.?\s*$/
+
+function isPlainObject(value) {
+  return Boolean(value && typeof value === 'object' && !Array.isArray(value))
+}
+
+function asText(value, fallback = '', maxLen = 80) {
+  if (typeof value !== 'string') return fallback
+  const trimmed = value.trim()
+  return trimmed ? trimmed.slice(0, maxLen) : fallback
+}
+
+function sameText(left, right) {
+  const a = asText(left).toLowerCase()
+  return Boolean(a) && a === asText(right).toLowerCase()
+}
+
+/**
+ * @param {unknown} marker
+ * @returns {{x: number, y: number, z: number} | null}
+ */
+function markerPosition(marker) {
+  if (!isPlainObject(marker)) return null
+  const x = Number(marker.x)
+  const y = Number(marker.y)
+  const z = Number(marker.z)
+  if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) return null
+  return { x, y, z }
+}
+
+/**
+ * @param {unknown[]} markers
+ * @param {unknown} name
+ */
+function findMarker(markers, name) {
+  if (!asText(name)) return null
+  return (Array.isArray(markers) ? markers : []).find(marker => sameText(marker?.name, name)) || null
+}
+
+/**
+ * @param {unknown[]} markers
+ * @param {unknown} townName
+ */
+function findTownMarker(markers, townName) {
+  if (!asText(townName)) return null
+  return (Array.isArray(markers) ? markers : []).find(marker => sameText(marker?.tag, `town:${townName}`)) || null
+}
+
+/**
+ * @param {Record<string, any>} agents
+ * @param {string} agentName
+ */
+function findAgentProfile(agents, agentName) {
+  for (const [name, record] of Object.entries(isPlainObject(agents) ? agents : {})) {
+    if (sameText(name, agentName)) return isPlainObject(record?.profile) ? record.profile : {}
+  }
+  return {}
+}
+
+/**
+ * @param {Record<string, any>} agents
+ */
+function findLeaderName(agents) {
+  for (const [name, record] of Object.entries(isPlainObject(agents) ? agents : {})) {
+    if (record?.profile?.world_intent?.is_leader === true) return name
+  }
+  return null
+}
+
+/**
+ * Derive what a bridge bot should do from durable engine memory.
+ * Marker targets (builder/hauler jobs) become the home anchor; any other
+ * follow target is treated as a party leader.
+ * @param {{agents?: Record<string, any>, world?: Record<string, any>}} memory
+ * @param {string} agentName
+ * @returns {{partyOn: boolean, leaderName: string | null, homePos: {x: number, y: number, z: number} | null}}
+ */
+function deriveBridgeAgentState(memory, agentName) {
+  const agents = isPlainObject(memory?.agents) ? memory.agents : {}
+  const markers = Array.isArray(memory?.world?.markers) ? memory.world.markers : []
+  const profile = findAgentProfile(agents, agentName)
+  const worldIntent = isPlainObject(profile.world_intent) ? profile.world_intent : {}
+  const intent = asText(worldIntent.intent, 'idle', 16).toLowerCase()
+  const target = asText(worldIntent.intent_target, '', 80) || null
+  const targetMarker = findMarker(markers, target)
+
+  const durableLeader = findLeaderName(agents)
+  const leaderName = sameText(durableLeader, agentName) ? null : durableLeader
+  const followTarget = intent === 'follow' && target && !targetMarker && !sameText(target, agentName) ? target : null
+
+  const roster = materializeAgentRoster(memory?.world?.agentRoster)
+  const rosterEntry = roster[rosterKey(agentName)] || null
+  const homeMarker = targetMarker
+    || findMarker(markers, profile?.job?.home_marker)
+    || findTownMarker(markers, rosterEntry?.town)
+
+  return {
+    partyOn: Boolean(followTarget),
+    leaderName: followTarget || leaderName,
+    homePos: markerPosition(homeMarker)
+  }
+}
+
+/**
+ * Parse engine `[LOOP]` runtime lines, e.g. `[LOOP] Mara wanders north.`
+ * @param {string} line
+ * @returns {{agentName: string, intent: 'wander', direction: string} | {agentName: string, intent: 'follow', target: string} | null}
+ */
+function parseLoopIntentLine(line) {
+  const match = LOOP_INTENT_LINE.exec(String(line || ''))
+  if (!match) return null
+  if (match[2] === 'wanders') {
+    const direction = match[3].toLowerCase()
+    if (!DIRECTION_VECTORS[direction]) return null
+    return { agentName: match[1], intent: 'wander', direction }
+  }
+  return { agentName: match[1], intent: 'follow', target: match[3] }
+}
+
+/**
+ * @param {{x: number, y: number, z: number}} origin
+ * @param {string} direction
+ * @param {number} distance
+ */
+function offsetTowards(origin, direction, distance) {
+  const vector = DIRECTION_VECTORS[direction]
+  if (!origin || !vector) return origin || null
+  return {
+    x: origin.x + (vector.x * distance),
+    y: origin.y,
+    z: origin.z + (vector.z * distance)
+  }
+}
+
+/**
+ * Read the engine memory file without taking its lock. The engine writes the
+ * snapshot via tmp+rename and appends whole journal lines, so a read sees a
+ * committed state (a half-written journal line is ignored).
+ * @param {string} filePath
+ * @param {typeof fs} [fsModule]
+ */
+function readMemoryFileSnapshot(filePath, fsModule = fs) {
+  return readJournaledMemoryFile(filePath, fsModule)
+}
+
+/**
+ * Reader for an engine running with `MEMORY_STORE_MODE=sqlite`. Each call reads
+ * the committed rows; SQLite's WAL lets it run beside the engine's writes.
+ * @param {{dbPath: string, driver?: 'native' | 'cli'}} options
+ * @returns {() => Record<string, any> | null}
+ */
+function createMemorySqliteSnapshotReader(options) {
+  const storage = createMemorySqliteStorage({ dbPath: options.dbPath, driver: options.driver })
+  return () => {
+    try {
+      return storage.readState()
+    } catch {
+      return null
+    }
+  }
+}
+
+/**
+ * Track durable engine state plus live loop intents for every bridge bot, and
+ * expose them in the shape `createBrain` expects.
+ * @param {{
+ *   readMemory: () => Record<string, any> | null,
+ *   wanderStep?: number
+ * }} deps
+ */
+function createBridgeAgentState(deps) {
+  const readMemory = typeof deps?.readMemory === 'function' ? deps.readMemory : () => null
+  const wanderStep = Number(deps?.wanderStep || DEFAULT_WANDER_STEP)
+  const loopIntents = new Map()
+  let memory = null
+
+  function refresh() {
+    const next = readMemory()
+    if (next) memory = next
+    return memory
+  }
+
+  /**
+   * Record a live world-loop intent (from a `loop_intent` engine event).
+   * @param {{agentName: string, intent: string, direction?: string | null, target?: string | null}} input
+   */
+  function applyLoopIntent(input) {
+    const key = rosterKey(input?.agentName)
+    if (!key) return
+    loopIntents.set(key, {
+      intent: input.intent,
+      direction: input.direction || null,
+      target: input.target || null,
+      anchor: null
+    })
+  }
+
+  /**
+   * @param {string} agentName
+   * @param {() => {x: number, y: number, z: number} | null} [getPosition]
+   */
+  function brainOptionsFor(agentName, getPosition = () => null) {
+    const key = rosterKey(agentName)
+    const durable = () => deriveBridgeAgentState(memory || {}, agentName)
+    const followTarget = () => {
+      const live = loopIntents.get(key)
+      if (live?.intent !== 'follow') return null
+      return findMarker(memory?.world?.markers, live.target) ? null : live.target
+    }
+
+    return {
+      getPartyOn: () => Boolean(followTarget()) || durable().partyOn,
+      getLeaderName: () => followTarget() || durable().leaderName,
+      getHomePos: () => {
+        const live = loopIntents.get(key)
+        if (live?.intent === 'follow') {
+          const marker = markerPosition(findMarker(memory?.world?.markers, live.target))
+          if (marker) return marker
+        }
+        const home = durable().homePos
+        if (live?.intent !== 'wander') return home
+        if (!live.anchor) {
+          live.anchor = offsetTowards(home || getPosition(), live.direction, wanderStep)
+        }
+        return live.anchor || home
+      }
+    }
+  }
+
+  return {
+    refresh,
+    applyLoopIntent,
+    brainOptionsFor
+  }
+}
+
+module.exports = {
+  DIRECTION_VECTORS,
+  createBridgeAgentState,
+  deriveBridgeAgentState,
+  offsetTowards,
+  parseLoopIntentLine,
+  createMemorySqliteSnapshotReader,
+  readMemoryFileSnapshot
+}
@@ -0,0 +1,121 @@
+const { AppError } = require('./errors')
+const { createLogger } = require('./logger')
+
+const DEFAULT_CLOCK_AUTO_POLL_MS = 1000
+const DEFAULT_CLOCK_AUTO_MAX_CATCH_UP_TICKS = 4
+
+/**
+ * @param {unknown} value
+ * @param {number} fallback
+ * @param {number} min
+ */
+function asPositiveInt(value, fallback, min) {
+  const parsed = Number(value)
+  if (!Number.isInteger(parsed) || parsed < min) return fallback
+  return parsed
+}
+
+/**
+ * Polls the durable `world.clock.auto` settings and asks the god command
+ * service to advance the clock once a phase's worth of real time has passed.
+ * All timing state lives in the world, so a restart resumes from the stored
+ * anchor and catches up at most `maxCatchUpTicks` phases.
+ * @param {{
+ *   godCommandService: {advanceScheduledClock: Function},
+ *   pollMs?: number,
+ *   maxCatchUpTicks?: number,
+ *   now?: () => number,
+ *   setIntervalFn?: typeof setInterval,
+ *   clearIntervalFn?: typeof clearInterval,
+ *   onAdvance?: (result: any) => Promise<void> | void,
+ *   logger?: any
+ * }} deps
+ */
+function createClockScheduler(deps) {
+  if (typeof deps?.godCommandService?.advanceScheduledClock !== 'function') {
+    throw new AppError({
+      code: 'CLOCK_SCHEDULER_CONFIG_ERROR',
+      message: 'createClockScheduler requires godCommandService.advanceScheduledClock.',
+      recoverable: false
+    })
+  }
+  const godCommandService = deps.godCommandService
+  const pollMs = asPositiveInt(deps.pollMs, DEFAULT_CLOCK_AUTO_POLL_MS, 100)
+  const maxCatchUpTicks = asPositiveInt(deps.maxCatchUpTicks, DEFAULT_CLOCK_AUTO_MAX_CATCH_UP_TICKS, 1)
+  const runtimeNow = deps.now || (() => Date.now())
+  const setIntervalFn = deps.setIntervalFn || setInterval
+  const clearIntervalFn = deps.clearIntervalFn || clearInterval
+  const onAdvance = typeof deps.onAdvance === 'function' ? deps.onAdvance : null
+  const logger = deps.logger || createLogger({ component: 'clock_scheduler' })
+
+  let timer = null
+  let inFlight = false
+  let advancesTotal = 0
+  let lastResult = null
+
+  async function runOnce() {
+    if (inFlight) return { advanced: false, reason: 'in_flight', outputLines: [] }
+    inFlight = true
+    try {
+      const result = await godCommandService.advanceScheduledClock({ nowMs: runtimeNow(), maxCatchUpTicks })
+      lastResult = result
+      if (result.advanced) {
+        advancesTotal += 1
+        logger.info('clock_auto_advanced', {
+          operationId: result.operationId,
+          ticks: result.ticks,
+          skipped: result.skipped,
+          day: result.day,
+          phase: result.phase
+        })
+        if (onAdvance) await onAdvance(result)
+      }
+      return result
+    } catch (err) {
+      logger.errorWithStack('clock_auto_advance_failed', err)
+      return { advanced: false, reason: 'error', outputLines: [] }
+    } finally {
+      inFlight = false
+    }
+  }
+
+  function start() {
+    if (timer) return getStatus()
+    timer = setIntervalFn(() => {
+      void runOnce()
+    }, pollMs)
+    if (timer && typeof timer.unref === 'function') timer.unref()
+    return getStatus()
+  }
+
+  function stop() {
+    if (timer) {
+      clearIntervalFn(timer)
+      timer = null
+    }
+    return getStatus()
+  }
+
+  function getStatus() {
+    return {
+      running: Boolean(timer),
+      pollMs,
+      maxCatchUpTicks,
+      advancesTotal,
+      lastReason: lastResult?.reason || null
+    }
+  }
+
+  return {
+    start,
+    stop,
+    runOnce,
+    getStatus
+  }
+}
+
+module.exports = {
+  DEFAULT_CLOCK_AUTO_MAX_CATCH_UP_TICKS,
+  DEFAULT_CLOCK_AUTO_POLL_MS,
+  createClockScheduler
+}
@@ -1,3 +1,5 @@
+const MINECRAFT_CHAT_LIMIT = 256
+
 /**
  * @param {unknown} value
  * @param {string} fallback
@@ -26,6 +28,29 @@ function sanitizeChatText(text) {
   return asText(text, '', 800).replace(/[\u0000-\u001f\u007f]/g, '')
 }
 
+/**
+ * Build the chat line the bridge operator bot sends for a broadcast. The
+ * whole line, tellraw prefix and JSON included, must fit in one Minecraft
+ * chat packet or mineflayer splits it and the tail arrives as player chat.
+ * @param {unknown} text
+ * @param {{mode?: string, color?: string}} [options]
+ * @returns {string | null}
+ */
+function createBroadcastChatLine(text, { mode = 'tellraw', color } = {}) {
+  if (mode === 'off' || typeof text !== 'string') return null
+  const message = text.replace(/[\u0000-\u001f\u007f]+/g, ' ').replace(/\s+/g, ' ').trim()
+  if (!message) return null
+  if (mode === 'chat') return message.slice(0, MINECRAFT_CHAT_LIMIT)
+
+  let body = message
+  for (;;) {
+    const line = `/tellraw @a ${JSON.stringify(color ? { text: body, color } : { text: body })}`
+    if (line.length <= MINECRAFT_CHAT_LIMIT) return line
+    // JSON escapes can make one character cost several; trim by the overflow and re-measure.
+    body = body.slice(0, body.length - (line.length - MINECRAFT_CHAT_LIMIT))
+  }
+}
+
 /**
  * @param {string} input
  */
@@ -81,9 +106,42 @@ function parseBridgeChat(text) {
   }
 }
 
+/**
+ * Parse engine stdout roster lines (`god agent list|spawn|retire` output).
+ * @param {string} line
+ * @returns {{name: string, active: boolean} | null}
+ */
+function parseEngineRosterLine(line) {
+  const text = sanitizeChatText(line)
+  const match = /^>?\s*GOD AGENT(?: (SPAWNED|RETIRED))?: name=([A-Za-z0-9_]{3,16})(.*)$/.exec(text)
+  if (!match) return null
+  if (match[1] === 'SPAWNED') return { name: match[2], active: true }
+  if (match[1] === 'RETIRED') return { name: match[2], active: false }
+  const status = /\bstatus=(\w+)/.exec(match[3])
+  return { name: match[2], active: !status || status[1] === 'active' }
+}
+
+/**
+ * Parse an engine agent reply line (`Mara: ...`). Callers check the name
+ * against the roster learned from the engine.
+ * @param {string} line
+ * @returns {{name: string, message: string} | null}
+ */
+function parseEngineReplyLine(line) {
+  const match = /^\s*>?\s*([A-Za-z0-9_]{3,16})\s*:\s*(.+)$/.exec(String(line || ''))
+  if (!match) return null
+  const message = sanitizeChatText(match[2])
+  if (!message) return null
+  return { name: match[1], message }
+}
+
 module.exports = {
+  MINECRAFT_CHAT_LIMIT,
+  createBroadcastChatLine,
   parseCliInput,
   parseBridgeChat,
+  parseEngineReplyLine,
+  parseEngineRosterLine,
   sanitizeMinecraftName,
   sanitizeChatText
 }
@@ -0,0 +1,444 @@
+const fs = require('fs')
+const path = require('path')
+const { createHash } = require('crypto')
+
+const { AppError } = require('./errors')
+const {
+  EVENT_MOD_KEYS,
+  PROJECT_REQUIREMENT_KEYS,
+  TOWN_STOCKPILE_KEYS,
+  registerContentPacks
+} = require('./godCommands')
+const { registerContentKeys } = require('./memory')
+
+/**
+ * Content packs are JSON files that add rumors, world events, major missions,
+ * project types and salvage targets on top of the built-in tables in
+ * godCommands.js. A pack may only add keys; redefining built-in content is
+ * rejected when the packs are installed.
+ *
+ * {
+ *   "schema": "content-pack.v1",
+ *   "id": "harbor_tales",
+ *   "version": "1.0.0",
+ *   "title": "Harbor Tales",
+ *   "rumors": { "grounded": { "pier_ledgers": { "day": "...{town}...", "night": "..." } } },
+ *   "events": { "flood_tide": { "title": "...", "mods": { "unrest": 1 }, "rumor": { "kind": "grounded", "templateKeys": ["pier_ledgers"], "severity": 2, "expiresInDays": 2 } } },
+ *   "missions": [{ "id": "sea_wall_watch", "title": "...", "teaser": "...", "briefing": "...", "phaseNotes": ["...", "...", "..."] }],
+ *   "projects": { "sea_wall": { "requirements": { "labor": 2, "timber": 2 }, "effects": { "threatDelta": -1 } } },
+ *   "salvageTargets": { "sunken_barge": { "supplyBase": 2, "pressure": 0, "stockpiles": ["food", "timber"] } }
+ * }
+ */
+const CONTENT_PACK_SCHEMA = 'content-pack.v1'
+const CONTENT_KEY_PATTERN = /^[a-z][a-z0-9_]{2,39}$/
+const CONTENT_VERSION_PATTERN = /^\d+\.\d+\.\d+$/
+const MAX_CONTENT_PACKS = 32
+const MAX_PACK_SECTION_ENTRIES = 64
+const MAX_CONTENT_TEXT_LEN = 240
+const RUMOR_KINDS = ['grounded', 'supernatural', 'political']
+// Any faction id may carry a rep bonus; unknown factions are ignored at quest time.
+const REP_BONUS_MOD_KEY_PATTERN = /^[a-z][a-z0-9_]{2,31}_rep_bonus$/
+const PROJECT_EFFECT_KEYS = ['threatDelta', 'scarcityDelta', 'longNightDelta', 'hopeDelta', 'dreadDelta']
+const MISSION_PHASE_COUNT = 3
+const PACK_SECTIONS = ['rumors', 'events', 'missions', 'projects', 'salvageTargets']
+
+function isPlainObject(value) {
+  return Boolean(value && typeof value === 'object' && !Array.isArray(value))
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((entry) => stableStringify(entry)).join(',')}]`
+  }
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value).sort()
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`
+  }
+  return JSON.stringify(value)
+}
+
+function hashValue(value) {
+  return createHash('sha256').update(stableStringify(value)).digest('hex')
+}
+
+/**
+ * @param {string} file
+ * @param {string} at
+ * @param {string} problem
+ */
+function invalidPack(file, at, problem) {
+  return new AppError({
+    code: 'CONTENT_PACK_INVALID',
+    message: `Invalid content pack ${file}: ${at} ${problem}`,
+    recoverable: false,
+    metadata: { file, path: at }
+  })
+}
+
+/**
+ * Field readers bound to one pack file so every failure names the file and
+ * the JSON path that broke.
+ * @param {string} file
+ */
+function createPackReader(file) {
+  function text(value, at, maxLen = MAX_CONTENT_TEXT_LEN) {
+    if (typeof value !== 'string' || !value.trim()) throw invalidPack(file, at, 'must be a non-empty string.')
+    if (value.trim().length > maxLen) throw invalidPack(file, at, `must be at most ${maxLen} characters.`)
+    return value.trim()
+  }
+
+  function key(value, at) {
+    if (typeof value !== 'string' || !CONTENT_KEY_PATTERN.test(value)) {
+      throw invalidPack(file, at, 'must be a snake_case key of 3-40 characters.')
+    }
+    return value
+  }
+
+  function integer(value, at, min, max) {
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw invalidPack(file, at, `must be an integer from ${min} to ${max}.`)
+    }
+    return value
+  }
+
+  function object(value, at) {
+    if (!isPlainObject(value)) throw invalidPack(file, at, 'must be an object.')
+    return value
+  }
+
+  function entries(value, at) {
+    const list = Object.entries(object(value, at))
+    if (list.length > MAX_PACK_SECTION_ENTRIES) {
+      throw invalidPack(file, at, `must have at most ${MAX_PACK_SECTION_ENTRIES} entries.`)
+    }
+    return list.sort((left, right) => left[0].localeCompare(right[0]))
+  }
+
+  function intMap(value, at, allowedKeys, min, max, keyPattern = null) {
+    const allowed = Array.from(allowedKeys)
+    const map = {}
+    for (const [name, amount] of entries(value, at)) {
+      if (!allowed.includes(name) && !(keyPattern && keyPattern.test(name))) {
+        throw invalidPack(file, `${at}.${name}`, `is not one of ${allowed.join(', ')}${keyPattern ? ' or <faction>_rep_bonus' : ''}.`)
+      }
+      map[name] = integer(amount, `${at}.${name}`, min, max)
+    }
+    return map
+  }
+
+  return { file, text, key, integer, object, entries, intMap }
+}
+
+/**
+ * @param {unknown} input
+ * @param {ReturnType<typeof createPackReader>} read
+ */
+function readRumors(input, read) {
+  const rumors = []
+  for (const [kind, templates] of read.entries(input, 'rumors')) {
+    if (!RUMOR_KINDS.includes(kind)) throw invalidPack(read.file, `rumors.${kind}`, `is not one of ${RUMOR_KINDS.join(', ')}.`)
+    for (const [templateKey, template] of read.entries(templates, `rumors.${kind}`)) {
+      const at = `rumors.${kind}.${templateKey}`
+      read.key(templateKey, at)
+      read.object(template, at)
+      rumors.push({
+        kind,
+        key: templateKey,
+        day: read.text(template.day, `${at}.day`),
+        night: read.text(template.night, `${at}.night`)
+      })
+    }
+  }
+  return rumors
+}
+
+/**
+ * @param {unknown} input
+ * @param {ReturnType<typeof createPackReader>} read
+ */
+function readEvents(input, read) {
+  return read.entries(input, 'events').map(([type, config]) => {
+    const at = `events.${type}`
+    read.key(type, at)
+    read.object(config, at)
+    const event = {
+      type,
+      title: read.text(config.title, `${at}.title`),
+      mods: read.intMap(config.mods || {}, `${at}.mods`, EVENT_MOD_KEYS, -5, 5, REP_BONUS_MOD_KEY_PATTERN),
+      rumor: null
+    }
+    if (config.rumor !== undefined) {
+      const rumor = read.object(config.rumor, `${at}.rumor`)
+      if (!RUMOR_KINDS.includes(rumor.kind)) throw invalidPack(read.file, `${at}.rumor.kind`, `is not one of ${RUMOR_KINDS.join(', ')}.`)
+      if (!Array.isArray(rumor.templateKeys) || rumor.templateKeys.length === 0 || rumor.templateKeys.length > 8) {
+        throw invalidPack(read.file, `${at}.rumor.templateKeys`, 'must list 1-8 template keys.')
+      }
+      event.rumor = {
+        kind: rumor.kind,
+        templateKeys: rumor.templateKeys.map((templateKey, idx) => read.key(templateKey, `${at}.rumor.templateKeys[${idx}]`)),
+        severity: read.integer(rumor.severity ?? 2, `${at}.rumor.severity`, 1, 3),
+        expiresInDays: read.integer(rumor.expiresInDays ?? 2, `${at}.rumor.expiresInDays`, 1, 7)
+      }
+    }
+    return event
+  })
+}
+
+/**
+ * @param {unknown} input
+ * @param {ReturnType<typeof createPackReader>} read
+ */
+function readMissions(input, read) {
+  if (!Array.isArray(input)) throw invalidPack(read.file, 'missions', 'must be an array.')
+  if (input.length > MAX_PACK_SECTION_ENTRIES) {
+    throw invalidPack(read.file, 'missions', `must have at most ${MAX_PACK_SECTION_ENTRIES} entries.`)
+  }
+  const missions = input.map((mission, idx) => {
+    const at = `missions[${idx}]`
+    read.object(mission, at)
+    if (!Array.isArray(mission.phaseNotes) || mission.phaseNotes.length !== MISSION_PHASE_COUNT) {
+      throw invalidPack(read.file, `${at}.phaseNotes`, `must list exactly ${MISSION_PHASE_COUNT} notes.`)
+    }
+    return {
+      id: read.key(mission.id, `${at}.id`),
+      title: read.text(mission.title, `${at}.title`, 80),
+      teaser: read.text(mission.teaser, `${at}.teaser`),
+      briefing: read.text(mission.briefing, `${at}.briefing`),
+      phaseNotes: mission.phaseNotes.map((note, noteIdx) => read.text(note, `${at}.phaseNotes[${noteIdx}]`))
+    }
+  })
+  return missions.sort((left, right) => left.id.localeCompare(right.id))
+}
+
+/**
+ * @param {unknown} input
+ * @param {ReturnType<typeof createPackReader>} read
+ */
+function readProjects(input, read) {
+  return read.entries(input, 'projects').map(([type, config]) => {
+    const at = `projects.${type}`
+    read.key(type, at)
+    read.object(config, at)
+    const requirements = read.intMap(config.requirements, `${at}.requirements`, PROJECT_REQUIREMENT_KEYS, 1, 10)
+    if (Object.keys(requirements).length === 0) throw invalidPack(read.file, `${at}.requirements`, 'must not be empty.')
+    return {
+      type,
+      requirements,
+      effects: read.intMap(config.effects || {}, `${at}.effects`, PROJECT_EFFECT_KEYS, -5, 5)
+    }
+  })
+}
+
+/**
+ * @param {unknown} input
+ * @param {ReturnType<typeof createPackReader>} read
+ */
+function readSalvageTargets(input, read) {
+  return read.entries(input, 'salvageTargets').map(([targetKey, config]) => {
+    const at = `salvageTargets.${targetKey}`
+    read.key(targetKey, at)
+    read.object(config, at)
+    const stockpiles = config.stockpiles
+    if (!Array.isArray(stockpiles) || stockpiles.length === 0 || new Set(stockpiles).size !== stockpiles.length
+      || stockpiles.some(stockKey => !TOWN_STOCKPILE_KEYS.includes(stockKey))) {
+      throw invalidPack(read.file, `${at}.stockpiles`, `must list distinct keys from ${TOWN_STOCKPILE_KEYS.join(', ')}.`)
+    }
+    return {
+      key: targetKey,
+      supplyBase: read.integer(config.supplyBase, `${at}.supplyBase`, 0, 6),
+      pressure: read.integer(config.pressure ?? 0, `${at}.pressure`, -2, 2),
+      stockpiles: stockpiles.slice()
+    }
+  })
+}
+
+/**
+ * Validate one parsed pack file and return its normalized form. The pack hash
+ * covers the normalized content, so whitespace or key order in the file does
+ * not change it.
+ * @param {unknown} input
+ * @param {{file?: string}} [options]
+ */
+function validateContentPack(input, options = {}) {
+  const file = options.file || '<inline>'
+  const read = createPackReader(file)
+  read.object(input, '$')
+  if (input.schema !== CONTENT_PACK_SCHEMA) throw invalidPack(file, 'schema', `must be "${CONTENT_PACK_SCHEMA}".`)
+  const unknownKey = Object.keys(input).find(name => !['schema', 'id', 'version', 'title', ...PACK_SECTIONS].includes(name))
+  if (unknownKey) throw invalidPack(file, unknownKey, 'is not a content pack field.')
+  const version = read.text(input.version, 'version', 20)
+  if (!CONTENT_VERSION_PATTERN.test(version)) throw invalidPack(file, 'version', 'must look like 1.0.0.')
+
+  const content = {
+    id: read.key(input.id, 'id'),
+    version,
+    title: input.title === undefined ? '' : read.text(input.title, 'title', 80),
+    rumors: input.rumors === undefined ? [] : readRumors(input.rumors, read),
+    events: input.events === undefined ? [] : readEvents(input.events, read),
+    missions: input.missions === undefined ? [] : readMissions(input.missions, read),
+    projects: input.projects === undefined ? [] : readProjects(input.projects, read),
+    salvageTargets: input.salvageTargets === undefined ? [] : readSalvageTargets(input.salvageTargets, read)
+  }
+  const missionIds = content.missions.map(mission => mission.id)
+  const duplicateMission = missionIds.find((id, idx) => missionIds.indexOf(id) !== idx)
+  if (duplicateMission) throw invalidPack(file, 'missions', `defines ${duplicateMission} twice.`)
+  return { ...content, file: path.basename(file), hash: hashValue(content) }
+}
+
+/**
+ * Keys each pack adds, for spotting two packs that claim the same one.
+ * @param {ReturnType<typeof validateContentPack>} pack
+ */
+function listContentPackKeys(pack) {
+  return [
+    ...pack.rumors.map(rumor => `rumor ${rumor.kind}.${rumor.key}`),
+    ...pack.events.map(event => `event ${event.type}`),
+    ...pack.missions.map(mission => `mission ${mission.id}`),
+    ...pack.projects.map(project => `project ${project.type}`),
+    ...pack.salvageTargets.map(target => `salvage target ${target.key}`)
+  ]
+}
+
+/**
+ * @param {ReturnType<typeof validateContentPack>} pack
+ */
+function summarizeContentPack(pack) {
+  return {
+    rumors: pack.rumors.length,
+    events: pack.events.length,
+    missions: pack.missions.length,
+    projects: pack.projects.length,
+    salvageTargets: pack.salvageTargets.length
+  }
+}
+
+/**
+ * Combine validated packs into one bundle ordered by pack id. The bundle hash
+ * is what gets recorded in `world.content`; it is empty when no packs load.
+ * @param {Array<ReturnType<typeof validateContentPack>>} packs
+ */
+function buildContentBundle(packs) {
+  const ordered = packs.slice().sort((left, right) => left.id.localeCompare(right.id))
+  if (ordered.length > MAX_CONTENT_PACKS) {
+    throw invalidPack(ordered[MAX_CONTENT_PACKS].file, '$', `exceeds the limit of ${MAX_CONTENT_PACKS} content packs.`)
+  }
+  const owners = new Map()
+  for (const pack of ordered) {
+    if (owners.has(`pack ${pack.id}`)) {
+      throw new AppError({
+        code: 'CONTENT_PACK_CONFLICT',
+        message: `Content pack id ${pack.id} is used by both ${owners.get(`pack ${pack.id}`)} and ${pack.file}.`,
+        recoverable: false,
+        metadata: { packId: pack.id }
+      })
+    }
+    owners.set(`pack ${pack.id}`, pack.file)
+    for (const contentKey of listContentPackKeys(pack)) {
+      if (owners.has(contentKey)) {
+        throw new AppError({
+          code: 'CONTENT_PACK_CONFLICT',
+          message: `Content packs ${owners.get(contentKey)} and ${pack.id} both define ${contentKey}.`,
+          recoverable: false,
+          metadata: { packId: pack.id, key: contentKey }
+        })
+      }
+      owners.set(contentKey, pack.id)
+    }
+  }
+  return {
+    hash: ordered.length > 0 ? hashValue(ordered.map(pack => ({ id: pack.id, version: pack.version, hash: pack.hash }))) : '',
+    packs: ordered
+  }
+}
+
+/**
+ * Read every `*.json` file in `dirPath` as a content pack. An unset directory
+ * yields an empty bundle; a missing directory or any invalid pack throws.
+ * @param {{dirPath?: string, fsModule?: typeof fs}} [options]
+ */
+function loadContentPacks(options = {}) {
+  const dirPath = options.dirPath ? path.resolve(options.dirPath) : ''
+  const fsModule = options.fsModule || fs
+  if (!dirPath) return buildContentBundle([])
+  if (!fsModule.existsSync(dirPath) || !fsModule.statSync(dirPath).isDirectory()) {
+    throw new AppError({
+      code: 'CONTENT_PACK_INVALID',
+      message: `Content pack directory not found: ${dirPath}`,
+      recoverable: false,
+      metadata: { dirPath }
+    })
+  }
+  const files = fsModule.readdirSync(dirPath)
+    .filter(name => name.toLowerCase().endsWith('.json'))
+    .sort((left, right) => left.localeCompare(right))
+  const packs = files.map((name) => {
+    const filePath = path.join(dirPath, name)
+    let parsed
+    try {
+      parsed = JSON.parse(fsModule.readFileSync(filePath, 'utf-8'))
+    } catch (error) {
+      throw invalidPack(name, '$', `is not valid JSON (${error instanceof Error ? error.message : String(error)}).`)
+    }
+    return validateContentPack(parsed, { file: name })
+  })
+  return buildContentBundle(packs)
+}
+
+/**
+ * Stamp the installed bundle into `world.content` so a replay can tell which
+ * content produced the world. A changed hash is logged, not refused: the
+ * operator chose to load different packs. Switching back and forth between the
+ * same bundles repeats any hash-derived event id, so the mutator compares the
+ * recorded hash itself instead of relying on event dedupe.
+ * @param {{getSnapshot: () => any, transact: Function}} memoryStore
+ * @param {{hash: string, packs: Array<{id: string, version: string, hash: string}>}} bundle
+ * @param {{logger?: {warn: Function}}} [options]
+ */
+async function recordContentPacksInWorld(memoryStore, bundle, options = {}) {
+  const previousHash = String(memoryStore.getSnapshot().world?.content?.hash || '')
+  const hash = String(bundle?.hash || '')
+  if (previousHash === hash) return { changed: false, previousHash, hash }
+  if (previousHash && options.logger) {
+    options.logger.warn('content_packs_changed', { previousHash, hash })
+  }
+  const tx = await memoryStore.transact((memory) => {
+    if (String(memory.world.content?.hash || '') === hash) return false
+    if (!hash) {
+      delete memory.world.content
+      return true
+    }
+    memory.world.content = {
+      hash,
+      packs: bundle.packs.map(pack => ({ id: pack.id, version: pack.version, hash: pack.hash })),
+      recordedAtDay: Math.max(1, Number(memory.world.clock?.day || 1))
+    }
+    return true
+  })
+  return { changed: tx.result === true, previousHash, hash }
+}
+
+/**
+ * Register a loaded bundle with the command engine and the memory sanitizer.
+ * Call before the memory store first loads, or pack-defined events, projects
+ * and salvage runs are dropped as unknown on load.
+ * @param {ReturnType<typeof buildContentBundle>} bundle
+ */
+function installContentPacks(bundle) {
+  registerContentPacks(bundle)
+  registerContentKeys({
+    eventTypes: bundle.packs.flatMap(pack => pack.events.map(event => event.type)),
+    projectTypes: bundle.packs.flatMap(pack => pack.projects.map(project => project.type)),
+    salvageTargetKeys: bundle.packs.flatMap(pack => pack.salvageTargets.map(target => target.key))
+  })
+  return bundle
+}
+
+module.exports = {
+  CONTENT_PACK_SCHEMA,
+  buildContentBundle,
+  installContentPacks,
+  loadContentPacks,
+  recordContentPacksInWorld,
+  summarizeContentPack,
+  validateContentPack
+}
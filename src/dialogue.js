@@ -1,9 +1,11 @@
-const OpenAI = require('openai')
 const { sanitizeTurn } = require('./turnGuard')
 const { createLogger } = require('./logger')
 const { AppError } = require('./errors')
-const { createSemaphore, withTimeout } = require('./flowControl')
+const { createSemaphore } = require('./flowControl')
 const { incrementMetric } = require('./runtimeMetrics')
+const { selectDialogueProvider } = require('./dialogueProviders')
+const { buildDialogueWorldContext } = require('./dialogueContext')
+const { createWorldMemoryContext } = require('./worldMemoryContext')
 
 /**
  * @param {unknown} value
@@ -60,7 +62,10 @@ function fallbackTurn(agent) {
  * @param {{
  *   memoryStore: ReturnType<import('./memory').createMemoryStore>,
  *   logger?: ReturnType<typeof createLogger>,
- *   openaiClient?: OpenAI | null,
+ *   openaiClient?: import('openai') | null,
+ *   provider?: import('./dialogueProviders').DialogueProvider | null,
+ *   executionStore?: ReturnType<import('./executionStore').createExecutionStore> | null,
+ *   contextTokens?: number,
  *   model?: string,
  *   maxConcurrentTurns?: number,
  *   requestTimeoutMs?: number
@@ -81,12 +86,16 @@ function createDialogueService(deps) {
   const requestTimeoutMs = Number(deps?.requestTimeoutMs || process.env.OPENAI_TIMEOUT_MS || 15000)
   const maxConcurrentTurns = Number(deps?.maxConcurrentTurns || process.env.MAX_CONCURRENT_TURNS || 4)
   const withDialogueSlot = createSemaphore(maxConcurrentTurns)
+  const executionStore = deps?.executionStore || null
+  const contextTokens = Number(deps?.contextTokens || process.env.DIALOGUE_CONTEXT_TOKENS || 0)
 
-  const client = deps?.openaiClient !== undefined
-    ? deps.openaiClient
-    : (process.env.OPENAI_API_KEY
-      ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
-      : null)
+  const provider = deps?.provider !== undefined
+    ? deps.provider
+    : selectDialogueProvider({
+      openaiClient: deps?.openaiClient,
+      model,
+      requestTimeoutMs
+    })
 
   const jsonSchema = {
     name: 'NpcTurn',
@@ -122,7 +131,19 @@ function createDialogueService(deps) {
             properties: {
               type: {
                 type: 'string',
-                enum: ['none', 'spread_rumor', 'recruit', 'call_meeting', 'desert_faction', 'attack_player']
+                enum: [
+                  'none',
+                  'spread_rumor',
+                  'recruit',
+                  'call_meeting',
+                  'desert_faction',
+                  'attack_player',
+                  'offer_trade',
+                  'post_contract',
+                  'start_rumor',
+                  'volunteer_for_project',
+                  'petition_mayor'
+                ]
               },
               target: { type: 'string', minLength: 1, maxLength: 80 },
               confidence: { type: 'number', minimum: 0, maximum: 1 },
@@ -142,11 +163,33 @@ function createDialogueService(deps) {
     '- Respond with valid JSON that matches the schema exactly.',
     '- Keep "say" to 1-2 sentences.',
     '- You can propose actions, but you cannot assume they succeed.',
-    '- If you are unsure, propose "none".'
+    '- If you are unsure, propose "none".',
+    '',
+    'Gameplay actions act on your home town and need a "target" in this form:',
+    '- offer_trade: "<buy|sell> [good] <amount> <price>" (goods: bread, iron, timber, wool, lantern_oil, herbs)',
+    '- post_contract: "trade_n <count> [good]" or "visit_town <town>"',
+    '- start_rumor: "<grounded|supernatural|political>"',
+    '- volunteer_for_project: "<projectId or projectType>"',
+    '- petition_mayor: "mayor"'
   ].join('\n')
 
   /**
-   * @param {{name: string, role: string, faction: string, mood: string, trust: number, combatState: string}} agent
+   * Town history for the agent's home town, when an execution store is wired.
+   * @param {string | null | undefined} town
+   */
+  function readTownMemory(town) {
+    const townId = asText(town, '', 80)
+    if (!executionStore || !townId) return null
+    try {
+      return createWorldMemoryContext({ executionStore, townId, factionId: null, chronicleLimit: 3, historyLimit: 1 })
+    } catch (err) {
+      logger.warn('dialogue_world_memory_unavailable', { town: townId, error: err instanceof Error ? err.message : String(err) })
+      return null
+    }
+  }
+
+  /**
+   * @param {{name: string, role: string, faction: string, mood: string, trust: number, combatState: string, town?: string | null}} agent
    * @param {string} context
    */
   async function generateDialogue(agent, context = '') {
@@ -161,11 +204,19 @@ function createDialogueService(deps) {
     const agentSummary = asText(agentMemory?.summary, 'No personal history.', 500)
     const factionSummary = asText(factionMemory?.summary, 'No faction history.', 500)
 
-    if (!client) {
+    if (!provider) {
       logger.info('dialogue_fallback_no_client', { agent: agent.name })
       return fallback
     }
 
+    const worldContext = buildDialogueWorldContext({
+      agent,
+      world,
+      profile: agentMemory?.profile,
+      worldMemory: readTownMemory(agent.town),
+      maxTokens: contextTokens
+    })
+
     const userPrompt = [
       `Name: ${agent.name}`,
       `Role: ${agent.role}`,
@@ -179,6 +230,7 @@ function createDialogueService(deps) {
       `- playerAlive: ${world.player.alive}`,
       `- playerLegitimacy: ${world.player.legitimacy}`,
       `- lethalPoliticsAllowed: ${world.rules.allowLethalPolitics}`,
+      ...worldContext.lines.map(line => `- ${line}`),
       '',
       'Personal memories:',
       `- ${shortMemory}`,
@@ -195,22 +247,14 @@ function createDialogueService(deps) {
 
     return withDialogueSlot(async () => {
       try {
-        incrementMetric('openAiRequests')
-        const response = await withTimeout(client.responses.create({
-          model,
-          input: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: userPrompt }
-          ],
-          text: {
-            format: {
-              type: 'json_schema',
-              json_schema: jsonSchema
-            }
-          }
-        }), requestTimeoutMs, 'dialogue_request_timeout')
-
-        const turn = JSON.parse(response.output_text)
+        const turn = await provider.generateTurn({
+          agent,
+          context: safeContext,
+          world,
+          systemPrompt,
+          userPrompt,
+          jsonSchema
+        })
         const safe = sanitizeTurn(turn, fallback)
         safe.trust_delta = clamp(Number(safe.trust_delta || 0), -2, 2)
         return safe
@@ -218,7 +262,7 @@ function createDialogueService(deps) {
         if (err instanceof Error && err.message === 'dialogue_request_timeout') {
           incrementMetric('openAiTimeouts')
         }
-        logger.errorWithStack('dialogue_generation_failed', err, { agent: agent.name })
+        logger.errorWithStack('dialogue_generation_failed', err, { agent: agent.name, provider: provider.name })
         return fallback
       }
     })
@@ -226,7 +270,8 @@ function createDialogueService(deps) {
 
   return {
     generateDialogue,
-    fallbackTurn
+    fallbackTurn,
+    providerName: provider ? provider.name : 'none'
   }
 }
 
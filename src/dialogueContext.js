@@ -0,0 +1,206 @@
+const DEFAULT_DIALOGUE_CONTEXT_TOKENS = 320
+const MAX_DIALOGUE_CONTEXT_TOKENS = 2000
+const CHARS_PER_TOKEN = 4
+const MAX_CONTEXT_LINE_LENGTH = 200
+const MAX_LINES_PER_SECTION = 3
+const ACTIVE_MAJOR_MISSION_STATUSES = new Set(['teased', 'briefed', 'active'])
+const OPEN_CONTRACT_STATES = new Set(['offered', 'accepted', 'in_progress'])
+
+function isPlainObject(value) {
+  return Boolean(value && typeof value === 'object' && !Array.isArray(value))
+}
+
+/**
+ * @param {unknown} value
+ * @param {number} [maxLen]
+ */
+function asText(value, maxLen = MAX_CONTEXT_LINE_LENGTH) {
+  if (typeof value !== 'string') return ''
+  return value.replace(/[\u0000-\u001f\u007f]/g, ' ').trim().slice(0, maxLen)
+}
+
+/**
+ * @param {unknown} left
+ * @param {unknown} right
+ */
+function sameText(left, right) {
+  const a = asText(left, 80).toLowerCase()
+  return Boolean(a) && a === asText(right, 80).toLowerCase()
+}
+
+/**
+ * @param {string} line
+ */
+function estimateTokens(line) {
+  return Math.ceil(line.length / CHARS_PER_TOKEN)
+}
+
+/**
+ * @param {Record<string, any> | null} townSummary
+ */
+function townPressureLines(townSummary) {
+  if (!isPlainObject(townSummary)) return []
+  const parts = []
+  if (Number.isFinite(townSummary.hope)) parts.push(`hope ${townSummary.hope}`)
+  if (Number.isFinite(townSummary.dread)) parts.push(`dread ${townSummary.dread}`)
+  if (townSummary.frontlineStatusLabel) parts.push(`frontline ${townSummary.frontlineStatusLabel}`)
+  if (townSummary.raidStatus) parts.push(`raids ${townSummary.raidStatus}`)
+  if (townSummary.gateStatus) parts.push(`gate ${townSummary.gateStatus}`)
+  if (townSummary.supplyOutlook) parts.push(`supply ${townSummary.supplyOutlook}`)
+  return parts.length ? [`Town pressure: ${parts.join(', ')}.`] : []
+}
+
+/**
+ * @param {Record<string, any>} world
+ * @param {string} town
+ */
+function majorMissionLines(world, town) {
+  return (Array.isArray(world.majorMissions) ? world.majorMissions : [])
+    .filter(mission => ACTIVE_MAJOR_MISSION_STATUSES.has(mission?.status) && sameText(mission.townId, town))
+    .sort((left, right) => asText(left.id).localeCompare(asText(right.id)))
+    .slice(0, 1)
+    .map(mission => `Major mission: ${asText(mission.templateId, 80).replace(/_/g, ' ')} (${mission.status}, phase ${asText(String(mission.phase ?? '-'), 20)}).`)
+}
+
+/**
+ * @param {Record<string, any>} world
+ * @param {string} town
+ */
+function rumorLines(world, town) {
+  const day = Number(world.clock?.day || 1)
+  return (Array.isArray(world.rumors) ? world.rumors : [])
+    .filter(rumor => sameText(rumor?.town, town) && !rumor.resolved_by_quest_id)
+    .filter(rumor => Number(rumor.starts_day || 0) <= day && Number(rumor.expires_day || day) >= day)
+    .sort((left, right) => (Number(right.severity || 0) - Number(left.severity || 0)) || asText(left.id).localeCompare(asText(right.id)))
+    .slice(0, MAX_LINES_PER_SECTION)
+    .map(rumor => `Rumor (${asText(rumor.kind, 20) || 'grounded'}): ${asText(rumor.text, 160)}`)
+}
+
+/**
+ * @param {Record<string, any>} world
+ * @param {string} town
+ */
+function decisionLines(world, town) {
+  return (Array.isArray(world.decisions) ? world.decisions : [])
+    .filter(decision => decision?.state === 'open' && sameText(decision.town, town))
+    .sort((left, right) => asText(left.id).localeCompare(asText(right.id)))
+    .slice(0, 1)
+    .map(decision => `Town decision pending: ${asText(decision.prompt, 160)}`)
+}
+
+/**
+ * @param {Record<string, any>} world
+ * @param {string} town
+ */
+function contractLines(world, town) {
+  return (Array.isArray(world.quests) ? world.quests : [])
+    .filter(quest => quest?.meta?.contract === true && OPEN_CONTRACT_STATES.has(quest.state))
+    .filter(quest => sameText(quest.town || quest.townId, town))
+    .sort((left, right) => asText(left.id).localeCompare(asText(right.id)))
+    .slice(0, MAX_LINES_PER_SECTION)
+    .map(quest => `Contract: ${asText(quest.title, 120) || asText(quest.id, 80)} (${quest.state}).`)
+}
+
+/**
+ * @param {Record<string, any>} world
+ */
+function netherLines(world) {
+  const modifiers = isPlainObject(world.nether?.modifiers) ? world.nether.modifiers : {}
+  const parts = ['longNight', 'omen', 'scarcity', 'threat']
+    .filter(key => Number(modifiers[key] || 0) !== 0)
+    .map(key => `${key} ${Number(modifiers[key])}`)
+  return parts.length ? [`Nether pressure: ${parts.join(', ')}.`] : []
+}
+
+/**
+ * @param {Record<string, any> | null | undefined} profile
+ */
+function standingLines(profile) {
+  if (!isPlainObject(profile)) return []
+  const lines = []
+  const titles = (Array.isArray(profile.titles) ? profile.titles : []).map(title => asText(title, 40)).filter(Boolean).slice(0, 3)
+  if (titles.length) lines.push(`Your titles: ${titles.join(', ')}.`)
+  if (isPlainObject(profile.traits)) {
+    const traits = ['courage', 'greed', 'faith']
+      .filter(key => Number.isFinite(Number(profile.traits[key])))
+      .map(key => `${key} ${Number(profile.traits[key])}`)
+    if (traits.length) lines.push(`Your traits: ${traits.join(', ')}.`)
+  }
+  if (isPlainObject(profile.rep)) {
+    const rep = Object.entries(profile.rep)
+      .filter(([, value]) => Number.isFinite(Number(value)) && Number(value) !== 0)
+      .sort((left, right) => (Math.abs(Number(right[1])) - Math.abs(Number(left[1]))) || left[0].localeCompare(right[0]))
+      .slice(0, MAX_LINES_PER_SECTION)
+      .map(([faction, value]) => `${asText(faction, 40)} ${Number(value)}`)
+    if (rep.length) lines.push(`Your reputation: ${rep.join(', ')}.`)
+  }
+  return lines
+}
+
+/**
+ * @param {Record<string, any> | null} worldMemory
+ */
+function chronicleLines(worldMemory) {
+  return (Array.isArray(worldMemory?.recentChronicle) ? worldMemory.recentChronicle : [])
+    .slice(0, MAX_LINES_PER_SECTION)
+    .map(record => asText(record?.message, 160))
+    .filter(Boolean)
+    .map(message => `Recently: ${message}`)
+}
+
+/**
+ * Build the bounded "world context" block for one agent's dialogue prompt.
+ * Sections are taken in priority order (town pressure, major mission, rumors,
+ * pending decision, contracts, nether pressure, personal standing, recent
+ * chronicle) and whole lines are kept until the token budget is spent, so the
+ * same world always yields the same block.
+ * @param {{
+ *   agent: {name: string, town?: string | null},
+ *   world: Record<string, any>,
+ *   profile?: Record<string, any> | null,
+ *   worldMemory?: Record<string, any> | null,
+ *   maxTokens?: number
+ * }} input
+ * @returns {{lines: string[], tokens: number, truncated: boolean}}
+ */
+function buildDialogueWorldContext(input) {
+  const world = isPlainObject(input?.world) ? input.world : {}
+  const worldMemory = isPlainObject(input?.worldMemory) ? input.worldMemory : null
+  const town = asText(input?.agent?.town, 80)
+  const requested = Number(input?.maxTokens)
+  const maxTokens = Number.isInteger(requested) && requested > 0
+    ? Math.min(requested, MAX_DIALOGUE_CONTEXT_TOKENS)
+    : DEFAULT_DIALOGUE_CONTEXT_TOKENS
+
+  const candidates = [
+    ...(town ? [`Home town: ${town}.`] : []),
+    ...(town ? townPressureLines(worldMemory?.townSummary) : []),
+    ...(town ? majorMissionLines(world, town) : []),
+    ...(town ? rumorLines(world, town) : []),
+    ...(town ? decisionLines(world, town) : []),
+    ...(town ? contractLines(world, town) : []),
+    ...netherLines(world),
+    ...standingLines(input?.profile),
+    ...chronicleLines(worldMemory)
+  ]
+
+  const lines = []
+  let tokens = 0
+  let truncated = false
+  for (const line of candidates) {
+    const cost = estimateTokens(line)
+    if (tokens + cost > maxTokens) {
+      truncated = true
+      break
+    }
+    lines.push(line)
+    tokens += cost
+  }
+  return { lines, tokens, truncated }
+}
+
+module.exports = {
+  DEFAULT_DIALOGUE_CONTEXT_TOKENS,
+  MAX_DIALOGUE_CONTEXT_TOKENS,
+  buildDialogueWorldContext
+}
@@ -0,0 +1,308 @@
+const crypto = require('crypto')
+const OpenAI = require('openai')
+const { AppError } = require('./errors')
+const { withTimeout } = require('./flowControl')
+const { incrementMetric } = require('./runtimeMetrics')
+
+const DIALOGUE_PROVIDER_NAMES = new Set(['openai', 'local', 'scripted', 'none'])
+const ACTIVE_MAJOR_MISSION_STATUSES = new Set(['briefed', 'active'])
+
+/**
+ * @param {unknown} value
+ * @param {string} fallback
+ * @param {number} maxLen
+ */
+function asText(value, fallback, maxLen) {
+  if (typeof value !== 'string') return fallback
+  const trimmed = value.trim()
+  if (!trimmed) return fallback
+  return trimmed.slice(0, maxLen)
+}
+
+function isPlainObject(value) {
+  return Boolean(value && typeof value === 'object' && !Array.isArray(value))
+}
+
+/**
+ * @typedef {{
+ *   agent: {name: string, role: string, faction: string, mood: string, trust: number, combatState: string, town?: string | null},
+ *   context: string,
+ *   world: Record<string, any>,
+ *   systemPrompt: string,
+ *   userPrompt: string,
+ *   jsonSchema: {name: string, schema: Record<string, unknown>}
+ * }} DialogueRequest
+ */
+
+/**
+ * @typedef {{
+ *   name: string,
+ *   generateTurn: (request: DialogueRequest) => Promise<unknown>
+ * }} DialogueProvider
+ */
+
+/**
+ * OpenAI Responses API provider.
+ * @param {{client: OpenAI, model: string, requestTimeoutMs: number}} deps
+ * @returns {DialogueProvider}
+ */
+function createOpenAiDialogueProvider(deps) {
+  const { client, model, requestTimeoutMs } = deps
+
+  return {
+    name: 'openai',
+    async generateTurn(request) {
+      incrementMetric('openAiRequests')
+      const response = await withTimeout(client.responses.create({
+        model,
+        input: [
+          { role: 'system', content: request.systemPrompt },
+          { role: 'user', content: request.userPrompt }
+        ],
+        text: {
+          format: {
+            type: 'json_schema',
+            json_schema: request.jsonSchema
+          }
+        }
+      }), requestTimeoutMs, 'dialogue_request_timeout')
+      return JSON.parse(response.output_text)
+    }
+  }
+}
+
+/**
+ * OpenAI-compatible chat completions endpoint (llama.cpp server, Ollama,
+ * LM Studio, vLLM, ...). `baseUrl` is the API root, e.g. `http://127.0.0.1:11434/v1`.
+ * @param {{
+ *   baseUrl: string,
+ *   model: string,
+ *   apiKey?: string,
+ *   requestTimeoutMs: number,
+ *   fetchImpl?: typeof fetch
+ * }} deps
+ * @returns {DialogueProvider}
+ */
+function createLocalDialogueProvider(deps) {
+  const baseUrl = asText(deps?.baseUrl, '', 300).replace(/\/+$/, '')
+  if (!baseUrl) {
+    throw new AppError({
+      code: 'DIALOGUE_CONFIG_ERROR',
+      message: 'Local dialogue provider requires DIALOGUE_LOCAL_URL.',
+      recoverable: false
+    })
+  }
+  const fetchImpl = deps.fetchImpl || fetch
+  const headers = { 'content-type': 'application/json' }
+  if (deps.apiKey) headers.authorization = `Bearer ${deps.apiKey}`
+
+  return {
+    name: 'local',
+    async generateTurn(request) {
+      incrementMetric('openAiRequests')
+      const controller = new AbortController()
+      const exchange = async () => {
+        const response = await fetchImpl(`${baseUrl}/chat/completions`, {
+          method: 'POST',
+          headers,
+          signal: controller.signal,
+          body: JSON.stringify({
+            model: deps.model,
+            messages: [
+              { role: 'system', content: request.systemPrompt },
+              { role: 'user', content: request.userPrompt }
+            ],
+            response_format: { type: 'json_schema', json_schema: request.jsonSchema }
+          })
+        })
+        if (!response.ok) {
+          throw new Error(`local dialogue endpoint returned HTTP ${response.status}`)
+        }
+        return response.json()
+      }
+      let body
+      try {
+        // The deadline covers the body read too; a server that stalls mid-body is cut off.
+        body = await withTimeout(exchange(), deps.requestTimeoutMs, 'dialogue_request_timeout')
+      } finally {
+        controller.abort()
+      }
+      const content = body?.choices?.[0]?.message?.content
+      if (typeof content !== 'string') {
+        throw new Error('local dialogue endpoint returned no message content')
+      }
+      return JSON.parse(content)
+    }
+  }
+}
+
+/**
+ * @param {string[]} options
+ * @param {string} seed
+ */
+function pickVariant(options, seed) {
+  const digest = crypto.createHash('sha256').update(seed).digest()
+  return options[digest.readUInt32BE(0) % options.length]
+}
+
+/**
+ * @param {Record<string, any>} world
+ * @param {string | null} town
+ */
+function describeTownMood(world, town) {
+  const mood = town && isPlainObject(world?.moods?.byTown) ? world.moods.byTown[town] : null
+  if (!isPlainObject(mood)) return null
+  const fear = Number(mood.fear || 0)
+  const unrest = Number(mood.unrest || 0)
+  const prosperity = Number(mood.prosperity || 0)
+  const peak = Math.max(fear, unrest, prosperity)
+  if (peak < 3) return null
+  if (peak === fear) return 'fear'
+  if (peak === unrest) return 'unrest'
+  return 'prosperity'
+}
+
+/**
+ * @param {Record<string, any>} world
+ * @param {string | null} town
+ */
+function findActiveRumor(world, town) {
+  const day = Number(world?.clock?.day || 1)
+  const rumors = (Array.isArray(world?.rumors) ? world.rumors : [])
+    .filter(rumor => !rumor.resolved_by_quest_id)
+    .filter(rumor => Number(rumor.starts_day || 0) <= day && Number(rumor.expires_day || day) >= day)
+    .filter(rumor => !town || rumor.town === town)
+    .sort((left, right) => (Number(right.severity || 0) - Number(left.severity || 0)) || String(left.id).localeCompare(String(right.id)))
+  return rumors[0] || null
+}
+
+/**
+ * @param {Record<string, any>} world
+ * @param {string | null} town
+ */
+function findActiveMajorMission(world, town) {
+  return (Array.isArray(world?.majorMissions) ? world.majorMissions : [])
+    .filter(mission => ACTIVE_MAJOR_MISSION_STATUSES.has(mission?.status))
+    .find(mission => !town || mission.townId === town) || null
+}
+
+const OPENING_LINES = {
+  war: ['Watch your words. The world is on edge.', 'Steel first, talk later.', 'Keep your hands where I can see them.'],
+  angry: ['Say what you came to say.', 'I have little patience today.'],
+  fearful: ['Quietly, please. Something is wrong here.', 'Did you hear that too?'],
+  happy: ['Good to see a friendly face.', 'Fair day to you, traveler.'],
+  calm: ['Speak.', 'Well met.', 'What brings you here?']
+}
+
+const TOWN_MOOD_LINES = {
+  fear: town => `Folk in ${town} bar their doors at dusk.`,
+  unrest: town => `${town} is restless; people grumble in the square.`,
+  prosperity: town => `Trade is good in ${town} lately.`
+}
+
+/**
+ * @param {string} mood
+ * @param {string} combatState
+ */
+function toneFor(mood, combatState) {
+  if (combatState === 'war' || mood === 'angry') return 'hostile'
+  if (mood === 'fearful') return 'fearful'
+  if (mood === 'happy') return 'joyful'
+  return mood === 'calm' ? 'calm' : 'wary'
+}
+
+/**
+ * Deterministic offline provider. Composes a one or two sentence `say` from
+ * the agent's mood, its town's mood, the most severe active rumor and any
+ * briefed/active major mission. The same world and input always yield the
+ * same turn, so replays and test rigs stay stable.
+ * @returns {DialogueProvider}
+ */
+function createScriptedDialogueProvider() {
+  return {
+    name: 'scripted',
+    async generateTurn(request) {
+      const agent = request.agent
+      const world = isPlainObject(request.world) ? request.world : {}
+      const town = asText(agent?.town, '', 80) || null
+      const mood = asText(agent?.mood, 'calm', 20)
+      const combatState = agent?.combatState === 'war' ? 'war' : 'peace'
+      const seed = `${agent?.name}|${request.context}|${Number(world?.clock?.day || 1)}`
+
+      const opening = pickVariant(OPENING_LINES[combatState === 'war' ? 'war' : mood] || OPENING_LINES.calm, seed)
+      const mission = findActiveMajorMission(world, town)
+      const rumor = findActiveRumor(world, town)
+      const townMood = describeTownMood(world, town)
+
+      let detail = ''
+      if (mission) {
+        detail = `Everyone in ${mission.townId} talks of the ${String(mission.templateId).replace(/_/g, ' ')}.`
+      } else if (rumor) {
+        detail = `They say: ${asText(rumor.text, '', 200)}`
+      } else if (townMood) {
+        detail = TOWN_MOOD_LINES[townMood](town)
+      }
+
+      return {
+        say: detail ? `${opening} ${detail}` : opening,
+        tone: toneFor(mood, combatState),
+        trust_delta: 0,
+        memory_writes: [],
+        proposed_actions: [{ type: 'none', target: 'none', confidence: 0, reason: 'scripted' }]
+      }
+    }
+  }
+}
+
+/**
+ * Resolve the dialogue provider from env. `DIALOGUE_PROVIDER` may be
+ * `openai`, `local`, `scripted` or `none`; unset keeps the historical
+ * behavior (OpenAI when `OPENAI_API_KEY` is present, otherwise none).
+ * @param {{
+ *   env?: NodeJS.ProcessEnv,
+ *   openaiClient?: OpenAI | null,
+ *   model: string,
+ *   requestTimeoutMs: number,
+ *   fetchImpl?: typeof fetch
+ * }} options
+ * @returns {DialogueProvider | null}
+ */
+function selectDialogueProvider(options) {
+  const env = options.env || process.env
+  const raw = asText(env.DIALOGUE_PROVIDER, '', 20).toLowerCase()
+  const name = raw || (options.openaiClient || env.OPENAI_API_KEY ? 'openai' : 'none')
+  if (!DIALOGUE_PROVIDER_NAMES.has(name)) {
+    throw new AppError({
+      code: 'DIALOGUE_CONFIG_ERROR',
+      message: `Unknown DIALOGUE_PROVIDER: ${raw}`,
+      recoverable: false
+    })
+  }
+
+  if (name === 'scripted') return createScriptedDialogueProvider()
+  if (name === 'local') {
+    return createLocalDialogueProvider({
+      baseUrl: env.DIALOGUE_LOCAL_URL,
+      model: asText(env.DIALOGUE_LOCAL_MODEL, options.model, 80),
+      apiKey: asText(env.DIALOGUE_LOCAL_API_KEY, '', 200) || undefined,
+      requestTimeoutMs: options.requestTimeoutMs,
+      fetchImpl: options.fetchImpl
+    })
+  }
+  if (name === 'openai') {
+    const client = options.openaiClient !== undefined
+      ? options.openaiClient
+      : (env.OPENAI_API_KEY ? new OpenAI({ apiKey: env.OPENAI_API_KEY }) : null)
+    if (!client) return null
+    return createOpenAiDialogueProvider({ client, model: options.model, requestTimeoutMs: options.requestTimeoutMs })
+  }
+  return null
+}
+
+module.exports = {
+  DIALOGUE_PROVIDER_NAMES,
+  createLocalDialogueProvider,
+  createOpenAiDialogueProvider,
+  createScriptedDialogueProvider,
+  selectDialogueProvider
+}
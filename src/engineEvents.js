@@ -0,0 +1,159 @@
+const fs = require('fs')
+
+const { AppError } = require('./errors')
+
+const ENGINE_EVENT_TYPE = 'engine-event.v1'
+const ENGINE_EVENT_SCHEMA_VERSION = 1
+const ENGINE_EVENT_KINDS = new Set([
+  'agent_say',
+  'loop_intent',
+  'crier_broadcast',
+  'execution_result',
+  'announcement',
+  'roster',
+  'clock'
+])
+const MAX_EVENT_LINE_BYTES = 16 * 1024
+const MAX_BUSY_WRITE_RETRIES = 8
+// Only these mean the consumer is gone for good; anything else costs one event.
+const CLOSED_CHANNEL_ERROR_CODES = new Set(['EPIPE', 'EBADF'])
+
+function isPlainObject(value) {
+  return Boolean(value && typeof value === 'object' && !Array.isArray(value))
+}
+
+/**
+ * @param {string} kind
+ * @param {Record<string, unknown>} payload
+ * @param {number} seq
+ */
+function createEngineEvent(kind, payload, seq) {
+  return {
+    type: ENGINE_EVENT_TYPE,
+    schemaVersion: ENGINE_EVENT_SCHEMA_VERSION,
+    seq,
+    kind,
+    payload
+  }
+}
+
+/**
+ * @param {unknown} event
+ */
+function isValidEngineEvent(event) {
+  return Boolean(
+    isPlainObject(event) &&
+    event.type === ENGINE_EVENT_TYPE &&
+    event.schemaVersion === ENGINE_EVENT_SCHEMA_VERSION &&
+    Number.isInteger(event.seq) && event.seq > 0 &&
+    ENGINE_EVENT_KINDS.has(event.kind) &&
+    isPlainObject(event.payload)
+  )
+}
+
+/**
+ * @param {string} line
+ */
+function parseEngineEventLine(line) {
+  if (typeof line !== 'string') return null
+  const trimmed = line.trim()
+  if (!trimmed.startsWith('{')) return null
+  let parsed
+  try {
+    parsed = JSON.parse(trimmed)
+  } catch {
+    return null
+  }
+  return isValidEngineEvent(parsed) ? parsed : null
+}
+
+/**
+ * Line-delimited `engine-event.v1` channel. Events are runtime-only: they are
+ * emitted after durable commit and never read back by the engine. With no
+ * sink configured every emit is a no-op.
+ * @param {{
+ *   fd?: number | null,
+ *   write?: (line: string) => void,
+ *   logger?: any,
+ *   fsModule?: typeof fs
+ * }} [options]
+ */
+function createEngineEventChannel(options = {}) {
+  const fsModule = options.fsModule || fs
+  const logger = options.logger || null
+  const fd = Number.isInteger(options.fd) && options.fd >= 0 ? options.fd : null
+  let write = typeof options.write === 'function'
+    ? options.write
+    : (fd !== null ? (line) => writeLineToFd(fd, line) : null)
+  let seq = 0
+
+  /**
+   * A non-blocking pipe may take part of the line or report EAGAIN while the
+   * reader catches up; keep writing the rest a few times before giving up.
+   * @param {number} target
+   * @param {string} line
+   */
+  function writeLineToFd(target, line) {
+    const buffer = Buffer.from(line, 'utf-8')
+    let offset = 0
+    let busy = 0
+    while (offset < buffer.length) {
+      try {
+        offset += fsModule.writeSync(target, buffer, offset, buffer.length - offset)
+      } catch (err) {
+        if (err?.code !== 'EAGAIN' || busy >= MAX_BUSY_WRITE_RETRIES) throw err
+        busy += 1
+      }
+    }
+  }
+
+  /**
+   * @param {string} kind
+   * @param {Record<string, unknown>} payload
+   */
+  function emit(kind, payload) {
+    if (!write) return null
+    if (!ENGINE_EVENT_KINDS.has(kind)) {
+      throw new AppError({
+        code: 'UNKNOWN_ENGINE_EVENT_KIND',
+        message: `Unknown engine event kind: ${kind}`,
+        recoverable: false
+      })
+    }
+    seq += 1
+    const event = createEngineEvent(kind, isPlainObject(payload) ? payload : {}, seq)
+    const line = `${JSON.stringify(event)}\n`
+    if (Buffer.byteLength(line, 'utf-8') > MAX_EVENT_LINE_BYTES) {
+      if (logger) logger.warn('engine_event_dropped_oversize', { kind, seq })
+      return null
+    }
+    try {
+      write(line)
+    } catch (err) {
+      const error = err instanceof Error ? err.message : String(err)
+      if (!CLOSED_CHANNEL_ERROR_CODES.has(err?.code)) {
+        if (logger) logger.warn('engine_event_dropped_write_failed', { kind, seq, code: err?.code || null, error })
+        return null
+      }
+      // A closed consumer must not take the engine down; stop emitting instead.
+      write = null
+      if (logger) logger.warn('engine_event_channel_closed', { kind, seq, code: err.code, error })
+      return null
+    }
+    return event
+  }
+
+  return {
+    emit,
+    isEnabled: () => Boolean(write)
+  }
+}
+
+module.exports = {
+  ENGINE_EVENT_KINDS,
+  ENGINE_EVENT_SCHEMA_VERSION,
+  ENGINE_EVENT_TYPE,
+  createEngineEventChannel,
+  isValidEngineEvent,
+  parseEngineEventLine
+}
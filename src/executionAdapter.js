@@ -8,11 +8,21 @@ const {
   resolvePlayerTownId,
   selectStarterTownId
 } = require('./playerSpawn')
-const { createAuthoritativeSnapshotProjection } = require('./worldSnapshotProjection')
+const {
+  createAuthoritativeSnapshotProjection,
+  createScopedSnapshotHash,
+  isValidSnapshotScope,
+  normalizeSnapshotScope,
+  projectSnapshotScope
+} = require('./worldSnapshotProjection')
 
 const EXECUTION_HANDOFF_SCHEMA = 'execution-handoff.v1'
 const EXECUTION_RESULT_TYPE = 'execution-result.v1'
 const EXECUTION_RESULT_SCHEMA_VERSION = 1
+const EXECUTION_BUNDLE_SCHEMA = 'execution-bundle.v1'
+const EXECUTION_BUNDLE_RESULT_TYPE = 'execution-bundle-result.v1'
+const EXECUTION_BUNDLE_RESULT_SCHEMA_VERSION = 1
+const MAX_BUNDLE_HANDOFFS = 8
 const EXECUTION_STATUS_SET = new Set([
   'executed',
   'rejected',
@@ -24,7 +34,10 @@ const HASH_PATTERN = /^[0-9a-f]{64}$/i
 const HANDOFF_ID_PATTERN = /^handoff_[0-9a-f]{64}$/i
 const RESULT_ID_PATTERN = /^result_[0-9a-f]{64}$/i
 const PROPOSAL_ID_PATTERN = /^proposal_[0-9a-f]{64}$/i
+const BUNDLE_ID_PATTERN = /^bundle_[0-9a-f]{64}$/i
 const INTERRUPTED_EXECUTION_REASON_CODE = 'INTERRUPTED_EXECUTION_RECOVERY'
+// Outcome of bundle members that were fine themselves but did not run because another member failed.
+const BUNDLE_ABORTED_REASON_CODE = 'BUNDLE_ABORTED'
 const DEFAULT_SALVAGE_FOCUS_MAP = Object.freeze({
   scarcity: 'ruined_hamlet_supplies',
   dread: 'abandoned_shrine_relics',
@@ -34,6 +47,18 @@ const DEFAULT_TALK_TYPE_MAP = Object.freeze({
   'morale-boost': 'gate_warden',
   casual: 'miller'
 })
+const DECLARED_PRECONDITION_KINDS = new Set([
+  'town_hope_at_least',
+  'town_dread_at_most',
+  'mission_phase_is',
+  'stockpile_at_least',
+  'project_status_is'
+])
+const OFFER_SIDES = new Set(['buy', 'sell'])
+const QUEST_ACTIVE_STATES = new Set(['accepted', 'in_progress'])
+const SALVAGE_OUTCOME_KEYS = new Set(['secure', 'contested', 'botched'])
+// God commands split on whitespace, so translated args must be single tokens.
+const COMMAND_TOKEN_PATTERN = /^\S+$/
 const KNOWN_PROJECT_TYPES = new Set([
   'trench_reinforcement',
   'watchtower_line',
@@ -121,6 +146,120 @@ function findActiveTownProject(world, townId) {
     })[0] || null
 }
 
+function readArgToken(args, key) {
+  if (!isNonEmptyString(args?.[key])) return ''
+  const token = String(args[key]).trim()
+  return COMMAND_TOKEN_PATTERN.test(token) ? token : ''
+}
+
+function readArgPositiveInteger(args, key) {
+  const value = args?.[key]
+  return Number.isInteger(value) && value > 0 ? value : null
+}
+
+function findSnapshotEntry(entries, field, id) {
+  if (!Array.isArray(entries) || !isNonEmptyString(id)) return null
+  const wanted = String(id).trim().toLowerCase()
+  return entries.find((entry) => String(entry?.[field] || '').toLowerCase() === wanted) || null
+}
+
+function isContractQuest(quest) {
+  return (quest?.type === 'trade_n' || quest?.type === 'visit_town') && quest?.meta?.contract === true
+}
+
+function readPreconditionNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null
+}
+
+function findSnapshotMajorMission(snapshot, town, missionId) {
+  const targetId = isNonEmptyString(missionId)
+    ? String(missionId).trim().toLowerCase()
+    : String(town?.activeMajorMissionId || '').toLowerCase()
+  if (!targetId) return null
+  return (Array.isArray(snapshot?.majorMissions) ? snapshot.majorMissions : [])
+    .find((mission) => String(mission?.id || '').toLowerCase() === targetId) || null
+}
+
+/**
+ * Evaluate the declarative entries of `executionRequirements.preconditions`
+ * against the authoritative snapshot projection. Entries with any other kind
+ * stay advisory; the adapter derives its own checks for those during
+ * translation.
+ * @param {unknown[]} preconditions
+ * @param {any} snapshot
+ * @param {{defaultTownId: string, resolveTownId: (townId: string) => string}} options
+ */
+function evaluateDeclaredPreconditions(preconditions, snapshot, options) {
+  const failures = []
+  for (const precondition of Array.isArray(preconditions) ? preconditions : []) {
+    const kind = isPlainObject(precondition) && isNonEmptyString(precondition.kind)
+      ? String(precondition.kind).trim()
+      : ''
+    if (!DECLARED_PRECONDITION_KINDS.has(kind)) continue
+
+    if (kind === 'project_status_is') {
+      const projectId = isNonEmptyString(precondition.projectId) ? String(precondition.projectId).trim() : ''
+      if (!projectId || !isNonEmptyString(precondition.value)) {
+        failures.push(buildFailure(kind, 'project_status_is needs projectId and a status value.'))
+        continue
+      }
+      const project = (Array.isArray(snapshot?.projects) ? snapshot.projects : [])
+        .find((entry) => entry?.id === projectId)
+      if (!project) {
+        failures.push(buildFailure(kind, `Unknown project: ${projectId}`))
+      } else if (project.status !== String(precondition.value).trim()) {
+        failures.push(buildFailure(kind, `Project ${projectId} is ${project.status || '(none)'}, not ${precondition.value}.`))
+      }
+      continue
+    }
+
+    const townId = isNonEmptyString(precondition.townId)
+      ? options.resolveTownId(precondition.townId)
+      : options.defaultTownId
+    const town = isNonEmptyString(townId) && hasOwn(snapshot?.towns || {}, townId) ? snapshot.towns[townId] : null
+    if (!town) {
+      failures.push(buildFailure(kind, `Unknown authoritative town: ${townId || '(none)'}`))
+      continue
+    }
+
+    if (kind === 'mission_phase_is') {
+      const expected = typeof precondition.value === 'number' || isNonEmptyString(precondition.value)
+        ? String(precondition.value).trim()
+        : ''
+      if (!expected) {
+        failures.push(buildFailure(kind, 'mission_phase_is needs a phase value.'))
+        continue
+      }
+      const mission = findSnapshotMajorMission(snapshot, town, precondition.missionId)
+      if (!mission) {
+        failures.push(buildFailure(kind, `No major mission ${precondition.missionId || 'active'} for ${townId}.`))
+      } else if (String(mission.phase) !== expected) {
+        failures.push(buildFailure(kind, `Major mission ${mission.id} is in phase ${mission.phase}, not ${expected}.`))
+      }
+      continue
+    }
+
+    const value = readPreconditionNumber(precondition.value)
+    if (value === null) {
+      failures.push(buildFailure(kind, `${kind} needs a numeric value.`))
+      continue
+    }
+    if (kind === 'town_hope_at_least' && town.hope < value) {
+      failures.push(buildFailure(kind, `Town ${townId} hope ${town.hope} is below ${value}.`))
+    } else if (kind === 'town_dread_at_most' && town.dread > value) {
+      failures.push(buildFailure(kind, `Town ${townId} dread ${town.dread} is above ${value}.`))
+    } else if (kind === 'stockpile_at_least') {
+      const key = isNonEmptyString(precondition.key) ? String(precondition.key).trim() : ''
+      if (!key || !hasOwn(town.stockpiles || {}, key)) {
+        failures.push(buildFailure(kind, `Unknown stockpile: ${key || '(none)'}`))
+      } else if (town.stockpiles[key] < value) {
+        failures.push(buildFailure(kind, `Town ${townId} ${key} stockpile ${town.stockpiles[key]} is below ${value}.`))
+      }
+    }
+  }
+  return failures
+}
+
 function buildFailure(kind, detail) {
   return {
     kind,
@@ -174,6 +313,10 @@ function isValidEvaluationBlock(value) {
   ) {
     return false
   }
+  if (hasOwn(staleCheck, 'scope')) {
+    if (!isValidSnapshotScope(staleCheck.scope)) return false
+    if (!isNonEmptyString(staleCheck.actualScopeHash) || !HASH_PATTERN.test(staleCheck.actualScopeHash)) return false
+  }
 
   const duplicateCheck = value.duplicateCheck
   if (!isPlainObject(duplicateCheck)) return false
@@ -238,6 +381,11 @@ function isValidExecutionHandoff(handoff) {
   if (handoff.executionRequirements.expectedSnapshotHash !== handoff.snapshotHash) return false
   if (handoff.executionRequirements.expectedDecisionEpoch !== handoff.decisionEpoch) return false
   if (!Array.isArray(handoff.executionRequirements.preconditions)) return false
+  const { scope, expectedScopeHash } = handoff.executionRequirements
+  if (scope !== undefined || expectedScopeHash !== undefined) {
+    if (!isValidSnapshotScope(scope)) return false
+    if (!isNonEmptyString(expectedScopeHash) || !HASH_PATTERN.test(expectedScopeHash)) return false
+  }
   return true
 }
 
@@ -265,6 +413,53 @@ function parseExecutionHandoffLine(line) {
   return isValidExecutionHandoff(parsed) ? parsed : null
 }
 
+function isValidExecutionBundle(bundle) {
+  if (!isPlainObject(bundle)) return false
+  if (bundle.schemaVersion !== EXECUTION_BUNDLE_SCHEMA) return false
+  if (bundle.advisory !== true) return false
+  if (!isNonEmptyString(bundle.bundleId) || !BUNDLE_ID_PATTERN.test(bundle.bundleId)) return false
+  if (!isNonEmptyString(bundle.idempotencyKey) || bundle.idempotencyKey.length > 200) return false
+  if (!isNonEmptyString(bundle.snapshotHash) || !HASH_PATTERN.test(bundle.snapshotHash)) return false
+  if (!Number.isInteger(bundle.decisionEpoch) || bundle.decisionEpoch < 0) return false
+  if (!Array.isArray(bundle.handoffs) || bundle.handoffs.length === 0 || bundle.handoffs.length > MAX_BUNDLE_HANDOFFS) {
+    return false
+  }
+  const memberIds = new Set()
+  for (const handoff of bundle.handoffs) {
+    if (!isValidExecutionHandoff(handoff)) return false
+    if (handoff.snapshotHash !== bundle.snapshotHash || handoff.decisionEpoch !== bundle.decisionEpoch) return false
+    if (memberIds.has(handoff.handoffId) || memberIds.has(handoff.idempotencyKey)) return false
+    memberIds.add(handoff.handoffId)
+    memberIds.add(handoff.idempotencyKey)
+  }
+  // The bundle key must not collide with a member's, or receipts would match each other.
+  return !memberIds.has(bundle.idempotencyKey)
+}
+
+function parseExecutionBundleLine(line) {
+  if (typeof line !== 'string') {
+    return null
+  }
+
+  const trimmed = line.trim()
+  if (!trimmed.startsWith('{')) {
+    return null
+  }
+
+  let parsed
+  try {
+    parsed = JSON.parse(trimmed)
+  } catch {
+    return null
+  }
+
+  if (parsed?.schemaVersion !== EXECUTION_BUNDLE_SCHEMA) {
+    return null
+  }
+
+  return isValidExecutionBundle(parsed) ? parsed : null
+}
+
 function classifyEngineReason(reason) {
   const text = isNonEmptyString(reason) ? String(reason).trim() : ''
   const lower = text.toLowerCase()
@@ -408,6 +603,111 @@ function isValidExecutionResult(result) {
   return result.executionId === expectedId
 }
 
+function createBundleOutcome({ handoff, translation, status, reasonCode, failures = [], scopeCheck = {} }) {
+  return {
+    handoffId: handoff.handoffId,
+    proposalId: handoff.proposalId,
+    proposalType: translation.proposalType,
+    actorId: translation.actorId,
+    townId: translation.townId,
+    authorityCommands: translation.authorityCommands.slice(),
+    status,
+    reasonCode,
+    failures,
+    ...scopeCheck
+  }
+}
+
+function isValidBundleOutcome(outcome) {
+  if (!isPlainObject(outcome)) return false
+  if (!isNonEmptyString(outcome.handoffId) || !HANDOFF_ID_PATTERN.test(outcome.handoffId)) return false
+  if (!isNonEmptyString(outcome.proposalId) || !PROPOSAL_ID_PATTERN.test(outcome.proposalId)) return false
+  if (!isNonEmptyString(outcome.proposalType) || !isNonEmptyString(outcome.actorId)) return false
+  if (!isNonEmptyString(outcome.townId) || !isNonEmptyString(outcome.reasonCode)) return false
+  if (!EXECUTION_STATUS_SET.has(outcome.status)) return false
+  if (!Array.isArray(outcome.authorityCommands) || !outcome.authorityCommands.every((entry) => isNonEmptyString(entry))) {
+    return false
+  }
+  if (!Array.isArray(outcome.failures) || !outcome.failures.every(isValidFailure)) return false
+  if (hasOwn(outcome, 'scope')) {
+    if (!isValidSnapshotScope(outcome.scope)) return false
+    if (!isNonEmptyString(outcome.actualScopeHash) || !HASH_PATTERN.test(outcome.actualScopeHash)) return false
+  }
+  return true
+}
+
+function hashBundleResult({ executionId, resultId, ...result }) {
+  return `result_${hashValue(result)}`
+}
+
+function createExecutionBundleResult({
+  bundle,
+  outcomes,
+  status,
+  accepted,
+  executed,
+  reasonCode,
+  evaluation,
+  worldState
+}) {
+  const result = {
+    type: EXECUTION_BUNDLE_RESULT_TYPE,
+    schemaVersion: EXECUTION_BUNDLE_RESULT_SCHEMA_VERSION,
+    executionId: '',
+    resultId: '',
+    bundleId: bundle.bundleId,
+    idempotencyKey: bundle.idempotencyKey,
+    snapshotHash: bundle.snapshotHash,
+    decisionEpoch: bundle.decisionEpoch,
+    authorityCommands: outcomes.flatMap((outcome) => outcome.authorityCommands),
+    status,
+    accepted,
+    executed,
+    reasonCode,
+    evaluation,
+    outcomes,
+    worldState
+  }
+
+  if (!isValidExecutionState(result)) {
+    throw new Error('Invalid execution bundle result state.')
+  }
+  if (!isValidEvaluationBlock(result.evaluation)) {
+    throw new Error('Invalid execution bundle result evaluation block.')
+  }
+  if (!outcomes.every(isValidBundleOutcome) || !isValidWorldState(result.worldState)) {
+    throw new Error('Invalid execution bundle result outcomes.')
+  }
+
+  const resultId = hashBundleResult(result)
+  result.executionId = resultId
+  result.resultId = resultId
+  return result
+}
+
+function isValidExecutionBundleResult(result) {
+  if (!isPlainObject(result)) return false
+  if (result.type !== EXECUTION_BUNDLE_RESULT_TYPE) return false
+  if (result.schemaVersion !== EXECUTION_BUNDLE_RESULT_SCHEMA_VERSION) return false
+  if (!isNonEmptyString(result.executionId) || !RESULT_ID_PATTERN.test(result.executionId)) return false
+  if (result.resultId !== result.executionId) return false
+  if (!isNonEmptyString(result.bundleId) || !BUNDLE_ID_PATTERN.test(result.bundleId)) return false
+  if (!isNonEmptyString(result.idempotencyKey)) return false
+  if (!isNonEmptyString(result.snapshotHash) || !HASH_PATTERN.test(result.snapshotHash)) return false
+  if (!Number.isInteger(result.decisionEpoch) || result.decisionEpoch < 0) return false
+  if (!Array.isArray(result.outcomes) || result.outcomes.length === 0 || !result.outcomes.every(isValidBundleOutcome)) {
+    return false
+  }
+  if (!Array.isArray(result.authorityCommands) || !result.authorityCommands.every((entry) => isNonEmptyString(entry))) {
+    return false
+  }
+  if (!isValidExecutionState(result)) return false
+  if (!isValidEvaluationBlock(result.evaluation)) return false
+  if (!isValidWorldState(result.worldState)) return false
+
+  return result.executionId === hashBundleResult(result)
+}
+
 function isAutoTownToken(value) {
   return isNonEmptyString(value) && String(value).trim().toLowerCase() === 'auto'
 }
@@ -636,6 +936,110 @@ function createTranslation(handoff, world, options) {
     } else {
       authorityCommands.push(`salvage plan ${resolvedTownId} ${targetKey}`)
     }
+  } else if (proposal.type === 'OFFER_POST') {
+    const market = findSnapshotEntry(options.snapshot.markets, 'name', readArgToken(proposal.args, 'marketName'))
+    const owner = readArgToken(proposal.args, 'owner') || readArgToken(proposal, 'actorId')
+    const side = readArgToken(proposal.args, 'side').toLowerCase()
+    const good = readArgToken(proposal.args, 'good').toLowerCase()
+    const amount = readArgPositiveInteger(proposal.args, 'amount')
+    const price = readArgPositiveInteger(proposal.args, 'price')
+    if (!market) {
+      failures.push(buildFailure('market_exists', `Unknown market: ${proposal.args?.marketName || '(empty)'}`))
+    }
+    if (!owner || !OFFER_SIDES.has(side) || (proposal.args?.good !== undefined && !good) || amount === null || price === null) {
+      failures.push(buildFailure('offer_args_valid', 'Offer needs owner, side buy|sell, optional good and positive integer amount + price.'))
+    } else if (market) {
+      authorityCommands.push(`offer add ${market.name} ${owner} ${side}${good ? ` ${good}` : ''} ${amount} ${price}`)
+    }
+  } else if (proposal.type === 'TRADE_EXECUTE') {
+    const market = findSnapshotEntry(options.snapshot.markets, 'name', readArgToken(proposal.args, 'marketName'))
+    const offer = market ? findSnapshotEntry(market.offers, 'offer_id', readArgToken(proposal.args, 'offerId')) : null
+    const buyer = readArgToken(proposal.args, 'buyer') || readArgToken(proposal, 'actorId')
+    const amount = readArgPositiveInteger(proposal.args, 'amount')
+    if (!market) {
+      failures.push(buildFailure('market_exists', `Unknown market: ${proposal.args?.marketName || '(empty)'}`))
+    } else if (!offer || !offer.active) {
+      failures.push(buildFailure('offer_active', `Offer missing or inactive: ${proposal.args?.offerId || '(empty)'}`))
+    }
+    if (!buyer || amount === null) {
+      failures.push(buildFailure('trade_args_valid', 'Trade needs a buyer and a positive integer amount.'))
+    } else if (offer && offer.active && amount > offer.amount) {
+      failures.push(buildFailure('trade_args_valid', `Trade amount ${amount} exceeds remaining offer amount ${offer.amount}.`))
+    } else if (offer && offer.active) {
+      authorityCommands.push(`trade ${market.name} ${offer.offer_id} ${buyer} ${amount}`)
+    }
+  } else if (
+    proposal.type === 'CONTRACT_ACCEPT'
+    || proposal.type === 'CONTRACT_COMPLETE'
+    || proposal.type === 'QUEST_ACCEPT'
+    || proposal.type === 'QUEST_COMPLETE'
+  ) {
+    const isContract = proposal.type.startsWith('CONTRACT_')
+    const accepting = proposal.type.endsWith('_ACCEPT')
+    const quest = findSnapshotEntry(options.snapshot.quests, 'id', readArgToken(proposal.args, 'questId'))
+    // Contracts auto-assign an owner when none is named; plain quests default to the proposing actor.
+    const agent = readArgToken(proposal.args, 'agent') || (isContract ? '' : readArgToken(proposal, 'actorId'))
+    if (!quest) {
+      failures.push(buildFailure('quest_exists', `Unknown quest: ${proposal.args?.questId || '(empty)'}`))
+    } else if (isContract && !isContractQuest(quest)) {
+      failures.push(buildFailure('contract_exists', `Quest ${quest.id} is not a contract.`))
+    } else if (accepting && quest.state !== 'offered') {
+      failures.push(buildFailure('quest_state_valid', `Quest ${quest.id} is ${quest.state}, not offered.`))
+    } else if (!accepting && !QUEST_ACTIVE_STATES.has(quest.state)) {
+      failures.push(buildFailure('quest_state_valid', `Quest ${quest.id} is ${quest.state}, not accepted or in progress.`))
+    } else if (accepting && !isContract && !agent) {
+      failures.push(buildFailure('quest_args_valid', 'Missing agent.'))
+    } else {
+      const prefix = isContract ? 'contract' : 'quest'
+      authorityCommands.push(accepting
+        ? `${prefix} accept ${agent ? `${agent} ` : ''}${quest.id}`
+        : `${prefix} complete ${quest.id}`)
+    }
+  } else if (proposal.type === 'DECISION_CHOOSE') {
+    const decision = findSnapshotEntry(options.snapshot.decisions, 'id', readArgToken(proposal.args, 'decisionId'))
+    const option = decision ? findSnapshotEntry(decision.options, 'key', readArgToken(proposal.args, 'optionKey')) : null
+    if (!decision) {
+      failures.push(buildFailure('decision_exists', `Unknown decision: ${proposal.args?.decisionId || '(empty)'}`))
+    } else if (decision.state !== 'open') {
+      failures.push(buildFailure('decision_open', `Decision ${decision.id} is ${decision.state}, not open.`))
+    } else if (!option) {
+      failures.push(buildFailure('decision_option_exists', `Unknown option for ${decision.id}: ${proposal.args?.optionKey || '(empty)'}`))
+    } else {
+      authorityCommands.push(`decision choose ${decision.id} ${option.key}`)
+    }
+  } else if (proposal.type === 'RUMOR_RESOLVE') {
+    const rumor = findSnapshotEntry(options.snapshot.rumors, 'id', readArgToken(proposal.args, 'rumorId'))
+    const quest = findSnapshotEntry(options.snapshot.quests, 'id', readArgToken(proposal.args, 'questId'))
+    if (!rumor) {
+      failures.push(buildFailure('rumor_exists', `Unknown rumor: ${proposal.args?.rumorId || '(empty)'}`))
+    }
+    if (!quest) {
+      failures.push(buildFailure('quest_exists', `Unknown quest: ${proposal.args?.questId || '(empty)'}`))
+    }
+    if (rumor && quest) {
+      if (String(rumor.resolved_by_quest_id || '').toLowerCase() === quest.id.toLowerCase()) {
+        failures.push(buildFailure('rumor_not_resolved_by_quest', `Rumor ${rumor.id} is already resolved by ${quest.id}.`))
+      } else {
+        authorityCommands.push(`rumor resolve ${rumor.id} ${quest.id}`)
+      }
+    }
+  } else if (proposal.type === 'SALVAGE_RESOLVE' || proposal.type === 'SALVAGE_FAIL') {
+    const run = findSnapshotEntry(options.snapshot.salvageRuns, 'id', readArgToken(proposal.args, 'runId'))
+    const outcomeKey = readArgToken(proposal.args, 'outcomeKey').toLowerCase()
+    const failReason = isNonEmptyString(proposal.args?.reason)
+      ? String(proposal.args.reason).trim()
+      : ''
+    if (!run || String(run.townId).toLowerCase() !== String(resolvedTownId || '').toLowerCase()) {
+      failures.push(buildFailure('salvage_run_exists', `Unknown salvage run for ${resolvedTownId || proposal.townId}: ${proposal.args?.runId || '(empty)'}`))
+    } else if (run.status !== 'planned') {
+      failures.push(buildFailure('salvage_run_planned', `Salvage run ${run.id} is ${run.status}, not planned.`))
+    } else if (proposal.type === 'SALVAGE_RESOLVE' && !SALVAGE_OUTCOME_KEYS.has(outcomeKey)) {
+      failures.push(buildFailure('salvage_outcome_supported', `Unsupported salvage outcome: ${outcomeKey || '(empty)'}`))
+    } else if (proposal.type === 'SALVAGE_RESOLVE') {
+      authorityCommands.push(`salvage resolve ${resolvedTownId} ${run.id} ${outcomeKey}`)
+    } else {
+      authorityCommands.push(failReason ? `salvage fail ${resolvedTownId} ${run.id} ${failReason}` : `salvage fail ${resolvedTownId} ${run.id}`)
+    }
   } else if (proposal.type === 'TOWNSFOLK_TALK') {
     const talkType = String(proposal.args?.talkType || '')
     const npcKey = options.talkTypeMap[talkType]
@@ -657,6 +1061,53 @@ function createTranslation(handoff, world, options) {
   }
 }
 
+/**
+ * A declared scope must hold what the proposal acts on: its town and any
+ * existing project or major mission it names. A slice that misses the target
+ * would keep its hash while the target moves.
+ */
+function evaluateScopeCoverage(handoff, translation, snapshot) {
+  const scope = normalizeSnapshotScope(handoff.executionRequirements.scope)
+  if (!scope) return []
+  const slice = projectSnapshotScope(snapshot, scope)
+  const sameId = (left, right) => String(left || '').toLowerCase() === String(right || '').toLowerCase()
+  const uncovered = []
+  if (isNonEmptyString(translation.townId) && !sameId(scope.townId, translation.townId)) {
+    uncovered.push(`town ${translation.townId}`)
+  }
+  const projectId = readArgToken(handoff.proposal.args, 'projectId')
+  const project = projectId ? (snapshot.projects || []).find((entry) => entry.id === projectId) : null
+  if (project && slice.project?.id !== project.id && !(slice.town?.projects || []).some((entry) => entry.id === project.id)) {
+    uncovered.push(`project ${project.id}`)
+  }
+  const missionId = readArgToken(handoff.proposal.args, 'missionId')
+  const mission = missionId ? (snapshot.majorMissions || []).find((entry) => sameId(entry.id, missionId)) : null
+  if (mission && !sameId(slice.mission?.id, mission.id) && !(slice.town?.majorMissions || []).some((entry) => entry.id === mission.id)) {
+    uncovered.push(`mission ${mission.id}`)
+  }
+  return uncovered.length > 0
+    ? [buildFailure('scope_covers_target', `Declared scope does not cover ${uncovered.join(', ')}.`)]
+    : []
+}
+
+function evaluateHandoffStaleness(handoff, projection) {
+  // A declared scope replaces the whole-world hash check with a hash of
+  // just that slice; the decision epoch is always checked.
+  const declaredScope = normalizeSnapshotScope(handoff.executionRequirements.scope)
+  const scopeCheck = declaredScope
+    ? { scope: declaredScope, actualScopeHash: createScopedSnapshotHash(projection.snapshot, declaredScope) }
+    : {}
+  let staleReasonCode = null
+  if (projection.decisionEpoch !== handoff.decisionEpoch) {
+    staleReasonCode = 'STALE_DECISION_EPOCH'
+  } else if (declaredScope) {
+    if (scopeCheck.actualScopeHash !== handoff.executionRequirements.expectedScopeHash) staleReasonCode = 'STALE_SCOPE_HASH'
+  } else if (projection.snapshotHash !== handoff.snapshotHash) {
+    staleReasonCode = 'STALE_SNAPSHOT_HASH'
+  }
+  return { staleReasonCode, scopeCheck }
+}
+
 function createPreconditionEvaluation(failures) {
   return {
     evaluated: true,
@@ -778,6 +1229,14 @@ function createExecutionAdapter(deps) {
     return townIdAliases[normalized.toLowerCase()] || normalized
   }
 
+  const translationOptions = {
+    resolveTownId,
+    resolvePlayerTownId,
+    salvageFocusMap,
+    selectStarterTownId,
+    talkTypeMap
+  }
+
   async function recoverInterruptedExecutions() {
     const recoveredResults = []
     const pendingExecutions = executionStore.listPendingExecutions()
@@ -863,11 +1322,8 @@ function createExecutionAdapter(deps) {
     const actualDecisionEpoch = beforeProjection.decisionEpoch
     const actualSnapshotHash = beforeProjection.snapshotHash
     const translation = createTranslation(handoff, beforeWorld, {
-      resolveTownId,
-      resolvePlayerTownId,
-      salvageFocusMap,
-      selectStarterTownId,
-      talkTypeMap
+      ...translationOptions,
+      snapshot: beforeProjection.snapshot
     })
     const existingReceipt = executionStore.findReceipt({
       handoffId: handoff.handoffId,
@@ -899,10 +1355,7 @@ function createExecutionAdapter(deps) {
       return duplicateResult
     }
 
-    const staleReasonCode = actualDecisionEpoch !== handoff.decisionEpoch
-      ? 'STALE_DECISION_EPOCH'
-      : (actualSnapshotHash !== handoff.snapshotHash ? 'STALE_SNAPSHOT_HASH' : null)
-
+    const { staleReasonCode, scopeCheck } = evaluateHandoffStaleness(handoff, beforeProjection)
     if (staleReasonCode) {
       const staleResult = createExecutionResult({
         handoff,
@@ -924,7 +1377,8 @@ function createExecutionAdapter(deps) {
             evaluated: true,
             passed: false,
             actualSnapshotHash,
-            actualDecisionEpoch
+            actualDecisionEpoch,
+            ...scopeCheck
           },
           duplicateCheck: {
             evaluated: true,
@@ -938,7 +1392,15 @@ function createExecutionAdapter(deps) {
       return staleResult
     }
 
-    if (translation.failures.length > 0) {
+    const preconditionFailures = translation.failures.concat(
+      evaluateScopeCoverage(handoff, translation, beforeProjection.snapshot),
+      evaluateDeclaredPreconditions(
+        handoff.executionRequirements.preconditions,
+        beforeProjection.snapshot,
+        { defaultTownId: translation.townId, resolveTownId }
+      )
+    )
+    if (preconditionFailures.length > 0) {
       const rejectedResult = createExecutionResult({
         handoff,
         proposalType: translation.proposalType,
@@ -950,12 +1412,13 @@ function createExecutionAdapter(deps) {
         executed: false,
         reasonCode: 'PRECONDITION_FAILED',
         evaluation: {
-          preconditions: createPreconditionEvaluation(translation.failures),
+          preconditions: createPreconditionEvaluation(preconditionFailures),
           staleCheck: {
             evaluated: true,
             passed: true,
             actualSnapshotHash,
-            actualDecisionEpoch
+            actualDecisionEpoch,
+            ...scopeCheck
           },
           duplicateCheck: {
             evaluated: true,
@@ -1055,7 +1518,8 @@ function createExecutionAdapter(deps) {
               evaluated: true,
               passed: true,
               actualSnapshotHash,
-              actualDecisionEpoch
+              actualDecisionEpoch,
+              ...scopeCheck
             },
             duplicateCheck: {
               evaluated: true,
@@ -1120,7 +1584,8 @@ function createExecutionAdapter(deps) {
           evaluated: true,
           passed: true,
           actualSnapshotHash,
-          actualDecisionEpoch
+          actualDecisionEpoch,
+          ...scopeCheck
         },
         duplicateCheck: {
           evaluated: true,
@@ -1162,7 +1627,265 @@ function createExecutionAdapter(deps) {
     return result
   }
 
+  /**
+   * Execute an execution-bundle.v1 all-or-nothing. Every member is translated
+   * and checked against the same snapshot; if one is stale, already executed
+   * or fails a precondition nothing runs. Otherwise all authority commands run
+   * through one god command batch, i.e. one memory transaction, so a refused
+   * command or a crash leaves no member partly applied. The single combined
+   * result is keyed by `bundleId` / `idempotencyKey` and lists per-member
+   * outcomes.
+   */
+  async function executeBundle({ bundle, agents = [] } = {}) {
+    if (!isValidExecutionBundle(bundle)) {
+      throw new AppError({
+        code: 'INVALID_EXECUTION_BUNDLE',
+        message: 'Invalid execution bundle payload.',
+        recoverable: true
+      })
+    }
+    if (typeof deps.godCommandService.applyGodCommandBatch !== 'function') {
+      throw new AppError({
+        code: 'EXECUTION_ADAPTER_CONFIG_ERROR',
+        message: 'godCommandService.applyGodCommandBatch is required for execution bundles.',
+        recoverable: false
+      })
+    }
+
+    await recoverInterruptedExecutions()
+
+    const beforeWorld = executionStore.readSnapshotSource()
+    const beforeProjection = createAuthoritativeSnapshotProjection(beforeWorld)
+    const actualDecisionEpoch = beforeProjection.decisionEpoch
+    const actualSnapshotHash = beforeProjection.snapshotHash
+    const members = bundle.handoffs.map((handoff) => ({
+      handoff,
+      translation: createTranslation(handoff, beforeWorld, {
+        ...translationOptions,
+        snapshot: beforeProjection.snapshot
+      }),
+      ...evaluateHandoffStaleness(handoff, beforeProjection)
+    }))
+    // Marked inside the batch transaction, so a bundle that committed before a
+    // crash is recognized even when its receipt was never written.
+    const commitEventId = `${bundle.bundleId}:bundle_commit`
+
+    async function finish({
+      status,
+      reasonCode,
+      outcomes,
+      preconditions,
+      staleCheckPassed,
+      duplicateOf = null,
+      afterWorld = null,
+      recordOptions = {}
+    }) {
+      const executed = status === 'executed'
+      const result = createExecutionBundleResult({
+        bundle,
+        outcomes,
+        status,
+        accepted: executed,
+        executed,
+        reasonCode,
+        evaluation: {
+          preconditions,
+          staleCheck: {
+            evaluated: duplicateOf === null,
+            passed: staleCheckPassed,
+            actualSnapshotHash,
+            actualDecisionEpoch
+          },
+          duplicateCheck: {
+            evaluated: true,
+            duplicate: duplicateOf !== null,
+            duplicateOf
+          }
+        },
+        worldState: createWorldStateFromProjection(afterWorld ? createAuthoritativeSnapshotProjection(afterWorld) : beforeProjection)
+      })
+      if (executed && typeof deps.beforeTerminalReceiptPersist === 'function') {
+        await deps.beforeTerminalReceiptPersist({
+          bundle,
+          result,
+          authorityCommands: result.authorityCommands
+        })
+      }
+      if (executed || recordOptions.kind === 'duplicate_committed') {
+        await recordMemberReceipts(result.worldState)
+      }
+      await executionStore.recordResult(result, recordOptions)
+      logger.info('execution_adapter_bundle_finished', {
+        bundleId: bundle.bundleId,
+        executionId: result.executionId,
+        status,
+        reasonCode,
+        members: outcomes.length
+      })
+      return result
+    }
+
+    // Every member of a committed bundle gets its own receipt, written before
+    // the bundle receipt, so a member later submitted on its own replays as a
+    // duplicate instead of running again.
+    async function recordMemberReceipts(worldState) {
+      for (const member of members) {
+        if (executionStore.findReceipt({
+          handoffId: member.handoff.handoffId,
+          idempotencyKey: member.handoff.idempotencyKey
+        })) continue
+        await executionStore.recordResult(createExecutionResult({
+          handoff: member.handoff,
+          proposalType: member.translation.proposalType,
+          actorId: member.translation.actorId,
+          townId: member.translation.townId,
+          authorityCommands: member.translation.authorityCommands,
+          status: 'executed',
+          accepted: true,
+          executed: true,
+          reasonCode: 'EXECUTED',
+          evaluation: {
+            preconditions: createPreconditionEvaluation([]),
+            staleCheck: {
+              evaluated: true,
+              passed: true,
+              actualSnapshotHash,
+              actualDecisionEpoch,
+              ...member.scopeCheck
+            },
+            duplicateCheck: {
+              evaluated: true,
+              duplicate: false,
+              duplicateOf: null
+            }
+          },
+          worldState
+        }), { kind: 'bundle_member' })
+      }
+    }
+
+    const outcomesFor = (pick) => members.map((member) => createBundleOutcome({
+      handoff: member.handoff,
+      translation: member.translation,
+      scopeCheck: member.scopeCheck,
+      ...(pick(member) || { status: 'rejected', reasonCode: BUNDLE_ABORTED_REASON_CODE })
+    }))
+    const finishDuplicate = (duplicateOf, recordOptions) => finish({
+      status: 'duplicate',
+      reasonCode: 'DUPLICATE_BUNDLE',
+      outcomes: outcomesFor(() => ({ status: 'duplicate', reasonCode: 'DUPLICATE_BUNDLE' })),
+      preconditions: { evaluated: false, passed: false, failures: [] },
+      staleCheckPassed: false,
+      duplicateOf,
+      recordOptions
+    })
+
+    const existingReceipt = executionStore.findReceipt({
+      handoffId: bundle.bundleId,
+      idempotencyKey: bundle.idempotencyKey
+    })
+    if (existingReceipt) {
+      return finishDuplicate(existingReceipt.executionId || bundle.bundleId, {
+        kind: 'duplicate_replayed',
+        persistReceipt: false
+      })
+    }
+    if (typeof deps.memoryStore.hasProcessedEvent === 'function' && deps.memoryStore.hasProcessedEvent(commitEventId)) {
+      return finishDuplicate(bundle.bundleId, { kind: 'duplicate_committed' })
+    }
+
+    const staleMember = members.find((member) => member.staleReasonCode)
+    if (staleMember) {
+      return finish({
+        status: 'stale',
+        reasonCode: staleMember.staleReasonCode,
+        outcomes: outcomesFor((member) => member.staleReasonCode
+          ? { status: 'stale', reasonCode: member.staleReasonCode }
+          : null),
+        preconditions: { evaluated: false, passed: false, failures: [] },
+        staleCheckPassed: false
+      })
+    }
+
+    for (const member of members) {
+      const memberReceipt = executionStore.findReceipt({
+        handoffId: member.handoff.handoffId,
+        idempotencyKey: member.handoff.idempotencyKey
+      })
+      member.failures = member.translation.failures.concat(
+        memberReceipt
+          ? [buildFailure('handoff_not_executed', `Handoff already has a receipt: ${memberReceipt.executionId || member.handoff.handoffId}`)]
+          : [],
+        evaluateScopeCoverage(member.handoff, member.translation, beforeProjection.snapshot),
+        evaluateDeclaredPreconditions(
+          member.handoff.executionRequirements.preconditions,
+          beforeProjection.snapshot,
+          { defaultTownId: member.translation.townId, resolveTownId }
+        )
+      )
+    }
+    const preconditionFailures = members.flatMap((member) => member.failures)
+    if (preconditionFailures.length > 0) {
+      return finish({
+        status: 'rejected',
+        reasonCode: 'PRECONDITION_FAILED',
+        outcomes: outcomesFor((member) => member.failures.length > 0
+          ? { status: 'rejected', reasonCode: 'PRECONDITION_FAILED', failures: member.failures }
+          : null),
+        preconditions: createPreconditionEvaluation(preconditionFailures),
+        staleCheckPassed: true
+      })
+    }
+
+    const steps = members.flatMap((member) => member.translation.authorityCommands.map((command, index) => ({
+      member,
+      command,
+      operationId: `${member.handoff.handoffId}:step:${index + 1}`
+    })))
+    const useDeferredWorldDurability = executionStore.worldStateBackendName === 'sqlite'
+    const batch = await deps.godCommandService.applyGodCommandBatch({
+      agents,
+      eventId: commitEventId,
+      steps: steps.map(({ command, operationId }) => ({ command, operationId })),
+      persistWorldState: !useDeferredWorldDurability
+    })
+
+    if (!batch.applied && batch.failedIndex === null) {
+      return finishDuplicate(bundle.bundleId, { kind: 'duplicate_committed' })
+    }
+    if (!batch.applied) {
+      const failedStep = steps[batch.failedIndex]
+      const reasonCode = classifyEngineReason(batch.reason)
+      const failures = [buildFailure('engine_rejected', `${failedStep.command}: ${String(batch.reason || 'Authority command rejected.')}`)]
+      return finish({
+        status: 'rejected',
+        reasonCode,
+        outcomes: outcomesFor((member) => member === failedStep.member
+          ? { status: 'rejected', reasonCode, failures }
+          : null),
+        preconditions: createPreconditionEvaluation(failures),
+        staleCheckPassed: true
+      })
+    }
+
+    const afterWorld = useDeferredWorldDurability
+      ? deps.memoryStore.recallWorld()
+      : executionStore.readSnapshotSource()
+    return finish({
+      status: 'executed',
+      reasonCode: 'EXECUTED',
+      outcomes: outcomesFor(() => ({ status: 'executed', reasonCode: 'EXECUTED' })),
+      preconditions: createPreconditionEvaluation([]),
+      staleCheckPassed: true,
+      afterWorld,
+      recordOptions: useDeferredWorldDurability
+        ? { worldSnapshot: afterWorld, persistWorldSnapshot: true }
+        : {}
+    })
+  }
+
   return {
+    executeBundle,
     executeHandoff,
     recoverInterruptedExecutions,
     resolveTownId
@@ -1170,11 +1893,17 @@ function createExecutionAdapter(deps) {
 }
 
 module.exports = {
+  EXECUTION_BUNDLE_RESULT_SCHEMA_VERSION,
+  EXECUTION_BUNDLE_RESULT_TYPE,
+  EXECUTION_BUNDLE_SCHEMA,
   EXECUTION_HANDOFF_SCHEMA,
   EXECUTION_RESULT_SCHEMA_VERSION,
   EXECUTION_RESULT_TYPE,
   createExecutionAdapter,
+  isValidExecutionBundle,
+  isValidExecutionBundleResult,
   isValidExecutionHandoff,
   isValidExecutionResult,
+  parseExecutionBundleLine,
   parseExecutionHandoffLine
 }
@@ -1,8 +1,8 @@
 const fs = require('fs')
 const path = require('path')
-const { execFileSync } = require('child_process')
 
 const { AppError } = require('./errors')
+const { createSqliteDriver } = require('./sqliteDriver')
 const { createAuthoritativeSnapshotProjection } = require('./worldSnapshotProjection')
 const {
   WORLD_STATE_MIGRATION_META_KEY,
@@ -783,19 +783,44 @@ function findMatchingPending(pendingEntries, identity) {
   return null
 }
 
+// Bundle results carry no single proposal, so their receipt keys on bundleId
+// and borrows the first member's actor and town to stay loadable.
+function receiptIdentityFromResult(result) {
+  if (!result?.bundleId) {
+    return {
+      handoffId: asText(result?.handoffId),
+      proposalId: asText(result?.proposalId),
+      actorId: asText(result?.actorId, 80),
+      townId: asText(result?.townId, 80),
+      proposalType: asText(result?.proposalType, 80),
+      command: asText(result?.command, 240)
+    }
+  }
+  const firstOutcome = Array.isArray(result.outcomes) ? result.outcomes[0] : null
+  return {
+    handoffId: asText(result.bundleId),
+    proposalId: asText(result.bundleId),
+    actorId: asText(firstOutcome?.actorId, 80),
+    townId: asText(firstOutcome?.townId, 80),
+    proposalType: 'EXECUTION_BUNDLE',
+    command: `execution-bundle ${Array.isArray(result.outcomes) ? result.outcomes.length : 0}`
+  }
+}
+
 function createReceiptFromResult(result) {
+  const identity = receiptIdentityFromResult(result)
   return {
     type: asText(result?.type, 80),
     schemaVersion: Number(result?.schemaVersion) || 0,
     executionId: asText(result?.executionId),
     resultId: asText(result?.resultId),
-    handoffId: asText(result?.handoffId),
-    proposalId: asText(result?.proposalId),
+    handoffId: identity.handoffId,
+    proposalId: identity.proposalId,
     idempotencyKey: asText(result?.idempotencyKey),
-    actorId: asText(result?.actorId, 80),
-    townId: asText(result?.townId, 80),
-    proposalType: asText(result?.proposalType, 80),
-    command: asText(result?.command, 240),
+    actorId: identity.actorId,
+    townId: identity.townId,
+    proposalType: identity.proposalType,
+    command: identity.command,
     authorityCommands: normalizeAuthorityCommands(result?.authorityCommands),
     status: asText(result?.status, 40),
     accepted: result?.accepted === true,
@@ -812,7 +837,7 @@ function createLedgerEntryFromResult(result, kind) {
   return {
     id: `${asText(result?.executionId)}:${kind}`,
     kind,
-    handoffId: asText(result?.handoffId),
+    handoffId: receiptIdentityFromResult(result).handoffId,
     idempotencyKey: asText(result?.idempotencyKey),
     executionId: asText(result?.executionId) || null,
     status: asText(result?.status, 40),
@@ -1104,6 +1129,7 @@ function createSqliteExecutionPersistence(options = {}) {
   const safeDbPathInput = asText(options.dbPath, 400)
   const dbPath = safeDbPathInput ? path.resolve(safeDbPathInput) : ''
   const sqliteCommand = asText(options.sqliteCommand || 'sqlite3', 200) || 'sqlite3'
+  const sqliteDriver = asText(options.driver || 'cli', 20) || 'cli'
   const safeLogger = options.logger || { info: () => {}, warn: () => {} }
   const fsModule = options.fsModule || fs
   const now = typeof options.now === 'function' ? options.now : () => Date.now()
@@ -1116,67 +1142,21 @@ function createSqliteExecutionPersistence(options = {}) {
     })
   }
 
+  const driver = createSqliteDriver({
+    driver: sqliteDriver,
+    dbPath,
+    sqliteCommand,
+    fsModule,
+    errorCode: 'EXECUTION_STORE_SQLITE_ERROR',
+    errorMessage: 'SQLite execution persistence command failed.'
+  })
   let initialized = false
   let cachedWorldMemorySyncState = null
 
-  function sqlValue(value) {
-    if (value === null || value === undefined) return 'NULL'
-    if (typeof value === 'boolean') return value ? '1' : '0'
-    if (typeof value === 'number') return Number.isFinite(value) ? String(Math.trunc(value)) : 'NULL'
-    const text = String(value)
-    return `'${text.replace(/'/g, "''")}'`
-  }
-
-  function runSql(sql, { json = false } = {}) {
-    try {
-      const dirPath = path.dirname(dbPath)
-      if (dirPath && dirPath !== '.') {
-        fsModule.mkdirSync(dirPath, { recursive: true })
-      }
-
-      const args = ['-bail', '-cmd', '.timeout 5000']
-      if (json) args.push('-json')
-      args.push(dbPath)
-      const stdout = execFileSync(sqliteCommand, args, {
-        encoding: 'utf8',
-        windowsHide: true,
-        input: `${String(sql || '')}\n`,
-        maxBuffer: 10 * 1024 * 1024
-      })
-      if (!json) {
-        return stdout
-      }
-
-      if (!stdout.trim()) {
-        return []
-      }
-
-      const parsed = JSON.parse(stdout)
-      if (Array.isArray(parsed)) {
-        return parsed
-      }
-      if (parsed && typeof parsed === 'object') {
-        return [parsed]
-      }
-      return []
-    } catch (error) {
-      throw new AppError({
-        code: 'EXECUTION_STORE_SQLITE_ERROR',
-        message: 'SQLite execution persistence command failed.',
-        recoverable: false,
-        metadata: {
-          dbPath,
-          sqliteCommand,
-          error: error instanceof Error ? error.message : String(error)
-        }
-      })
-    }
-  }
-
   function ensureInitialized() {
     if (initialized) return
 
-    runSql(`
+    driver.exec(`
       PRAGMA journal_mode = WAL;
       PRAGMA synchronous = NORMAL;
       CREATE TABLE IF NOT EXISTS execution_receipts (
@@ -1241,6 +1221,7 @@ function createSqliteExecutionPersistence(options = {}) {
     initialized = true
     safeLogger.info('execution_store_sqlite_initialized', {
       backend: 'sqlite',
+      driver: driver.name,
       dbPath
     })
   }
@@ -1250,12 +1231,12 @@ function createSqliteExecutionPersistence(options = {}) {
     const safeMetaKey = asText(metaKey, 120)
     if (!safeMetaKey) return null
 
-    const rows = runSql(`
+    const rows = driver.all(`
       SELECT meta_value
       FROM execution_meta
-      WHERE meta_key = ${sqlValue(safeMetaKey)}
+      WHERE meta_key = ?
       LIMIT 1;
-    `, { json: true })
+    `, [safeMetaKey])
 
     if (!Array.isArray(rows) || rows.length === 0) {
       return null
@@ -1284,13 +1265,13 @@ function createSqliteExecutionPersistence(options = {}) {
     const safeIdempotencyKey = asText(input?.idempotencyKey)
     if (!safeHandoffId && !safeIdempotencyKey) return null
 
-    const rows = runSql(`
+    const rows = driver.all(`
       SELECT payload_json
       FROM execution_receipts
-      WHERE handoff_id = ${sqlValue(safeHandoffId)} OR idempotency_key = ${sqlValue(safeIdempotencyKey)}
+      WHERE handoff_id = ? OR idempotency_key = ?
       ORDER BY created_at DESC
       LIMIT 1;
-    `, { json: true })
+    `, [safeHandoffId, safeIdempotencyKey])
 
     if (!Array.isArray(rows) || rows.length === 0) return null
     return cloneValue(JSON.parse(rows[0].payload_json))
@@ -1302,13 +1283,13 @@ function createSqliteExecutionPersistence(options = {}) {
     const safeIdempotencyKey = asText(input?.idempotencyKey)
     if (!safeHandoffId && !safeIdempotencyKey) return null
 
-    const rows = runSql(`
+    const rows = driver.all(`
       SELECT payload_json
       FROM execution_pending
-      WHERE handoff_id = ${sqlValue(safeHandoffId)} OR idempotency_key = ${sqlValue(safeIdempotencyKey)}
+      WHERE handoff_id = ? OR idempotency_key = ?
       ORDER BY updated_at DESC
       LIMIT 1;
-    `, { json: true })
+    `, [safeHandoffId, safeIdempotencyKey])
 
     if (!Array.isArray(rows) || rows.length === 0) return null
     return cloneValue(JSON.parse(rows[0].payload_json))
@@ -1316,11 +1297,11 @@ function createSqliteExecutionPersistence(options = {}) {
 
   function listPendingExecutions() {
     ensureInitialized()
-    const rows = runSql(`
+    const rows = driver.all(`
       SELECT payload_json
       FROM execution_pending
       ORDER BY updated_at ASC, pending_id ASC;
-    `, { json: true })
+    `)
     return rows.map((row) => cloneValue(JSON.parse(row.payload_json)))
   }
 
@@ -1336,31 +1317,39 @@ function createSqliteExecutionPersistence(options = {}) {
     }
 
     const createdAt = Math.trunc(now())
-    runSql(`
-      BEGIN IMMEDIATE;
-      DELETE FROM execution_pending
-      WHERE handoff_id = ${sqlValue(pendingEntry.handoffId)} OR idempotency_key = ${sqlValue(pendingEntry.idempotencyKey)};
-      INSERT INTO execution_pending (
-        pending_id,
-        handoff_id,
-        idempotency_key,
-        proposal_id,
-        status,
-        payload_json,
-        created_at,
-        updated_at
-      ) VALUES (
-        ${sqlValue(pendingEntry.pendingId)},
-        ${sqlValue(pendingEntry.handoffId)},
-        ${sqlValue(pendingEntry.idempotencyKey)},
-        ${sqlValue(pendingEntry.proposalId)},
-        ${sqlValue(pendingEntry.status)},
-        ${sqlValue(JSON.stringify(pendingEntry))},
-        ${sqlValue(createdAt)},
-        ${sqlValue(createdAt)}
-      );
-      COMMIT;
-    `)
+    driver.transaction([
+      {
+        sql: `
+          DELETE FROM execution_pending
+          WHERE handoff_id = ? OR idempotency_key = ?;
+        `,
+        params: [pendingEntry.handoffId, pendingEntry.idempotencyKey]
+      },
+      {
+        sql: `
+          INSERT INTO execution_pending (
+            pending_id,
+            handoff_id,
+            idempotency_key,
+            proposal_id,
+            status,
+            payload_json,
+            created_at,
+            updated_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?);
+        `,
+        params: [
+          pendingEntry.pendingId,
+          pendingEntry.handoffId,
+          pendingEntry.idempotencyKey,
+          pendingEntry.proposalId,
+          pendingEntry.status,
+          JSON.stringify(pendingEntry),
+          createdAt,
+          createdAt
+        ]
+      }
+    ])
 
     safeLogger.info('execution_store_pending_staged', {
       backend: 'sqlite',
@@ -1395,12 +1384,12 @@ function createSqliteExecutionPersistence(options = {}) {
     current.lastKnownDecisionEpoch = asNullableInteger(lastKnownDecisionEpoch) ?? current.lastKnownDecisionEpoch
 
     const updatedAt = Math.trunc(now())
-    runSql(`
+    driver.run(`
       UPDATE execution_pending
-      SET payload_json = ${sqlValue(JSON.stringify(current))},
-          updated_at = ${sqlValue(updatedAt)}
-      WHERE handoff_id = ${sqlValue(asText(handoffId))} OR idempotency_key = ${sqlValue(asText(idempotencyKey))};
-    `)
+      SET payload_json = ?,
+          updated_at = ?
+      WHERE handoff_id = ? OR idempotency_key = ?;
+    `, [JSON.stringify(current), updatedAt, asText(handoffId), asText(idempotencyKey)])
 
     safeLogger.info('execution_store_pending_progress', {
       backend: 'sqlite',
@@ -1418,10 +1407,10 @@ function createSqliteExecutionPersistence(options = {}) {
     const current = findPendingExecution(identity)
     if (!current) return 0
 
-    runSql(`
+    driver.run(`
       DELETE FROM execution_pending
-      WHERE handoff_id = ${sqlValue(asText(identity?.handoffId))} OR idempotency_key = ${sqlValue(asText(identity?.idempotencyKey))};
-    `)
+      WHERE handoff_id = ? OR idempotency_key = ?;
+    `, [asText(identity?.handoffId), asText(identity?.idempotencyKey)])
 
     safeLogger.info('execution_store_pending_cleared', {
       backend: 'sqlite',
@@ -1441,62 +1430,71 @@ function createSqliteExecutionPersistence(options = {}) {
   }) {
     const statements = []
     if (persistReceipt) {
-      statements.push(`
-        INSERT OR REPLACE INTO execution_receipts (
-          execution_id,
+      statements.push({
+        sql: `
+          INSERT OR REPLACE INTO execution_receipts (
+            execution_id,
+            handoff_id,
+            idempotency_key,
+            proposal_id,
+            actor_id,
+            town_id,
+            proposal_type,
+            status,
+            reason_code,
+            payload_json,
+            created_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?);
+        `,
+        params: [
+          receipt.executionId,
+          receipt.handoffId,
+          receipt.idempotencyKey,
+          receipt.proposalId,
+          receipt.actorId,
+          receipt.townId,
+          receipt.proposalType,
+          receipt.status,
+          receipt.reasonCode,
+          JSON.stringify(receipt),
+          createdAt
+        ]
+      })
+    }
+    statements.push({
+      sql: `
+        INSERT OR REPLACE INTO execution_event_ledger (
+          event_id,
           handoff_id,
           idempotency_key,
-          proposal_id,
-          actor_id,
-          town_id,
-          proposal_type,
+          execution_id,
+          kind,
           status,
           reason_code,
           payload_json,
           created_at
-        ) VALUES (
-          ${sqlValue(receipt.executionId)},
-          ${sqlValue(receipt.handoffId)},
-          ${sqlValue(receipt.idempotencyKey)},
-          ${sqlValue(receipt.proposalId)},
-          ${sqlValue(receipt.actorId)},
-          ${sqlValue(receipt.townId)},
-          ${sqlValue(receipt.proposalType)},
-          ${sqlValue(receipt.status)},
-          ${sqlValue(receipt.reasonCode)},
-          ${sqlValue(JSON.stringify(receipt))},
-          ${sqlValue(createdAt)}
-        );
-      `)
-    }
-    statements.push(`
-      INSERT OR REPLACE INTO execution_event_ledger (
-        event_id,
-        handoff_id,
-        idempotency_key,
-        execution_id,
-        kind,
-        status,
-        reason_code,
-        payload_json,
-        created_at
-      ) VALUES (
-        ${sqlValue(ledgerEntry.id)},
-        ${sqlValue(ledgerEntry.handoffId)},
-        ${sqlValue(ledgerEntry.idempotencyKey)},
-        ${sqlValue(ledgerEntry.executionId)},
-        ${sqlValue(ledgerEntry.kind)},
-        ${sqlValue(ledgerEntry.status)},
-        ${sqlValue(ledgerEntry.reasonCode)},
-        ${sqlValue(JSON.stringify(ledgerEntry))},
-        ${sqlValue(createdAt)}
-      );
-    `)
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?);
+      `,
+      params: [
+        ledgerEntry.id,
+        ledgerEntry.handoffId,
+        ledgerEntry.idempotencyKey,
+        ledgerEntry.executionId,
+        ledgerEntry.kind,
+        ledgerEntry.status,
+        ledgerEntry.reasonCode,
+        JSON.stringify(ledgerEntry),
+        createdAt
+      ]
+    })
     if (clearPending) {
-      statements.push(`
-        DELETE FROM execution_pending
-        WHERE handoff_id = ${sqlValue(receipt.handoffId)} OR idempotency_key = ${sqlValue(receipt.idempotencyKey)};
-      `)
+      statements.push({
+        sql: `
+          DELETE FROM execution_pending
+          WHERE handoff_id = ? OR idempotency_key = ?;
+        `,
+        params: [receipt.handoffId, receipt.idempotencyKey]
+      })
     }
     return statements
   }
@@ -1509,19 +1507,13 @@ function createSqliteExecutionPersistence(options = {}) {
     const receipt = createReceiptFromResult(result)
     const ledgerEntry = createLedgerEntryFromResult(result, kind)
     const createdAt = Math.trunc(now())
-    const statements = [
-      'BEGIN IMMEDIATE;',
-      ...buildResultPersistenceStatements({
-        receipt,
-        ledgerEntry,
-        createdAt,
-        persistReceipt,
-        clearPending
-      }),
-      'COMMIT;'
-    ]
-
-    runSql(statements.join('\n'))
+    driver.transaction(buildResultPersistenceStatements({
+      receipt,
+      ledgerEntry,
+      createdAt,
+      persistReceipt,
+      clearPending
+    }))
 
     safeLogger.info('execution_store_result_recorded', {
       backend: 'sqlite',
@@ -1549,10 +1541,9 @@ function createSqliteExecutionPersistence(options = {}) {
     const ledgerEntry = createLedgerEntryFromResult(result, kind)
     const createdAt = Math.trunc(now())
     const worldStatements = Array.isArray(worldStateStatements)
-      ? worldStateStatements.filter((entry) => asText(entry, 160000))
+      ? worldStateStatements.filter((entry) => isPlainObject(entry) && asText(entry.sql, 4000))
       : []
-    const statements = [
-      'BEGIN IMMEDIATE;',
+    driver.transaction([
       ...worldStatements,
       ...buildResultPersistenceStatements({
         receipt,
@@ -1560,11 +1551,8 @@ function createSqliteExecutionPersistence(options = {}) {
         createdAt,
         persistReceipt,
         clearPending
-      }),
-      'COMMIT;'
-    ]
-
-    runSql(statements.join('\n'))
+      })
+    ])
 
     safeLogger.info('execution_store_result_with_world_recorded', {
       backend: 'sqlite',
@@ -1599,61 +1587,47 @@ function createSqliteExecutionPersistence(options = {}) {
 
     const records = buildChronicleRecordsFromWorld(world)
     const timestamp = Math.trunc(now())
-    const statements = [
-      'BEGIN IMMEDIATE;',
-      'DELETE FROM world_chronicle_records;'
-    ]
-    for (const record of records) {
-      statements.push(`
-        INSERT OR REPLACE INTO world_chronicle_records (
-          record_id,
-          source_id,
-          entry_type,
-          town_id,
-          faction_id,
-          at,
-          message,
-          payload_json,
-          created_at,
-          updated_at
-        ) VALUES (
-          ${sqlValue(record.recordId)},
-          ${sqlValue(record.sourceId)},
-          ${sqlValue(record.entryType)},
-          ${sqlValue(record.townId)},
-          ${sqlValue(record.factionId)},
-          ${sqlValue(record.at)},
-          ${sqlValue(record.message)},
-          ${sqlValue(JSON.stringify(record))},
-          ${sqlValue(timestamp)},
-          ${sqlValue(timestamp)}
-        );
-      `)
-    }
-    statements.push(`
+    const metaSql = `
       INSERT OR REPLACE INTO execution_meta (
         meta_key,
         meta_value,
         updated_at
-      ) VALUES (
-        ${sqlValue(WORLD_MEMORY_SNAPSHOT_HASH_META_KEY)},
-        ${sqlValue(projection.snapshotHash)},
-        ${sqlValue(timestamp)}
-      );
-    `)
-    statements.push(`
-      INSERT OR REPLACE INTO execution_meta (
-        meta_key,
-        meta_value,
-        updated_at
-      ) VALUES (
-        ${sqlValue(WORLD_MEMORY_DECISION_EPOCH_META_KEY)},
-        ${sqlValue(String(projection.decisionEpoch))},
-        ${sqlValue(timestamp)}
-      );
-    `)
-    statements.push('COMMIT;')
-    runSql(statements.join('\n'))
+      ) VALUES (?, ?, ?);
+    `
+    const statements = [{ sql: 'DELETE FROM world_chronicle_records;' }]
+    for (const record of records) {
+      statements.push({
+        sql: `
+          INSERT OR REPLACE INTO world_chronicle_records (
+            record_id,
+            source_id,
+            entry_type,
+            town_id,
+            faction_id,
+            at,
+            message,
+            payload_json,
+            created_at,
+            updated_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?);
+        `,
+        params: [
+          record.recordId,
+          record.sourceId,
+          record.entryType,
+          record.townId,
+          record.factionId,
+          record.at,
+          record.message,
+          JSON.stringify(record),
+          timestamp,
+          timestamp
+        ]
+      })
+    }
+    statements.push({ sql: metaSql, params: [WORLD_MEMORY_SNAPSHOT_HASH_META_KEY, projection.snapshotHash, timestamp] })
+    statements.push({ sql: metaSql, params: [WORLD_MEMORY_DECISION_EPOCH_META_KEY, String(projection.decisionEpoch), timestamp] })
+    driver.transaction(statements)
     cachedWorldMemorySyncState = {
       snapshotHash: projection.snapshotHash,
       decisionEpoch: projection.decisionEpoch
@@ -1683,25 +1657,37 @@ function createSqliteExecutionPersistence(options = {}) {
     const safeEntryType = asText(query?.entryType, 80)
     const safeSearch = asText(query?.search, 120).toLowerCase()
     const clauses = []
-    if (safeTownId) clauses.push(`town_id = ${sqlValue(safeTownId)}`)
-    if (safeFactionId) clauses.push(`faction_id = ${sqlValue(safeFactionId)}`)
-    if (safeEntryType) clauses.push(`entry_type = ${sqlValue(safeEntryType)}`)
+    const params = []
+    if (safeTownId) {
+      clauses.push('town_id = ?')
+      params.push(safeTownId)
+    }
+    if (safeFactionId) {
+      clauses.push('faction_id = ?')
+      params.push(safeFactionId)
+    }
+    if (safeEntryType) {
+      clauses.push('entry_type = ?')
+      params.push(safeEntryType)
+    }
     if (safeSearch) {
       const likeValue = `%${safeSearch.replace(/[%_]/g, '')}%`
       clauses.push(`(
-        LOWER(message) LIKE ${sqlValue(likeValue)}
-        OR LOWER(entry_type) LIKE ${sqlValue(likeValue)}
-        OR LOWER(COALESCE(town_id, '')) LIKE ${sqlValue(likeValue)}
-        OR LOWER(COALESCE(faction_id, '')) LIKE ${sqlValue(likeValue)}
+        LOWER(message) LIKE ?
+        OR LOWER(entry_type) LIKE ?
+        OR LOWER(COALESCE(town_id, '')) LIKE ?
+        OR LOWER(COALESCE(faction_id, '')) LIKE ?
       )`)
+      params.push(likeValue, likeValue, likeValue, likeValue)
     }
-    const rows = runSql(`
+    params.push(normalizeQueryLimit(query.limit))
+    const rows = driver.all(`
       SELECT payload_json
       FROM world_chronicle_records
       ${clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : ''}
       ORDER BY at DESC, record_id DESC
-      LIMIT ${sqlValue(normalizeQueryLimit(query.limit))};
-    `, { json: true })
+      LIMIT ?;
+    `, params)
 
     return rows
       .map((row) => cloneValue(JSON.parse(row.payload_json)))
@@ -1712,16 +1698,16 @@ function createSqliteExecutionPersistence(options = {}) {
 
   function listHistoryRecords(query = {}) {
     ensureInitialized()
-    const receiptRows = runSql(`
+    const receiptRows = driver.all(`
       SELECT payload_json
       FROM execution_receipts
       ORDER BY created_at DESC;
-    `, { json: true })
-    const ledgerRows = runSql(`
+    `)
+    const ledgerRows = driver.all(`
       SELECT payload_json
       FROM execution_event_ledger
       ORDER BY created_at DESC;
-    `, { json: true })
+    `)
     const receipts = receiptRows.map((row) => cloneValue(JSON.parse(row.payload_json)))
     const ledgerEntries = ledgerRows.map((row) => cloneValue(JSON.parse(row.payload_json)))
     return buildHistoryRecords(receipts, ledgerEntries, query)
@@ -1731,6 +1717,7 @@ function createSqliteExecutionPersistence(options = {}) {
     backendName: 'sqlite',
     dbPath,
     sqliteCommand,
+    sqliteDriver: driver.name,
     clearPendingExecution,
     findPendingExecution,
     findReceipt,
@@ -1755,10 +1742,11 @@ function createExecutionPersistenceBackend({
   now
 } = {}) {
   const normalizedBackend = asText(String(backend || 'memory').toLowerCase(), 40) || 'memory'
-  if (normalizedBackend === 'sqlite') {
+  if (normalizedBackend === 'sqlite' || normalizedBackend === 'sqlite-native') {
     return createSqliteExecutionPersistence({
       dbPath: sqliteDbPath,
       sqliteCommand,
+      driver: normalizedBackend === 'sqlite-native' ? 'native' : 'cli',
       logger,
       now
     })
@@ -1825,6 +1813,7 @@ function createExecutionStore({
       ? createSqliteWorldStateStore({
         dbPath: resolvedBackend.dbPath || sqliteDbPath,
         sqliteCommand: resolvedBackend.sqliteCommand || sqliteCommand,
+        driver: resolvedBackend.sqliteDriver,
         logger: typeof safeLogger.child === 'function'
           ? safeLogger.child({ subsystem: 'world_state_store' })
           : safeLogger,
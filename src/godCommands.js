@@ -16,6 +16,14 @@ const {
   resolveTownSpawn,
   selectStarterTownId
 } = require('./playerSpawn')
+const {
+  MAX_AGENT_ROSTER_ENTRIES,
+  isValidAgentName,
+  materializeAgentRoster,
+  normalizeAgentRoster,
+  rosterKey
+} = require('./agentRoster')
+const { isValidServerTimeReport } = require('./serverTime')
 
 const SUPPORTED_GOD_COMMANDS = new Set(['declare_war', 'make_peace', 'bless_people'])
 const INTENT_TYPES = new Set(['idle', 'wander', 'follow', 'respond'])
@@ -38,9 +46,32 @@ const DEFAULT_AGENT_TRAITS = { courage: 1, greed: 1, faith: 1 }
 const MAX_AGENT_TITLE_LEN = 32
 const MAX_AGENT_TITLE_COUNT = 20
 const CLOCK_PHASES = new Set(['day', 'night'])
-const CLOCK_SEASONS = new Set(['dawn', 'long_night'])
+// `dawn` opens a new world and rolls into the cycle; it is never re-entered.
+const SEASON_CYCLE = ['thaw', 'harvest', 'ashfall', 'long_night']
+const CLOCK_SEASONS = new Set(['dawn', ...SEASON_CYCLE])
+const DEFAULT_SEASON_LENGTH_DAYS = 7
+const MAX_SEASON_LENGTH_DAYS = 120
+const DEFAULT_CLOCK_AUTO_PHASE_SECONDS = 600
+const MIN_CLOCK_AUTO_PHASE_SECONDS = 5
+const MAX_CLOCK_AUTO_PHASE_SECONDS = 86400
+const DEFAULT_CLOCK_AUTO_MAX_CATCH_UP_TICKS = 4
+const MAX_CLOCK_ADVANCE_TICKS = 1000
+const MAX_SERVER_CLOCK_CATCH_UP_TICKS = 4
 const STORY_FACTION_NAMES = ['iron_pact', 'veil_church']
-const STORY_FACTION_NAME_SET = new Set(STORY_FACTION_NAMES)
+const STORY_FACTION_ID_PATTERN = /^[a-z][a-z0-9_]{2,31}$/
+const MAX_STORY_FACTIONS = 16
+const REP_BONUS_MOD_SUFFIX = '_rep_bonus'
+const TREATY_KINDS = new Set(['war', 'truce', 'alliance', 'trade_pact'])
+const TREATY_STATUSES = new Set(['proposed', 'active', 'broken', 'expired', 'superseded'])
+const TREATY_OPEN_STATUSES = new Set(['proposed', 'active'])
+const TREATY_DEFAULT_DAYS = { war: null, truce: 3, alliance: 10, trade_pact: 7 }
+const MAX_TREATY_DAYS = 60
+const TREATY_PROPOSAL_DAYS = 3
+const MAX_DIPLOMACY_TREATIES = 60
+const DIPLOMACY_WAR_ROUTE_RISK = 15
+const DIPLOMACY_WAR_GATE_PRESSURE = 6
+const DIPLOMACY_ALLIANCE_GATE_RELIEF = 3
+const DIPLOMACY_TRADE_PACT_ROUTE_BONUS = 1
 const MOOD_LABEL_THRESHOLD = 25
 const MOOD_THRESHOLDS = [25, 50, 75]
 const EVENT_TYPES = new Set(['festival', 'shortage', 'omen', 'patrol', 'fog', 'tax_day'])
@@ -49,9 +80,7 @@ const EVENT_MOD_KEYS = new Set([
   'unrest',
   'prosperity',
   'trade_reward_bonus',
-  'visit_reward_bonus',
-  'iron_pact_rep_bonus',
-  'veil_church_rep_bonus'
+  'visit_reward_bonus'
 ])
 const EVENT_DECK = ['festival', 'shortage', 'omen', 'patrol', 'fog', 'tax_day']
 const EVENT_TYPE_CONFIG = {
@@ -84,18 +113,81 @@ const STORY_FACTION_DEFAULTS = {
   iron_pact: {
     towns: ['alpha'],
     doctrine: 'Order through steel.',
-    rivals: ['veil_church']
+    rivals: ['veil_church'],
+    allies: []
   },
   veil_church: {
     towns: ['beta'],
     doctrine: 'Truth through shadow.',
-    rivals: ['iron_pact']
+    rivals: ['iron_pact'],
+    allies: []
+  }
+}
+const CREATED_STORY_FACTION_DEFAULTS = {
+  towns: [],
+  doctrine: 'Unwritten doctrine.',
+  rivals: [],
+  allies: []
+}
+// Per-season rules: threat drift per phase, market pulse signals, extra
+// autonomy deltas on top of AUTONOMY_PHASE_BASELINE, nether deck weights
+// (missing types weigh 1) and rumor templates added to auto-rumor picks.
+const SEASON_RULES = {
+  dawn: {
+    summary: 'calm opening season',
+    threat: { nightRise: 5, dayFall: 3 },
+    market: [],
+    autonomy: {},
+    netherWeights: {},
+    rumorTemplates: {}
+  },
+  thaw: {
+    summary: 'meltwater roads and early planting',
+    threat: { nightRise: 4, dayFall: 4 },
+    market: [
+      { good: 'timber', delta: 1, tag: 'thaw floods call for timber' },
+      { good: 'herbs', delta: 1, tag: 'thaw greens the herb beds' },
+      { good: 'lantern_oil', delta: -1, tag: 'longer thaw days spare lamp oil' }
+    ],
+    autonomy: { day: { stockpiles: { timber: 1 } } },
+    netherWeights: { CALM_BEFORE_STORM: 2 },
+    rumorTemplates: { grounded: ['thaw_floodmarks'], supernatural: ['meltwater_voices'], political: ['ferry_tolls'] }
+  },
+  harvest: {
+    summary: 'full granaries and busy fairs',
+    threat: { nightRise: 4, dayFall: 3 },
+    market: [
+      { good: 'bread', delta: -1, tag: 'harvest fills the granaries' },
+      { good: 'wool', delta: 1, tag: 'harvest fairs buy cloth' }
+    ],
+    autonomy: { day: { stockpiles: { food: 2 }, readiness: { economy: 1 } } },
+    netherWeights: { CALM_BEFORE_STORM: 2, SCARCITY: 0 },
+    rumorTemplates: { grounded: ['harvest_tallies'], political: ['harvest_levy'] }
+  },
+  ashfall: {
+    summary: 'ash skies, spoiled stores and restless roads',
+    threat: { nightRise: 7, dayFall: 2 },
+    market: [
+      { good: 'lantern_oil', delta: 1, tag: 'ashfall dims the roads' },
+      { good: 'iron', delta: 1, tag: 'ashfall smiths brace for raids' },
+      { good: 'herbs', delta: -1, tag: 'ash spoils the herb beds' }
+    ],
+    autonomy: { day: { stockpiles: { food: -1 } }, night: { readiness: { morale: -1 } } },
+    netherWeights: { OMEN: 3, THREAT_SURGE: 2 },
+    rumorTemplates: { grounded: ['ashen_stores'], supernatural: ['ash_veil'] }
+  },
+  long_night: {
+    summary: 'short days and lamp-hungry watches',
+    threat: { nightRise: 8, dayFall: 2 },
+    market: [
+      { good: 'lantern_oil', delta: 1, tag: 'long_night consumes lamp stocks' },
+      { good: 'timber', delta: 1, tag: 'long_night needs extra fuel' }
+    ],
+    autonomy: { night: { stockpiles: { lampOil: -1 } } },
+    netherWeights: { LONG_NIGHT: 3, THREAT_SURGE: 2 },
+    rumorTemplates: { supernatural: ['endless_dusk'] }
   }
 }
-const SEASON_THREAT_RATES = {
-  dawn: { nightRise: 5, dayFall: 3 },
-  long_night: { nightRise: 8, dayFall: 2 }
-}
 const RUMOR_TEMPLATE_LIBRARY = {
   grounded: {
     missing_goods: {
@@ -110,6 +202,18 @@ const RUMOR_TEMPLATE_LIBRARY = {
       day: 'An old well east of {town} glints with dropped coin before noon.',
       night: 'Past the east well of {town}, hush traders swap supplies by lamp.'
     },
+    thaw_floodmarks: {
+      day: 'Meltwater lines on the walls of {town} show how high the thaw rose.',
+      night: 'In {town}, the thaw drips through roofs and ledgers alike.'
+    },
+    harvest_tallies: {
+      day: 'Harvest tallies in {town} come up short by a cart or two.',
+      night: 'Threshers in {town} whisper that the granary count was padded.'
+    },
+    ashen_stores: {
+      day: 'Ash settles on the grain sacks of {town}; nobody agrees how much spoiled.',
+      night: 'In {town} the ash-stained stores are counted again by lamplight.'
+    },
     ridge_tracks: {
       day: 'Fresh caravan tracks veer toward the ridge north of {town}; profit may follow.',
       night: 'Ridge tracks north of {town} end in churned mud and snapped rope.'
@@ -128,6 +232,18 @@ const RUMOR_TEMPLATE_LIBRARY = {
       day: 'Near the birch line west of {town}, blue soot marks a hidden fire ring.',
       night: 'Blue lights drift near the birch line west of {town}; escorts sell out fast.'
     },
+    meltwater_voices: {
+      day: 'Children in {town} swear the thaw streams hum old names.',
+      night: 'Meltwater under the bridges of {town} murmurs after dark.'
+    },
+    ash_veil: {
+      day: 'A grey veil hangs over {town}; shapes move where the ash is thickest.',
+      night: 'Under the ash veil, lanterns in {town} burn the wrong color.'
+    },
+    endless_dusk: {
+      day: 'Noon in {town} feels like dusk, and the dogs will not settle.',
+      night: 'The long night over {town} keeps stretching past the bells.'
+    },
     ridge_footsteps: {
       day: 'Hunters by {town} report prints on the ridge that point nowhere.',
       night: 'Footsteps circle the ridge above {town}, always one lantern-length away.'
@@ -146,6 +262,14 @@ const RUMOR_TEMPLATE_LIBRARY = {
       day: 'A torn caravan manifest in {town} points to unpaid crates at the south bridge.',
       night: 'At the south bridge of {town}, guards argue over missing manifests.'
     },
+    ferry_tolls: {
+      day: 'Ferrymen in {town} raise thaw tolls and blame the council.',
+      night: 'Late meetings in {town} argue over who pockets the ferry tolls.'
+    },
+    harvest_levy: {
+      day: 'A harvest levy is posted in {town}, and the guilds are not pleased.',
+      night: 'Tax collectors in {town} count harvest coin behind shuttered doors.'
+    },
     toll_bridge_books: {
       day: 'Ledger boys in {town} whisper that toll books were rewritten at dawn.',
       night: 'Near the toll gate of {town}, ink-stained pages trade hands in the dark.'
@@ -207,6 +331,10 @@ const MARKET_DAY_SIGNALS = [
   { hot: ['iron', 'timber'], cold: ['bread'], tag: 'ridge repairs drain tool benches' },
   { hot: ['lantern_oil', 'bread'], cold: ['wool'], tag: 'fog watch posts buy short-run goods' }
 ]
+const MARKET_VOLUME_WINDOW_DAYS = 3
+const ECONOMY_TRADED_MAX = 120
+const ECONOMY_TRADE_EVENTS_MAX = 120
+const QUEST_PROGRESS_LOG_MAX = 12
 const CONTRACT_MAX_PER_TOWN_PER_DAY = 2
 const CONTRACT_REWARD_MIN = 1
 const CONTRACT_REWARD_MAX = 12
@@ -297,7 +425,7 @@ const TOWN_ARMORY_MIN = 0
 const TOWN_ARMORY_MAX = 100
 const DEFAULT_TOWN_HOPE = 50
 const DEFAULT_TOWN_DREAD = 50
-const TOWN_STOCKPILE_KEYS = ['food', 'tools', 'munitions', 'timber', 'stone', 'lampOil', 'sanctity']
+const TOWN_STOCKPILE_KEYS = Object.freeze(['food', 'tools', 'munitions', 'timber', 'stone', 'lampOil', 'sanctity'])
 const TOWN_READINESS_KEYS = ['defense', 'economy', 'morale', 'gate', 'shelter']
 const TOWN_ECONOMY_KEYS = ['market', 'labor', 'build', 'caravan', 'wealth']
 const TOWN_ARMORY_KEYS = ['reserve', 'issued', 'repair', 'distribution']
@@ -390,6 +518,20 @@ const PROJECT_TYPE_CONFIG = {
     effects: { longNightDelta: -1, hopeDelta: 1, dreadDelta: -1, visibility: 2 }
   }
 }
+// Material requirements and the town stockpile each one draws from; wool has
+// no stockpile and can only come from agent contributions. `labor` is the crew
+// doing the work and is never debited.
+const PROJECT_MATERIAL_STOCKPILE_KEYS = Object.freeze({
+  timber: 'timber',
+  iron: 'tools',
+  lantern_oil: 'lampOil',
+  bread: 'food',
+  herbs: 'food',
+  wool: null
+})
+const PROJECT_REQUIREMENT_KEYS = Object.freeze(['labor', ...Object.keys(PROJECT_MATERIAL_STOCKPILE_KEYS)])
+// Salvage stockpile credits a named crew carries home as market goods.
+const SALVAGE_HAUL_GOODS = Object.freeze({ timber: 'timber', tools: 'iron', lampOil: 'lantern_oil', food: 'bread' })
 const SUPPORT_PROJECT_TYPE_ROTATIONS = {
   frontline: ['trench_reinforcement', 'watchtower_line', 'lantern_line'],
   support: ['ration_depot', 'field_chapel', 'lantern_line']
@@ -455,10 +597,10 @@ const SUPPORT_ORDER_COMPLETION_AUTONOMY_DELTAS = {
   }
 }
 const SALVAGE_TARGET_CONFIG = {
-  no_mans_land_scrap: { supplyBase: 2, pressure: -1 },
-  ruined_hamlet_supplies: { supplyBase: 3, pressure: -1 },
-  abandoned_shrine_relics: { supplyBase: 2, pressure: 0 },
-  collapsed_tunnel_tools: { supplyBase: 3, pressure: 1 }
+  no_mans_land_scrap: { supplyBase: 2, pressure: -1, stockpiles: ['munitions', 'tools'] },
+  ruined_hamlet_supplies: { supplyBase: 3, pressure: -1, stockpiles: ['food', 'timber'] },
+  abandoned_shrine_relics: { supplyBase: 2, pressure: 0, stockpiles: ['sanctity'] },
+  collapsed_tunnel_tools: { supplyBase: 3, pressure: 1, stockpiles: ['tools', 'stone'] }
 }
 const SALVAGE_OUTCOME_CONFIG = {
   secure: { supplies: 3, hopeDelta: 2, dreadDelta: -1, threatDelta: -1, scarcityDelta: -1 },
@@ -586,6 +728,11 @@ const CONTRACT_ROUTE_TEMPLATES = [
 const NIGHT_TROUBLE_LANDMARKS = ['east well', 'north ridge', 'birch line', 'south bridge', 'old toll gate']
 const DECISION_DEPRECATION_NOTE = 'Deprecated in Trader Mode: decisions are no longer generated; use Contracts + Market Pulse.'
 const commandPersistenceContext = new AsyncLocalStorage()
+// Queue of runtime effects held back by the god command batch running in the
+// current async context; commands outside a batch see no store.
+const deferredRuntimeEffectsContext = new AsyncLocalStorage()
+// Bundle registered by registerContentPacks(); null while only built-in content is loaded.
+let installedContentPacks = null
 const MAJOR_MISSION_TEMPLATES = [
   {
     id: 'iron_convoy',
@@ -938,6 +1085,22 @@ function ensureWorldMarkers(world) {
   return world.markers
 }
 
+/**
+ * @param {any} world
+ */
+function ensureWorldAgentRoster(world) {
+  world.agentRoster = materializeAgentRoster(world.agentRoster)
+  return world.agentRoster
+}
+
+/**
+ * Retired entries give way to new spawns, so only active agents fill the roster.
+ * @param {Record<string, { status: string }>} roster
+ */
+function isAgentRosterFull(roster) {
+  return Object.values(roster).filter(entry => entry.status === 'active').length >= MAX_AGENT_ROSTER_ENTRIES
+}
+
 /**
  * @param {unknown} entry
  */
@@ -994,12 +1157,13 @@ function normalizeOffer(entry) {
   const price = Number(entry.price)
   const createdAt = Number(entry.created_at || 0) || 0
   const active = !!entry.active
+  const good = normalizeGoodKey(entry.good)
   if (!offerId || !owner) return null
   if (side !== 'buy' && side !== 'sell') return null
   if (!Number.isInteger(amount) || amount < 0) return null
   if (active && amount <= 0) return null
   if (!Number.isInteger(price) || price <= 0) return null
-  return {
+  const offer = {
     offer_id: offerId,
     owner,
     side,
@@ -1008,6 +1172,8 @@ function normalizeOffer(entry) {
     created_at: createdAt,
     active
   }
+  if (good) offer.good = good
+  return offer
 }
 
 /**
@@ -1098,6 +1264,27 @@ function normalizeWorldEconomy(economyInput) {
   if (typeof source.minted_total === 'number' && Number.isFinite(source.minted_total) && source.minted_total >= 0) {
     economy.minted_total = source.minted_total
   }
+  const inventorySource = (source.inventories && typeof source.inventories === 'object' && !Array.isArray(source.inventories))
+    ? source.inventories
+    : {}
+  const inventories = {}
+  for (const [agentName, goodsRaw] of Object.entries(inventorySource)) {
+    const safeName = asText(agentName, '', 80)
+    const goods = normalizeInventoryGoods(goodsRaw)
+    if (!safeName || Object.keys(goods).length === 0) continue
+    inventories[safeName] = goods
+  }
+  if (Object.keys(inventories).length > 0) economy.inventories = inventories
+  const traded = (Array.isArray(source.traded) ? source.traded : [])
+    .map(normalizeTradedVolume)
+    .filter(Boolean)
+    .slice(-ECONOMY_TRADED_MAX)
+  if (traded.length > 0) economy.traded = traded
+  const tradeEvents = (Array.isArray(source.trade_events) ? source.trade_events : [])
+    .map(normalizeTradeEvent)
+    .filter(Boolean)
+    .slice(-ECONOMY_TRADE_EVENTS_MAX)
+  if (tradeEvents.length > 0) economy.trade_events = tradeEvents
   return economy
 }
 
@@ -1109,6 +1296,186 @@ function ensureWorldEconomy(world) {
   return world.economy
 }
 
+/**
+ * Good keys are lowercase snake_case (`bread`, `lantern_oil`).
+ * @param {unknown} value
+ */
+function normalizeGoodKey(value) {
+  const key = asText(value, '', 40).toLowerCase()
+  return /^[a-z][a-z0-9_]*$/.test(key) ? key : ''
+}
+
+/**
+ * @param {unknown} goodsInput
+ * @returns {Record<string, number>}
+ */
+function normalizeInventoryGoods(goodsInput) {
+  const source = (goodsInput && typeof goodsInput === 'object' && !Array.isArray(goodsInput))
+    ? goodsInput
+    : {}
+  const goods = {}
+  for (const [goodRaw, qtyRaw] of Object.entries(source)) {
+    const good = normalizeGoodKey(goodRaw)
+    if (!good) continue
+    if (!Number.isInteger(qtyRaw) || qtyRaw <= 0) continue
+    goods[good] = qtyRaw
+  }
+  return goods
+}
+
+/**
+ * @param {unknown} entry
+ */
+function normalizeTradedVolume(entry) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return null
+  const day = Number(entry.day)
+  const town = asText(entry.town, '', 80)
+  const good = normalizeGoodKey(entry.good)
+  const units = Number(entry.units)
+  if (!Number.isInteger(day) || day < 0 || !town || !good) return null
+  if (!Number.isInteger(units) || units <= 0) return null
+  return { day, town, good, units }
+}
+
+/**
+ * @param {{inventories?: Record<string, Record<string, number>>}} economy
+ * @param {string} agentName
+ * @param {string} good
+ */
+function getInventoryCount(economy, agentName, good) {
+  return Number(economy?.inventories?.[agentName]?.[good] || 0)
+}
+
+/**
+ * Move goods in or out of an agent inventory; empty slots are dropped.
+ * @param {{inventories?: Record<string, Record<string, number>>}} economy
+ * @param {string} agentName
+ * @param {string} good
+ * @param {number} delta
+ */
+function adjustInventory(economy, agentName, good, delta) {
+  const next = getInventoryCount(economy, agentName, good) + delta
+  if (next < 0) {
+    throw new AppError({
+      code: 'INSUFFICIENT_GOODS',
+      message: `Insufficient ${good} for ${agentName}.`,
+      recoverable: true
+    })
+  }
+  if (!economy.inventories) economy.inventories = {}
+  const goods = economy.inventories[agentName] || {}
+  if (next > 0) goods[good] = next
+  else delete goods[good]
+  if (Object.keys(goods).length > 0) economy.inventories[agentName] = goods
+  else delete economy.inventories[agentName]
+  if (Object.keys(economy.inventories).length === 0) delete economy.inventories
+  return next
+}
+
+/**
+ * @param {unknown} entry
+ */
+function normalizeTradeEvent(entry) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return null
+  const id = asText(entry.id, '', 200)
+  const day = Number(entry.day)
+  const at = Number(entry.at)
+  const market = asText(entry.market, '', 80)
+  const offerId = asText(entry.offer_id, '', 160)
+  const side = asText(entry.side, '', 8).toLowerCase()
+  const buyer = asText(entry.buyer, '', 80)
+  const seller = asText(entry.seller, '', 80)
+  const amount = Number(entry.amount)
+  const price = Number(entry.price)
+  if (!id || !Number.isInteger(day) || day < 0 || !market || !offerId || !buyer || !seller) return null
+  if (side !== 'buy' && side !== 'sell') return null
+  if (!Number.isInteger(amount) || amount <= 0 || !Number.isInteger(price) || price <= 0) return null
+  const event = {
+    id,
+    day,
+    at: Number.isFinite(at) && at >= 0 ? at : 0,
+    market,
+    offer_id: offerId,
+    side,
+    buyer,
+    seller,
+    amount,
+    price
+  }
+  const town = asText(entry.town, '', 80)
+  const good = normalizeGoodKey(entry.good)
+  const quests = (Array.isArray(entry.quests) ? entry.quests : [])
+    .map(questId => asText(questId, '', 200))
+    .filter(Boolean)
+  if (town) event.town = town
+  if (good) event.good = good
+  if (quests.length > 0) event.quests = quests
+  return event
+}
+
+/**
+ * Keep the durable record of a committed trade; quests it advanced point
+ * back at it from their progress log.
+ * @param {{trade_events?: any[]}} economy
+ * @param {ReturnType<typeof normalizeTradeEvent>} event
+ */
+function recordTradeEvent(economy, event) {
+  const tradeEvents = Array.isArray(economy.trade_events) ? economy.trade_events : []
+  tradeEvents.push(event)
+  economy.trade_events = tradeEvents.slice(-ECONOMY_TRADE_EVENTS_MAX)
+}
+
+/**
+ * Fold a trade into the per-day, per-town volume tally market pulse reads.
+ * @param {{traded?: Array<{day: number, town: string, good: string, units: number}>}} economy
+ * @param {{day: number, town: string, good: string, units: number}} input
+ */
+function recordTradedVolume(economy, input) {
+  const traded = Array.isArray(economy.traded) ? economy.traded : []
+  const existing = traded.find(entry => (
+    entry.day === input.day && sameText(entry.town, input.town, 80) && entry.good === input.good
+  ))
+  if (existing) existing.units += input.units
+  else traded.push({ day: input.day, town: input.town, good: input.good, units: input.units })
+  economy.traded = traded.slice(-ECONOMY_TRADED_MAX)
+}
+
+/**
+ * Units of each good traded in a town over the last few days.
+ * @param {any} world
+ * @param {string} townName
+ * @param {number} day
+ * @returns {Map<string, number>}
+ */
+function getTownTradedVolumes(world, townName, day) {
+  const volumes = new Map()
+  const economy = normalizeWorldEconomy(world?.economy)
+  for (const entry of economy.traded || []) {
+    if (!sameText(entry.town, townName, 80)) continue
+    if (entry.day > day || entry.day <= day - MARKET_VOLUME_WINDOW_DAYS) continue
+    volumes.set(entry.good, Number(volumes.get(entry.good) || 0) + entry.units)
+  }
+  return volumes
+}
+
+/**
+ * Units still listed on active sell offers in a town's markets, per good.
+ * @param {any} world
+ * @param {string} townName
+ * @returns {Map<string, number>}
+ */
+function getTownListedSupply(world, townName) {
+  const supply = new Map()
+  for (const market of normalizeWorldMarkets(world?.markets)) {
+    if (!sameText(findTownNameForMarker(world?.markers || [], market.marker || null), townName, 80)) continue
+    for (const offer of market.offers) {
+      if (!offer.active || offer.side !== 'sell' || !offer.good) continue
+      supply.set(offer.good, Number(supply.get(offer.good) || 0) + offer.amount)
+    }
+  }
+  return supply
+}
+
 /**
  * @param {unknown} repInput
  */
@@ -1147,24 +1514,65 @@ function normalizeStoryTownNames(townsInput) {
 }
 
 /**
- * @param {unknown} rivalsInput
+ * Built-in factions are always story factions; others must have been
+ * registered by `god faction create`, which marks them `story: true`.
+ * @param {string} name
+ * @param {unknown} entry
+ */
+function isStoryFactionEntry(name, entry) {
+  if (STORY_FACTION_DEFAULTS[name]) return true
+  return Boolean(
+    entry
+    && typeof entry === 'object'
+    && !Array.isArray(entry)
+    && entry.story === true
+    && STORY_FACTION_ID_PATTERN.test(name)
+  )
+}
+
+/**
+ * Built-in factions first, then registered ones in name order.
+ * @param {Record<string, any> | null | undefined} factions
+ */
+function listStoryFactionNames(factions) {
+  const source = (factions && typeof factions === 'object' && !Array.isArray(factions)) ? factions : {}
+  const created = Object.keys(source)
+    .filter(name => !STORY_FACTION_DEFAULTS[name] && isStoryFactionEntry(name, source[name]))
+    .sort((a, b) => a.localeCompare(b))
+  return [...STORY_FACTION_NAMES, ...created]
+}
+
+/**
+ * @param {string} key
+ */
+function isEventModKey(key) {
+  if (EVENT_MOD_KEYS.has(key)) return true
+  if (!key.endsWith(REP_BONUS_MOD_SUFFIX)) return false
+  return STORY_FACTION_ID_PATTERN.test(key.slice(0, -REP_BONUS_MOD_SUFFIX.length))
+}
+
+/**
+ * Rivals or allies of one faction, restricted to the known story factions.
+ * A missing list falls back to the built-in defaults; an explicit empty list
+ * stays empty.
+ * @param {unknown} namesInput
  * @param {string} factionName
+ * @param {Set<string>} knownNames
+ * @param {string[]} [fallback]
  */
-function normalizeStoryRivalNames(rivalsInput, factionName) {
-  const fallback = STORY_FACTION_DEFAULTS[factionName]?.rivals || []
-  const source = Array.isArray(rivalsInput) ? rivalsInput : fallback
-  const rivals = []
+function normalizeStoryRelationNames(namesInput, factionName, knownNames, fallback = []) {
+  const source = Array.isArray(namesInput) ? namesInput : fallback
+  const names = []
   const seen = new Set()
   for (const item of source) {
-    const rival = asText(item, '', 80).toLowerCase()
-    if (!rival || rival === factionName) continue
-    if (!STORY_FACTION_NAME_SET.has(rival)) continue
-    if (seen.has(rival)) continue
-    seen.add(rival)
-    rivals.push(rival)
+    const name = asText(item, '', 80).toLowerCase()
+    if (!name || name === factionName) continue
+    if (!knownNames.has(name)) continue
+    if (seen.has(name)) continue
+    seen.add(name)
+    names.push(name)
   }
-  if (rivals.length === 0) return [...fallback]
-  return rivals
+  return names
 }
 
 /**
@@ -1187,23 +1595,29 @@ function normalizeWorldStoryFactions(factionsInput) {
     factions[name] = entry
   }
 
-  for (const factionName of STORY_FACTION_NAMES) {
-    const defaults = STORY_FACTION_DEFAULTS[factionName]
+  const storyNames = listStoryFactionNames(source)
+  const knownNames = new Set(storyNames)
+  for (const factionName of storyNames) {
+    const defaults = STORY_FACTION_DEFAULTS[factionName] || CREATED_STORY_FACTION_DEFAULTS
     const raw = (source[factionName] && typeof source[factionName] === 'object' && !Array.isArray(source[factionName]))
       ? source[factionName]
       : {}
     const towns = normalizeStoryTownNames(raw.towns)
     const hostility = Number(raw.hostilityToPlayer)
     const stability = Number(raw.stability)
+    const rivals = normalizeStoryRelationNames(raw.rivals, factionName, knownNames, defaults.rivals)
     const entry = {
       ...raw,
       name: factionName,
-      towns: towns.length > 0 ? towns : [...defaults.towns],
+      towns: Array.isArray(raw.towns) ? towns : [...defaults.towns],
       doctrine: asText(raw.doctrine, defaults.doctrine, 160),
-      rivals: normalizeStoryRivalNames(raw.rivals, factionName),
+      rivals,
+      allies: normalizeStoryRelationNames(raw.allies, factionName, knownNames, defaults.allies)
+        .filter(name => !rivals.includes(name)),
       hostilityToPlayer: Number.isFinite(hostility) ? clamp(Math.trunc(hostility), 0, 100) : 10,
       stability: Number.isFinite(stability) ? clamp(Math.trunc(stability), 0, 100) : 70
     }
+    if (!STORY_FACTION_DEFAULTS[factionName]) entry.story = true
     factions[factionName] = entry
   }
   return factions
@@ -1217,6 +1631,342 @@ function ensureWorldStoryFactions(world) {
   return world.factions
 }
 
+/**
+ * @param {unknown} treatyInput
+ */
+function normalizeTreaty(treatyInput) {
+  if (!treatyInput || typeof treatyInput !== 'object' || Array.isArray(treatyInput)) return null
+  const id = asText(treatyInput.id, '', 200)
+  const kind = asText(treatyInput.kind, '', 20).toLowerCase()
+  const status = asText(treatyInput.status, '', 20).toLowerCase()
+  const factions = (Array.isArray(treatyInput.factions) ? treatyInput.factions : [])
+    .map(name => asText(name, '', 80).toLowerCase())
+    .filter(Boolean)
+  if (!id || !TREATY_KINDS.has(kind) || !TREATY_STATUSES.has(status)) return null
+  if (factions.length !== 2 || factions[0] === factions[1]) return null
+  factions.sort((a, b) => a.localeCompare(b))
+  const proposedBy = asText(treatyInput.proposedBy, '', 80).toLowerCase()
+  const asDay = (value) => {
+    const day = Number(value)
+    return Number.isInteger(day) && day >= 1 ? day : null
+  }
+  const durationDays = Number(treatyInput.durationDays)
+  return {
+    id,
+    kind,
+    factions,
+    proposedBy: factions.includes(proposedBy) ? proposedBy : factions[0],
+    status,
+    terms: asText(treatyInput.terms, '', 160),
+    durationDays: Number.isInteger(durationDays) && durationDays >= 1 ? Math.min(durationDays, MAX_TREATY_DAYS) : null,
+    proposedDay: asDay(treatyInput.proposedDay) || 1,
+    startedDay: asDay(treatyInput.startedDay),
+    endsDay: asDay(treatyInput.endsDay),
+    closedDay: asDay(treatyInput.closedDay)
+  }
+}
+
+/**
+ * @param {unknown} diplomacyInput
+ */
+function normalizeWorldDiplomacy(diplomacyInput) {
+  const source = (diplomacyInput && typeof diplomacyInput === 'object' && !Array.isArray(diplomacyInput))
+    ? diplomacyInput
+    : {}
+  const seen = new Set()
+  const treaties = []
+  for (const entry of Array.isArray(source.treaties) ? source.treaties : []) {
+    const treaty = normalizeTreaty(entry)
+    if (!treaty || seen.has(treaty.id.toLowerCase())) continue
+    seen.add(treaty.id.toLowerCase())
+    treaties.push(treaty)
+  }
+  return { treaties }
+}
+
+/**
+ * Keeps every open treaty and drops the oldest closed ones past the cap.
+ * @param {any} world
+ */
+function ensureWorldDiplomacy(world) {
+  const diplomacy = normalizeWorldDiplomacy(world.diplomacy)
+  let overflow = diplomacy.treaties.length - MAX_DIPLOMACY_TREATIES
+  if (overflow > 0) {
+    diplomacy.treaties = diplomacy.treaties.filter((treaty) => {
+      if (overflow <= 0 || TREATY_OPEN_STATUSES.has(treaty.status)) return true
+      overflow -= 1
+      return false
+    })
+  }
+  world.diplomacy = diplomacy
+  return diplomacy
+}
+
+/**
+ * @param {string} factionA
+ * @param {string} factionB
+ */
+function treatyPairKey(factionA, factionB) {
+  return [factionA, factionB].sort((a, b) => a.localeCompare(b)).join('|')
+}
+
+/**
+ * The active treaty kind between two factions, or `neutral`.
+ * @param {any} world
+ * @param {string} factionA
+ * @param {string} factionB
+ */
+function getFactionRelation(world, factionA, factionB) {
+  const pair = treatyPairKey(factionA, factionB)
+  const active = normalizeWorldDiplomacy(world?.diplomacy).treaties
+    .find(treaty => treaty.status === 'active' && treaty.factions.join('|') === pair)
+  return active ? active.kind : 'neutral'
+}
+
+/**
+ * Why a treaty cannot be accepted or broken right now, or null when it can.
+ * Checked before and again inside the transaction, since another command may
+ * have moved the treaty in between.
+ * @param {any} world
+ * @param {any} treaty
+ * @param {boolean} accepting
+ */
+function getTreatyTransitionRefusal(world, treaty, accepting) {
+  if (!treaty) return 'Unknown treaty.'
+  if (!accepting) return TREATY_OPEN_STATUSES.has(treaty.status) ? null : 'Treaty is not in force.'
+  if (treaty.status !== 'proposed') return 'Treaty is not awaiting acceptance.'
+  const relation = getFactionRelation(world, treaty.factions[0], treaty.factions[1])
+  if (treaty.kind === 'truce' && relation !== 'war') return 'A truce needs a war to pause.'
+  if (treaty.kind !== 'truce' && relation === 'war') return 'Factions at war must agree a truce first.'
+  return null
+}
+
+/**
+ * Active treaties of the faction that holds `townName`, grouped by kind.
+ * @param {any} world
+ * @param {string} townName
+ */
+function getTownDiplomacy(world, townName) {
+  const view = { faction: '', wars: [], truces: [], alliances: [], tradePacts: [] }
+  const townFaction = findStoryFactionByTown(normalizeWorldStoryFactions(world?.factions), townName)
+  if (!townFaction) return view
+  view.faction = townFaction.name
+  const listByKind = { war: view.wars, truce: view.truces, alliance: view.alliances, trade_pact: view.tradePacts }
+  for (const treaty of normalizeWorldDiplomacy(world?.diplomacy).treaties) {
+    if (treaty.status !== 'active' || !treaty.factions.includes(townFaction.name)) continue
+    const other = treaty.factions.find(name => name !== townFaction.name)
+    if (other && !listByKind[treaty.kind].includes(other)) listByKind[treaty.kind].push(other)
+  }
+  for (const list of Object.values(listByKind)) list.sort((a, b) => a.localeCompare(b))
+  return view
+}
+
+/**
+ * @param {string[]} names
+ */
+function formatNameList(names) {
+  return names.length > 0 ? names.join('|') : '-'
+}
+
+/**
+ * @param {string} seed
+ * @param {string} pair
+ * @param {string} kind
+ * @param {number} day
+ */
+function createTreatyId(seed, pair, kind, day) {
+  const hashBase = shortStableHash(`${seed}:${pair}:${kind}:${day}:treaty`)
+  return asText(`tr_${hashBase}_${Math.max(0, day).toString(36)}`, `tr_${hashBase}`, 200)
+}
+
+/**
+ * @param {ReturnType<typeof normalizeTreaty>} treaty
+ */
+function describeTreatyStart(treaty) {
+  const [a, b] = treaty.factions
+  if (treaty.kind === 'war') return `${treaty.proposedBy} declares war on ${treaty.factions.find(name => name !== treaty.proposedBy)}.`
+  if (treaty.kind === 'truce') return `${a} and ${b} agree a truce.`
+  if (treaty.kind === 'alliance') return `${a} and ${b} seal an alliance.`
+  return `${a} and ${b} open a trade pact.`
+}
+
+/**
+ * Marks every other active treaty of the pair superseded, so a pair holds at
+ * most one active relation.
+ * @param {{treaties: any[]}} diplomacy
+ * @param {any} treaty
+ * @param {number} day
+ */
+function supersedePairTreaties(diplomacy, treaty, day) {
+  const pair = treaty.factions.join('|')
+  const superseded = []
+  for (const other of diplomacy.treaties) {
+    if (other.id === treaty.id || other.status !== 'active' || other.factions.join('|') !== pair) continue
+    other.status = 'superseded'
+    other.closedDay = day
+    superseded.push(other)
+  }
+  return superseded
+}
+
+/**
+ * Cancels still-offered route contracts running between towns of two factions
+ * that just went to war.
+ * @param {any} memory
+ * @param {string[]} factionNames
+ */
+function cancelWarRouteContracts(memory, factionNames) {
+  const factions = ensureWorldStoryFactions(memory.world)
+  const townsOf = (name) => normalizeStoryTownNames(factions[name]?.towns).map(town => town.toLowerCase())
+  const [townsA, townsB] = factionNames.map(townsOf)
+  const crossesFront = (from, to) => (townsA.includes(from) && townsB.includes(to)) || (townsB.includes(from) && townsA.includes(to))
+  const quests = ensureWorldQuests(memory.world)
+  const cancelled = []
+  for (let idx = 0; idx < quests.length; idx += 1) {
+    const quest = normalizeQuest(quests[idx])
+    if (!quest || !isContractQuest(quest) || quest.state !== 'offered' || quest.type !== 'visit_town') continue
+    const from = asText(quest.town, '', 80).toLowerCase()
+    const to = asText(quest.objective?.town, '', 80).toLowerCase()
+    if (!crossesFront(from, to)) continue
+    quests[idx] = { ...quest, state: 'cancelled' }
+    cancelled.push(quest.id)
+  }
+  return cancelled
+}
+
+/**
+ * @param {any} memory
+ * @param {any} treaty
+ * @param {{idPrefix: string, at: number, msg: string, action: string}} input
+ */
+function appendTreatyFeed(memory, treaty, input) {
+  const meta = {
+    treaty_id: treaty.id,
+    kind: treaty.kind,
+    factions: treaty.factions.join('|'),
+    status: treaty.status
+  }
+  appendChronicle(memory, {
+    id: `${input.idPrefix}:chronicle:diplomacy_${input.action}:${treaty.id.toLowerCase()}`,
+    type: 'diplomacy',
+    msg: input.msg,
+    at: input.at,
+    meta
+  })
+  appendNews(memory, {
+    id: `${input.idPrefix}:news:diplomacy_${input.action}:${treaty.id.toLowerCase()}`,
+    topic: 'faction',
+    msg: input.msg,
+    at: input.at,
+    meta
+  })
+}
+
+/**
+ * Makes a proposed (or declared) treaty active and applies its side effects.
+ * @param {any} memory
+ * @param {{treaties: any[]}} diplomacy the object held by memory.world.diplomacy
+ * @param {any} treaty
+ * @param {{idPrefix: string, at: number, day: number}} input
+ */
+function activateTreaty(memory, diplomacy, treaty, input) {
+  treaty.status = 'active'
+  treaty.startedDay = input.day
+  treaty.endsDay = treaty.durationDays ? input.day + treaty.durationDays : null
+  const superseded = supersedePairTreaties(diplomacy, treaty, input.day)
+  const cancelledContracts = treaty.kind === 'war' ? cancelWarRouteContracts(memory, treaty.factions) : []
+  const endsText = treaty.endsDay ? ` until day ${treaty.endsDay}` : ''
+  const termsText = treaty.terms ? ` Terms: ${treaty.terms}` : ''
+  appendTreatyFeed(memory, treaty, {
+    idPrefix: input.idPrefix,
+    at: input.at,
+    action: 'start',
+    msg: `DIPLOMACY: ${describeTreatyStart(treaty)}${endsText ? ` It holds${endsText}.` : ''}${termsText}`
+  })
+  return { superseded, cancelledContracts }
+}
+
+/**
+ * Lapses active treaties past `endsDay` and proposals nobody accepted in time.
+ * @param {any} memory
+ * @param {number} day
+ * @param {{idPrefix: string, at: number}} input
+ */
+function expireTreatiesForDay(memory, day, input) {
+  if (!memory.world.diplomacy) return []
+  const diplomacy = ensureWorldDiplomacy(memory.world)
+  const expired = []
+  for (const treaty of diplomacy.treaties) {
+    const lapsedProposal = treaty.status === 'proposed' && treaty.proposedDay + TREATY_PROPOSAL_DAYS < day
+    const lapsedTreaty = treaty.status === 'active' && treaty.endsDay !== null && treaty.endsDay < day
+    if (!lapsedProposal && !lapsedTreaty) continue
+    treaty.status = 'expired'
+    treaty.closedDay = day
+    expired.push(treaty)
+    if (!lapsedTreaty) continue
+    const [a, b] = treaty.factions
+    appendTreatyFeed(memory, treaty, {
+      idPrefix: input.idPrefix,
+      at: input.at,
+      action: 'expire',
+      msg: `DIPLOMACY: The ${treaty.kind.replace('_', ' ')} between ${a} and ${b} runs out.`
+    })
+  }
+  return expired
+}
+
+/**
+ * @param {unknown} value
+ */
+function normalizeClockAutoPhaseSeconds(value) {
+  const seconds = Number(value)
+  if (!Number.isInteger(seconds)) return DEFAULT_CLOCK_AUTO_PHASE_SECONDS
+  return clamp(seconds, MIN_CLOCK_AUTO_PHASE_SECONDS, MAX_CLOCK_AUTO_PHASE_SECONDS)
+}
+
+/**
+ * Scheduler settings for real-time clock advances. `anchor_at` is the wall
+ * time (ms) the current phase started; 0 means the scheduler has not anchored
+ * since the last `god clock auto` change. `generation` bumps on every change so
+ * scheduled operation ids never collide across on/off/rate cycles.
+ * @param {unknown} autoInput
+ */
+function normalizeClockAuto(autoInput) {
+  if (!autoInput || typeof autoInput !== 'object' || Array.isArray(autoInput)) return null
+  const anchorAt = Number(autoInput.anchor_at)
+  const ticks = Number(autoInput.ticks)
+  const generation = Number(autoInput.generation)
+  return {
+    enabled: autoInput.enabled === true,
+    phase_seconds: normalizeClockAutoPhaseSeconds(autoInput.phase_seconds),
+    anchor_at: Number.isInteger(anchorAt) && anchorAt >= 0 ? anchorAt : 0,
+    ticks: Number.isInteger(ticks) && ticks >= 0 ? ticks : 0,
+    generation: Number.isInteger(generation) && generation >= 0 ? generation : 0
+  }
+}
+
+/**
+ * Last Minecraft server day/phase mapped onto the engine clock. `epoch` bumps
+ * when the server clock runs backwards (`/time set`), so sync operation ids
+ * stay unique after the server day counter restarts.
+ * @param {unknown} serverInput
+ */
+function normalizeServerClock(serverInput) {
+  if (!serverInput || typeof serverInput !== 'object' || Array.isArray(serverInput)) return null
+  const epoch = Number(serverInput.epoch)
+  const day = Number(serverInput.day)
+  const phase = asText(serverInput.phase, '', 20).toLowerCase()
+  const at = Number(serverInput.at)
+  const ticks = Number(serverInput.ticks)
+  return {
+    epoch: Number.isInteger(epoch) && epoch >= 0 ? epoch : 0,
+    day: Number.isInteger(day) && day >= 0 ? day : 0,
+    phase: CLOCK_PHASES.has(phase) ? phase : 'day',
+    at: Number.isInteger(at) && at >= 0 ? at : 0,
+    ticks: Number.isInteger(ticks) && ticks >= 0 ? ticks : 0
+  }
+}
+
 /**
  * @param {unknown} clockInput
  */
@@ -1228,11 +1978,22 @@ function normalizeWorldClock(clockInput) {
   const phase = asText(source.phase, '', 20).toLowerCase()
   const season = asText(source.season, '', 20).toLowerCase()
   const updatedAt = normalizeIsoDate(source.updated_at) || new Date().toISOString()
+  const auto = normalizeClockAuto(source.auto)
+  const server = normalizeServerClock(source.server)
+  const safeDay = Number.isInteger(day) && day >= 1 ? day : 1
+  const seasonDay = Number(source.season_day)
+  const seasonLength = Number(source.season_length)
   return {
-    day: Number.isInteger(day) && day >= 1 ? day : 1,
+    day: safeDay,
     phase: CLOCK_PHASES.has(phase) ? phase : 'day',
     season: CLOCK_SEASONS.has(season) ? season : 'dawn',
-    updated_at: updatedAt
+    updated_at: updatedAt,
+    ...(Number.isInteger(seasonDay) && seasonDay >= 1 ? { season_day: Math.min(seasonDay, safeDay) } : {}),
+    ...(Number.isInteger(seasonLength) && seasonLength >= 1
+      ? { season_length: Math.min(seasonLength, MAX_SEASON_LENGTH_DAYS) }
+      : {}),
+    ...(auto ? { auto } : {}),
+    ...(server ? { server } : {})
   }
 }
 
@@ -1244,6 +2005,122 @@ function ensureWorldClock(world) {
   return world.clock
 }
 
+/**
+ * @param {ReturnType<typeof normalizeClockAuto>} auto
+ */
+function formatClockAutoLine(auto) {
+  return `GOD CLOCK AUTO: enabled=${auto.enabled} phase_seconds=${auto.phase_seconds} ticks=${auto.ticks} anchored=${auto.anchor_at > 0}`
+}
+
+/**
+ * @param {ReturnType<typeof normalizeServerClock>} server
+ */
+function formatServerClockLine(server) {
+  return `GOD CLOCK SERVER: epoch=${server.epoch} server_day=${server.day} server_phase=${server.phase} ticks=${server.ticks}`
+}
+
+/**
+ * @param {string} season
+ */
+function getSeasonRules(season) {
+  return SEASON_RULES[season] || SEASON_RULES.dawn
+}
+
+/**
+ * @param {string} season
+ */
+function nextSeasonAfter(season) {
+  const idx = SEASON_CYCLE.indexOf(season)
+  return SEASON_CYCLE[(idx + 1) % SEASON_CYCLE.length]
+}
+
+/**
+ * @param {ReturnType<typeof normalizeWorldClock>} clock
+ */
+function describeSeasonCycle(clock) {
+  const length = clock.season_length || DEFAULT_SEASON_LENGTH_DAYS
+  // Worlds saved before seasons tracked a start day are treated as starting one today.
+  const startDay = clock.season_day || clock.day
+  return {
+    season: clock.season,
+    dayInSeason: Math.max(1, clock.day - startDay + 1),
+    length,
+    next: nextSeasonAfter(clock.season),
+    summary: getSeasonRules(clock.season).summary
+  }
+}
+
+/**
+ * Season rollover happens at dawn once the current season has run its length.
+ * @param {ReturnType<typeof normalizeWorldClock>} clock
+ */
+function isSeasonRolloverDue(clock) {
+  const cycle = describeSeasonCycle(clock)
+  return clock.phase === 'day' && cycle.dayInSeason > cycle.length
+}
+
+/**
+ * @param {{stockpiles?: Record<string, number>, readiness?: Record<string, number>}[]} deltas
+ */
+function mergeAutonomyDeltas(deltas) {
+  const merged = { stockpiles: {}, readiness: {} }
+  for (const delta of deltas) {
+    for (const group of ['stockpiles', 'readiness']) {
+      for (const [key, value] of Object.entries(delta?.[group] || {})) {
+        merged[group][key] = Number(merged[group][key] || 0) + Number(value || 0)
+      }
+    }
+  }
+  return merged
+}
+
+/**
+ * @param {string} phase
+ * @param {string} season
+ */
+function getSeasonalAutonomyBaseline(phase, season) {
+  const phaseBaseline = AUTONOMY_PHASE_BASELINE[phase] || AUTONOMY_PHASE_BASELINE.day
+  const seasonal = getSeasonRules(season).autonomy[phase]
+  return seasonal ? mergeAutonomyDeltas([phaseBaseline, seasonal]) : phaseBaseline
+}
+
+/**
+ * @param {number} value
+ */
+function formatSignedDelta(value) {
+  return value > 0 ? `+${value}` : String(value)
+}
+
+/**
+ * @param {string} season
+ */
+function formatSeasonModifierSummary(season) {
+  const rules = getSeasonRules(season)
+  const market = rules.market.map(signal => `${signal.good}${formatSignedDelta(signal.delta)}`)
+  const autonomy = []
+  for (const phase of ['day', 'night']) {
+    const delta = rules.autonomy[phase]
+    if (!delta) continue
+    for (const group of ['stockpiles', 'readiness']) {
+      for (const [key, value] of Object.entries(delta[group] || {})) {
+        autonomy.push(`${phase}:${key}${formatSignedDelta(value)}`)
+      }
+    }
+  }
+  const nether = Object.entries(rules.netherWeights).map(([type, weight]) => `${type}x${weight}`)
+  const rumors = Object.values(rules.rumorTemplates).flat()
+  const list = (items) => (items.length > 0 ? items.join('|') : '-')
+  return `threat=+${rules.threat.nightRise}/-${rules.threat.dayFall} market=${list(market)} autonomy=${list(autonomy)} nether=${list(nether)} rumors=${list(rumors)}`
+}
+
+/**
+ * @param {ReturnType<typeof normalizeWorldClock>} clock
+ */
+function formatSeasonCycleLine(clock) {
+  const cycle = describeSeasonCycle(clock)
+  return `season=${cycle.season} day_in_season=${Math.min(cycle.dayInSeason, cycle.length)}/${cycle.length} next=${cycle.next} summary=${cycle.summary.replace(/\s+/g, '_')}`
+}
+
 /**
  * @param {unknown} threatInput
  */
@@ -1458,7 +2335,7 @@ function normalizeWorldEventMods(modsInput) {
   const mods = {}
   for (const [keyRaw, valueRaw] of Object.entries(modsInput)) {
     const key = asText(keyRaw, '', 80)
-    if (!key || !EVENT_MOD_KEYS.has(key)) continue
+    if (!key || !isEventModKey(key)) continue
     const value = Number(valueRaw)
     if (!Number.isFinite(value)) continue
     const safeValue = Math.trunc(value)
@@ -2173,10 +3050,13 @@ function getRouteRisk(townName, world) {
   const seasonBonus = clock.season === 'long_night' ? 10 : 0
   const phaseBonus = clock.phase === 'night' ? 15 : 0
   const fearWeight = Math.trunc(mood.fear / 2)
-  const score = clamp(threatLevel + fearWeight + seasonBonus + phaseBonus, 0, 100)
+  const diplomacy = getTownDiplomacy(world, resolvedTown)
+  const warBonus = diplomacy.wars.length > 0 ? DIPLOMACY_WAR_ROUTE_RISK : 0
+  const score = clamp(threatLevel + fearWeight + seasonBonus + phaseBonus + warBonus, 0, 100)
   const label = deriveThreatBand(score)
 
   const reasons = []
+  if (warBonus > 0) reasons.push(`war with ${diplomacy.wars.join('|')} closes the lanes`)
   if (clock.phase === 'night') reasons.push('avoid ridge lanes after dusk')
   if (clock.season === 'long_night') reasons.push('carry extra lanterns for long_night roads')
   if (threatLevel >= 55) reasons.push(`escort demand is high at threat ${threatLevel}`)
@@ -2246,9 +3126,8 @@ function getMarketPulse(townName, world) {
     applyMarketSignal(scoreByGood, 'iron', -1, 'safer roads reduce emergency demand')
   }
 
-  if (clock.season === 'long_night') {
-    applyMarketSignal(scoreByGood, 'lantern_oil', 1, 'long_night consumes lamp stocks')
-    applyMarketSignal(scoreByGood, 'timber', 1, 'long_night needs extra fuel')
+  for (const signal of getSeasonRules(clock.season).market) {
+    applyMarketSignal(scoreByGood, signal.good, signal.delta, signal.tag)
   }
   if (clock.phase === 'night') {
     applyMarketSignal(scoreByGood, 'lantern_oil', 1, 'night routes run by lantern')
@@ -2264,6 +3143,17 @@ function getMarketPulse(townName, world) {
     }
   }
 
+  // Real trades outweigh the deterministic day signal; unsold listings cool a good.
+  const volumes = getTownTradedVolumes(world, resolvedTown, clock.day)
+  for (const [good, units] of volumes) {
+    const delta = units >= 12 ? 3 : units >= 5 ? 2 : 1
+    applyMarketSignal(scoreByGood, good, delta, `${units} ${toMarketGoodLabel(good)} traded lately`)
+  }
+  for (const [good, units] of getTownListedSupply(world, resolvedTown)) {
+    if (units - Number(volumes.get(good) || 0) < 5) continue
+    applyMarketSignal(scoreByGood, good, -1, `${units} ${toMarketGoodLabel(good)} unsold on stalls`)
+  }
+
   const ranked = Array.from(scoreByGood.entries())
     .map(([good, entry]) => ({ good, score: Number(entry.score || 0), tags: entry.tags }))
     .sort((left, right) => {
@@ -2598,6 +3488,9 @@ function deriveTownGateState(input) {
   const phase = asText(input?.phase, 'day', 20).toLowerCase()
   const projectVisibility = Math.max(0, Math.trunc(Number(input?.projectVisibility || 0)))
   const projectSanctity = Math.max(0, Math.trunc(Number(input?.projectSanctity || 0)))
+  const warFronts = clamp(Math.trunc(Number(input?.warFronts || 0)), 0, 2)
+  const alliances = Math.max(0, Math.trunc(Number(input?.alliances || 0)))
+  const diplomacyPressure = (warFronts * DIPLOMACY_WAR_GATE_PRESSURE) - (alliances > 0 ? DIPLOMACY_ALLIANCE_GATE_RELIEF : 0)
 
   const netherPressure = latestNetherType === 'THREAT_SURGE'
     ? 24
@@ -2633,6 +3526,7 @@ function deriveTownGateState(input) {
     + raidPressure
     - Math.trunc(projectVisibility * 1.5)
     - Math.trunc(projectSanctity * 1.2)
+    + diplomacyPressure
   const pressure = clamp(Math.trunc((current.pressure * 0.4) + (computedPressure * 0.6)), 0, 100)
   const status = pressure >= 86
     ? 'breach_risk'
@@ -2738,6 +3632,7 @@ function runTownGateEscalation(memory, input) {
       projectRations: projectModifiers.rations
     })
     const latestRaid = findLatestRaidImpact(state.recentImpacts)
+    const diplomacy = getTownDiplomacy(memory.world, townName)
     const previousGate = normalizeTownGate(state.gate)
     const nextGate = deriveTownGateState({
       gate: previousGate,
@@ -2754,6 +3649,8 @@ function runTownGateEscalation(memory, input) {
       lastRaidOutcome: asText(latestRaid?.summary, '', 80).replace(/^raid_/, ''),
       projectVisibility: projectModifiers.visibility,
       projectSanctity: projectModifiers.sanctity,
+      warFronts: diplomacy.wars.length,
+      alliances: diplomacy.alliances.length,
       phase: clock.phase
     })
     const shouldAnnounce = previousGate.status !== nextGate.status
@@ -3079,10 +3976,12 @@ function resolveDefaultContractOwner(snapshot, runtimeAgents) {
  * @param {string} townName
  * @param {number} day
  */
-function pickContractRouteTarget(towns, townName, day) {
+function pickContractRouteTarget(towns, townName, day, world = null) {
+  const enemies = world ? getTownDiplomacy(world, townName).wars : []
   const others = (towns || [])
     .map(town => asText(town?.townName, '', 80))
     .filter(name => name && !sameText(name, townName, 80))
+    .filter(name => enemies.length === 0 || !enemies.includes(getTownDiplomacy(world, name).faction))
     .sort((a, b) => a.localeCompare(b))
   if (others.length === 0) return ''
   const idx = stableHashNumber(`${townName}:${day}:route`) % others.length
@@ -3164,7 +4063,8 @@ function buildContractDraft(world, townName, towns, day, slot) {
 
   const tradeTemplate = pickTradeContractTemplate(townName, day, slot, risk.label, hotGoodKey) || CONTRACT_TRADE_TEMPLATES[0]
   const tradeNBase = Number.isInteger(tradeTemplate.tradeN) ? tradeTemplate.tradeN : 1
-  const tradeN = clamp(tradeNBase, 1, 3)
+  const hotVolume = Number(getTownTradedVolumes(world, townName, clock.day).get(hotGoodKey) || 0)
+  const tradeN = clamp(tradeNBase + (hotVolume >= 5 ? 1 : 0), 1, 3)
   const tradeFlavor = toContractFlavor(clock.phase, tradeTemplate)
 
   if (slot === 0) {
@@ -3188,14 +4088,17 @@ function buildContractDraft(world, townName, towns, day, slot) {
     }
   }
 
-  const routeTown = pickContractRouteTarget(towns, townName, day)
+  const routeTown = pickContractRouteTarget(towns, townName, day, world)
   if (routeTown) {
     const routeTemplate = pickRouteContractTemplate(townName, day, slot, risk.label) || CONTRACT_ROUTE_TEMPLATES[0]
     const routeFlavor = toContractFlavor(clock.phase, routeTemplate)
+    const pactBonus = getTownDiplomacy(world, townName).tradePacts.includes(getTownDiplomacy(world, routeTown).faction)
+      ? DIPLOMACY_TRADE_PACT_ROUTE_BONUS
+      : 0
     return {
       kind: asText(routeTemplate.kind, 'contract_delivery', 40),
       type: 'visit_town',
-      reward: clamp(Number(routeTemplate.rewardBase || 3) + riskBonus, CONTRACT_REWARD_MIN, CONTRACT_REWARD_MAX),
+      reward: clamp(Number(routeTemplate.rewardBase || 3) + riskBonus + pactBonus, CONTRACT_REWARD_MIN, CONTRACT_REWARD_MAX),
       objective: { kind: 'visit_town', town: routeTown },
       progress: { visited: false },
       title: asText(routeTemplate.title, 'CONTRACT: Caravan Route', 120),
@@ -3464,13 +4367,16 @@ function summarizeEventMods(mods) {
 
 /**
  * @param {any} event
- * @param {{templateKey?: string, templateKeys?: string[]}} autoRumorConfig
+ * @param {{kind?: string, templateKey?: string, templateKeys?: string[]}} autoRumorConfig
+ * @param {string} [season]
  */
-function pickAutoRumorTemplateKey(event, autoRumorConfig) {
+function pickAutoRumorTemplateKey(event, autoRumorConfig, season) {
   const list = []
   const primary = asText(autoRumorConfig?.templateKey, '', 80)
   if (primary) list.push(primary)
-  for (const key of (Array.isArray(autoRumorConfig?.templateKeys) ? autoRumorConfig.templateKeys : [])) {
+  const seasonalKeys = getSeasonRules(season).rumorTemplates[autoRumorConfig?.kind] || []
+  const configuredKeys = Array.isArray(autoRumorConfig?.templateKeys) ? autoRumorConfig.templateKeys : []
+  for (const key of [...configuredKeys, ...seasonalKeys]) {
     const safe = asText(key, '', 80)
     if (!safe) continue
     if (list.some(item => sameText(item, safe, 80))) continue
@@ -3612,7 +4518,7 @@ function drawAndApplyWorldEvent(memory, input) {
   let spawnedRumor = null
   const autoRumorConfig = EVENT_TO_AUTO_RUMOR[event.type]
   if (autoRumorConfig) {
-    const templateKey = pickAutoRumorTemplateKey(event, autoRumorConfig)
+    const templateKey = pickAutoRumorTemplateKey(event, autoRumorConfig, clock.season)
     if (templateKey) {
       spawnedRumor = spawnWorldRumor(memory, {
         townName,
@@ -3661,7 +4567,7 @@ function drawAndApplyWorldEvent(memory, input) {
 function findStoryFactionByTown(factions, townName) {
   const target = asText(townName, '', 80).toLowerCase()
   if (!target) return null
-  for (const factionName of STORY_FACTION_NAMES) {
+  for (const factionName of listStoryFactionNames(factions)) {
     const faction = factions[factionName]
     if (!faction || typeof faction !== 'object' || Array.isArray(faction)) continue
     const towns = normalizeStoryTownNames(faction.towns)
@@ -3790,8 +4696,10 @@ function normalizeQuestObjectiveProgress(type, objectiveInput, progressInput) {
     if (kind !== 'trade_n') return null
     if (!Number.isInteger(n) || n < 1) return null
     if (!Number.isInteger(done) || done < 0) return null
+    const good = normalizeGoodKey(objective.good)
     const nextObjective = { kind: 'trade_n', n }
     if (market) nextObjective.market = market
+    if (good) nextObjective.good = good
     return {
       objective: nextObjective,
       progress: { done }
@@ -3826,8 +4734,10 @@ function normalizeQuestObjectiveProgress(type, objectiveInput, progressInput) {
       const done = Number(progress.done)
       if (!Number.isInteger(n) || n < 1) return null
       if (!Number.isInteger(done) || done < 0) return null
+      const good = normalizeGoodKey(objective.good)
       normalizedObjective.n = n
       if (market) normalizedObjective.market = market
+      if (good) normalizedObjective.good = good
       return {
         objective: normalizedObjective,
         progress: { done }
@@ -3904,9 +4814,36 @@ function normalizeQuest(entry) {
   if (acceptedAt) quest.accepted_at = acceptedAt
   if (owner) quest.owner = owner
   if (meta) quest.meta = meta
+  const progressLog = normalizeQuestProgressLog(entry.progress_log)
+  if (progressLog.length > 0) quest.progress_log = progressLog
   return quest
 }
 
+/**
+ * One line per trade event that moved a trade quest, newest last.
+ * @param {unknown} logInput
+ */
+function normalizeQuestProgressLog(logInput) {
+  return (Array.isArray(logInput) ? logInput : [])
+    .map((entry) => {
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return null
+      const tradeEventId = asText(entry.trade_event_id, '', 200)
+      const day = Number(entry.day)
+      const amount = Number(entry.amount)
+      const done = Number(entry.done)
+      const market = asText(entry.market, '', 80)
+      if (!tradeEventId || !market) return null
+      if (!Number.isInteger(day) || day < 0 || !Number.isInteger(amount) || amount <= 0) return null
+      if (!Number.isInteger(done) || done < 0) return null
+      const logEntry = { trade_event_id: tradeEventId, day, market, amount, done }
+      const good = normalizeGoodKey(entry.good)
+      if (good) logEntry.good = good
+      return logEntry
+    })
+    .filter(Boolean)
+    .slice(-QUEST_PROGRESS_LOG_MAX)
+}
+
 /**
  * @param {unknown} questsInput
  */
@@ -4198,7 +5135,7 @@ function buildTownsfolkQuestDraft(world, townName, npcName) {
     }
   }
 
-  const targetTown = pickContractRouteTarget(towns, townName, day) || townName
+  const targetTown = pickContractRouteTarget(towns, townName, day, world) || townName
   return {
     id: questId,
     type: 'visit_town',
@@ -4396,15 +5333,26 @@ function drawNetherEventCount(nether, day) {
 }
 
 /**
+ * Seasons reweight the deck; types without a season weight count once.
  * @param {any} nether
  * @param {number} day
  * @param {number} drawIndex
+ * @param {string} [season]
  */
-function drawNetherEventType(nether, day, drawIndex) {
+function drawNetherEventType(nether, day, drawIndex, season) {
   const seed = Number(nether?.deckState?.seed || 1337)
   const cursor = Number(nether?.deckState?.cursor || 0)
-  const idx = stableHashNumber(`${seed}:${day}:${cursor}:${drawIndex}:nether_type`) % NETHER_EVENT_TYPE_ORDER.length
-  return NETHER_EVENT_TYPE_ORDER[idx] || NETHER_EVENT_TYPE_ORDER[0]
+  const weights = getSeasonRules(season).netherWeights
+  const weighted = NETHER_EVENT_TYPE_ORDER
+    .map(type => ({ type, weight: Number.isInteger(weights[type]) ? weights[type] : 1 }))
+    .filter(entry => entry.weight > 0)
+  const total = weighted.reduce((sum, entry) => sum + entry.weight, 0)
+  let pick = stableHashNumber(`${seed}:${day}:${cursor}:${drawIndex}:nether_type`) % total
+  for (const entry of weighted) {
+    if (pick < entry.weight) return entry.type
+    pick -= entry.weight
+  }
+  return NETHER_EVENT_TYPE_ORDER[0]
 }
 
 /**
@@ -4553,12 +5501,13 @@ function tickNetherForDay(memory, input) {
   const nether = ensureWorldNether(memory.world)
   if (day <= Number(nether.lastTickDay || 0)) return []
 
+  const season = normalizeWorldClock(memory.world?.clock).season
   const drawCount = drawNetherEventCount(nether, day)
   const applied = []
   for (let drawIdx = 0; drawIdx < drawCount; drawIdx += 1) {
     const seed = Number(nether.deckState.seed || 1337)
     const cursor = Number(nether.deckState.cursor || 0)
-    const type = drawNetherEventType(nether, day, drawIdx)
+    const type = drawNetherEventType(nether, day, drawIdx, season)
     const eventId = createNetherEventId(day, type, seed, cursor)
     nether.deckState.cursor = cursor + 1
     if (hasNetherLedgerEntry(nether.eventLedger, eventId)) continue
@@ -4721,6 +5670,11 @@ function normalizeProject(projectInput) {
     startedAtDay,
     updatedAtDay
   }
+  const contributed = normalizeMajorMissionPayload(projectInput.contributed, MAX_PROJECT_REQUIREMENTS_KEYS)
+  for (const [good, qty] of Object.entries(contributed)) {
+    if (!Number.isInteger(qty) || qty <= 0) delete contributed[good]
+  }
+  if (Object.keys(contributed).length > 0) project.contributed = contributed
   if (supportsMajorMissionId) project.supportsMajorMissionId = supportsMajorMissionId
   return project
 }
@@ -4856,6 +5810,104 @@ function buildProjectDraft(world, townName, projectType) {
   return project
 }
 
+/**
+ * Materials one stage of a project consumes, e.g. `{timber: 2, iron: 1}`.
+ * @param {any} project
+ * @returns {Record<string, number>}
+ */
+function getProjectMaterialNeeds(project) {
+  const needs = {}
+  for (const [good, qty] of Object.entries(project?.requirements || {})) {
+    if (!Object.prototype.hasOwnProperty.call(PROJECT_MATERIAL_STOCKPILE_KEYS, good)) continue
+    if (!Number.isInteger(qty) || qty <= 0) continue
+    needs[good] = qty
+  }
+  return needs
+}
+
+/**
+ * Stage transitions still ahead of a project: the remaining advances plus completion.
+ * @param {any} project
+ */
+function countProjectStagesLeft(project) {
+  return Math.max(0, PROJECT_STAGE_MAX - Number(project?.stage || 0)) + 1
+}
+
+/**
+ * Work out how the next stage would be paid: contributed goods first, then
+ * the town stockpile mapped to each good. Anything left over is `missing`.
+ * @param {any} world
+ * @param {any} project
+ */
+function planProjectStageDebit(world, project) {
+  const stockpiles = normalizeTownStockpiles(world?.towns?.[project.townId]?.stockpiles)
+  const contributed = project.contributed || {}
+  const fromContributed = {}
+  const fromStockpiles = {}
+  const missing = {}
+  for (const [good, qty] of Object.entries(getProjectMaterialNeeds(project))) {
+    const pooled = Math.min(Number(contributed[good] || 0), qty)
+    if (pooled > 0) fromContributed[good] = pooled
+    let rest = qty - pooled
+    const stockKey = PROJECT_MATERIAL_STOCKPILE_KEYS[good]
+    if (stockKey && rest > 0) {
+      const available = Number(stockpiles[stockKey] || 0) - Number(fromStockpiles[stockKey] || 0)
+      const taken = Math.max(0, Math.min(available, rest))
+      if (taken > 0) fromStockpiles[stockKey] = Number(fromStockpiles[stockKey] || 0) + taken
+      rest -= taken
+    }
+    if (rest > 0) missing[good] = rest
+  }
+  return { fromContributed, fromStockpiles, missing }
+}
+
+/**
+ * @param {Record<string, number>} amounts
+ */
+function formatGoodAmounts(amounts) {
+  const entries = Object.entries(amounts || {})
+  if (entries.length === 0) return '-'
+  return entries.map(([key, qty]) => `${key}:${qty}`).join(',')
+}
+
+/**
+ * Debit a planned stage from the project's contribution pool and the town stockpiles.
+ * @param {any} memory
+ * @param {any} project
+ * @param {{fromContributed: Record<string, number>, fromStockpiles: Record<string, number>}} plan
+ */
+function applyProjectStageDebit(memory, project, plan) {
+  const contributed = { ...(project.contributed || {}) }
+  for (const [good, qty] of Object.entries(plan.fromContributed)) {
+    const next = Number(contributed[good] || 0) - qty
+    if (next > 0) contributed[good] = next
+    else delete contributed[good]
+  }
+  if (Object.keys(contributed).length > 0) project.contributed = contributed
+  else delete project.contributed
+  if (Object.keys(plan.fromStockpiles).length === 0) return
+  const stockpiles = {}
+  for (const [key, qty] of Object.entries(plan.fromStockpiles)) stockpiles[key] = -qty
+  applyTownAutonomyDelta(memory, { townName: project.townId, stockpiles })
+}
+
+/**
+ * @param {any} world
+ * @param {any} project
+ */
+function assertProjectStageAffordable(world, project) {
+  const plan = planProjectStageDebit(world, project)
+  if (Object.keys(plan.missing).length > 0) {
+    throw new AppError({
+      code: 'PROJECT_BLOCKED',
+      message: `Project stage blocked: ${project.id}`,
+      recoverable: true,
+      metadata: { missing: formatGoodAmounts(plan.missing) }
+    })
+  }
+  return plan
+}
+
 /**
  * @param {any} world
  */
@@ -5369,7 +6421,7 @@ function runTownAutonomyTick(memory, input) {
   for (const townName of Object.keys(towns)) {
     const homePriority = Number(playersByTown[townName] || 0) > 0
     const mode = homePriority ? SUPPORT_ORDER_PRIORITY_HOME : SUPPORT_ORDER_PRIORITY_ALLIED
-    const phaseBaseline = AUTONOMY_PHASE_BASELINE[clock.phase] || AUTONOMY_PHASE_BASELINE.day
+    const phaseBaseline = getSeasonalAutonomyBaseline(clock.phase, clock.season)
     const threatLevel = clamp(Math.trunc(Number(threat.byTown?.[townName] || 0)), 0, 100)
     const threatBand = Math.trunc(threatLevel / 25)
     const activeProject = findActiveSupportProject(memory.world, townName)
@@ -5788,8 +6840,16 @@ function buildSalvageOutcome(world, input) {
   const seed = deriveNetherSeed(world)
   const roll = stableHashNumber(`${seed}:${townName}:${targetKey}:${outcomeKey}:${day}:salvage_result`)
   const bonus = roll % 2
+  const supplies = Math.max(0, Number(targetConfig.supplyBase || 0) + Number(outcomeConfig.supplies || 0) + bonus)
+  const stockpileKeys = targetConfig.stockpiles || []
+  const credits = {}
+  stockpileKeys.forEach((key, idx) => {
+    const share = Math.floor(supplies / stockpileKeys.length) + (idx < supplies % stockpileKeys.length ? 1 : 0)
+    if (share > 0) credits[`stockpile_${key}`] = share
+  })
   return {
-    supplies: Math.max(0, Number(targetConfig.supplyBase || 0) + Number(outcomeConfig.supplies || 0) + bonus),
+    supplies,
+    ...credits,
     hopeDelta: Math.trunc(Number(outcomeConfig.hopeDelta || 0)),
     dreadDelta: Math.trunc(Number(outcomeConfig.dreadDelta || 0) + Number(targetConfig.pressure || 0)),
     threatDelta: Math.trunc(Number(outcomeConfig.threatDelta || 0)),
@@ -6897,17 +7957,38 @@ function buildSalvageStatusMessage(townName, run) {
 }
 
 /**
+ * Stockpile keys a resolved run credits, read from its `stockpile_<key>` results.
+ * @param {any} run
+ * @returns {Record<string, number>}
+ */
+function getSalvageStockpileCredits(run) {
+  const credits = {}
+  for (const [key, value] of Object.entries(run?.result || {})) {
+    if (!key.startsWith('stockpile_')) continue
+    const stockKey = key.slice('stockpile_'.length)
+    if (!TOWN_STOCKPILE_KEYS.includes(stockKey) || !Number.isInteger(value) || value <= 0) continue
+    credits[stockKey] = value
+  }
+  return credits
+}
+
+/**
+ * Apply a resolved run to its town. With a crew agent, stockpile credits that
+ * are also market goods go to that agent's inventory instead of the town.
  * @param {any} memory
  * @param {any} run
- * @param {{idPrefix: string}} input
+ * @param {{idPrefix: string, crewName?: string | null}} input
+ * @returns {{stockpiles: Record<string, number>, haul: Record<string, number>}}
  */
 function applySalvageResolutionEffects(memory, run, input) {
+  const applied = { stockpiles: {}, haul: {} }
   const normalized = normalizeSalvageRun(run)
-  if (!normalized || normalized.status !== 'resolved') return
+  if (!normalized || normalized.status !== 'resolved') return applied
   const townName = asText(normalized.townId, '', 80)
-  if (!townName) return
+  if (!townName) return applied
   const idPrefix = asText(input?.idPrefix, '', 200)
-  if (!idPrefix) return
+  if (!idPrefix) return applied
+  const crewName = asText(input?.crewName, '', 80)
   const hopeDelta = Math.trunc(Number(normalized.result.hopeDelta || 0))
   const dreadDelta = Math.trunc(Number(normalized.result.dreadDelta || 0))
   const threatDelta = Math.trunc(Number(normalized.result.threatDelta || 0))
@@ -6921,6 +8002,18 @@ function applySalvageResolutionEffects(memory, run, input) {
     const nether = ensureWorldNether(memory.world)
     nether.modifiers = applyNetherModifierDeltas(nether.modifiers, { scarcity: scarcityDelta })
   }
+  for (const [stockKey, amount] of Object.entries(getSalvageStockpileCredits(normalized))) {
+    const good = crewName ? SALVAGE_HAUL_GOODS[stockKey] : null
+    if (good) {
+      adjustInventory(ensureWorldEconomy(memory.world), crewName, good, amount)
+      applied.haul[good] = Number(applied.haul[good] || 0) + amount
+    } else {
+      applied.stockpiles[stockKey] = amount
+    }
+  }
+  if (Object.keys(applied.stockpiles).length > 0) {
+    applyTownAutonomyDelta(memory, { townName, stockpiles: applied.stockpiles })
+  }
   applyTownPressureDelta(memory, {
     townName,
     delta: { hope: hopeDelta, dread: dreadDelta },
@@ -6931,6 +8024,7 @@ function applySalvageResolutionEffects(memory, run, input) {
     projectId: asText(normalized.supportsProjectId, '', 200) || undefined,
     salvageRunId: normalized.id
   })
+  return applied
 }
 
 /**
@@ -7103,6 +8197,16 @@ function isQuestObjectiveSatisfied(quest) {
   return false
 }
 
+/**
+ * @param {any} quest
+ * @param {string} label
+ */
+function formatQuestProgressLog(quest, label) {
+  return (Array.isArray(quest?.progress_log) ? quest.progress_log : []).map(entry => (
+    `${label}: day=${entry.day} trade_event=${entry.trade_event_id} market=${entry.market} good=${entry.good || '-'} amount=${entry.amount} done=${entry.done}`
+  ))
+}
+
 /**
  * @param {any} quest
  */
@@ -7155,14 +8259,16 @@ function completeQuestAndReward(quest, townFallback, at, idPrefix, memory) {
   const clock = ensureWorldClock(memory.world)
   const town = asText(normalized.town, '', 80) || asText(townFallback, '', 80) || '-'
   const activeEvents = findActiveEventsForTown(memory.world, town, clock.day)
-  const ironPactRepBonus = sumEventModifier(activeEvents, 'iron_pact_rep_bonus')
-  const veilChurchRepBonus = sumEventModifier(activeEvents, 'veil_church_rep_bonus')
   const storyFactions = ensureWorldStoryFactions(memory.world)
+  const eventRepBonus = {}
+  for (const factionName of listStoryFactionNames(storyFactions)) {
+    const bonus = sumEventModifier(activeEvents, `${factionName}${REP_BONUS_MOD_SUFFIX}`)
+    if (bonus !== 0) eventRepBonus[factionName] = bonus
+  }
   const townFaction = findStoryFactionByTown(storyFactions, town)
   const rumorQuestFactionBonus = (
     normalized.type === 'rumor_task'
     && townFaction
-    && STORY_FACTION_NAME_SET.has(townFaction.name)
   )
     ? { [townFaction.name]: 1 }
     : {}
@@ -7176,16 +8282,12 @@ function completeQuestAndReward(quest, townFallback, at, idPrefix, memory) {
   }
   const profile = ensureAgentStoryProfile(ensureAgentProfile(memory, ownerName))
   if (
-    ironPactRepBonus !== 0
-    || veilChurchRepBonus !== 0
+    Object.keys(eventRepBonus).length > 0
     || Object.keys(rumorQuestFactionBonus).length > 0
   ) {
     const rep = normalizeAgentRep(profile.rep)
-    if (ironPactRepBonus !== 0) {
-      rep.iron_pact = Number(rep.iron_pact || 0) + ironPactRepBonus
-    }
-    if (veilChurchRepBonus !== 0) {
-      rep.veil_church = Number(rep.veil_church || 0) + veilChurchRepBonus
+    for (const [factionName, bonus] of Object.entries(eventRepBonus)) {
+      rep[factionName] = Number(rep[factionName] || 0) + bonus
     }
     for (const [factionName, delta] of Object.entries(rumorQuestFactionBonus)) {
       rep[factionName] = Number(rep[factionName] || 0) + Number(delta || 0)
@@ -7216,11 +8318,18 @@ function completeQuestAndReward(quest, townFallback, at, idPrefix, memory) {
 
   normalized.state = 'completed'
   const repParts = []
-  if (ironPactRepBonus > 0) repParts.push(`+${ironPactRepBonus} iron_pact rep`)
-  if (veilChurchRepBonus > 0) repParts.push(`+${veilChurchRepBonus} veil_church rep`)
+  for (const [factionName, bonus] of Object.entries(eventRepBonus)) {
+    if (bonus > 0) repParts.push(`+${bonus} ${factionName} rep`)
+  }
   for (const [factionName, delta] of Object.entries(rumorQuestFactionBonus)) {
     if (delta > 0) repParts.push(`+${delta} ${factionName} rep`)
   }
+  // Built-in bonus fields stay in the meta even at zero for older readers.
+  const questRepBonusMeta = {}
+  for (const factionName of listStoryFactionNames(storyFactions)) {
+    const bonus = Number(eventRepBonus[factionName] || 0)
+    if (bonus !== 0 || STORY_FACTION_DEFAULTS[factionName]) questRepBonusMeta[`${factionName}${REP_BONUS_MOD_SUFFIX}`] = bonus
+  }
   const msg = `QUEST: ${ownerName} completed ${normalized.id} (+${reward} emeralds${repParts.length ? `, ${repParts.join(', ')}` : ''})`
   appendChronicle(memory, {
     id: `${idPrefix}:chronicle:quest_complete:${normalized.id.toLowerCase()}`,
@@ -7232,8 +8341,7 @@ function completeQuestAndReward(quest, townFallback, at, idPrefix, memory) {
       quest_id: normalized.id,
       owner: ownerName,
       reward,
-      iron_pact_rep_bonus: ironPactRepBonus,
-      veil_church_rep_bonus: veilChurchRepBonus,
+      ...questRepBonusMeta,
       rumor_id: normalized.rumor_id || ''
     }
   })
@@ -7247,8 +8355,7 @@ function completeQuestAndReward(quest, townFallback, at, idPrefix, memory) {
       quest_id: normalized.id,
       owner: ownerName,
       reward,
-      iron_pact_rep_bonus: ironPactRepBonus,
-      veil_church_rep_bonus: veilChurchRepBonus,
+      ...questRepBonusMeta,
       rumor_id: normalized.rumor_id || ''
     }
   })
@@ -7272,6 +8379,65 @@ function completeQuestAndReward(quest, townFallback, at, idPrefix, memory) {
   return normalized
 }
 
+/**
+ * Move every accepted trade quest or contract the trade's buyer owns, as
+ * long as its market and good filters match the trade. Each advanced quest
+ * logs the trade event; quests that reach `n` are completed and paid.
+ * @param {any} memory
+ * @param {ReturnType<typeof normalizeTradeEvent>} tradeEvent
+ * @param {{idPrefix: string, at: number}} input
+ * @returns {{advanced: string[], completed: string[]}}
+ */
+function advanceTradeQuests(memory, tradeEvent, input) {
+  const advanced = []
+  const completed = []
+  const quests = ensureWorldQuests(memory.world)
+  for (let questIdx = 0; questIdx < quests.length; questIdx += 1) {
+    const quest = normalizeQuest(quests[questIdx])
+    if (!quest) continue
+    const rumorTask = asText(quest.objective?.rumor_task, '', 20).toLowerCase()
+    const isTradeQuest = quest.type === 'trade_n'
+      || (quest.type === 'rumor_task' && rumorTask === 'rumor_trade')
+    if (!isTradeQuest) continue
+    if (!QUEST_ACTIVE_STATES.has(quest.state)) continue
+    if (!sameText(quest.owner, tradeEvent.buyer, 80)) continue
+    const objectiveMarket = asText(quest.objective.market, '', 80)
+    if (objectiveMarket && !sameText(objectiveMarket, tradeEvent.market, 80)) continue
+    const objectiveGood = asText(quest.objective.good, '', 40)
+    if (objectiveGood && objectiveGood !== tradeEvent.good) continue
+
+    const nextDone = Number(quest.progress.done || 0) + 1
+    quest.progress = { done: nextDone }
+    quest.progress_log = normalizeQuestProgressLog([
+      ...(quest.progress_log || []),
+      {
+        trade_event_id: tradeEvent.id,
+        day: tradeEvent.day,
+        market: tradeEvent.market,
+        good: tradeEvent.good,
+        amount: tradeEvent.amount,
+        done: nextDone
+      }
+    ])
+    if (quest.state === 'accepted') quest.state = 'in_progress'
+    advanced.push(quest.id)
+    if (nextDone >= Number(quest.objective.n || 0)) {
+      const completedQuest = completeQuestAndReward(
+        quest,
+        asText(quest.town, '', 80) || tradeEvent.town || null,
+        input.at,
+        input.idPrefix,
+        memory
+      )
+      quests[questIdx] = completedQuest
+      completed.push(completedQuest.id)
+      continue
+    }
+    quests[questIdx] = quest
+  }
+  return { advanced, completed }
+}
+
 /**
  * @param {'trade_n' | 'visit_town'} type
  * @param {string} sourceTown
@@ -7281,10 +8447,12 @@ function buildQuestFlavor(type, sourceTown, objective) {
   if (type === 'trade_n') {
     const n = Number(objective.n || 0)
     const market = asText(objective.market, '', 80)
+    const good = asText(objective.good, '', 40)
+    const lots = `${n} ${good ? `${toMarketGoodLabel(good)} ` : ''}lot${n === 1 ? '' : 's'}`
     const title = 'Supply Run'
     const desc = market
-      ? `Buy ${n} lot${n === 1 ? '' : 's'} at ${market} for town ${sourceTown}.`
-      : `Buy ${n} lot${n === 1 ? '' : 's'} for town ${sourceTown}.`
+      ? `Buy ${lots} at ${market} for town ${sourceTown}.`
+      : `Buy ${lots} for town ${sourceTown}.`
     return {
       title: asText(title, 'Supply Run', 120),
       desc: asText(desc, `Buy ${n} lots.`, 120)
@@ -7463,6 +8631,7 @@ function applyDecisionChoiceEffects(memory, decision, option, input) {
     const towns = deriveTownsFromMarkers(memory.world?.markers || [])
     const town = findTownByName(towns, normalizedDecision.town)
     const markerName = asText(town?.marker?.name, '', 80)
+    const storyFactionNames = new Set(listStoryFactionNames(ensureWorldStoryFactions(memory.world)))
     for (const [agentName, record] of Object.entries(memory.agents || {})) {
       const homeMarker = asText(record?.profile?.job?.home_marker, '', 80)
       if (markerName && !sameText(homeMarker, markerName, 80)) continue
@@ -7470,7 +8639,7 @@ function applyDecisionChoiceEffects(memory, decision, option, input) {
       const rep = normalizeAgentRep(profile.rep)
       let changed = false
       for (const [factionName, delta] of Object.entries(effects.rep_delta)) {
-        if (!STORY_FACTION_NAME_SET.has(factionName)) continue
+        if (!storyFactionNames.has(factionName)) continue
         if (!Number.isInteger(delta) || delta === 0) continue
         rep[factionName] = Number(rep[factionName] || 0) + delta
         changed = true
@@ -7783,6 +8952,108 @@ function asPositiveIntegerAmount(value) {
   return amount
 }
 
+/**
+ * @param {string} section
+ * @param {string} key
+ * @param {{id: string}} pack
+ */
+function contentPackConflict(section, key, pack) {
+  return new AppError({
+    code: 'CONTENT_PACK_CONFLICT',
+    message: `Content pack ${pack.id} redefines built-in ${section} ${key}.`,
+    recoverable: false,
+    metadata: { packId: pack.id, section, key }
+  })
+}
+
+/**
+ * Add a validated content bundle (see contentPacks.js) to the built-in
+ * rumor, event, mission, project and salvage tables. Everything is checked
+ * before anything is added, so a rejected bundle leaves the tables untouched.
+ * Registering the same bundle again is a no-op.
+ * @param {{hash: string, packs: any[]}} bundle
+ */
+function registerContentPacks(bundle) {
+  const packs = Array.isArray(bundle?.packs) ? bundle.packs : []
+  if (installedContentPacks) {
+    if (installedContentPacks.hash === bundle?.hash) return installedContentPacks
+    throw new AppError({
+      code: 'CONTENT_PACK_CONFLICT',
+      message: 'A different content pack bundle is already registered.',
+      recoverable: false,
+      metadata: { installedHash: installedContentPacks.hash, hash: asText(bundle?.hash, '', 80) }
+    })
+  }
+
+  const packRumorKeys = new Set(packs.flatMap(pack => pack.rumors.map(rumor => `${rumor.kind}.${rumor.key}`)))
+  for (const pack of packs) {
+    for (const rumor of pack.rumors) {
+      if (RUMOR_TEMPLATE_LIBRARY[rumor.kind]?.[rumor.key]) throw contentPackConflict('rumor', `${rumor.kind}.${rumor.key}`, pack)
+    }
+    for (const event of pack.events) {
+      if (EVENT_TYPES.has(event.type)) throw contentPackConflict('event', event.type, pack)
+      for (const templateKey of event.rumor?.templateKeys || []) {
+        if (RUMOR_TEMPLATE_LIBRARY[event.rumor.kind]?.[templateKey] || packRumorKeys.has(`${event.rumor.kind}.${templateKey}`)) continue
+        throw new AppError({
+          code: 'CONTENT_PACK_INVALID',
+          message: `Content pack ${pack.id} event ${event.type} names unknown ${event.rumor.kind} rumor ${templateKey}.`,
+          recoverable: false,
+          metadata: { packId: pack.id, event: event.type, templateKey }
+        })
+      }
+    }
+    for (const mission of pack.missions) {
+      if (findMajorMissionTemplateById(mission.id)) throw contentPackConflict('mission', mission.id, pack)
+    }
+    for (const project of pack.projects) {
+      if (PROJECT_TYPES.has(project.type)) throw contentPackConflict('project', project.type, pack)
+    }
+    for (const target of pack.salvageTargets) {
+      if (SALVAGE_TARGET_KEYS.has(target.key)) throw contentPackConflict('salvage target', target.key, pack)
+    }
+  }
+
+  for (const pack of packs) {
+    for (const rumor of pack.rumors) {
+      RUMOR_TEMPLATE_LIBRARY[rumor.kind][rumor.key] = { day: rumor.day, night: rumor.night }
+    }
+    for (const event of pack.events) {
+      EVENT_TYPES.add(event.type)
+      EVENT_DECK.push(event.type)
+      EVENT_TYPE_CONFIG[event.type] = { title: event.title, mods: { ...event.mods } }
+      if (event.rumor) {
+        EVENT_TO_AUTO_RUMOR[event.type] = {
+          kind: event.rumor.kind,
+          templateKey: event.rumor.templateKeys[0],
+          templateKeys: event.rumor.templateKeys.slice(),
+          severity: event.rumor.severity,
+          expiresInDays: event.rumor.expiresInDays
+        }
+      }
+    }
+    for (const mission of pack.missions) {
+      MAJOR_MISSION_TEMPLATES.push({ ...mission, phaseNotes: mission.phaseNotes.slice() })
+    }
+    for (const project of pack.projects) {
+      PROJECT_TYPES.add(project.type)
+      PROJECT_TYPE_CONFIG[project.type] = { requirements: { ...project.requirements }, effects: { ...project.effects } }
+    }
+    for (const target of pack.salvageTargets) {
+      SALVAGE_TARGET_KEYS.add(target.key)
+      SALVAGE_TARGET_CONFIG[target.key] = { supplyBase: target.supplyBase, pressure: target.pressure, stockpiles: target.stockpiles.slice() }
+    }
+  }
+  installedContentPacks = { hash: asText(bundle?.hash, '', 80), packs }
+  return installedContentPacks
+}
+
+/**
+ * @param {any} pack
+ */
+function formatContentPackLine(pack) {
+  return `GOD CONTENT PACK: id=${pack.id} version=${pack.version} hash=${pack.hash.slice(0, 12)} rumors=${pack.rumors.length} events=${pack.events.length} missions=${pack.missions.length} projects=${pack.projects.length} salvage=${pack.salvageTargets.length} file=${pack.file}`
+}
+
 /**
  * @param {string} rawCommand
  */
@@ -7876,6 +9147,30 @@ function parseGodCommand(rawCommand) {
     return { type: 'invalid', reason: 'Usage: god mark add <name> <x> <y> <z> [tag] | god mark list | god mark remove <name>' }
   }
 
+  if (head === 'agent') {
+    const action = asText(words[1], '', 20).toLowerCase()
+    if (action === 'list' && words.length === 2) return { type: 'agent_list' }
+    if (action === 'spawn') {
+      const name = asText(words[2], '', 80)
+      const role = asText(words[3], '', 40)
+      const faction = asText(words[4], '', 80)
+      const townName = asText(words[5], '', 80) || null
+      if (!name || !role || !faction || words.length > 6) {
+        return { type: 'invalid', reason: 'Usage: god agent spawn <name> <role> <faction> [town]' }
+      }
+      if (!isValidAgentName(name)) {
+        return { type: 'invalid', reason: 'Agent name must be 3-16 letters, digits or underscores.' }
+      }
+      return { type: 'agent_spawn', name, role, faction, townName }
+    }
+    if (action === 'retire') {
+      const name = asText(words[2], '', 80)
+      if (!name || words.length > 3) return { type: 'invalid', reason: 'Usage: god agent retire <name>' }
+      return { type: 'agent_retire', name }
+    }
+    return { type: 'invalid', reason: 'Usage: god agent spawn <name> <role> <faction> [town] | god agent retire <name> | god agent list' }
+  }
+
   if (head === 'job') {
     const action = asText(words[1], '', 20).toLowerCase()
     if (action === 'roster') return { type: 'job_roster' }
@@ -7919,6 +9214,23 @@ function parseGodCommand(rawCommand) {
 
   if (head === 'economy' && words.length === 1) return { type: 'economy_overview' }
 
+  if (head === 'content') {
+    const action = asText(words[1], '', 20).toLowerCase()
+    if (action === 'list' && words.length === 2) return { type: 'content_list' }
+    if (action === 'show' && words.length === 3) {
+      return { type: 'content_show', packId: asText(words[2], '', 40).toLowerCase() }
+    }
+    return { type: 'invalid', reason: 'Usage: god content list | god content show <packId>' }
+  }
+
+  if (head === 'inventory') {
+    const name = asText(words[1], '', 80)
+    if (!name || words.length !== 2) {
+      return { type: 'invalid', reason: 'Usage: god inventory <agent>' }
+    }
+    return { type: 'inventory_show', name }
+  }
+
   if (head === 'town') {
     const action = asText(words[1], '', 20).toLowerCase()
     if (action === 'list' && words.length === 2) return { type: 'town_list' }
@@ -8050,7 +9362,7 @@ function parseGodCommand(rawCommand) {
     if (!townName || words.length < 3) {
       return {
         type: 'invalid',
-        reason: 'Usage: god project list <townName> | god project start <townName> <projectType> | god project advance <townName> <projectId> | god project complete <townName> <projectId> | god project fail <townName> <projectId> [reason]'
+        reason: 'Usage: god project list <townName> | god project start <townName> <projectType> | god project advance <townName> <projectId> | god project contribute <townName> <projectId> <agent> <good> <amount> | god project complete <townName> <projectId> | god project fail <townName> <projectId> [reason]'
       }
     }
     if (action === 'list' && words.length === 3) return { type: 'project_list', townName }
@@ -8062,6 +9374,13 @@ function parseGodCommand(rawCommand) {
       const projectId = asText(words[3], '', 200)
       return { type: 'project_advance', townName, projectId }
     }
+    if (action === 'contribute' && words.length === 7) {
+      const projectId = asText(words[3], '', 200)
+      const agentName = asText(words[4], '', 80)
+      const good = asText(words[5], '', 40).toLowerCase()
+      const amount = asNumber(words[6])
+      return { type: 'project_contribute', townName, projectId, agentName, good, amount }
+    }
     if (action === 'complete' && words.length === 4) {
       const projectId = asText(words[3], '', 200)
       return { type: 'project_complete', townName, projectId }
@@ -8073,7 +9392,7 @@ function parseGodCommand(rawCommand) {
     }
     return {
       type: 'invalid',
-      reason: 'Usage: god project list <townName> | god project start <townName> <projectType> | god project advance <townName> <projectId> | god project complete <townName> <projectId> | god project fail <townName> <projectId> [reason]'
+      reason: 'Usage: god project list <townName> | god project start <townName> <projectType> | god project advance <townName> <projectId> | god project contribute <townName> <projectId> <agent> <good> <amount> | god project complete <townName> <projectId> | god project fail <townName> <projectId> [reason]'
     }
   }
 
@@ -8083,7 +9402,7 @@ function parseGodCommand(rawCommand) {
     if (!townName || words.length < 3) {
       return {
         type: 'invalid',
-        reason: 'Usage: god salvage list <townName> | god salvage plan <townName> <targetKey> | god salvage resolve <townName> <runId> <outcomeKey> | god salvage fail <townName> <runId> [reason]'
+        reason: 'Usage: god salvage list <townName> | god salvage plan <townName> <targetKey> | god salvage resolve <townName> <runId> <outcomeKey> [agent] | god salvage fail <townName> <runId> [reason]'
       }
     }
     if (action === 'list' && words.length === 3) return { type: 'salvage_list', townName }
@@ -8091,10 +9410,11 @@ function parseGodCommand(rawCommand) {
       const targetKey = asText(words[3], '', 80).toLowerCase()
       return { type: 'salvage_plan', townName, targetKey }
     }
-    if (action === 'resolve' && words.length === 5) {
+    if (action === 'resolve' && (words.length === 5 || words.length === 6)) {
       const runId = asText(words[3], '', 200)
       const outcomeKey = asText(words[4], '', 80).toLowerCase()
-      return { type: 'salvage_resolve', townName, runId, outcomeKey }
+      const crewName = asText(words[5], '', 80) || null
+      return { type: 'salvage_resolve', townName, runId, outcomeKey, crewName }
     }
     if (action === 'fail' && words.length >= 4) {
       const runId = asText(words[3], '', 200)
@@ -8103,7 +9423,7 @@ function parseGodCommand(rawCommand) {
     }
     return {
       type: 'invalid',
-      reason: 'Usage: god salvage list <townName> | god salvage plan <townName> <targetKey> | god salvage resolve <townName> <runId> <outcomeKey> | god salvage fail <townName> <runId> [reason]'
+      reason: 'Usage: god salvage list <townName> | god salvage plan <townName> <targetKey> | god salvage resolve <townName> <runId> <outcomeKey> [agent] | god salvage fail <townName> <runId> [reason]'
     }
   }
 
@@ -8111,21 +9431,43 @@ function parseGodCommand(rawCommand) {
     if (words.length === 1) return { type: 'clock_show' }
     const action = asText(words[1], '', 20).toLowerCase()
     if (action === 'advance') {
-      if (words.length > 3) return { type: 'invalid', reason: 'Usage: god clock | god clock advance [ticks] | god clock season <dawn|long_night>' }
+      if (words.length > 3) return { type: 'invalid', reason: 'Usage: god clock | god clock advance [ticks] | god clock season <dawn|thaw|harvest|ashfall|long_night> | god clock season length <days> | god clock auto <on [phaseSeconds]|off|rate <phaseSeconds>>' }
       const ticks = words[2] === undefined ? 1 : Number(words[2])
       if (!Number.isInteger(ticks) || ticks < 1) {
-        return { type: 'invalid', reason: 'Usage: god clock | god clock advance [ticks] | god clock season <dawn|long_night>' }
+        return { type: 'invalid', reason: 'Usage: god clock | god clock advance [ticks] | god clock season <dawn|thaw|harvest|ashfall|long_night> | god clock season length <days> | god clock auto <on [phaseSeconds]|off|rate <phaseSeconds>>' }
       }
       return { type: 'clock_advance', ticks }
     }
     if (action === 'season') {
       const season = asText(words[2], '', 20).toLowerCase()
+      if (season === 'length') {
+        const days = Number(words[3])
+        if (words.length !== 4 || !Number.isInteger(days) || days < 1 || days > MAX_SEASON_LENGTH_DAYS) {
+          return { type: 'invalid', reason: 'Usage: god clock | god clock advance [ticks] | god clock season <dawn|thaw|harvest|ashfall|long_night> | god clock season length <days> | god clock auto <on [phaseSeconds]|off|rate <phaseSeconds>>' }
+        }
+        return { type: 'clock_season_length', days }
+      }
       if (!season || words.length !== 3) {
-        return { type: 'invalid', reason: 'Usage: god clock | god clock advance [ticks] | god clock season <dawn|long_night>' }
+        return { type: 'invalid', reason: 'Usage: god clock | god clock advance [ticks] | god clock season <dawn|thaw|harvest|ashfall|long_night> | god clock season length <days> | god clock auto <on [phaseSeconds]|off|rate <phaseSeconds>>' }
       }
       return { type: 'clock_season', season }
     }
-    return { type: 'invalid', reason: 'Usage: god clock | god clock advance [ticks] | god clock season <dawn|long_night>' }
+    if (action === 'auto') {
+      const mode = asText(words[2], '', 20).toLowerCase()
+      const secondsRaw = words[3]
+      const phaseSeconds = secondsRaw === undefined ? undefined : Number(secondsRaw)
+      const validSeconds = phaseSeconds === undefined || (
+        Number.isInteger(phaseSeconds) &&
+        phaseSeconds >= MIN_CLOCK_AUTO_PHASE_SECONDS &&
+        phaseSeconds <= MAX_CLOCK_AUTO_PHASE_SECONDS
+      )
+      if (words.length > 4 || !validSeconds) return { type: 'invalid', reason: 'Usage: god clock | god clock advance [ticks] | god clock season <dawn|thaw|harvest|ashfall|long_night> | god clock season length <days> | god clock auto <on [phaseSeconds]|off|rate <phaseSeconds>>' }
+      if (mode === 'on') return { type: 'clock_auto', mode, phaseSeconds }
+      if (mode === 'off' && phaseSeconds === undefined) return { type: 'clock_auto', mode }
+      if (mode === 'rate' && phaseSeconds !== undefined) return { type: 'clock_auto', mode, phaseSeconds }
+      return { type: 'invalid', reason: 'Usage: god clock | god clock advance [ticks] | god clock season <dawn|thaw|harvest|ashfall|long_night> | god clock season length <days> | god clock auto <on [phaseSeconds]|off|rate <phaseSeconds>>' }
+    }
+    return { type: 'invalid', reason: 'Usage: god clock | god clock advance [ticks] | god clock season <dawn|thaw|harvest|ashfall|long_night> | god clock season length <days> | god clock auto <on [phaseSeconds]|off|rate <phaseSeconds>>' }
   }
 
   if (head === 'threat') {
@@ -8198,16 +9540,57 @@ function parseGodCommand(rawCommand) {
 
   if (head === 'faction') {
     const action = asText(words[1], '', 20).toLowerCase()
+    const usage = 'Usage: god faction list | god faction set <townName> <factionName> | god faction create <factionId> <doctrine...> | god faction rival|ally|neutral <factionA> <factionB>'
     if (action === 'list' && words.length === 2) return { type: 'faction_list' }
     if (action === 'set') {
       const townName = asText(words[2], '', 80)
       const factionName = asText(words[3], '', 80).toLowerCase()
       if (!townName || !factionName || words.length !== 4) {
-        return { type: 'invalid', reason: 'Usage: god faction list | god faction set <townName> <factionName>' }
+        return { type: 'invalid', reason: usage }
+      }
+      return { type: 'faction_set', townName, factionName }
+    }
+    if (action === 'create') {
+      const factionName = asText(words[2], '', 80).toLowerCase()
+      const doctrine = asText(words.slice(3).join(' '), '', 160)
+      if (!factionName || !doctrine) return { type: 'invalid', reason: usage }
+      return { type: 'faction_create', factionName, doctrine }
+    }
+    if (action === 'rival' || action === 'ally' || action === 'neutral') {
+      const factionA = asText(words[2], '', 80).toLowerCase()
+      const factionB = asText(words[3], '', 80).toLowerCase()
+      if (!factionA || !factionB || words.length !== 4) return { type: 'invalid', reason: usage }
+      return { type: 'faction_relation', relation: action, factionA, factionB }
+    }
+    return { type: 'invalid', reason: usage }
+  }
+
+  if (head === 'diplomacy') {
+    const action = asText(words[1], '', 20).toLowerCase()
+    const usage = 'Usage: god diplomacy list [factionName] | god diplomacy propose <factionA> <factionB> <war|truce|alliance|trade_pact> [days] [terms...] | god diplomacy accept <treatyId> | god diplomacy break <treatyId>'
+    if (action === 'list') {
+      if (words.length > 3) return { type: 'invalid', reason: usage }
+      return { type: 'diplomacy_list', factionName: asText(words[2], '', 80).toLowerCase() || null }
+    }
+    if (action === 'propose') {
+      const factionA = asText(words[2], '', 80).toLowerCase()
+      const factionB = asText(words[3], '', 80).toLowerCase()
+      const kind = asText(words[4], '', 20).toLowerCase()
+      if (!factionA || !factionB || !kind) return { type: 'invalid', reason: usage }
+      let rest = words.slice(5)
+      let days = null
+      if (rest.length > 0 && /^-?\d+$/.test(rest[0])) {
+        days = Number(rest[0])
+        rest = rest.slice(1)
       }
-      return { type: 'faction_set', townName, factionName }
+      return { type: 'diplomacy_propose', factionA, factionB, kind, days, terms: asText(rest.join(' '), '', 160) }
     }
-    return { type: 'invalid', reason: 'Usage: god faction list | god faction set <townName> <factionName>' }
+    if (action === 'accept' || action === 'break') {
+      const treatyId = asText(words[2], '', 200)
+      if (!treatyId || words.length !== 3) return { type: 'invalid', reason: usage }
+      return { type: `diplomacy_${action}`, treatyId }
+    }
+    return { type: 'invalid', reason: usage }
   }
 
   if (head === 'rep') {
@@ -8417,13 +9800,15 @@ function parseGodCommand(rawCommand) {
       const sourceTown = asText(words[2], '', 80)
       const questType = asText(words[3], '', 20).toLowerCase()
       if (!sourceTown || !questType) {
-        return { type: 'invalid', reason: 'Usage: god quest offer <townName> trade_n <n> [marketName] [reward] | god quest offer <townName> visit_town <townName> [reward]' }
+        return { type: 'invalid', reason: 'Usage: god quest offer <townName> trade_n <n> [marketName] [good:<good>] [reward] | god quest offer <townName> visit_town <townName> [reward]' }
       }
       if (questType === 'trade_n') {
         const n = Number(words[4])
-        const extras = words.slice(5)
-        if (words.length < 5 || extras.length > 2) {
-          return { type: 'invalid', reason: 'Usage: god quest offer <townName> trade_n <n> [marketName] [reward]' }
+        const goodTokens = words.slice(5).filter(word => /^good:/i.test(word))
+        const extras = words.slice(5).filter(word => !/^good:/i.test(word))
+        const good = goodTokens.length === 1 ? normalizeGoodKey(goodTokens[0].slice('good:'.length)) : ''
+        if (words.length < 5 || extras.length > 2 || goodTokens.length > 1 || (goodTokens.length === 1 && !good)) {
+          return { type: 'invalid', reason: 'Usage: god quest offer <townName> trade_n <n> [marketName] [good:<good>] [reward]' }
         }
         let marketName = null
         let reward = null
@@ -8436,7 +9821,7 @@ function parseGodCommand(rawCommand) {
           marketName = asText(extras[0], '', 80) || null
           reward = Number(extras[1])
         }
-        return { type: 'quest_offer_trade_n', sourceTown, n, marketName, reward }
+        return { type: 'quest_offer_trade_n', sourceTown, n, marketName, good: good || null, reward }
       }
       if (questType === 'visit_town') {
         if (words.length < 5 || words.length > 6) {
@@ -8449,7 +9834,7 @@ function parseGodCommand(rawCommand) {
         }
         return { type: 'quest_offer_visit_town', sourceTown, targetTown, reward }
       }
-      return { type: 'invalid', reason: 'Usage: god quest offer <townName> trade_n <n> [marketName] [reward] | god quest offer <townName> visit_town <townName> [reward]' }
+      return { type: 'invalid', reason: 'Usage: god quest offer <townName> trade_n <n> [marketName] [good:<good>] [reward] | god quest offer <townName> visit_town <townName> [reward]' }
     }
     if (action === 'accept') {
       const agentName = asText(words[2], '', 80)
@@ -8492,7 +9877,7 @@ function parseGodCommand(rawCommand) {
       }
       return { type: 'quest_show', questId }
     }
-    return { type: 'invalid', reason: 'Usage: god quest offer <townName> trade_n <n> [marketName] [reward] | god quest offer <townName> visit_town <townName> [reward] | god quest accept <agent> <questId> | god quest cancel <questId> | god quest complete <questId> | god quest visit <questId> | god quest list [townName] | god quest show <questId>' }
+    return { type: 'invalid', reason: 'Usage: god quest offer <townName> trade_n <n> [marketName] [good:<good>] [reward] | god quest offer <townName> visit_town <townName> [reward] | god quest accept <agent> <questId> | god quest cancel <questId> | god quest complete <questId> | god quest visit <questId> | god quest list [townName] | god quest show <questId>' }
   }
 
   if (head === 'market') {
@@ -8530,12 +9915,14 @@ function parseGodCommand(rawCommand) {
       const marketName = asText(words[2], '', 80)
       const owner = asText(words[3], '', 80)
       const side = asText(words[4], '', 20).toLowerCase()
-      const amount = asNumber(words[5])
-      const price = asNumber(words[6])
-      if (!marketName || !owner || !side || words.length !== 7) {
-        return { type: 'invalid', reason: 'Usage: god offer add <marketName> <owner> <buy|sell> <amount> <price>' }
+      const hasGood = words.length === 8
+      const good = hasGood ? asText(words[5], '', 40).toLowerCase() : ''
+      const amount = asNumber(words[hasGood ? 6 : 5])
+      const price = asNumber(words[hasGood ? 7 : 6])
+      if (!marketName || !owner || !side || (words.length !== 7 && !hasGood)) {
+        return { type: 'invalid', reason: 'Usage: god offer add <marketName> <owner> <buy|sell> [good] <amount> <price>' }
       }
-      return { type: 'offer_add', marketName, owner, side, amount, price }
+      return { type: 'offer_add', marketName, owner, side, good, amount, price }
     }
     if (action === 'cancel') {
       const marketName = asText(words[2], '', 80)
@@ -8545,7 +9932,7 @@ function parseGodCommand(rawCommand) {
       }
       return { type: 'offer_cancel', marketName, offerId }
     }
-    return { type: 'invalid', reason: 'Usage: god offer add <marketName> <owner> <buy|sell> <amount> <price> | god offer cancel <marketName> <offer_id> | god offer list <marketName>' }
+    return { type: 'invalid', reason: 'Usage: god offer add <marketName> <owner> <buy|sell> [good] <amount> <price> | god offer cancel <marketName> <offer_id> | god offer list <marketName>' }
   }
 
   if (head === 'trade') {
@@ -8657,6 +10044,181 @@ function buildDefaultStatus(memoryStore, agents, worldLoop) {
   }
 }
 
+/**
+ * Advance the world clock by `ticks` phases, running every per-phase system
+ * (threat, moods, support orders, autonomy, daily contracts, nether days,
+ * night events and defense, gate escalation). Shared by `god clock advance`
+ * and the real-time clock scheduler so both take the same path.
+ * @param {any} memory
+ * @param {{ticks: number, operationId: string, now: () => number}} input
+ */
+function advanceWorldClock(memory, input) {
+  const ticks = input.ticks
+  const operationId = input.operationId
+  const now = input.now
+  let clock = ensureWorldClock(memory.world)
+  const threat = ensureWorldThreat(memory.world)
+  ensureWorldMoods(memory.world)
+  ensureWorldEvents(memory.world)
+  const towns = deriveTownNamesForMissionState(memory.world).map((townName) => ({ townName }))
+  if (!clock.season_day) clock.season_day = clock.day
+  for (let tickIdx = 0; tickIdx < ticks; tickIdx += 1) {
+    clock = ensureWorldClock(memory.world)
+    const rates = getSeasonRules(clock.season).threat
+    const nextPhase = clock.phase === 'day' ? 'night' : 'day'
+    clock.phase = nextPhase
+    if (nextPhase === 'day') clock.day += 1
+    const at = now()
+    if (isSeasonRolloverDue(clock)) {
+      clock.season = nextSeasonAfter(clock.season)
+      clock.season_day = clock.day
+      const seasonMessage = `Season turns to ${clock.season}: ${getSeasonRules(clock.season).summary}.`
+      appendChronicle(memory, {
+        id: `${operationId}:chronicle:clock_advance:season:${tickIdx}`,
+        type: 'clock',
+        msg: seasonMessage,
+        at,
+        meta: { day: clock.day, season: clock.season }
+      })
+      appendNews(memory, {
+        id: `${operationId}:news:clock_advance:season:${tickIdx}`,
+        topic: 'world',
+        msg: seasonMessage,
+        at,
+        meta: { day: clock.day, season: clock.season }
+      })
+    }
+    expireRumorsForDay(memory, clock.day)
+    expireDecisionsForDay(memory, clock.day)
+    expireTreatiesForDay(memory, clock.day, {
+      idPrefix: `${operationId}:clock_advance:${tickIdx}`,
+      at
+    })
+
+    appendChronicle(memory, {
+      id: `${operationId}:chronicle:clock_advance:tick:${tickIdx}`,
+      type: 'clock',
+      msg: `CLOCK: day=${clock.day} phase=${clock.phase} season=${clock.season}`,
+      at,
+      meta: {
+        day: clock.day,
+        phase: clock.phase,
+        season: clock.season
+      }
+    })
+    appendNews(memory, {
+      id: `${operationId}:news:clock_advance:tick:${tickIdx}`,
+      topic: 'world',
+      msg: nextPhase === 'night'
+        ? 'Lanterns flare as caravans pull off dark roads.'
+        : 'Dawn opens the stalls and caravan bells return.',
+      at,
+      meta: {
+        day: clock.day,
+        phase: clock.phase,
+        season: clock.season
+      }
+    })
+
+    for (const town of towns) {
+      const townName = town.townName
+      const current = Number(threat.byTown[townName] || 0)
+      const nextLevel = nextPhase === 'night'
+        ? clamp(Math.trunc(current + rates.nightRise), 0, 100)
+        : clamp(Math.trunc(current - rates.dayFall), 0, 100)
+      threat.byTown[townName] = nextLevel
+      const message = nextPhase === 'night'
+        ? `[${townName}] Night routes darken. Route risk climbs to ${nextLevel}.`
+        : `[${townName}] Dawn trade resumes. Route risk eases to ${nextLevel}.`
+      const townKey = townName.toLowerCase()
+      appendChronicle(memory, {
+        id: `${operationId}:chronicle:clock_advance:${tickIdx}:${townKey}`,
+        type: 'threat',
+        msg: message,
+        at,
+        town: townName,
+        meta: {
+          phase: nextPhase,
+          level: nextLevel
+        }
+      })
+      appendNews(memory, {
+        id: `${operationId}:news:clock_advance:${tickIdx}:${townKey}`,
+        topic: 'world',
+        msg: message,
+        at,
+        town: townName,
+        meta: {
+          phase: nextPhase,
+          level: nextLevel
+        }
+      })
+      applyTownMoodDelta(memory, {
+        townName,
+        delta: { fear: nextPhase === 'night' ? 3 : -2 },
+        at,
+        idPrefix: `${operationId}:clock_advance:${tickIdx}:${townKey}`,
+        reason: 'clock_advance'
+      })
+    }
+    runTownSupportOrders(memory, {
+      operationId,
+      tickIdx,
+      at
+    })
+    runTownAutonomyTick(memory, {
+      operationId,
+      tickIdx,
+      at
+    })
+    if (nextPhase === 'day') {
+      generateDailyContracts(memory, {
+        operationId,
+        idPrefix: `${operationId}:clock_advance:${tickIdx}:contracts`,
+        day: clock.day,
+        at
+      })
+      advanceNetherToDay(memory, {
+        targetDay: clock.day,
+        at,
+        idPrefix: `${operationId}:clock_advance:${tickIdx}:nether`
+      })
+    }
+    if (nextPhase === 'night') {
+      emitNightCaravanTrouble(memory, {
+        operationId,
+        idPrefix: `${operationId}:clock_advance:${tickIdx}:night_warning`,
+        tickIdx,
+        at,
+        towns
+      })
+      drawAndApplyWorldEvent(memory, {
+        operationId,
+        idPrefix: `${operationId}:clock_advance:${tickIdx}:nightfall`,
+        at
+      })
+      runTownDefenseEncounters(memory, {
+        operationId,
+        tickIdx,
+        at
+      })
+      clock = ensureWorldClock(memory.world)
+    }
+    runTownGateEscalation(memory, {
+      operationId,
+      tickIdx,
+      at
+    })
+  }
+  clock = ensureWorldClock(memory.world)
+  clock.updated_at = new Date(now()).toISOString()
+  return {
+    day: clock.day,
+    phase: clock.phase,
+    season: clock.season
+  }
+}
+
 /**
  * @param {{
  *   memoryStore: ReturnType<import('./memory').createMemoryStore>,
@@ -8666,6 +10228,7 @@ function buildDefaultStatus(memoryStore, agents, worldLoop) {
  *   runtimeSay?: (input: {agent: any, message: string}) => Promise<void> | void,
  *   runtimeMark?: (input: {action: 'add' | 'remove', markerName: string, marker?: any}) => Promise<void> | void,
  *   runtimeJob?: (input: {action: 'set' | 'clear', agentName: string, job?: {role: string, assigned_at: string, home_marker: string | null}}) => Promise<void> | void,
+ *   runtimeClock?: (input: {operationId: string, source: 'god' | 'auto' | 'server', ticks: number, day: number, phase: string, season: string}) => Promise<void> | void,
  *   now?: () => number
  * }} deps
  */
@@ -8681,9 +10244,24 @@ function createGodCommandService(deps) {
   const memoryStore = deps.memoryStore
   const logger = deps.logger || createLogger({ component: 'god_commands' })
   const worldLoop = deps.worldLoop || null
-  const runtimeSay = typeof deps.runtimeSay === 'function' ? deps.runtimeSay : null
-  const runtimeMark = typeof deps.runtimeMark === 'function' ? deps.runtimeMark : null
-  const runtimeJob = typeof deps.runtimeJob === 'function' ? deps.runtimeJob : null
+  // Runtime effects reach the live server and bots, which no memory rollback
+  // can undo. Steps of a batch queue them until the batch commits.
+  async function runRuntimeEffect(effect) {
+    const deferred = deferredRuntimeEffectsContext.getStore()
+    if (deferred) {
+      deferred.push(effect)
+      return
+    }
+    await effect()
+  }
+  const runtimeHook = (hook) => (typeof hook === 'function'
+    ? (payload) => runRuntimeEffect(() => hook(payload))
+    : null)
+  const runtimeSay = runtimeHook(deps.runtimeSay)
+  const runtimeMark = runtimeHook(deps.runtimeMark)
+  const runtimeJob = runtimeHook(deps.runtimeJob)
+  const runtimeRoster = runtimeHook(deps.runtimeRoster)
+  const runtimeClock = runtimeHook(deps.runtimeClock)
   const getStatusSnapshot = typeof deps.getStatusSnapshot === 'function' ? deps.getStatusSnapshot : null
   const providedNow = typeof deps.now === 'function' ? deps.now : null
   const GOD_TRANSACT_WRAP_FLAG = '__godCommandPersistContextWrapped'
@@ -8772,7 +10350,7 @@ function createGodCommandService(deps) {
       }
 
       // Persist world state before applying runtime side effects to prevent drift.
-      legacyAgents.forEach(agent => agent.applyGodCommand(parsed.command))
+      await runRuntimeEffect(() => legacyAgents.forEach(agent => agent.applyGodCommand(parsed.command)))
       logger.info('god_command_applied', { operationId, command: parsed.command, affectedAgents: legacyAgents.length })
       return { applied: true, command, audit: true }
     }
@@ -8933,7 +10511,11 @@ function createGodCommandService(deps) {
         command,
         audit: false,
         outputLines: [
-          `GOD CLOCK: day=${clock.day} phase=${clock.phase} season=${clock.season} updated_at=${clock.updated_at}`
+          `GOD CLOCK: day=${clock.day} phase=${clock.phase} season=${clock.season} updated_at=${clock.updated_at}`,
+          `GOD CLOCK SEASON CYCLE: ${formatSeasonCycleLine(clock)}`,
+          `GOD CLOCK SEASON MODIFIERS: ${formatSeasonModifierSummary(clock.season)}`,
+          ...(clock.auto ? [formatClockAutoLine(clock.auto)] : []),
+          ...(clock.server ? [formatServerClockLine(clock.server)] : [])
         ]
       }
     }
@@ -9197,13 +10779,13 @@ function createGodCommandService(deps) {
     if (parsed.type === 'faction_list') {
       const snapshot = memoryStore.getSnapshot()
       const factions = normalizeWorldStoryFactions(snapshot.world?.factions)
-      const lines = [`GOD FACTION LIST: count=${STORY_FACTION_NAMES.length}`]
-      for (const factionName of STORY_FACTION_NAMES) {
+      const storyNames = listStoryFactionNames(factions)
+      const lines = [`GOD FACTION LIST: count=${storyNames.length}`]
+      for (const factionName of storyNames) {
         const faction = factions[factionName]
-        const towns = normalizeStoryTownNames(faction?.towns)
-        const rivals = normalizeStoryRivalNames(faction?.rivals, factionName)
+        const towns = normalizeStoryTownNames(faction.towns)
         lines.push(
-          `GOD FACTION: name=${factionName} towns=${towns.length ? towns.join('|') : '-'} doctrine=${asText(faction?.doctrine, STORY_FACTION_DEFAULTS[factionName].doctrine, 160)} rivals=${rivals.length ? rivals.join('|') : '-'}`
+          `GOD FACTION: name=${factionName} towns=${towns.length ? towns.join('|') : '-'} doctrine=${faction.doctrine} rivals=${faction.rivals.length ? faction.rivals.join('|') : '-'} allies=${faction.allies.length ? faction.allies.join('|') : '-'}`
         )
       }
       return { applied: true, command, audit: false, outputLines: lines }
@@ -9213,7 +10795,8 @@ function createGodCommandService(deps) {
       const snapshot = memoryStore.getSnapshot()
       const agentName = resolveKnownAgentName(snapshot, runtimeAgents, parsed.agentName)
       if (!agentName) return { applied: false, command, reason: 'Unknown agent.' }
-      if (parsed.factionName && !STORY_FACTION_NAME_SET.has(parsed.factionName)) {
+      const storyNames = listStoryFactionNames(normalizeWorldStoryFactions(snapshot.world?.factions))
+      if (parsed.factionName && !storyNames.includes(parsed.factionName)) {
         return { applied: false, command, reason: 'Unknown faction.' }
       }
       const profile = snapshot.agents?.[agentName]?.profile
@@ -9227,7 +10810,7 @@ function createGodCommandService(deps) {
           outputLines: [`GOD REP: agent=${agentName} faction=${parsed.factionName} value=${value}`]
         }
       }
-      const values = STORY_FACTION_NAMES
+      const values = storyNames
         .map(factionName => `${factionName}=${Number(rep[factionName] || 0)}`)
         .join(' ')
       return {
@@ -9389,6 +10972,7 @@ function createGodCommandService(deps) {
         const at = now()
         const clock = ensureWorldClock(memory.world)
         clock.season = parsed.season
+        clock.season_day = clock.day
         clock.updated_at = new Date(at).toISOString()
         const message = `Season shifts to ${clock.season}. The world feels different.`
         appendChronicle(memory, {
@@ -9417,153 +11001,60 @@ function createGodCommandService(deps) {
       }
     }
 
-    if (parsed.type === 'clock_advance') {
-      const ticks = Number(parsed.ticks)
-      if (!Number.isInteger(ticks) || ticks < 1 || ticks > 1000) {
-        return { applied: false, command, reason: 'Invalid ticks.' }
+    if (parsed.type === 'clock_season_length') {
+      const tx = await memoryStore.transact((memory) => {
+        const clock = ensureWorldClock(memory.world)
+        clock.season_length = parsed.days
+        if (!clock.season_day) clock.season_day = clock.day
+        return { line: formatSeasonCycleLine(clock) }
+      }, { eventId: `${operationId}:clock_season_length:${parsed.days}` })
+
+      if (tx.skipped) return { applied: false, command, reason: 'Duplicate operation ignored.' }
+      return {
+        applied: true,
+        command,
+        audit: true,
+        outputLines: [`GOD CLOCK SEASON CYCLE: ${tx.result.line}`]
       }
+    }
 
+    if (parsed.type === 'clock_auto') {
       const tx = await memoryStore.transact((memory) => {
-        let clock = ensureWorldClock(memory.world)
-        const threat = ensureWorldThreat(memory.world)
-        ensureWorldMoods(memory.world)
-        ensureWorldEvents(memory.world)
-        const towns = deriveTownNamesForMissionState(memory.world).map((townName) => ({ townName }))
-        for (let tickIdx = 0; tickIdx < ticks; tickIdx += 1) {
-          clock = ensureWorldClock(memory.world)
-          const rates = SEASON_THREAT_RATES[clock.season] || SEASON_THREAT_RATES.dawn
-          const nextPhase = clock.phase === 'day' ? 'night' : 'day'
-          clock.phase = nextPhase
-          if (nextPhase === 'day') clock.day += 1
-          const at = now()
-          expireRumorsForDay(memory, clock.day)
-          expireDecisionsForDay(memory, clock.day)
+        const clock = ensureWorldClock(memory.world)
+        const previous = clock.auto || normalizeClockAuto({})
+        const auto = {
+          ...previous,
+          anchor_at: 0,
+          generation: previous.generation + 1
+        }
+        if (parsed.mode === 'on') auto.enabled = true
+        if (parsed.mode === 'off') auto.enabled = false
+        if (parsed.phaseSeconds !== undefined) auto.phase_seconds = normalizeClockAutoPhaseSeconds(parsed.phaseSeconds)
+        clock.auto = auto
+        return { ...auto }
+      }, { eventId: `${operationId}:clock_auto:${parsed.mode}:${parsed.phaseSeconds || 0}` })
 
-          appendChronicle(memory, {
-            id: `${operationId}:chronicle:clock_advance:tick:${tickIdx}`,
-            type: 'clock',
-            msg: `CLOCK: day=${clock.day} phase=${clock.phase} season=${clock.season}`,
-            at,
-            meta: {
-              day: clock.day,
-              phase: clock.phase,
-              season: clock.season
-            }
-          })
-          appendNews(memory, {
-            id: `${operationId}:news:clock_advance:tick:${tickIdx}`,
-            topic: 'world',
-            msg: nextPhase === 'night'
-              ? 'Lanterns flare as caravans pull off dark roads.'
-              : 'Dawn opens the stalls and caravan bells return.',
-            at,
-            meta: {
-              day: clock.day,
-              phase: clock.phase,
-              season: clock.season
-            }
-          })
+      if (tx.skipped) return { applied: false, command, reason: 'Duplicate operation ignored.' }
+      return {
+        applied: true,
+        command,
+        audit: true,
+        outputLines: [formatClockAutoLine(tx.result)]
+      }
+    }
 
-          for (const town of towns) {
-            const townName = town.townName
-            const current = Number(threat.byTown[townName] || 0)
-            const nextLevel = nextPhase === 'night'
-              ? clamp(Math.trunc(current + rates.nightRise), 0, 100)
-              : clamp(Math.trunc(current - rates.dayFall), 0, 100)
-            threat.byTown[townName] = nextLevel
-            const message = nextPhase === 'night'
-              ? `[${townName}] Night routes darken. Route risk climbs to ${nextLevel}.`
-              : `[${townName}] Dawn trade resumes. Route risk eases to ${nextLevel}.`
-            const townKey = townName.toLowerCase()
-            appendChronicle(memory, {
-              id: `${operationId}:chronicle:clock_advance:${tickIdx}:${townKey}`,
-              type: 'threat',
-              msg: message,
-              at,
-              town: townName,
-              meta: {
-                phase: nextPhase,
-                level: nextLevel
-              }
-            })
-            appendNews(memory, {
-              id: `${operationId}:news:clock_advance:${tickIdx}:${townKey}`,
-              topic: 'world',
-              msg: message,
-              at,
-              town: townName,
-              meta: {
-                phase: nextPhase,
-                level: nextLevel
-              }
-            })
-            applyTownMoodDelta(memory, {
-              townName,
-              delta: { fear: nextPhase === 'night' ? 3 : -2 },
-              at,
-              idPrefix: `${operationId}:clock_advance:${tickIdx}:${townKey}`,
-              reason: 'clock_advance'
-            })
-          }
-          runTownSupportOrders(memory, {
-            operationId,
-            tickIdx,
-            at
-          })
-          runTownAutonomyTick(memory, {
-            operationId,
-            tickIdx,
-            at
-          })
-          if (nextPhase === 'day') {
-            generateDailyContracts(memory, {
-              operationId,
-              idPrefix: `${operationId}:clock_advance:${tickIdx}:contracts`,
-              day: clock.day,
-              at
-            })
-            advanceNetherToDay(memory, {
-              targetDay: clock.day,
-              at,
-              idPrefix: `${operationId}:clock_advance:${tickIdx}:nether`
-            })
-          }
-          if (nextPhase === 'night') {
-            emitNightCaravanTrouble(memory, {
-              operationId,
-              idPrefix: `${operationId}:clock_advance:${tickIdx}:night_warning`,
-              tickIdx,
-              at,
-              towns
-            })
-            drawAndApplyWorldEvent(memory, {
-              operationId,
-              idPrefix: `${operationId}:clock_advance:${tickIdx}:nightfall`,
-              at
-            })
-            runTownDefenseEncounters(memory, {
-              operationId,
-              tickIdx,
-              at
-            })
-            clock = ensureWorldClock(memory.world)
-          }
-          runTownGateEscalation(memory, {
-            operationId,
-            tickIdx,
-            at
-          })
-        }
-        clock = ensureWorldClock(memory.world)
-        clock.updated_at = new Date(now()).toISOString()
-        return {
-          day: clock.day,
-          phase: clock.phase,
-          season: clock.season
-        }
-      }, { eventId: `${operationId}:clock_advance:${ticks}` })
+    if (parsed.type === 'clock_advance') {
+      const ticks = Number(parsed.ticks)
+      if (!Number.isInteger(ticks) || ticks < 1 || ticks > MAX_CLOCK_ADVANCE_TICKS) {
+        return { applied: false, command, reason: 'Invalid ticks.' }
+      }
+
+      const tx = await memoryStore.transact((memory) => (
+        advanceWorldClock(memory, { ticks, operationId, now })
+      ), { eventId: `${operationId}:clock_advance:${ticks}` })
 
       if (tx.skipped) return { applied: false, command, reason: 'Duplicate operation ignored.' }
+      if (runtimeClock) await runtimeClock({ operationId, source: 'god', ticks, ...tx.result })
       return {
         applied: true,
         command,
@@ -9614,15 +11105,16 @@ function createGodCommandService(deps) {
     }
 
     if (parsed.type === 'faction_set') {
-      if (!STORY_FACTION_NAME_SET.has(parsed.factionName)) return { applied: false, command, reason: 'Unknown faction.' }
       const snapshot = memoryStore.getSnapshot()
+      const storyNames = listStoryFactionNames(normalizeWorldStoryFactions(snapshot.world?.factions))
+      if (!storyNames.includes(parsed.factionName)) return { applied: false, command, reason: 'Unknown faction.' }
       const towns = deriveTownsFromMarkers(snapshot.world?.markers || [])
       const town = findTownByName(towns, parsed.townName)
       if (!town) return { applied: false, command, reason: 'Unknown town.' }
 
       const tx = await memoryStore.transact((memory) => {
         const factions = ensureWorldStoryFactions(memory.world)
-        for (const factionName of STORY_FACTION_NAMES) {
+        for (const factionName of listStoryFactionNames(factions)) {
           const faction = factions[factionName]
           const townsForFaction = normalizeStoryTownNames(faction?.towns)
             .filter(item => item.toLowerCase() !== town.townName.toLowerCase())
@@ -9647,33 +11139,291 @@ function createGodCommandService(deps) {
           meta: {
             faction: parsed.factionName
           }
-        })
-        appendNews(memory, {
-          id: `${operationId}:news:faction_set:${town.townName.toLowerCase()}`,
-          topic: 'faction',
-          msg: message,
-          at,
-          town: town.townName,
-          meta: {
-            faction: parsed.factionName
+        })
+        appendNews(memory, {
+          id: `${operationId}:news:faction_set:${town.townName.toLowerCase()}`,
+          topic: 'faction',
+          msg: message,
+          at,
+          town: town.townName,
+          meta: {
+            faction: parsed.factionName
+          }
+        })
+        return { townName: town.townName, factionName: parsed.factionName }
+      }, { eventId: `${operationId}:faction_set:${town.townName.toLowerCase()}:${parsed.factionName}` })
+
+      if (tx.skipped) return { applied: false, command, reason: 'Duplicate operation ignored.' }
+      return {
+        applied: true,
+        command,
+        audit: true,
+        outputLines: [`GOD FACTION SET: town=${tx.result.townName} faction=${tx.result.factionName}`]
+      }
+    }
+
+    if (parsed.type === 'faction_create') {
+      if (!STORY_FACTION_ID_PATTERN.test(parsed.factionName)) return { applied: false, command, reason: 'Invalid faction id.' }
+      const snapshot = memoryStore.getSnapshot()
+      const existing = normalizeWorldStoryFactions(snapshot.world?.factions)
+      if (Object.keys(existing).some(name => name.toLowerCase() === parsed.factionName)) {
+        return { applied: false, command, reason: 'Faction already exists.' }
+      }
+      if (listStoryFactionNames(existing).length >= MAX_STORY_FACTIONS) {
+        return { applied: false, command, reason: 'Too many factions.' }
+      }
+
+      const tx = await memoryStore.transact((memory) => {
+        const factions = ensureWorldStoryFactions(memory.world)
+        factions[parsed.factionName] = {
+          name: parsed.factionName,
+          story: true,
+          towns: [],
+          doctrine: parsed.doctrine,
+          rivals: [],
+          allies: [],
+          hostilityToPlayer: 10,
+          stability: 70
+        }
+        const at = now()
+        const message = `A new banner rises: ${parsed.factionName} (${parsed.doctrine})`
+        appendChronicle(memory, {
+          id: `${operationId}:chronicle:faction_create:${parsed.factionName}`,
+          type: 'faction',
+          msg: message,
+          at,
+          meta: {
+            faction: parsed.factionName
+          }
+        })
+        appendNews(memory, {
+          id: `${operationId}:news:faction_create:${parsed.factionName}`,
+          topic: 'faction',
+          msg: message,
+          at,
+          meta: {
+            faction: parsed.factionName
+          }
+        })
+        return { factionName: parsed.factionName, doctrine: parsed.doctrine }
+      }, { eventId: `${operationId}:faction_create:${parsed.factionName}` })
+
+      if (tx.skipped) return { applied: false, command, reason: 'Duplicate operation ignored.' }
+      return {
+        applied: true,
+        command,
+        audit: true,
+        outputLines: [`GOD FACTION CREATE: name=${tx.result.factionName} doctrine=${tx.result.doctrine}`]
+      }
+    }
+
+    if (parsed.type === 'faction_relation') {
+      const snapshot = memoryStore.getSnapshot()
+      const storyNames = listStoryFactionNames(normalizeWorldStoryFactions(snapshot.world?.factions))
+      if (!storyNames.includes(parsed.factionA) || !storyNames.includes(parsed.factionB)) {
+        return { applied: false, command, reason: 'Unknown faction.' }
+      }
+      if (parsed.factionA === parsed.factionB) return { applied: false, command, reason: 'A faction cannot relate to itself.' }
+
+      const tx = await memoryStore.transact((memory) => {
+        const factions = ensureWorldStoryFactions(memory.world)
+        // Relations are symmetric and exclusive: a pair is rivals, allies or neither.
+        for (const [self, other] of [[parsed.factionA, parsed.factionB], [parsed.factionB, parsed.factionA]]) {
+          const faction = factions[self]
+          faction.rivals = faction.rivals.filter(name => name !== other)
+          faction.allies = faction.allies.filter(name => name !== other)
+          if (parsed.relation === 'rival') faction.rivals.push(other)
+          if (parsed.relation === 'ally') faction.allies.push(other)
+        }
+        const at = now()
+        const message = parsed.relation === 'rival'
+          ? `${parsed.factionA} and ${parsed.factionB} are now rivals.`
+          : parsed.relation === 'ally'
+            ? `${parsed.factionA} and ${parsed.factionB} swear an alliance.`
+            : `${parsed.factionA} and ${parsed.factionB} settle into an uneasy peace.`
+        const pairKey = [parsed.factionA, parsed.factionB].sort().join(':')
+        appendChronicle(memory, {
+          id: `${operationId}:chronicle:faction_relation:${pairKey}`,
+          type: 'faction',
+          msg: message,
+          at,
+          meta: {
+            faction: parsed.factionA,
+            other: parsed.factionB,
+            relation: parsed.relation
+          }
+        })
+        appendNews(memory, {
+          id: `${operationId}:news:faction_relation:${pairKey}`,
+          topic: 'faction',
+          msg: message,
+          at,
+          meta: {
+            faction: parsed.factionA,
+            other: parsed.factionB,
+            relation: parsed.relation
+          }
+        })
+        return { factionA: parsed.factionA, factionB: parsed.factionB, relation: parsed.relation }
+      }, { eventId: `${operationId}:faction_relation:${parsed.factionA}:${parsed.factionB}:${parsed.relation}` })
+
+      if (tx.skipped) return { applied: false, command, reason: 'Duplicate operation ignored.' }
+      return {
+        applied: true,
+        command,
+        audit: true,
+        outputLines: [`GOD FACTION RELATION: a=${tx.result.factionA} b=${tx.result.factionB} relation=${tx.result.relation}`]
+      }
+    }
+
+    if (parsed.type === 'diplomacy_list') {
+      const snapshot = memoryStore.getSnapshot()
+      const storyNames = listStoryFactionNames(normalizeWorldStoryFactions(snapshot.world?.factions))
+      if (parsed.factionName && !storyNames.includes(parsed.factionName)) {
+        return { applied: false, command, reason: 'Unknown faction.' }
+      }
+      const treaties = normalizeWorldDiplomacy(snapshot.world?.diplomacy).treaties
+        .filter(treaty => !parsed.factionName || treaty.factions.includes(parsed.factionName))
+      const countStatus = (status) => treaties.filter(treaty => treaty.status === status).length
+      const lines = [`GOD DIPLOMACY: treaties=${treaties.length} active=${countStatus('active')} proposed=${countStatus('proposed')}`]
+      for (const treaty of treaties) {
+        lines.push(
+          `GOD TREATY: id=${treaty.id} kind=${treaty.kind} factions=${treaty.factions.join('|')} status=${treaty.status} proposed_by=${treaty.proposedBy} start_day=${treaty.startedDay || '-'} ends_day=${treaty.endsDay || '-'} terms=${treaty.terms || '-'}`
+        )
+      }
+      return { applied: true, command, audit: false, outputLines: lines }
+    }
+
+    if (parsed.type === 'diplomacy_propose') {
+      if (!TREATY_KINDS.has(parsed.kind)) return { applied: false, command, reason: 'Unknown treaty kind.' }
+      if (parsed.days !== null && (!Number.isInteger(parsed.days) || parsed.days < 1 || parsed.days > MAX_TREATY_DAYS)) {
+        return { applied: false, command, reason: 'Invalid treaty days.' }
+      }
+      const snapshot = memoryStore.getSnapshot()
+      const storyNames = listStoryFactionNames(normalizeWorldStoryFactions(snapshot.world?.factions))
+      if (!storyNames.includes(parsed.factionA) || !storyNames.includes(parsed.factionB)) {
+        return { applied: false, command, reason: 'Unknown faction.' }
+      }
+      if (parsed.factionA === parsed.factionB) return { applied: false, command, reason: 'A faction cannot treat with itself.' }
+      const relation = getFactionRelation(snapshot.world, parsed.factionA, parsed.factionB)
+      if (relation === parsed.kind) return { applied: false, command, reason: 'Treaty already in force.' }
+      if (parsed.kind === 'truce' && relation !== 'war') return { applied: false, command, reason: 'A truce needs a war to pause.' }
+      if ((parsed.kind === 'alliance' || parsed.kind === 'trade_pact') && relation === 'war') {
+        return { applied: false, command, reason: 'Factions at war must agree a truce first.' }
+      }
+      const pair = treatyPairKey(parsed.factionA, parsed.factionB)
+      const pending = normalizeWorldDiplomacy(snapshot.world?.diplomacy).treaties
+        .some(treaty => treaty.status === 'proposed' && treaty.kind === parsed.kind && treaty.factions.join('|') === pair)
+      if (pending) return { applied: false, command, reason: 'Proposal already pending.' }
+      const openRefusal = 'Too many open treaties; break or let some lapse first.'
+      const countOpen = treaties => treaties.filter(treaty => TREATY_OPEN_STATUSES.has(treaty.status)).length
+      if (countOpen(normalizeWorldDiplomacy(snapshot.world?.diplomacy).treaties) >= MAX_DIPLOMACY_TREATIES) {
+        return { applied: false, command, reason: openRefusal }
+      }
+
+      let tx
+      try {
+        tx = await memoryStore.transact((memory) => {
+          const diplomacy = ensureWorldDiplomacy(memory.world)
+          // Open treaties are never trimmed, so past the cap memory and the saved file would disagree.
+          if (countOpen(diplomacy.treaties) >= MAX_DIPLOMACY_TREATIES) {
+            throw new AppError({ code: 'TREATY_STATE_CHANGED', message: openRefusal, recoverable: true })
+          }
+          const day = ensureWorldClock(memory.world).day
+          const at = now()
+          const treaty = normalizeTreaty({
+            id: createTreatyId(operationId, pair, parsed.kind, day),
+            kind: parsed.kind,
+            factions: [parsed.factionA, parsed.factionB],
+            proposedBy: parsed.factionA,
+            status: 'proposed',
+            terms: parsed.terms,
+            durationDays: parsed.days ?? TREATY_DEFAULT_DAYS[parsed.kind],
+            proposedDay: day
+          })
+          diplomacy.treaties.push(treaty)
+          let cancelledContracts = []
+          if (treaty.kind === 'war') {
+            cancelledContracts = activateTreaty(memory, diplomacy, treaty, { idPrefix: operationId, at, day }).cancelledContracts
+          } else {
+            const termsText = treaty.terms ? ` Terms: ${treaty.terms}` : ''
+            appendTreatyFeed(memory, treaty, {
+              idPrefix: operationId,
+              at,
+              action: 'propose',
+              msg: `DIPLOMACY: ${parsed.factionA} offers ${parsed.factionB} a ${treaty.kind.replace('_', ' ')}.${termsText}`
+            })
           }
-        })
-        return { townName: town.townName, factionName: parsed.factionName }
-      }, { eventId: `${operationId}:faction_set:${town.townName.toLowerCase()}:${parsed.factionName}` })
+          return { treaty: { ...treaty }, cancelledContracts }
+        }, { eventId: `${operationId}:diplomacy_propose:${pair}:${parsed.kind}` })
+      } catch (err) {
+        if (err instanceof AppError && err.code === 'TREATY_STATE_CHANGED') return { applied: false, command, reason: err.message }
+        throw err
+      }
 
       if (tx.skipped) return { applied: false, command, reason: 'Duplicate operation ignored.' }
-      return {
-        applied: true,
-        command,
-        audit: true,
-        outputLines: [`GOD FACTION SET: town=${tx.result.townName} faction=${tx.result.factionName}`]
+      const { treaty, cancelledContracts } = tx.result
+      const lines = [
+        `GOD DIPLOMACY PROPOSE: id=${treaty.id} kind=${treaty.kind} factions=${treaty.factions.join('|')} status=${treaty.status} days=${treaty.durationDays || '-'} terms=${treaty.terms || '-'}`
+      ]
+      if (cancelledContracts.length > 0) lines.push(`GOD DIPLOMACY CONTRACTS CANCELLED: ids=${cancelledContracts.join('|')}`)
+      return { applied: true, command, audit: true, outputLines: lines }
+    }
+
+    if (parsed.type === 'diplomacy_accept' || parsed.type === 'diplomacy_break') {
+      const snapshot = memoryStore.getSnapshot()
+      const existing = normalizeWorldDiplomacy(snapshot.world?.diplomacy).treaties
+        .find(treaty => sameText(treaty.id, parsed.treatyId, 200))
+      const accepting = parsed.type === 'diplomacy_accept'
+      const refusal = getTreatyTransitionRefusal(snapshot.world, existing, accepting)
+      if (refusal) return { applied: false, command, reason: refusal }
+
+      let tx
+      try {
+        tx = await memoryStore.transact((memory) => {
+          const diplomacy = ensureWorldDiplomacy(memory.world)
+          const treaty = diplomacy.treaties.find(entry => entry.id === existing.id)
+          const currentRefusal = getTreatyTransitionRefusal(memory.world, treaty, accepting)
+          if (currentRefusal) {
+            throw new AppError({ code: 'TREATY_STATE_CHANGED', message: currentRefusal, recoverable: true })
+          }
+          const day = ensureWorldClock(memory.world).day
+          const at = now()
+          if (accepting) {
+            const { superseded } = activateTreaty(memory, diplomacy, treaty, { idPrefix: operationId, at, day })
+            return { treaty: { ...treaty }, superseded: superseded.map(entry => entry.id) }
+          }
+          const previousStatus = treaty.status
+          treaty.status = 'broken'
+          treaty.closedDay = day
+          const [a, b] = treaty.factions
+          const other = treaty.factions.find(name => name !== treaty.proposedBy)
+          const msg = previousStatus === 'proposed'
+            ? `DIPLOMACY: ${treaty.proposedBy} withdraws its ${treaty.kind.replace('_', ' ')} offer to ${other}.`
+            : treaty.kind === 'war'
+              ? `DIPLOMACY: The war between ${a} and ${b} ends.`
+              : `DIPLOMACY: The ${treaty.kind.replace('_', ' ')} between ${a} and ${b} is broken.`
+          appendTreatyFeed(memory, treaty, { idPrefix: operationId, at, action: 'break', msg })
+          return { treaty: { ...treaty }, previousStatus }
+        }, { eventId: `${operationId}:${parsed.type}:${existing.id.toLowerCase()}` })
+      } catch (err) {
+        if (err instanceof AppError && err.code === 'TREATY_STATE_CHANGED') return { applied: false, command, reason: err.message }
+        throw err
       }
+
+      if (tx.skipped) return { applied: false, command, reason: 'Duplicate operation ignored.' }
+      const treaty = tx.result.treaty
+      const line = accepting
+        ? `GOD DIPLOMACY ACCEPT: id=${treaty.id} kind=${treaty.kind} factions=${treaty.factions.join('|')} ends_day=${treaty.endsDay || '-'} superseded=${formatNameList(tx.result.superseded)}`
+        : `GOD DIPLOMACY BREAK: id=${treaty.id} kind=${treaty.kind} factions=${treaty.factions.join('|')} was=${tx.result.previousStatus}`
+      return { applied: true, command, audit: true, outputLines: [line] }
     }
 
     if (parsed.type === 'rep_add') {
-      if (!STORY_FACTION_NAME_SET.has(parsed.factionName)) return { applied: false, command, reason: 'Unknown faction.' }
-      if (!Number.isInteger(parsed.delta)) return { applied: false, command, reason: 'Invalid delta.' }
       const snapshot = memoryStore.getSnapshot()
+      const storyNames = listStoryFactionNames(normalizeWorldStoryFactions(snapshot.world?.factions))
+      if (!storyNames.includes(parsed.factionName)) return { applied: false, command, reason: 'Unknown faction.' }
+      if (!Number.isInteger(parsed.delta)) return { applied: false, command, reason: 'Invalid delta.' }
       const agentName = resolveKnownAgentName(snapshot, runtimeAgents, parsed.agentName)
       if (!agentName) return { applied: false, command, reason: 'Unknown agent.' }
 
@@ -10517,14 +12267,10 @@ function createGodCommandService(deps) {
       const townMoodLabel = deriveDominantMoodLabel(townMood)
       const townFaction = findStoryFactionByTown(factions, town.townName)
       const townFactionName = townFaction ? townFaction.name : '-'
-      const townFactionDoctrine = asText(
-        townFaction?.doctrine,
-        townFaction ? STORY_FACTION_DEFAULTS[townFaction.name]?.doctrine || '-' : '-',
-        160
-      )
-      const townFactionRivals = townFaction
-        ? normalizeStoryRivalNames(townFaction.rivals, townFaction.name)
-        : []
+      const townFactionDoctrine = townFaction ? townFaction.doctrine : '-'
+      const townFactionRivals = townFaction ? townFaction.rivals : []
+      const townFactionAllies = townFaction ? townFaction.allies : []
+      const townDiplomacy = getTownDiplomacy(snapshot.world, town.townName)
 
       const rosterNames = new Map()
       for (const name of Object.keys(snapshot.agents || {})) {
@@ -10683,9 +12429,15 @@ function createGodCommandService(deps) {
       const activeProjects = projects
         .filter(project => project.status === 'active' || project.status === 'planned')
         .slice(0, Math.min(limit, 3))
-      const projectLines = activeProjects.map(project => (
-        `GOD TOWN BOARD PROJECT: id=${project.id} type=${project.type} status=${project.status} stage=${project.stage} updated_day=${project.updatedAtDay} supports_major_mission_id=${asText(project.supportsMajorMissionId, '-', 200)}`
-      ))
+      const projectLines = activeProjects.flatMap((project) => {
+        const missing = planProjectStageDebit(snapshot.world, project).missing
+        return [
+          `GOD TOWN BOARD PROJECT: id=${project.id} type=${project.type} status=${project.status} stage=${project.stage} updated_day=${project.updatedAtDay} supports_major_mission_id=${asText(project.supportsMajorMissionId, '-', 200)}`,
+          ...(Object.keys(missing).length > 0
+            ? [`GOD TOWN BOARD PROJECT BLOCKED: id=${project.id} next=${project.stage >= PROJECT_STAGE_MAX ? 'complete' : 'advance'} missing=${formatGoodAmounts(missing)} pooled=${formatGoodAmounts(project.contributed)}`]
+            : [])
+        ]
+      })
       const projectModifiers = getCompletedProjectModifiers(snapshot.world, town.townName)
       const salvageRuns = listSalvageRunsForTown(normalizeWorldSalvageRuns(snapshot.world?.salvageRuns), town.townName)
       const pendingSalvage = salvageRuns.find(run => run.status === 'planned') || null
@@ -10779,6 +12531,8 @@ function createGodCommandService(deps) {
         salvageSummaryLine,
         ...pulse.hot.map(item => `GOD TOWN BOARD MARKET PULSE HOT: good=${item.good} hint=${item.multiplierHint} reason=${item.reason}`),
         ...pulse.cold.map(item => `GOD TOWN BOARD MARKET PULSE COLD: good=${item.good} reason=${item.reason}`),
+        `GOD TOWN BOARD SEASON PULSE: ${formatSeasonCycleLine(clock)}`,
+        `GOD TOWN BOARD SEASON MODIFIERS: ${formatSeasonModifierSummary(clock.season)}`,
         `GOD TOWN BOARD ROUTE RISK: label=${routeRisk.label} reason=${routeRisk.reason} note=${routeRisk.nightPenaltyHint}`,
         `GOD TOWN BOARD TRADER TIP: ${traderTip}`,
         `GOD TOWN BOARD NETHER PULSE: ${formatNetherModifierSummary(nether)}`,
@@ -10801,7 +12555,8 @@ function createGodCommandService(deps) {
         `GOD TOWN BOARD CLOCK: day=${clock.day} phase=${clock.phase} season=${clock.season}`,
         `GOD TOWN BOARD THREAT: town=${town.townName} level=${townThreatLevel}`,
         `GOD TOWN BOARD MOOD: town=${town.townName} mood=${townMoodLabel} fear=${townMood.fear} unrest=${townMood.unrest} prosperity=${townMood.prosperity}`,
-        `GOD TOWN BOARD FACTION: town=${town.townName} name=${townFactionName} doctrine=${townFactionDoctrine} rivals=${townFactionRivals.length ? townFactionRivals.join('|') : '-'}`,
+        `GOD TOWN BOARD FACTION: town=${town.townName} name=${townFactionName} doctrine=${townFactionDoctrine} rivals=${townFactionRivals.length ? townFactionRivals.join('|') : '-'} allies=${townFactionAllies.length ? townFactionAllies.join('|') : '-'}`,
+        `GOD TOWN BOARD DIPLOMACY: faction=${townFactionName} wars=${formatNameList(townDiplomacy.wars)} truces=${formatNameList(townDiplomacy.truces)} alliances=${formatNameList(townDiplomacy.alliances)} trade_pacts=${formatNameList(townDiplomacy.tradePacts)}`,
         `GOD TOWN BOARD QUESTS AVAILABLE: count=${availableQuestLines.length}`,
         ...(availableQuestLines.length > 0 ? availableQuestLines.map(line => line.replace('QUEST MAIN AVAILABLE', 'QUEST AVAILABLE')) : ['GOD TOWN BOARD QUEST AVAILABLE: (none)']),
         `GOD TOWN BOARD QUESTS ACTIVE: count=${activeQuestLines.length}`,
@@ -11535,7 +13290,7 @@ function createGodCommandService(deps) {
         outputLines: [
           `GOD PROJECT LIST: town=${townName} count=${projects.length}`,
           ...projects.map(project => (
-            `GOD PROJECT: id=${project.id} type=${project.type} status=${project.status} stage=${project.stage} started_day=${project.startedAtDay} updated_day=${project.updatedAtDay} supports_major_mission_id=${asText(project.supportsMajorMissionId, '-', 200)}`
+            `GOD PROJECT: id=${project.id} type=${project.type} status=${project.status} stage=${project.stage} started_day=${project.startedAtDay} updated_day=${project.updatedAtDay} supports_major_mission_id=${asText(project.supportsMajorMissionId, '-', 200)} needs=${formatGoodAmounts(getProjectMaterialNeeds(project))} pooled=${formatGoodAmounts(project.contributed)}`
           ))
         ]
       }
@@ -11618,6 +13373,10 @@ function createGodCommandService(deps) {
       if (Number(existing.stage || 0) >= PROJECT_STAGE_MAX) {
         return { applied: false, command, reason: 'Project is already at final stage.' }
       }
+      const advancePlan = planProjectStageDebit(snapshot.world, existing)
+      if (Object.keys(advancePlan.missing).length > 0) {
+        return { applied: false, command, reason: `Project stage blocked: missing ${formatGoodAmounts(advancePlan.missing)}.` }
+      }
       let tx
       try {
         tx = await memoryStore.transact((memory) => {
@@ -11660,6 +13419,7 @@ function createGodCommandService(deps) {
               recoverable: true
             })
           }
+          applyProjectStageDebit(memory, project, assertProjectStageAffordable(memory.world, project))
           const clock = ensureWorldClock(memory.world)
           project.status = 'active'
           project.stage = Math.min(PROJECT_STAGE_MAX, Number(project.stage || 0) + 1)
@@ -11681,6 +13441,7 @@ function createGodCommandService(deps) {
         if (err instanceof AppError && err.code === 'UNKNOWN_PROJECT') return { applied: false, command, reason: 'Unknown project.' }
         if (err instanceof AppError && err.code === 'PROJECT_STATE_INVALID') return { applied: false, command, reason: 'Project cannot advance from current state.' }
         if (err instanceof AppError && err.code === 'PROJECT_STAGE_FINAL') return { applied: false, command, reason: 'Project is already at final stage.' }
+        if (err instanceof AppError && err.code === 'PROJECT_BLOCKED') return { applied: false, command, reason: `Project stage blocked: missing ${err.metadata?.missing}.` }
         throw err
       }
       if (tx.skipped) return { applied: false, command, reason: 'Duplicate operation ignored.' }
@@ -11694,6 +13455,74 @@ function createGodCommandService(deps) {
       }
     }
 
+    if (parsed.type === 'project_contribute') {
+      const snapshot = memoryStore.getSnapshot()
+      const townName = resolveTownName(snapshot.world, parsed.townName)
+      if (!townName) return { applied: false, command, reason: 'Unknown town.' }
+      const existing = findProjectById(snapshot.world?.projects || [], parsed.projectId)
+      if (!existing || !sameText(existing.townId, townName, 80)) return { applied: false, command, reason: 'Unknown project.' }
+      if (!(existing.status === 'active' || existing.status === 'planned')) {
+        return { applied: false, command, reason: 'Project cannot take contributions in current state.' }
+      }
+      const runtimeAgent = resolveRuntimeAgent(runtimeAgents, parsed.agentName)
+      if (!runtimeAgent) return { applied: false, command, reason: 'Unknown agent.' }
+      const good = toMarketGoodKey(parsed.good)
+      if (!good) return { applied: false, command, reason: 'Unknown good.' }
+      const perStage = Number(getProjectMaterialNeeds(existing)[good] || 0)
+      if (perStage <= 0) return { applied: false, command, reason: 'Project does not need that good.' }
+      const amount = asPositiveIntegerAmount(parsed.amount)
+      if (amount === null) return { applied: false, command, reason: 'Invalid amount.' }
+      const remainingNeed = (perStage * countProjectStagesLeft(existing)) - Number(existing.contributed?.[good] || 0)
+      if (amount > remainingNeed) return { applied: false, command, reason: 'Contribution exceeds remaining need.' }
+      const economy = normalizeWorldEconomy(snapshot.world?.economy)
+      if (getInventoryCount(economy, runtimeAgent.name, good) < amount) {
+        return { applied: false, command, reason: 'Insufficient goods.' }
+      }
+      let tx
+      try {
+        tx = await memoryStore.transact((memory) => {
+          const projects = ensureWorldProjects(memory.world)
+          const idx = projects.findIndex(project => sameText(project?.id, existing.id, 200))
+          const project = idx >= 0 ? normalizeProject(projects[idx]) : null
+          if (!project || !(project.status === 'active' || project.status === 'planned')) {
+            throw new AppError({
+              code: 'UNKNOWN_PROJECT',
+              message: `Unknown project: ${parsed.projectId}`,
+              recoverable: true
+            })
+          }
+          adjustInventory(ensureWorldEconomy(memory.world), runtimeAgent.name, good, -amount)
+          project.contributed = {
+            ...(project.contributed || {}),
+            [good]: Number(project.contributed?.[good] || 0) + amount
+          }
+          projects[idx] = project
+          appendProjectAnnouncements(memory, {
+            townName,
+            project,
+            at: now(),
+            idPrefix: `${operationId}:project_contribute:${project.id.toLowerCase()}`,
+            crierType: 'project_contribute',
+            message: `[${townName}] PROJECT SUPPLIES: ${runtimeAgent.name} gave ${amount} ${toMarketGoodLabel(good)} to ${project.type}.`
+          })
+          return { project, pooled: project.contributed[good] }
+        }, { eventId: `${operationId}:project_contribute:${existing.id.toLowerCase()}:${runtimeAgent.name.toLowerCase()}:${good}` })
+      } catch (err) {
+        if (err instanceof AppError && err.code === 'UNKNOWN_PROJECT') return { applied: false, command, reason: 'Unknown project.' }
+        if (err instanceof AppError && err.code === 'INSUFFICIENT_GOODS') return { applied: false, command, reason: 'Insufficient goods.' }
+        throw err
+      }
+      if (tx.skipped) return { applied: false, command, reason: 'Duplicate operation ignored.' }
+      return {
+        applied: true,
+        command,
+        audit: true,
+        outputLines: [
+          `GOD PROJECT CONTRIBUTE: town=${townName} project_id=${tx.result.project.id} agent=${runtimeAgent.name} good=${good} amount=${amount} pooled=${tx.result.pooled}`
+        ]
+      }
+    }
+
     if (parsed.type === 'project_complete') {
       const snapshot = memoryStore.getSnapshot()
       const townName = resolveTownName(snapshot.world, parsed.townName)
@@ -11703,6 +13532,10 @@ function createGodCommandService(deps) {
       if (!(existing.status === 'active' || existing.status === 'planned')) {
         return { applied: false, command, reason: 'Project cannot complete from current state.' }
       }
+      const completePlan = planProjectStageDebit(snapshot.world, existing)
+      if (Object.keys(completePlan.missing).length > 0) {
+        return { applied: false, command, reason: `Project stage blocked: missing ${formatGoodAmounts(completePlan.missing)}.` }
+      }
       let tx
       try {
         tx = await memoryStore.transact((memory) => {
@@ -11738,6 +13571,7 @@ function createGodCommandService(deps) {
               recoverable: true
             })
           }
+          applyProjectStageDebit(memory, project, assertProjectStageAffordable(memory.world, project))
           const clock = ensureWorldClock(memory.world)
           project.status = 'completed'
           project.stage = Math.max(1, Number(project.stage || 1))
@@ -11761,6 +13595,7 @@ function createGodCommandService(deps) {
         if (err instanceof AppError && err.code === 'UNKNOWN_TOWN') return { applied: false, command, reason: 'Unknown town.' }
         if (err instanceof AppError && err.code === 'UNKNOWN_PROJECT') return { applied: false, command, reason: 'Unknown project.' }
         if (err instanceof AppError && err.code === 'PROJECT_STATE_INVALID') return { applied: false, command, reason: 'Project cannot complete from current state.' }
+        if (err instanceof AppError && err.code === 'PROJECT_BLOCKED') return { applied: false, command, reason: `Project stage blocked: missing ${err.metadata?.missing}.` }
         throw err
       }
       if (tx.skipped) return { applied: false, command, reason: 'Duplicate operation ignored.' }
@@ -11965,6 +13800,8 @@ function createGodCommandService(deps) {
       const existing = findSalvageRunById(snapshot.world?.salvageRuns || [], parsed.runId)
       if (!existing || !sameText(existing.townId, townName, 80)) return { applied: false, command, reason: 'Unknown salvage run.' }
       if (existing.status !== 'planned') return { applied: false, command, reason: 'Salvage run is not in planned state.' }
+      const crewName = parsed.crewName ? resolveKnownAgentName(snapshot, runtimeAgents, parsed.crewName) : null
+      if (parsed.crewName && !crewName) return { applied: false, command, reason: 'Unknown agent.' }
       let tx
       try {
         tx = await memoryStore.transact((memory) => {
@@ -12014,8 +13851,9 @@ function createGodCommandService(deps) {
             MAX_SALVAGE_RESULT_KEYS
           )
           runs[idx] = run
-          applySalvageResolutionEffects(memory, run, {
-            idPrefix: `${operationId}:salvage_resolve:${run.id.toLowerCase()}`
+          const effects = applySalvageResolutionEffects(memory, run, {
+            idPrefix: `${operationId}:salvage_resolve:${run.id.toLowerCase()}`,
+            crewName
           })
           const at = now()
           appendSalvageAnnouncements(memory, {
@@ -12026,7 +13864,7 @@ function createGodCommandService(deps) {
             crierType: 'salvage_resolve',
             message: buildSalvageStatusMessage(canonicalTown, run)
           })
-          return run
+          return { run, effects }
         }, { eventId: `${operationId}:salvage_resolve:${townName.toLowerCase()}:${existing.id.toLowerCase()}:${outcomeKey}` })
       } catch (err) {
         if (err instanceof AppError && err.code === 'UNKNOWN_TOWN') return { applied: false, command, reason: 'Unknown town.' }
@@ -12040,7 +13878,7 @@ function createGodCommandService(deps) {
         command,
         audit: true,
         outputLines: [
-          `GOD SALVAGE RESOLVE: town=${townName} run_id=${tx.result.id} target=${tx.result.targetKey} outcome=${asText(tx.result.outcomeKey, '-', 80)} supplies=${Number(tx.result.result?.supplies || 0)}`
+          `GOD SALVAGE RESOLVE: town=${townName} run_id=${tx.result.run.id} target=${tx.result.run.targetKey} outcome=${asText(tx.result.run.outcomeKey, '-', 80)} supplies=${Number(tx.result.run.result?.supplies || 0)} stockpiles=${formatGoodAmounts(tx.result.effects.stockpiles)}${crewName ? ` crew=${crewName} haul=${formatGoodAmounts(tx.result.effects.haul)}` : ''}`
         ]
       }
     }
@@ -12303,7 +14141,7 @@ function createGodCommandService(deps) {
       let objectiveLine = '-'
       let progressLine = '-'
       if (quest.type === 'trade_n') {
-        objectiveLine = `kind=trade_n n=${quest.objective.n} market=${quest.objective.market || '-'}`
+        objectiveLine = `kind=trade_n n=${quest.objective.n} market=${quest.objective.market || '-'} good=${quest.objective.good || '-'}`
         progressLine = `done=${quest.progress.done}`
       } else if (quest.type === 'visit_town') {
         objectiveLine = `kind=visit_town town=${quest.objective.town}`
@@ -12319,6 +14157,7 @@ function createGodCommandService(deps) {
           `GOD CONTRACT DESC: ${quest.desc}`,
           `GOD CONTRACT OBJECTIVE: ${objectiveLine}`,
           `GOD CONTRACT PROGRESS: ${progressLine}`,
+          ...formatQuestProgressLog(quest, 'GOD CONTRACT PROGRESS LOG'),
           `GOD CONTRACT RISK: label=${asText(quest.meta?.risk, '-', 20)} note=${asText(quest.meta?.risk_note, '-', 160)}`,
           `GOD CONTRACT TIMES: offered_at=${quest.offered_at} accepted_at=${quest.accepted_at || '-'}`
         ]
@@ -12411,13 +14250,13 @@ function createGodCommandService(deps) {
       let objectiveLine = '-'
       let progressLine = '-'
       if (quest.type === 'trade_n') {
-        objectiveLine = `kind=trade_n n=${quest.objective.n} market=${quest.objective.market || '-'}`
+        objectiveLine = `kind=trade_n n=${quest.objective.n} market=${quest.objective.market || '-'} good=${quest.objective.good || '-'}`
         progressLine = `done=${quest.progress.done}`
       } else if (quest.type === 'visit_town') {
         objectiveLine = `kind=visit_town town=${quest.objective.town}`
         progressLine = `visited=${quest.progress.visited}`
       } else if (quest.type === 'rumor_task') {
-        objectiveLine = `kind=rumor_task rumor_task=${quest.objective.rumor_task} rumor_id=${quest.objective.rumor_id} n=${quest.objective.n || '-'} town=${quest.objective.town || '-'} market=${quest.objective.market || '-'}`
+        objectiveLine = `kind=rumor_task rumor_task=${quest.objective.rumor_task} rumor_id=${quest.objective.rumor_id} n=${quest.objective.n || '-'} town=${quest.objective.town || '-'} market=${quest.objective.market || '-'} good=${quest.objective.good || '-'}`
         progressLine = typeof quest.progress.done === 'number'
           ? `done=${quest.progress.done}`
           : `visited=${quest.progress.visited}`
@@ -12432,6 +14271,7 @@ function createGodCommandService(deps) {
           `GOD QUEST DESC: ${quest.desc}`,
           `GOD QUEST OBJECTIVE: ${objectiveLine}`,
           `GOD QUEST PROGRESS: ${progressLine}`,
+          ...formatQuestProgressLog(quest, 'GOD QUEST PROGRESS LOG'),
           `GOD QUEST TIMES: offered_at=${quest.offered_at} accepted_at=${quest.accepted_at || '-'}`
         ]
       }
@@ -12465,6 +14305,7 @@ function createGodCommandService(deps) {
         const reward = Math.max(0, baseReward + rewardBonus)
         const objective = { kind: 'trade_n', n }
         if (marketName) objective.market = marketName
+        if (parsed.good) objective.good = parsed.good
         const flavor = buildQuestFlavor('trade_n', townName, objective)
         const questId = createQuestId(quests, operationId, townName, 'trade_n', at)
         const quest = {
@@ -12480,7 +14321,7 @@ function createGodCommandService(deps) {
           desc: flavor.desc
         }
         quests.push(quest)
-        const msg = `QUEST: offered ${quest.id} trade_n x${n}${marketName ? ` @ ${marketName}` : ''}`
+        const msg = `QUEST: offered ${quest.id} trade_n x${n}${parsed.good ? ` ${toMarketGoodLabel(parsed.good)}` : ''}${marketName ? ` @ ${marketName}` : ''}`
         appendChronicle(memory, {
           id: `${operationId}:chronicle:quest_offer:${quest.id.toLowerCase()}`,
           type: 'quest_offer',
@@ -13013,6 +14854,155 @@ function createGodCommandService(deps) {
       }
     }
 
+    if (parsed.type === 'agent_list') {
+      const snapshot = memoryStore.getSnapshot()
+      const entries = Object.values(materializeAgentRoster(snapshot.world?.agentRoster))
+      const activeCount = entries.filter(entry => entry.status === 'active').length
+      return {
+        applied: true,
+        command,
+        audit: false,
+        outputLines: [
+          `GOD AGENT LIST: count=${entries.length} active=${activeCount}`,
+          ...entries.map(entry => (
+            `GOD AGENT: name=${entry.name} role=${entry.role} faction=${entry.faction} town=${entry.town || '-'} status=${entry.status}`
+          ))
+        ]
+      }
+    }
+
+    if (parsed.type === 'agent_spawn') {
+      const key = rosterKey(parsed.name)
+      const snapshot = memoryStore.getSnapshot()
+      const currentRoster = materializeAgentRoster(snapshot.world?.agentRoster)
+      const existing = currentRoster[key]
+      if (existing && existing.status === 'active') return { applied: false, command, reason: 'Agent already active.' }
+      if (isAgentRosterFull(currentRoster)) return { applied: false, command, reason: 'Agent roster is full; retire an agent first.' }
+      let townName = null
+      if (parsed.townName) {
+        townName = resolveTownName(snapshot.world, parsed.townName)
+        if (!townName) return { applied: false, command, reason: 'Unknown town.' }
+      }
+
+      const tx = await memoryStore.transact((memory) => {
+        const roster = ensureWorldAgentRoster(memory.world)
+        const prior = roster[key]
+        if (prior && prior.status === 'active') return { spawned: false, entry: prior }
+        if (isAgentRosterFull(roster)) return { spawned: false, full: true }
+        const at = now()
+        const entry = {
+          name: prior ? prior.name : parsed.name,
+          role: parsed.role,
+          faction: parsed.faction,
+          town: townName,
+          status: 'active',
+          spawned_at: at
+        }
+        roster[key] = entry
+        // Trim retired entries now so the saved roster matches what a reload keeps.
+        memory.world.agentRoster = normalizeAgentRoster(roster)
+        const msg = `AGENT: ${entry.name} joins as ${entry.role} of ${entry.faction}${townName ? ` @ ${townName}` : ''}`
+        appendChronicle(memory, {
+          id: `${operationId}:chronicle:agent_spawn:${key}`,
+          type: 'agent_spawn',
+          msg,
+          at,
+          town: townName || undefined,
+          meta: {
+            agent: entry.name,
+            role: entry.role,
+            faction: entry.faction
+          }
+        })
+        appendNews(memory, {
+          id: `${operationId}:news:agent_spawn:${key}`,
+          topic: 'agent',
+          msg,
+          at,
+          town: townName || undefined,
+          meta: {
+            agent: entry.name,
+            role: entry.role,
+            faction: entry.faction
+          }
+        })
+        return { spawned: true, entry }
+      }, { eventId: `${operationId}:agent_spawn:${key}` })
+
+      if (tx.skipped) return { applied: false, command, reason: 'Duplicate operation ignored.' }
+      if (tx.result.full) return { applied: false, command, reason: 'Agent roster is full; retire an agent first.' }
+      if (!tx.result.spawned) return { applied: false, command, reason: 'Agent already active.' }
+      // Persist roster before optional runtime side effects to prevent drift.
+      if (runtimeRoster) await runtimeRoster({ action: 'spawn', entry: tx.result.entry })
+      const entry = tx.result.entry
+      return {
+        applied: true,
+        command,
+        audit: true,
+        outputLines: [
+          `GOD AGENT SPAWNED: name=${entry.name} role=${entry.role} faction=${entry.faction} town=${entry.town || '-'}`
+        ]
+      }
+    }
+
+    if (parsed.type === 'agent_retire') {
+      const key = rosterKey(parsed.name)
+      const snapshot = memoryStore.getSnapshot()
+      const existing = materializeAgentRoster(snapshot.world?.agentRoster)[key]
+      if (!existing) return { applied: false, command, reason: 'Unknown agent.' }
+      if (existing.status !== 'active') return { applied: false, command, reason: 'Agent already retired.' }
+
+      const tx = await memoryStore.transact((memory) => {
+        const roster = ensureWorldAgentRoster(memory.world)
+        const entry = roster[key]
+        if (!entry || entry.status !== 'active') return { retired: false, entry: entry || null }
+        const at = now()
+        entry.status = 'retired'
+        entry.retired_at = at
+        const profile = ensureAgentProfile(memory, entry.name)
+        const worldIntent = normalizeWorldIntent(profile)
+        worldIntent.is_leader = false
+        profile.world_intent = worldIntent
+        const msg = `AGENT: ${entry.name} retires from ${entry.faction}`
+        appendChronicle(memory, {
+          id: `${operationId}:chronicle:agent_retire:${key}`,
+          type: 'agent_retire',
+          msg,
+          at,
+          town: entry.town || undefined,
+          meta: {
+            agent: entry.name,
+            role: entry.role,
+            faction: entry.faction
+          }
+        })
+        appendNews(memory, {
+          id: `${operationId}:news:agent_retire:${key}`,
+          topic: 'agent',
+          msg,
+          at,
+          town: entry.town || undefined,
+          meta: {
+            agent: entry.name,
+            role: entry.role,
+            faction: entry.faction
+          }
+        })
+        return { retired: true, entry }
+      }, { eventId: `${operationId}:agent_retire:${key}` })
+
+      if (tx.skipped) return { applied: false, command, reason: 'Duplicate operation ignored.' }
+      if (!tx.result.retired) return { applied: false, command, reason: 'Agent already retired.' }
+      // Persist roster before optional runtime side effects to prevent drift.
+      if (runtimeRoster) await runtimeRoster({ action: 'retire', entry: tx.result.entry })
+      return {
+        applied: true,
+        command,
+        audit: true,
+        outputLines: [`GOD AGENT RETIRED: name=${tx.result.entry.name}`]
+      }
+    }
+
     if (parsed.type === 'job_roster') {
       const snapshot = memoryStore.getSnapshot()
       const rosterNames = new Map()
@@ -13290,6 +15280,60 @@ function createGodCommandService(deps) {
       }
     }
 
+    if (parsed.type === 'content_list') {
+      const packs = installedContentPacks?.packs || []
+      const hash = installedContentPacks?.hash || ''
+      const worldHash = asText(memoryStore.getSnapshot().world?.content?.hash, '', 80)
+      return {
+        applied: true,
+        command,
+        audit: false,
+        outputLines: [
+          `GOD CONTENT: packs=${packs.length} hash=${hash ? hash.slice(0, 12) : '-'} world_hash=${worldHash ? worldHash.slice(0, 12) : '-'} status=${!hash && !worldHash ? 'builtin' : hash === worldHash ? 'recorded' : 'mismatch'}`,
+          ...packs.map(formatContentPackLine)
+        ]
+      }
+    }
+
+    if (parsed.type === 'content_show') {
+      const pack = (installedContentPacks?.packs || []).find(entry => entry.id === parsed.packId)
+      if (!pack) return { applied: false, command, reason: 'Unknown content pack.' }
+      return {
+        applied: true,
+        command,
+        audit: false,
+        outputLines: [
+          formatContentPackLine(pack),
+          ...pack.rumors.map(rumor => `GOD CONTENT RUMOR: pack=${pack.id} kind=${rumor.kind} key=${rumor.key}`),
+          ...pack.events.map(event => `GOD CONTENT EVENT: pack=${pack.id} type=${event.type} mods=${formatGoodAmounts(event.mods)} rumors=${event.rumor ? `${event.rumor.kind}:${event.rumor.templateKeys.join('|')}` : '-'}`),
+          ...pack.missions.map(mission => `GOD CONTENT MISSION: pack=${pack.id} id=${mission.id} title=${mission.title}`),
+          ...pack.projects.map(project => `GOD CONTENT PROJECT: pack=${pack.id} type=${project.type} requirements=${formatGoodAmounts(project.requirements)} effects=${formatGoodAmounts(project.effects)}`),
+          ...pack.salvageTargets.map(target => `GOD CONTENT SALVAGE: pack=${pack.id} target=${target.key} supply_base=${target.supplyBase} pressure=${target.pressure} stockpiles=${target.stockpiles.join(',')}`)
+        ]
+      }
+    }
+
+    if (parsed.type === 'inventory_show') {
+      const runtimeAgent = resolveRuntimeAgent(runtimeAgents, parsed.name)
+      const agentName = runtimeAgent ? runtimeAgent.name : parsed.name
+      const snapshot = memoryStore.getSnapshot()
+      const economy = normalizeWorldEconomy(snapshot.world?.economy)
+      const goods = Object.entries(economy.inventories?.[agentName] || {})
+        .sort((a, b) => a[0].localeCompare(b[0]))
+      if (goods.length === 0) {
+        return { applied: true, command, audit: false, outputLines: [`GOD INVENTORY: ${agentName} (empty)`] }
+      }
+      return {
+        applied: true,
+        command,
+        audit: false,
+        outputLines: [
+          `GOD INVENTORY: ${agentName} goods=${goods.length} units=${goods.reduce((sum, [, qty]) => sum + qty, 0)}`,
+          ...goods.map(([good, qty]) => `GOD INVENTORY ITEM: ${agentName} good=${good} label=${toMarketGoodLabel(good)} qty=${qty}`)
+        ]
+      }
+    }
+
     if (parsed.type === 'market_pulse_town') {
       const snapshot = memoryStore.getSnapshot()
       const townName = resolveTownName(snapshot.world, parsed.townName)
@@ -13507,7 +15551,7 @@ function createGodCommandService(deps) {
         outputLines: [
           `GOD OFFER LIST: market=${market.name} count=${offers.length}`,
           ...offers.map(offer => (
-            `GOD OFFER: id=${offer.offer_id} owner=${offer.owner} side=${offer.side} amount=${offer.amount} price=${offer.price} active=${offer.active} created_at=${offer.created_at}`
+            `GOD OFFER: id=${offer.offer_id} owner=${offer.owner} side=${offer.side} good=${offer.good || '-'} amount=${offer.amount} price=${offer.price} active=${offer.active} created_at=${offer.created_at}`
           ))
         ]
       }
@@ -13520,6 +15564,8 @@ function createGodCommandService(deps) {
       if (parsed.side !== 'buy' && parsed.side !== 'sell') {
         return { applied: false, command, reason: 'Invalid side.' }
       }
+      const good = parsed.good ? toMarketGoodKey(parsed.good) : ''
+      if (parsed.good && !good) return { applied: false, command, reason: 'Unknown good.' }
       const amount = asPositiveIntegerAmount(parsed.amount)
       if (amount === null) return { applied: false, command, reason: 'Invalid amount.' }
       const price = asPositiveIntegerAmount(parsed.price)
@@ -13570,11 +15616,13 @@ function createGodCommandService(deps) {
             created_at: now(),
             active: true
           }
+          if (good) offer.good = good
           marketRecord.offers.push(offer)
           const marketName = asText(marketRecord.name, market.name, 80)
           const markerName = asText(marketRecord.marker, '', 80) || null
           const town = findTownNameForMarker(memory.world?.markers || [], markerName)
-          const message = `OFFER: ${offer.owner} ${offer.side} ${offer.amount} @ ${offer.price} in ${marketName}`
+          const goodText = good ? ` ${toMarketGoodLabel(good)}` : ''
+          const message = `OFFER: ${offer.owner} ${offer.side} ${offer.amount}${goodText} @ ${offer.price} in ${marketName}`
           appendChronicle(memory, {
             id: `${operationId}:chronicle:offer_add:${offer.offer_id.toLowerCase()}`,
             type: 'offer_add',
@@ -13586,6 +15634,7 @@ function createGodCommandService(deps) {
               offer_id: offer.offer_id,
               owner: offer.owner,
               side: offer.side,
+              ...(good ? { good } : {}),
               amount: offer.amount,
               price: offer.price
             }
@@ -13601,6 +15650,7 @@ function createGodCommandService(deps) {
               offer_id: offer.offer_id,
               owner: offer.owner,
               side: offer.side,
+              ...(good ? { good } : {}),
               amount: offer.amount,
               price: offer.price
             }
@@ -13620,7 +15670,7 @@ function createGodCommandService(deps) {
         command,
         audit: true,
         outputLines: [
-          `GOD OFFER ADDED: market=${tx.result.marketName} id=${tx.result.offer.offer_id} owner=${tx.result.offer.owner} side=${tx.result.offer.side} amount=${tx.result.offer.amount} price=${tx.result.offer.price}`
+          `GOD OFFER ADDED: market=${tx.result.marketName} id=${tx.result.offer.offer_id} owner=${tx.result.offer.owner} side=${tx.result.offer.side} good=${tx.result.offer.good || '-'} amount=${tx.result.offer.amount} price=${tx.result.offer.price}`
         ]
       }
     }
@@ -13740,6 +15790,10 @@ function createGodCommandService(deps) {
       if (Number(snapshotEconomy.ledger[payerName] || 0) < totalPrice) {
         return { applied: false, command, reason: 'Insufficient funds.' }
       }
+      // The payee hands over the goods: the owner of a sell offer, the filler of a buy offer.
+      if (offer.good && getInventoryCount(snapshotEconomy, payeeName, offer.good) < amount) {
+        return { applied: false, command, reason: 'Insufficient goods.' }
+      }
 
       let tx
       try {
@@ -13822,15 +15876,22 @@ function createGodCommandService(deps) {
               recoverable: true
             })
           }
+          const good = currentOffer.good || ''
+          if (good) adjustInventory(worldEconomy, payee, good, -amount)
           const payeeCurrent = Number(worldEconomy.ledger[payee] || 0)
           worldEconomy.ledger[payer] = payerCurrent - total
           worldEconomy.ledger[payee] = payeeCurrent + total
+          if (good) adjustInventory(worldEconomy, payer, good, amount)
           const remaining = currentOffer.amount - amount
           const nextOffer = { ...currentOffer, amount: remaining, active: remaining > 0 }
           marketRecord.offers[offerIdx] = nextOffer
           const marketName = asText(marketRecord.name, market.name, 80)
           const town = findTownNameForMarker(memory.world?.markers || [], asText(marketRecord.marker, '', 80) || null)
-          const tradeMessage = `TRADE: ${buyerCanonical} bought ${amount} @ ${unitPrice} from ${ownerCanonical} at ${marketName}`
+          if (good && town) {
+            recordTradedVolume(worldEconomy, { day: ensureWorldClock(memory.world).day, town, good, units: amount })
+          }
+          const goodText = good ? ` ${toMarketGoodLabel(good)}` : ''
+          const tradeMessage = `TRADE: ${buyerCanonical} bought ${amount}${goodText} @ ${unitPrice} from ${ownerCanonical} at ${marketName}`
           const tradeAt = now()
           appendChronicle(memory, {
             id: `${operationId}:chronicle:trade:${currentOffer.offer_id.toLowerCase()}`,
@@ -13842,6 +15903,7 @@ function createGodCommandService(deps) {
               market: marketName,
               offer_id: currentOffer.offer_id,
               side: currentOffer.side,
+              ...(good ? { good } : {}),
               amount,
               price: unitPrice,
               total
@@ -13857,6 +15919,7 @@ function createGodCommandService(deps) {
               market: marketName,
               offer_id: currentOffer.offer_id,
               side: currentOffer.side,
+              ...(good ? { good } : {}),
               amount,
               price: unitPrice,
               total
@@ -13869,37 +15932,28 @@ function createGodCommandService(deps) {
             idPrefix: `${operationId}:trade:${currentOffer.offer_id.toLowerCase()}`,
             reason: 'trade'
           })
-          const questCompletions = []
-          const quests = ensureWorldQuests(memory.world)
-          for (let questIdx = 0; questIdx < quests.length; questIdx += 1) {
-            const quest = normalizeQuest(quests[questIdx])
-            if (!quest) continue
-            const rumorTask = asText(quest.objective?.rumor_task, '', 20).toLowerCase()
-            const isTradeQuest = quest.type === 'trade_n'
-              || (quest.type === 'rumor_task' && rumorTask === 'rumor_trade')
-            if (!isTradeQuest) continue
-            if (!QUEST_ACTIVE_STATES.has(quest.state)) continue
-            if (!sameText(quest.owner, buyerCanonical, 80)) continue
-            const objectiveMarket = asText(quest.objective.market, '', 80)
-            if (objectiveMarket && !sameText(objectiveMarket, marketName, 80)) continue
-
-            const nextDone = Number(quest.progress.done || 0) + 1
-            quest.progress = { done: nextDone }
-            if (quest.state === 'accepted') quest.state = 'in_progress'
-            if (nextDone >= Number(quest.objective.n || 0)) {
-              const completedQuest = completeQuestAndReward(
-                quest,
-                asText(quest.town, '', 80) || town || null,
-                now(),
-                `${operationId}:trade_quest:${currentOffer.offer_id.toLowerCase()}`,
-                memory
-              )
-              quests[questIdx] = completedQuest
-              questCompletions.push(completedQuest.id)
-              continue
-            }
-            quests[questIdx] = quest
-          }
+          const tradeDay = ensureWorldClock(memory.world).day
+          const tradeEvent = normalizeTradeEvent({
+            id: `te_${shortStableHash(`${operationId}:${currentOffer.offer_id.toLowerCase()}:${buyerCanonical.toLowerCase()}:${amount}`)}_${tradeDay.toString(36)}`,
+            day: tradeDay,
+            at: tradeAt,
+            market: marketName,
+            town,
+            offer_id: currentOffer.offer_id,
+            side: currentOffer.side,
+            good,
+            buyer: buyerCanonical,
+            seller: ownerCanonical,
+            amount,
+            price: unitPrice
+          })
+          const questProgress = advanceTradeQuests(memory, tradeEvent, {
+            idPrefix: `${operationId}:trade_quest:${currentOffer.offer_id.toLowerCase()}`,
+            at: now()
+          })
+          if (questProgress.advanced.length > 0) tradeEvent.quests = questProgress.advanced
+          // Quest rewards re-normalize world.economy, so record on the current object.
+          recordTradeEvent(ensureWorldEconomy(memory.world), tradeEvent)
           return {
             marketName,
             offerId: currentOffer.offer_id,
@@ -13915,7 +15969,10 @@ function createGodCommandService(deps) {
             payeeBalance: worldEconomy.ledger[payee],
             remaining,
             active: nextOffer.active,
-            questCompletions
+            good,
+            tradeEventId: tradeEvent.id,
+            questAdvances: questProgress.advanced,
+            questCompletions: questProgress.completed
           }
         }, { eventId: `${operationId}:trade:${market.name.toLowerCase()}:${offer.offer_id.toLowerCase()}:${buyerName.toLowerCase()}:${amount}` })
       } catch (err) {
@@ -13934,6 +15991,9 @@ function createGodCommandService(deps) {
         if (err instanceof AppError && err.code === 'INSUFFICIENT_FUNDS') {
           return { applied: false, command, reason: 'Insufficient funds.' }
         }
+        if (err instanceof AppError && err.code === 'INSUFFICIENT_GOODS') {
+          return { applied: false, command, reason: 'Insufficient goods.' }
+        }
         if (err instanceof AppError && err.code === 'INVALID_AMOUNT') {
           return { applied: false, command, reason: 'Invalid amount.' }
         }
@@ -13949,7 +16009,10 @@ function createGodCommandService(deps) {
         command,
         audit: true,
         outputLines: [
-          `GOD TRADE: market=${tx.result.marketName} offer_id=${tx.result.offerId} side=${tx.result.side} buyer=${tx.result.buyerName} amount=${tx.result.amount} unit_price=${tx.result.price} total=${tx.result.totalPrice} payer=${tx.result.payerName} payee=${tx.result.payeeName} payer_balance=${tx.result.payerBalance} payee_balance=${tx.result.payeeBalance} remaining=${tx.result.remaining} active=${tx.result.active}`
+          `GOD TRADE: market=${tx.result.marketName} offer_id=${tx.result.offerId} side=${tx.result.side} good=${tx.result.good || '-'} buyer=${tx.result.buyerName} amount=${tx.result.amount} unit_price=${tx.result.price} total=${tx.result.totalPrice} payer=${tx.result.payerName} payee=${tx.result.payeeName} payer_balance=${tx.result.payerBalance} payee_balance=${tx.result.payeeBalance} remaining=${tx.result.remaining} active=${tx.result.active}`,
+          ...(tx.result.questAdvances.length > 0
+            ? [`GOD TRADE QUESTS: trade_event=${tx.result.tradeEventId} advanced=${tx.result.questAdvances.join(',')} completed=${tx.result.questCompletions.join(',') || '-'}`]
+            : [])
         ]
       }
     }
@@ -14117,10 +16180,224 @@ function createGodCommandService(deps) {
     })
   }
 
+  /**
+   * One scheduler step for `god clock auto`. Phases due since the anchor are
+   * advanced in a single transaction that also moves the anchor, under an
+   * operation id derived from the scheduler generation and the tick count, so
+   * a retried step dedupes instead of advancing twice. After downtime at most
+   * `maxCatchUpTicks` phases run; the rest are skipped.
+   * @param {{nowMs: number, maxCatchUpTicks?: number}} input
+   */
+  async function advanceScheduledClock(input) {
+    const nowMs = Math.trunc(Number(input?.nowMs))
+    const maxCatchUpTicks = clamp(
+      Math.trunc(Number(input?.maxCatchUpTicks ?? DEFAULT_CLOCK_AUTO_MAX_CATCH_UP_TICKS)) || 1,
+      1,
+      MAX_CLOCK_ADVANCE_TICKS
+    )
+    if (!Number.isFinite(nowMs) || nowMs <= 0) {
+      throw new AppError({
+        code: 'INVALID_CLOCK_SCHEDULE',
+        message: 'Scheduled clock advance requires a positive nowMs.',
+        recoverable: true
+      })
+    }
+    const auto = normalizeWorldClock(memoryStore.getSnapshot().world?.clock).auto
+    if (!auto?.enabled) return { advanced: false, reason: 'disabled', outputLines: [] }
+
+    if (auto.anchor_at === 0) {
+      await memoryStore.transact((memory) => {
+        const current = ensureWorldClock(memory.world).auto
+        if (!current?.enabled || current.generation !== auto.generation || current.anchor_at !== 0) return
+        current.anchor_at = nowMs
+      }, { eventId: `clock-auto:${auto.generation}:anchor` })
+      return { advanced: false, reason: 'anchored', outputLines: [] }
+    }
+
+    const phaseMs = auto.phase_seconds * 1000
+    const due = Math.floor((nowMs - auto.anchor_at) / phaseMs)
+    if (due < 1) return { advanced: false, reason: 'waiting', outputLines: [] }
+
+    const ticks = Math.min(due, maxCatchUpTicks)
+    const skipped = due - ticks
+    const operationId = `clock-auto:${auto.generation}:${auto.ticks}`
+    const now = createDeterministicCommandNow(memoryStore.getSnapshot().world, operationId, `clock_auto_advance:${ticks}`)
+    const tx = await memoryStore.transact((memory) => {
+      const current = ensureWorldClock(memory.world).auto
+      if (!current?.enabled || current.generation !== auto.generation || current.ticks !== auto.ticks) return null
+      const result = advanceWorldClock(memory, { ticks, operationId, now })
+      const clock = ensureWorldClock(memory.world)
+      clock.auto = {
+        ...current,
+        anchor_at: current.anchor_at + (due * phaseMs),
+        ticks: current.ticks + ticks
+      }
+      return result
+    }, { eventId: `${operationId}:clock_advance:${ticks}` })
+
+    if (tx.skipped || !tx.result) return { advanced: false, reason: 'stale', outputLines: [] }
+    if (skipped > 0) logger.warn('clock_auto_catch_up_skipped', { due, ticks, skipped })
+    if (runtimeClock) await runtimeClock({ operationId, source: 'auto', ticks, ...tx.result })
+    return {
+      advanced: true,
+      reason: 'advanced',
+      operationId,
+      ticks,
+      skipped,
+      ...tx.result,
+      outputLines: [
+        `GOD CLOCK AUTO ADVANCE: ticks=${ticks} skipped=${skipped} day=${tx.result.day} phase=${tx.result.phase} season=${tx.result.season}`
+      ]
+    }
+  }
+
+  /**
+   * Map a `server-time.v1` report onto the engine clock. The engine advances
+   * as many phases as the server moved since the last report (at most
+   * MAX_SERVER_CLOCK_CATCH_UP_TICKS), plus one when needed so both phases
+   * match. A server clock that ran backwards starts a new epoch and only
+   * realigns the phase. Each server day/phase maps to one operation id, so a
+   * repeated report never advances twice. Ignored while `god clock auto` is on.
+   * @param {{report: any}} input
+   */
+  async function syncServerClock(input) {
+    const report = input?.report
+    if (!isValidServerTimeReport(report)) {
+      throw new AppError({
+        code: 'INVALID_SERVER_TIME',
+        message: 'Server time must be a valid server-time.v1 object.',
+        recoverable: true
+      })
+    }
+    const clock = normalizeWorldClock(memoryStore.getSnapshot().world?.clock)
+    if (clock.auto?.enabled) return { applied: false, reason: 'auto_enabled', outputLines: [] }
+
+    const previous = clock.server
+    const phaseIndex = (day, phase) => (day * 2) + (phase === 'night' ? 1 : 0)
+    const reportIndex = phaseIndex(report.day, report.phase)
+    const previousIndex = previous ? phaseIndex(previous.day, previous.phase) : null
+    if (previousIndex === reportIndex) return { applied: false, reason: 'unchanged', outputLines: [] }
+
+    const rewound = previousIndex !== null && reportIndex < previousIndex
+    const epoch = previous ? previous.epoch + (rewound ? 1 : 0) : 0
+    let ticks = previousIndex !== null && !rewound
+      ? Math.min(reportIndex - previousIndex, MAX_SERVER_CLOCK_CATCH_UP_TICKS)
+      : 0
+    const phaseAfter = ticks % 2 === 0 ? clock.phase : (clock.phase === 'day' ? 'night' : 'day')
+    if (phaseAfter !== report.phase) ticks += 1
+
+    const operationId = `server-time:${epoch}:${report.day}:${report.phase}`
+    const now = createDeterministicCommandNow(memoryStore.getSnapshot().world, operationId, `clock_sync:${ticks}`)
+    const tx = await memoryStore.transact((memory) => {
+      const current = ensureWorldClock(memory.world).server
+      const unchanged = previous
+        ? Boolean(current && current.epoch === previous.epoch && phaseIndex(current.day, current.phase) === previousIndex)
+        : !current
+      if (!unchanged) return null
+      if (ticks > 0) advanceWorldClock(memory, { ticks, operationId, now })
+      const synced = ensureWorldClock(memory.world)
+      synced.server = {
+        epoch,
+        day: report.day,
+        phase: report.phase,
+        at: Number.isInteger(report.at) ? report.at : 0,
+        ticks: (previous?.ticks || 0) + ticks
+      }
+      return { day: synced.day, phase: synced.phase, season: synced.season }
+    }, { eventId: `${operationId}:clock_sync` })
+
+    if (tx.skipped || !tx.result) return { applied: false, reason: 'stale', outputLines: [] }
+    if (ticks > 0 && runtimeClock) await runtimeClock({ operationId, source: 'server', ticks, ...tx.result })
+    return {
+      applied: true,
+      reason: rewound ? 'rewound' : 'synced',
+      operationId,
+      ticks,
+      ...tx.result,
+      outputLines: [
+        `GOD CLOCK SYNC: server_day=${report.day} server_phase=${report.phase} ticks=${ticks} day=${tx.result.day} phase=${tx.result.phase} season=${tx.result.season}`
+      ]
+    }
+  }
+
+  /**
+   * Apply several commands all-or-nothing. Every step runs inside one memory
+   * transaction (marked with `eventId`), seeing the steps before it; the first
+   * step that is not applied, or throws, aborts the transaction and nothing is
+   * stored. A replayed `eventId` is ignored like a duplicate operation. Runtime
+   * effects of the steps (bot speech, markers, jobs, roster, clock) run in step
+   * order after the commit and are dropped when the batch aborts.
+   * @param {{agents: unknown[], steps: {command: string, operationId: string}[], eventId: string, persistWorldState?: boolean}} input
+   */
+  async function applyGodCommandBatch(input) {
+    const steps = Array.isArray(input?.steps) ? input.steps : []
+    const eventId = asText(input?.eventId, '', 200)
+    if (!eventId || steps.length === 0) {
+      throw new AppError({
+        code: 'INVALID_GOD_BATCH',
+        message: 'God command batch requires an eventId and at least one step.',
+        recoverable: true
+      })
+    }
+    const persistWorldState = input?.persistWorldState !== false
+    const results = []
+    const runtimeEffects = []
+    let tx
+    try {
+      tx = await deferredRuntimeEffectsContext.run(runtimeEffects, () => memoryStore.transact(async () => {
+        for (const step of steps) {
+          let result
+          try {
+            result = await applyGodCommand({
+              agents: input.agents,
+              command: step?.command,
+              operationId: step?.operationId,
+              persistWorldState
+            })
+          } catch (err) {
+            if (!(err instanceof AppError)) throw err
+            result = { applied: false, command: asText(step?.command, '', 240), reason: err.message }
+          }
+          results.push(result)
+          if (!result.applied) {
+            throw new AppError({
+              code: 'GOD_BATCH_STEP_REJECTED',
+              message: result.reason || 'Command rejected.',
+              recoverable: true
+            })
+          }
+        }
+      }, { eventId, allowNested: true, persist: persistWorldState }))
+    } catch (err) {
+      if (!(err instanceof AppError) || err.code !== 'GOD_BATCH_STEP_REJECTED') throw err
+      logger.info('god_batch_aborted', { eventId, failedIndex: results.length - 1, reason: err.message })
+      return { applied: false, failedIndex: results.length - 1, reason: err.message, results }
+    }
+
+    if (tx.skipped) {
+      logger.info('god_batch_duplicate_ignored', { eventId })
+      return { applied: false, failedIndex: null, reason: 'Duplicate operation ignored.', results: [] }
+    }
+    for (const effect of runtimeEffects) await effect()
+    logger.info('god_batch_applied', { eventId, steps: results.length })
+    return { applied: true, failedIndex: null, results }
+  }
+
   return {
     applyGodCommand,
+    applyGodCommandBatch,
+    advanceScheduledClock,
+    syncServerClock,
     SUPPORTED_GOD_COMMANDS
   }
 }
 
-module.exports = { createGodCommandService, SUPPORTED_GOD_COMMANDS, parseGodCommand }
+module.exports = {
+  createGodCommandService,
+  EVENT_MOD_KEYS,
+  PROJECT_REQUIREMENT_KEYS,
+  SUPPORTED_GOD_COMMANDS,
+  TOWN_STOCKPILE_KEYS,
+  parseGodCommand,
+  registerContentPacks
+}
@@ -0,0 +1,377 @@
+const http = require('http')
+
+const { AppError } = require('./errors')
+const { parseExecutionBundleLine, parseExecutionHandoffLine } = require('./executionAdapter')
+const { deriveOperationId } = require('./flowControl')
+const { parsePlayerPositionLine } = require('./playerPosition')
+const { createWorldMemoryContextForRequest, parseWorldMemoryRequestLine } = require('./worldMemoryContext')
+const { createWorldSnapshotResponseForRequest, parseWorldSnapshotRequestLine } = require('./worldSnapshotRequest')
+
+const DEFAULT_HTTP_HOST = '127.0.0.1'
+const DEFAULT_MAX_BODY_BYTES = 64 * 1024
+const MAX_GOD_COMMAND_LENGTH = 240
+const MAX_OPERATION_ID_LENGTH = 160
+
+const HTTP_STATUS_BY_CODE = {
+  HTTP_NOT_FOUND: 404,
+  HTTP_METHOD_NOT_ALLOWED: 405,
+  HTTP_BODY_TOO_LARGE: 413,
+  MEMORY_LOCK_TIMEOUT: 503
+}
+
+const ROUTES = {
+  'POST /god': 'god',
+  'POST /execution-handoff': 'execution_handoff',
+  'POST /execution-bundle': 'execution_bundle',
+  'POST /world-memory': 'world_memory',
+  'POST /world-snapshot': 'world_snapshot',
+  'POST /player-position': 'player_position',
+  'GET /status': 'status'
+}
+
+/**
+ * Map an AppError code onto an HTTP status. Unknown-entity codes are 404s,
+ * non-recoverable failures are server errors and everything else is a
+ * rejected request.
+ * @param {AppError} err
+ */
+function statusForAppError(err) {
+  if (!err.recoverable) return 500
+  if (HTTP_STATUS_BY_CODE[err.code]) return HTTP_STATUS_BY_CODE[err.code]
+  if (/^UNKNOWN_/.test(String(err.code || ''))) return 404
+  return 400
+}
+
+/**
+ * @param {unknown} err
+ * @returns {{status: number, body: {error: {code: string, message: string, recoverable: boolean}}}}
+ */
+function toErrorResponse(err) {
+  if (err instanceof AppError) {
+    return {
+      status: statusForAppError(err),
+      body: {
+        error: {
+          code: err.code,
+          message: err.message,
+          recoverable: err.recoverable
+        }
+      }
+    }
+  }
+  return {
+    status: 500,
+    body: {
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal error.',
+        recoverable: false
+      }
+    }
+  }
+}
+
+/**
+ * @param {http.IncomingMessage} req
+ * @param {number} maxBodyBytes
+ * @returns {Promise<string>}
+ */
+function readRequestBody(req, maxBodyBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+    let rejected = false
+    req.on('data', (chunk) => {
+      if (rejected) return
+      size += chunk.length
+      if (size > maxBodyBytes) {
+        rejected = true
+        reject(new AppError({
+          code: 'HTTP_BODY_TOO_LARGE',
+          message: `Request body exceeds ${maxBodyBytes} bytes.`,
+          metadata: { maxBodyBytes }
+        }))
+        return
+      }
+      chunks.push(chunk)
+    })
+    req.on('end', () => {
+      if (!rejected) resolve(Buffer.concat(chunks).toString('utf-8'))
+    })
+    req.on('error', (err) => {
+      if (!rejected) reject(err)
+    })
+  })
+}
+
+/**
+ * @param {string} body
+ * @returns {Record<string, unknown>}
+ */
+function parseJsonBody(body) {
+  let parsed
+  try {
+    parsed = JSON.parse(body)
+  } catch {
+    throw new AppError({
+      code: 'HTTP_INVALID_JSON',
+      message: 'Request body must be valid JSON.'
+    })
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new AppError({
+      code: 'HTTP_INVALID_JSON',
+      message: 'Request body must be a JSON object.'
+    })
+  }
+  return parsed
+}
+
+/**
+ * @param {unknown} value
+ * @param {number} maxLen
+ */
+function asText(value, maxLen) {
+  if (typeof value !== 'string') return ''
+  return value.trim().slice(0, maxLen)
+}
+
+/**
+ * Create the optional local HTTP/JSON front door. It exposes the same entry
+ * points as the stdin CLI and never owns state of its own: every request is
+ * forwarded to the god command service, execution adapter or execution store.
+ * @param {{
+ *   godCommandService: {applyGodCommand: Function},
+ *   executionAdapter: {executeHandoff: Function, executeBundle: Function},
+ *   executionStore: any,
+ *   playerPositionTracker?: {applyPlayerPosition: Function},
+ *   getAgents: () => any[],
+ *   getStatusSnapshot: () => Record<string, unknown>,
+ *   onGodCommandApplied?: (input: {command: string, operationId: string, result: any}) => Promise<void> | void,
+ *   beforeRequest?: () => Promise<void> | void,
+ *   logger?: any,
+ *   maxBodyBytes?: number
+ * }} deps
+ */
+function createEngineHttpServer(deps) {
+  if (!deps?.godCommandService || !deps?.executionAdapter || !deps?.executionStore) {
+    throw new AppError({
+      code: 'HTTP_SERVER_CONFIG_ERROR',
+      message: 'createEngineHttpServer requires godCommandService, executionAdapter and executionStore.',
+      recoverable: false
+    })
+  }
+  const getAgents = typeof deps.getAgents === 'function' ? deps.getAgents : () => []
+  const getStatusSnapshot = typeof deps.getStatusSnapshot === 'function' ? deps.getStatusSnapshot : () => ({})
+  const onGodCommandApplied = typeof deps.onGodCommandApplied === 'function' ? deps.onGodCommandApplied : null
+  const beforeRequest = typeof deps.beforeRequest === 'function' ? deps.beforeRequest : null
+  const playerPositionTracker = deps.playerPositionTracker || null
+  const logger = deps.logger || null
+  const maxBodyBytes = Number.isInteger(deps.maxBodyBytes) && deps.maxBodyBytes > 0
+    ? deps.maxBodyBytes
+    : DEFAULT_MAX_BODY_BYTES
+  let server = null
+
+  async function handleGod(body) {
+    const input = parseJsonBody(body)
+    const command = asText(input.command, MAX_GOD_COMMAND_LENGTH + 1)
+    if (!command || command.length > MAX_GOD_COMMAND_LENGTH) {
+      throw new AppError({
+        code: 'INVALID_GOD_COMMAND',
+        message: `command must be a non-empty string of at most ${MAX_GOD_COMMAND_LENGTH} characters.`
+      })
+    }
+    const operationId = asText(input.operationId, MAX_OPERATION_ID_LENGTH)
+      || deriveOperationId(['http', 'god', command], { windowMs: 5000 })
+    const result = await deps.godCommandService.applyGodCommand({
+      agents: getAgents(),
+      command,
+      operationId
+    })
+    if (result?.applied && onGodCommandApplied) {
+      await onGodCommandApplied({ command, operationId, result })
+    }
+    return { operationId, ...result }
+  }
+
+  async function handleExecutionHandoff(body) {
+    parseJsonBody(body)
+    const handoff = parseExecutionHandoffLine(body)
+    if (!handoff) {
+      throw new AppError({
+        code: 'INVALID_EXECUTION_HANDOFF',
+        message: 'Body must be a valid execution-handoff.v1 object.'
+      })
+    }
+    return deps.executionAdapter.executeHandoff({
+      handoff,
+      agents: getAgents()
+    })
+  }
+
+  async function handleExecutionBundle(body) {
+    parseJsonBody(body)
+    const bundle = parseExecutionBundleLine(body)
+    if (!bundle) {
+      throw new AppError({
+        code: 'INVALID_EXECUTION_BUNDLE',
+        message: 'Body must be a valid execution-bundle.v1 object.'
+      })
+    }
+    return deps.executionAdapter.executeBundle({
+      bundle,
+      agents: getAgents()
+    })
+  }
+
+  async function handleWorldMemory(body) {
+    parseJsonBody(body)
+    const request = parseWorldMemoryRequestLine(body)
+    if (!request) {
+      throw new AppError({
+        code: 'INVALID_WORLD_MEMORY_REQUEST',
+        message: 'Body must be a valid world-memory-request.v1 object.'
+      })
+    }
+    return createWorldMemoryContextForRequest({
+      executionStore: deps.executionStore,
+      request
+    })
+  }
+
+  async function handleWorldSnapshot(body) {
+    parseJsonBody(body)
+    const request = parseWorldSnapshotRequestLine(body)
+    if (!request) {
+      throw new AppError({
+        code: 'INVALID_WORLD_SNAPSHOT_REQUEST',
+        message: 'Body must be a valid world-snapshot-request.v1 object.'
+      })
+    }
+    return createWorldSnapshotResponseForRequest({
+      executionStore: deps.executionStore,
+      request
+    })
+  }
+
+  async function handlePlayerPosition(body) {
+    parseJsonBody(body)
+    if (!playerPositionTracker) {
+      throw new AppError({
+        code: 'HTTP_NOT_FOUND',
+        message: 'Player position tracking is not enabled.'
+      })
+    }
+    const report = parsePlayerPositionLine(body)
+    if (!report) {
+      throw new AppError({
+        code: 'INVALID_PLAYER_POSITION',
+        message: 'Body must be a valid player-position.v1 object.'
+      })
+    }
+    // Quest visits are engine-driven, not god commands: the tracker passed in
+    // announces them itself and onGodCommandApplied is not called.
+    return playerPositionTracker.applyPlayerPosition({
+      agents: getAgents(),
+      report
+    })
+  }
+
+  /**
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  async function handleRequest(req, res) {
+    const pathname = String(req.url || '/').split('?')[0].replace(/\/+$/, '') || '/'
+    const route = ROUTES[`${req.method} ${pathname}`]
+    let status = 200
+    let payload
+
+    try {
+      if (!route) {
+        const knownPath = Object.keys(ROUTES).some(key => key.split(' ')[1] === pathname)
+        throw new AppError({
+          code: knownPath ? 'HTTP_METHOD_NOT_ALLOWED' : 'HTTP_NOT_FOUND',
+          message: knownPath ? `Method ${req.method} not allowed.` : `No route for ${pathname}.`
+        })
+      }
+      const body = req.method === 'POST' ? await readRequestBody(req, maxBodyBytes) : ''
+      if (beforeRequest) await beforeRequest()
+      if (route === 'god') payload = await handleGod(body)
+      else if (route === 'execution_handoff') payload = await handleExecutionHandoff(body)
+      else if (route === 'execution_bundle') payload = await handleExecutionBundle(body)
+      else if (route === 'world_memory') payload = await handleWorldMemory(body)
+      else if (route === 'world_snapshot') payload = await handleWorldSnapshot(body)
+      else if (route === 'player_position') payload = await handlePlayerPosition(body)
+      else payload = getStatusSnapshot()
+    } catch (err) {
+      const response = toErrorResponse(err)
+      status = response.status
+      payload = response.body
+      if (logger) {
+        if (status >= 500) logger.errorWithStack('http_request_failed', err, { route, method: req.method, path: pathname })
+        else logger.warn('http_request_rejected', { route, method: req.method, path: pathname, code: payload.error.code })
+      }
+    }
+
+    const text = JSON.stringify(payload)
+    res.writeHead(status, {
+      'content-type': 'application/json; charset=utf-8',
+      'content-length': Buffer.byteLength(text, 'utf-8')
+    })
+    res.end(text)
+  }
+
+  /**
+   * @param {{port?: number, host?: string}} [options]
+   * @returns {Promise<{host: string, port: number}>}
+   */
+  function listen(options = {}) {
+    if (server) {
+      throw new AppError({
+        code: 'HTTP_SERVER_ALREADY_LISTENING',
+        message: 'HTTP server is already listening.'
+      })
+    }
+    const host = options.host || DEFAULT_HTTP_HOST
+    const port = Number.isInteger(options.port) && options.port >= 0 ? options.port : 0
+    server = http.createServer((req, res) => {
+      void handleRequest(req, res)
+    })
+    return new Promise((resolve, reject) => {
+      server.once('error', reject)
+      server.listen(port, host, () => {
+        server.off('error', reject)
+        const address = server.address()
+        const bound = { host, port: typeof address === 'object' && address ? address.port : port }
+        if (logger) logger.info('http_server_listening', bound)
+        resolve(bound)
+      })
+    })
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  function close() {
+    if (!server) return Promise.resolve()
+    const current = server
+    server = null
+    return new Promise((resolve) => {
+      current.close(() => resolve())
+      if (typeof current.closeAllConnections === 'function') current.closeAllConnections()
+    })
+  }
+
+  return {
+    listen,
+    close,
+    handleRequest
+  }
+}
+
+module.exports = {
+  DEFAULT_HTTP_HOST,
+  createEngineHttpServer,
+  toErrorResponse
+}
@@ -6,13 +6,18 @@ const readline = require('readline')
 
 const Agent = require('./agent')
 const { createMemoryStore } = require('./memory')
+const { DEFAULT_JOURNAL_COMPACT_EVERY } = require('./memoryJournal')
 const { createDialogueService } = require('./dialogue')
 const { createActionEngine } = require('./actionEngine')
 const { createTurnEngine } = require('./turnEngine')
 const { createGodCommandService } = require('./godCommands')
-const { createExecutionAdapter, parseExecutionHandoffLine } = require('./executionAdapter')
+const { createExecutionAdapter, parseExecutionBundleLine, parseExecutionHandoffLine } = require('./executionAdapter')
 const { createExecutionStore, createExecutionPersistenceBackend } = require('./executionStore')
 const { createWorldMemoryContextForRequest, parseWorldMemoryRequestLine } = require('./worldMemoryContext')
+const { createWorldSnapshotResponseForRequest, parseWorldSnapshotRequestLine } = require('./worldSnapshotRequest')
+const { createPlayerPositionTracker, parsePlayerPositionLine } = require('./playerPosition')
+const { createClockScheduler } = require('./clockScheduler')
+const { parseServerTimeLine } = require('./serverTime')
 const { parseCliInput } = require('./commandParsers')
 const { createLogger } = require('./logger')
 const { installCrashHandlers } = require('./crashHandlers')
@@ -20,6 +25,10 @@ const { AppError } = require('./errors')
 const { createKeyedQueue, deriveOperationId, hashText } = require('./flowControl')
 const { startRuntimeMetricsReporter, getObservabilitySnapshot } = require('./runtimeMetrics')
 const { createWorldLoop } = require('./worldLoop')
+const { createEngineHttpServer } = require('./httpServer')
+const { listActiveRosterEntries, rosterKey } = require('./agentRoster')
+const { createEngineEventChannel } = require('./engineEvents')
+const { installContentPacks, loadContentPacks, recordContentPacksInWorld } = require('./contentPacks')
 
 function selectLogLevel() {
   const raw = String(process.env.LOG_MIN_LEVEL || 'debug').trim().toLowerCase()
@@ -31,35 +40,100 @@ function selectMemoryFilePath() {
   return raw ? path.resolve(raw) : path.resolve(__dirname, './memory.json')
 }
 
+function selectMemoryStoreMode() {
+  const raw = String(process.env.MEMORY_STORE_MODE || 'snapshot').trim().toLowerCase()
+  return ['journal', 'sqlite'].includes(raw) ? raw : 'snapshot'
+}
+
+function selectMemorySqlitePath() {
+  const raw = String(process.env.MEMORY_STORE_SQLITE_PATH || '').trim()
+  return raw ? path.resolve(raw) : undefined
+}
+
+function selectMemorySqliteDriver() {
+  const raw = String(process.env.MEMORY_STORE_SQLITE_DRIVER || 'native').trim().toLowerCase()
+  return raw === 'cli' ? 'cli' : 'native'
+}
+
+function selectContentPacksDir() {
+  const raw = String(process.env.CONTENT_PACKS_DIR || '').trim()
+  return raw ? path.resolve(raw) : ''
+}
+
+function selectJournalCompactEvery() {
+  const raw = Number(process.env.MEMORY_JOURNAL_COMPACT_EVERY)
+  return Number.isInteger(raw) && raw > 0 ? raw : DEFAULT_JOURNAL_COMPACT_EVERY
+}
+
 const memoryFilePath = selectMemoryFilePath()
 const logger = createLogger({
   component: 'cli',
   minLevel: selectLogLevel()
 })
 startRuntimeMetricsReporter(logger.child({ subsystem: 'metrics' }), 60000)
+// Packs must be installed before memory loads so pack-defined records survive sanitizing.
+const contentPacks = installContentPacks(loadContentPacks({ dirPath: selectContentPacksDir() }))
+if (contentPacks.packs.length > 0) {
+  logger.info('content_packs_loaded', {
+    hash: contentPacks.hash,
+    packs: contentPacks.packs.map(pack => `${pack.id}@${pack.version}`)
+  })
+}
 const memoryStore = createMemoryStore({
   filePath: memoryFilePath,
-  logger: logger.child({ subsystem: 'memory' })
-})
-const dialogueService = createDialogueService({
-  memoryStore,
-  logger: logger.child({ subsystem: 'dialogue' })
-})
-const actionEngine = createActionEngine({
-  memoryStore,
-  logger: logger.child({ subsystem: 'action_engine' })
-})
-const turnEngine = createTurnEngine({
-  memoryStore,
-  actionEngine,
-  logger: logger.child({ subsystem: 'turn_engine' })
+  logger: logger.child({ subsystem: 'memory' }),
+  mode: selectMemoryStoreMode(),
+  journalCompactEvery: selectJournalCompactEvery(),
+  sqlitePath: selectMemorySqlitePath(),
+  sqliteDriver: selectMemorySqliteDriver()
 })
 const runSerial = createKeyedQueue()
+const engineEvents = createEngineEventChannel({
+  fd: selectEngineEventsFd(),
+  logger: logger.child({ subsystem: 'engine_events' })
+})
+
+/**
+ * Runtime agents keyed by lowercase name. Populated from the durable
+ * `world.agentRoster` after memory loads and kept in sync by `god agent ...`.
+ * @type {Record<string, Agent>}
+ */
+const agents = {}
+
+/**
+ * @param {{name: string, role: string, faction: string, town: string | null}} entry
+ */
+function spawnRuntimeAgent(entry) {
+  const key = rosterKey(entry.name)
+  if (!key || agents[key]) return
+  agents[key] = new Agent(entry)
+}
+
+function loadAgentsFromRoster() {
+  for (const entry of listActiveRosterEntries(memoryStore.recallWorld().agentRoster)) {
+    spawnRuntimeAgent(entry)
+  }
+}
 
-/** @type {Record<string, Agent>} */
-const agents = {
-  mara: new Agent({ name: 'Mara', role: 'Scout', faction: 'Pilgrims' }),
-  eli: new Agent({ name: 'Eli', role: 'Guard', faction: 'Pilgrims' })
+function publishRoster() {
+  engineEvents.emit('roster', {
+    agents: Object.values(agents).map(agent => ({
+      name: agent.name,
+      role: agent.role,
+      faction: agent.faction,
+      town: agent.town
+    }))
+  })
+}
+
+/**
+ * @param {Agent} agent
+ * @param {string} message
+ * @param {string} source
+ */
+function sayAsAgent(agent, message, source) {
+  writeLine(`${agent.name}: ${message}`)
+  engineEvents.emit('agent_say', { agent: agent.name, message, source })
 }
 
 const rl = readline.createInterface({
@@ -101,7 +175,7 @@ function selectExecutionPersistenceConfig() {
   const backend = String(process.env.EXECUTION_PERSISTENCE_BACKEND || 'sqlite').trim().toLowerCase() || 'sqlite'
   return {
     backend,
-    sqliteDbPath: backend === 'sqlite'
+    sqliteDbPath: backend === 'sqlite' || backend === 'sqlite-native'
       ? path.resolve(process.env.EXECUTION_PERSISTENCE_SQLITE_PATH || path.resolve(__dirname, './execution.sqlite3'))
       : undefined,
     sqliteCommand: backend === 'sqlite'
@@ -110,6 +184,75 @@ function selectExecutionPersistenceConfig() {
   }
 }
 
+function selectEngineEventsFd() {
+  const raw = String(process.env.ENGINE_EVENTS_FD || '').trim()
+  if (!raw) return null
+  const fd = Number(raw)
+  if (!Number.isInteger(fd) || fd < 3) {
+    logger.warn('invalid_engine_events_fd', { value: raw })
+    return null
+  }
+  return fd
+}
+
+function selectGameplayActionsPerDay() {
+  const raw = String(process.env.NPC_ACTIONS_PER_DAY || '').trim()
+  if (!raw) return undefined
+  const limit = Number(raw)
+  if (!Number.isInteger(limit) || limit < 0) {
+    logger.warn('invalid_npc_actions_per_day', { value: raw })
+    return undefined
+  }
+  return limit
+}
+
+function selectTownVisitRadius() {
+  const raw = String(process.env.TOWN_VISIT_RADIUS || '').trim()
+  if (!raw) return undefined
+  const radius = Number(raw)
+  if (!Number.isFinite(radius) || radius <= 0) {
+    logger.warn('invalid_town_visit_radius', { value: raw })
+    return undefined
+  }
+  return radius
+}
+
+function selectClockAutoPollMs() {
+  const raw = String(process.env.CLOCK_AUTO_POLL_MS || '').trim()
+  if (!raw) return undefined
+  const pollMs = Number(raw)
+  if (!Number.isInteger(pollMs) || pollMs < 100) {
+    logger.warn('invalid_clock_auto_poll_ms', { value: raw })
+    return undefined
+  }
+  return pollMs
+}
+
+function selectClockAutoMaxCatchUpTicks() {
+  const raw = String(process.env.CLOCK_AUTO_MAX_CATCH_UP_TICKS || '').trim()
+  if (!raw) return undefined
+  const ticks = Number(raw)
+  if (!Number.isInteger(ticks) || ticks < 1) {
+    logger.warn('invalid_clock_auto_max_catch_up_ticks', { value: raw })
+    return undefined
+  }
+  return ticks
+}
+
+function selectHttpServerConfig() {
+  const raw = String(process.env.ENGINE_HTTP_PORT || '').trim()
+  if (!raw) return null
+  const port = Number(raw)
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    logger.warn('invalid_http_port', { value: raw })
+    return null
+  }
+  return {
+    port,
+    host: String(process.env.ENGINE_HTTP_HOST || '').trim() || '127.0.0.1'
+  }
+}
+
 /**
  * @returns {{loopStatus: any, agentsOnline: number, avgTxMs: number, p95TxMs: number, p99TxMs: number, lockWaitP95Ms: number, lockWaitP99Ms: number, memoryBytes: number, heapMb: number, guardrailFlags: string[]}}
  */
@@ -157,18 +300,43 @@ const worldLoop = createWorldLoop({
   getAgents: () => Object.values(agents),
   logger: logger.child({ subsystem: 'world_loop' }),
   runtimeActions: {
-    onWander: ({ agent, direction }) => {
+    onWander: ({ agent, direction, eventId, tickNumber, target, source }) => {
       writeLine(`[LOOP] ${agent.name} wanders ${direction}.`)
+      engineEvents.emit('loop_intent', {
+        agent: agent.name,
+        intent: 'wander',
+        direction,
+        target: target || null,
+        source: source || null,
+        eventId,
+        tickNumber
+      })
     },
-    onFollow: ({ agent, leaderName }) => {
+    onFollow: ({ agent, leaderName, eventId, tickNumber }) => {
       if (!leaderName) return
       writeLine(`[LOOP] ${agent.name} follows ${leaderName}.`)
+      engineEvents.emit('loop_intent', {
+        agent: agent.name,
+        intent: 'follow',
+        direction: null,
+        target: leaderName,
+        source: null,
+        eventId,
+        tickNumber
+      })
     },
     onRespond: ({ agent, message }) => {
-      writeLine(`${agent.name}: ${message}`)
+      sayAsAgent(agent, message, 'world_loop')
     },
-    onNews: ({ line }) => {
+    onNews: ({ line, id, msg, town, eventId }) => {
       writeLine(line)
+      engineEvents.emit('crier_broadcast', {
+        id,
+        town: town || null,
+        message: msg,
+        line,
+        eventId
+      })
     }
   }
 })
@@ -178,10 +346,34 @@ const godCommandService = createGodCommandService({
   logger: logger.child({ subsystem: 'god_commands' }),
   worldLoop,
   runtimeSay: ({ agent, message }) => {
-    writeLine(`${agent.name}: ${message}`)
+    sayAsAgent(agent, message, 'god_say')
+  },
+  runtimeRoster: ({ action, entry }) => {
+    if (action === 'spawn') spawnRuntimeAgent(entry)
+    if (action === 'retire') delete agents[rosterKey(entry.name)]
+    publishRoster()
+  },
+  runtimeClock: ({ operationId, source, ticks, day, phase, season }) => {
+    engineEvents.emit('clock', { operationId, source, ticks, day, phase, season })
   },
   getStatusSnapshot: () => buildGodStatusSnapshot()
 })
+const playerPositionTracker = createPlayerPositionTracker({
+  memoryStore,
+  godCommandService,
+  visitRadius: selectTownVisitRadius(),
+  logger: logger.child({ subsystem: 'player_position' })
+})
+const clockScheduler = createClockScheduler({
+  godCommandService,
+  pollMs: selectClockAutoPollMs(),
+  maxCatchUpTicks: selectClockAutoMaxCatchUpTicks(),
+  logger: logger.child({ subsystem: 'clock_scheduler' }),
+  onAdvance: async (result) => {
+    announceEngineCommand(`clock advance ${result.ticks}`, result.operationId, result.outputLines)
+    result.outputLines.forEach(line => writeLine(line))
+  }
+})
 const executionPersistenceConfig = selectExecutionPersistenceConfig()
 const executionPersistenceBackend = createExecutionPersistenceBackend({
   backend: executionPersistenceConfig.backend,
@@ -195,6 +387,26 @@ const executionStore = createExecutionStore({
   logger: logger.child({ subsystem: 'execution_store' }),
   persistenceBackend: executionPersistenceBackend
 })
+const dialogueService = createDialogueService({
+  memoryStore,
+  executionStore,
+  logger: logger.child({ subsystem: 'dialogue' })
+})
+const actionEngine = createActionEngine({
+  memoryStore,
+  godCommandService,
+  getAgents: () => Object.values(agents),
+  onGodCommandApplied: ({ command, operationId, outputLines }) => {
+    engineEvents.emit('announcement', { command, operationId, lines: outputLines })
+  },
+  gameplayActionsPerDay: selectGameplayActionsPerDay(),
+  logger: logger.child({ subsystem: 'action_engine' })
+})
+const turnEngine = createTurnEngine({
+  memoryStore,
+  actionEngine,
+  logger: logger.child({ subsystem: 'turn_engine' })
+})
 const executionAdapter = createExecutionAdapter({
   memoryStore,
   executionStore,
@@ -203,7 +415,123 @@ const executionAdapter = createExecutionAdapter({
   townIdAliases: parseJsonObjectEnv('EXECUTION_ADAPTER_TOWN_MAP')
 })
 
+/**
+ * Record an applied, state-changing god command in agent, faction and world
+ * memory, then announce it on the engine event channel.
+ * @param {string} command
+ * @param {string} operationId
+ * @param {string[]} [outputLines]
+ */
+async function recordGodCommandAudit(command, operationId, outputLines = []) {
+  for (const agent of Object.values(agents)) {
+    await memoryStore.rememberAgent(agent.name, `God issued command "${command}".`, true, `${operationId}:audit`)
+    await memoryStore.rememberFaction(agent.faction, `God issued command "${command}".`, true, `${operationId}:audit`)
+  }
+  await memoryStore.rememberWorld(`God issued command "${command}".`, true, `${operationId}:audit`)
+  engineEvents.emit('announcement', { command, operationId, lines: outputLines })
+}
+
+/**
+ * Announce a command the engine applied on its own (scheduled clock ticks,
+ * server time syncs, quest visits). No god issued it, so agent, faction and
+ * world memory are left alone; the command writes its own chronicle entry.
+ * @param {string} command
+ * @param {string} operationId
+ * @param {string[]} [outputLines]
+ */
+function announceEngineCommand(command, operationId, outputLines = []) {
+  engineEvents.emit('announcement', { command, operationId, lines: outputLines })
+}
+
+/**
+ * Apply a player position report in that player's serial lane and announce
+ * the quest visits it completed. Shared by the stdin CLI and the HTTP API.
+ * @param {{agents: any[], report: any}} input
+ */
+function applyPlayerPositionAndAnnounce(input) {
+  return runSerial(`player:${input.report.player.toLowerCase()}`, async () => {
+    const result = await playerPositionTracker.applyPlayerPosition(input)
+    for (const visit of result.visits) {
+      if (visit.result?.applied && visit.result.audit) {
+        announceEngineCommand(visit.command, `${result.operationId}:${visit.questId}`, visit.result.outputLines)
+      }
+    }
+    return result
+  })
+}
+
+/**
+ * Execute a handoff and publish its result on the engine event channel.
+ * Shared by the stdin CLI and the HTTP API.
+ * @param {{handoff: any, agents: any[]}} input
+ */
+async function executeHandoffAndPublish(input) {
+  const result = await executionAdapter.executeHandoff(input)
+  engineEvents.emit('execution_result', {
+    executionId: result.executionId,
+    handoffId: result.handoffId,
+    proposalType: result.proposalType,
+    status: result.status,
+    reasonCode: result.reasonCode,
+    actorId: result.actorId,
+    townId: result.townId,
+    authorityCommands: result.authorityCommands
+  })
+  return result
+}
+
+/**
+ * Execute a bundle and publish one execution_result event per member.
+ * @param {{bundle: any, agents: any[]}} input
+ */
+async function executeBundleAndPublish(input) {
+  const result = await executionAdapter.executeBundle(input)
+  for (const outcome of result.outcomes) {
+    engineEvents.emit('execution_result', {
+      executionId: result.executionId,
+      bundleId: result.bundleId,
+      handoffId: outcome.handoffId,
+      proposalType: outcome.proposalType,
+      status: outcome.status,
+      reasonCode: outcome.reasonCode,
+      actorId: outcome.actorId,
+      townId: outcome.townId,
+      authorityCommands: outcome.authorityCommands
+    })
+  }
+  return result
+}
+
+const httpServerConfig = selectHttpServerConfig()
+const httpServer = httpServerConfig
+  ? createEngineHttpServer({
+    godCommandService,
+    executionAdapter: { executeHandoff: executeHandoffAndPublish, executeBundle: executeBundleAndPublish },
+    executionStore,
+    playerPositionTracker: { applyPlayerPosition: applyPlayerPositionAndAnnounce },
+    getAgents: () => Object.values(agents),
+    getStatusSnapshot: () => ({
+      ...buildGodStatusSnapshot(),
+      runtime: memoryStore.getRuntimeMetrics(),
+      observability: getObservabilitySnapshot()
+    }),
+    onGodCommandApplied: async ({ command, operationId, result }) => {
+      if (result.audit) await recordGodCommandAudit(command, operationId, result.outputLines)
+    },
+    beforeRequest: () => startupExecutionRecovery,
+    logger: logger.child({ subsystem: 'http' })
+  })
+  : null
+
 memoryStore.loadAllMemory()
+loadAgentsFromRoster()
+const startupContentRecord = recordContentPacksInWorld(memoryStore, contentPacks, {
+  logger: logger.child({ subsystem: 'content_packs' })
+})
+  .catch((error) => {
+    logger.errorWithStack('content_packs_record_failed', error)
+    throw error
+  })
 const startupExecutionRecovery = executionAdapter.recoverInterruptedExecutions()
   .catch((error) => {
     logger.errorWithStack('execution_recovery_failed', error)
@@ -219,6 +547,14 @@ async function shutdown(reason) {
   } catch (err) {
     logger.warn('shutdown_loop_stop_failed', { error: err instanceof Error ? err.message : String(err) })
   }
+  clockScheduler.stop()
+  if (httpServer) {
+    try {
+      await httpServer.close()
+    } catch (err) {
+      logger.warn('shutdown_http_close_failed', { error: err instanceof Error ? err.message : String(err) })
+    }
+  }
   try {
     await memoryStore.saveAllMemory()
   } catch (err) {
@@ -241,13 +577,24 @@ installCrashHandlers({
 })
 
 async function announceReady() {
+  await startupContentRecord
   await startupExecutionRecovery
+  if (httpServer) {
+    const bound = await httpServer.listen(httpServerConfig)
+    writeLine(`HTTP API listening on http://${bound.host}:${bound.port}`)
+  }
+  publishRoster()
+  clockScheduler.start()
   writeLine('--- WORLD ONLINE ---')
   writeLine('Commands:')
   writeLine(' talk <agent> <message>')
   writeLine(' god <command>')
   writeLine(' {"type":"world-memory-request.v1","schemaVersion":1,...}')
+  writeLine(' {"type":"world-snapshot-request.v1","schemaVersion":1,"sections":[...],"hashOnly":false}')
+  writeLine(' {"type":"player-position.v1","schemaVersion":1,"player":...,"x":...,"y":...,"z":...}')
+  writeLine(' {"type":"server-time.v1","schemaVersion":1,"day":...,"phase":"day|night"}')
   writeLine(' {"schemaVersion":"execution-handoff.v1",...}')
+  writeLine(' {"schemaVersion":"execution-bundle.v1","handoffs":[...],...}')
   writeLine(' exit')
   writeLine('---------------------')
   rl.prompt()
@@ -273,9 +620,46 @@ async function handleLine(rawInput) {
     return
   }
 
+  const worldSnapshotRequest = parseWorldSnapshotRequestLine(rawInput)
+  if (worldSnapshotRequest) {
+    const worldSnapshotResponse = createWorldSnapshotResponseForRequest({
+      executionStore,
+      request: worldSnapshotRequest
+    })
+    writeLine(JSON.stringify(worldSnapshotResponse), {
+      schema: worldSnapshotResponse.type,
+      snapshotHash: worldSnapshotResponse.snapshotHash,
+      decisionEpoch: worldSnapshotResponse.decisionEpoch
+    })
+    return
+  }
+
+  const playerPosition = parsePlayerPositionLine(rawInput)
+  if (playerPosition) {
+    const result = await applyPlayerPositionAndAnnounce({
+      agents: Object.values(agents),
+      report: playerPosition
+    })
+    result.outputLines.forEach(line => writeLine(line))
+    return
+  }
+
+  const serverTime = parseServerTimeLine(rawInput)
+  if (serverTime) {
+    await runSerial('server-time', async () => {
+      const result = await godCommandService.syncServerClock({ report: serverTime })
+      if (!result.applied) return
+      if (result.ticks > 0) {
+        announceEngineCommand(`clock advance ${result.ticks}`, result.operationId, result.outputLines)
+      }
+      result.outputLines.forEach(line => writeLine(line))
+    })
+    return
+  }
+
   const handoff = parseExecutionHandoffLine(rawInput)
   if (handoff) {
-    const result = await executionAdapter.executeHandoff({
+    const result = await executeHandoffAndPublish({
       handoff,
       agents: Object.values(agents)
     })
@@ -287,6 +671,20 @@ async function handleLine(rawInput) {
     return
   }
 
+  const bundle = parseExecutionBundleLine(rawInput)
+  if (bundle) {
+    const result = await executeBundleAndPublish({
+      bundle,
+      agents: Object.values(agents)
+    })
+    writeLine(JSON.stringify(result), {
+      schema: result.type,
+      executionId: result.executionId,
+      bundleId: result.bundleId
+    })
+    return
+  }
+
   const parsed = parseCliInput(rawInput)
   if (parsed.type === 'noop') return
 
@@ -339,7 +737,7 @@ async function handleLine(rawInput) {
         operationId
       })
 
-      writeLine(`${agent.name}: ${applied.turn.say}`)
+      sayAsAgent(agent, applied.turn.say, 'talk')
       if (!applied.playerAlive) {
         writeLine('The world turns on you. Your character has been killed.')
       }
@@ -367,11 +765,7 @@ async function handleLine(rawInput) {
     }
 
     if (result.audit) {
-      for (const agent of Object.values(agents)) {
-        await memoryStore.rememberAgent(agent.name, `God issued command "${parsed.command}".`, true, `${operationId}:audit`)
-        await memoryStore.rememberFaction(agent.faction, `God issued command "${parsed.command}".`, true, `${operationId}:audit`)
-      }
-      await memoryStore.rememberWorld(`God issued command "${parsed.command}".`, true, `${operationId}:audit`)
+      await recordGodCommandAudit(parsed.command, operationId, result.outputLines)
     }
 
     if (Array.isArray(result.outputLines) && result.outputLines.length > 0) {
@@ -1,7 +1,18 @@
 const fs = require('fs')
 const path = require('path')
+const { AsyncLocalStorage } = require('async_hooks')
 const { createLogger } = require('./logger')
 const { AppError } = require('./errors')
+const {
+  DEFAULT_JOURNAL_COMPACT_EVERY,
+  applyJournalOps,
+  createJournalRecord,
+  diffMemoryState,
+  journalPathFor,
+  parseJournalText,
+  readJournaledMemoryFile
+} = require('./memoryJournal')
+const { MEMORY_SQLITE_COLLECTIONS, createMemorySqliteStorage } = require('./memorySqlite')
 const {
   OFFICEHOLDER_ROLE_ORDER,
   defaultActorName,
@@ -12,6 +23,15 @@ const {
   normalizePlayerAssignment,
   normalizeTownSpawn
 } = require('./playerSpawn')
+const {
+  MAX_PLAYER_PRESENCE_ENTRIES,
+  normalizePlayerPresence,
+  normalizePlayerPresenceEntry
+} = require('./playerPosition')
+const {
+  MAX_AGENT_ROSTER_ENTRIES,
+  normalizeAgentRoster
+} = require('./agentRoster')
 const {
   incrementMetric,
   getRuntimeMetrics,
@@ -54,13 +74,31 @@ const {
  *       name?: string,
  *       towns?: string[],
  *       doctrine?: string,
- *       rivals?: string[]
+ *       rivals?: string[],
+ *       allies?: string[],
+ *       story?: boolean
  *     }>,
  *     clock: {
  *       day: number,
  *       phase: 'day' | 'night',
- *       season: 'dawn' | 'long_night',
- *       updated_at: string
+ *       season: 'dawn' | 'thaw' | 'harvest' | 'ashfall' | 'long_night',
+ *       updated_at: string,
+ *       season_day?: number,
+ *       season_length?: number,
+ *       auto?: {
+ *         enabled: boolean,
+ *         phase_seconds: number,
+ *         anchor_at: number,
+ *         ticks: number,
+ *         generation: number
+ *       },
+ *       server?: {
+ *         epoch: number,
+ *         day: number,
+ *         phase: 'day' | 'night',
+ *         at: number,
+ *         ticks: number
+ *       }
  *     },
  *     threat: {
  *       byTown: Record<string, number>
@@ -134,6 +172,7 @@ const {
  *         side: 'buy' | 'sell',
  *         amount: number,
  *         price: number,
+ *         good?: string,
  *         created_at: number,
  *         active: boolean
  *       }>
@@ -141,7 +180,24 @@ const {
  *     economy: {
  *       currency: 'emerald',
  *       ledger: Record<string, number>,
- *       minted_total?: number
+ *       minted_total?: number,
+ *       inventories?: Record<string, Record<string, number>>,
+ *       traded?: Array<{day: number, town: string, good: string, units: number}>,
+ *       trade_events?: Array<{
+ *         id: string,
+ *         day: number,
+ *         at: number,
+ *         market: string,
+ *         town?: string,
+ *         offer_id: string,
+ *         side: 'buy' | 'sell',
+ *         good?: string,
+ *         buyer: string,
+ *         seller: string,
+ *         amount: number,
+ *         price: number,
+ *         quests?: string[]
+ *       }>
  *     },
  *     chronicle: Array<{
  *       id: string,
@@ -174,7 +230,8 @@ const {
  *       objective: {
  *         kind: 'trade_n',
  *         n: number,
- *         market?: string
+ *         market?: string,
+ *         good?: string
  *       } | {
  *         kind: 'visit_town',
  *         town: string
@@ -184,6 +241,7 @@ const {
  *       } | {
  *         visited: boolean
  *       },
+ *       progress_log?: Array<{trade_event_id: string, day: number, market: string, good?: string, amount: number, done: number}>,
  *       reward: number,
  *       title: string,
  *       desc: string,
@@ -268,6 +326,45 @@ const {
  *       },
  *       lastTickDay: number
  *     },
+ *     agentRoster: Record<string, {
+ *       name: string,
+ *       role: string,
+ *       faction: string,
+ *       town: string | null,
+ *       status: 'active' | 'retired',
+ *       spawned_at: number,
+ *       retired_at?: number
+ *     }>,
+ *     diplomacy?: {
+ *       treaties: Array<{
+ *         id: string,
+ *         kind: 'war' | 'truce' | 'alliance' | 'trade_pact',
+ *         factions: [string, string],
+ *         proposedBy: string,
+ *         status: 'proposed' | 'active' | 'broken' | 'expired' | 'superseded',
+ *         terms: string,
+ *         durationDays: number | null,
+ *         proposedDay: number,
+ *         startedDay: number | null,
+ *         endsDay: number | null,
+ *         closedDay: number | null
+ *       }>
+ *     },
+ *     playerPresence?: Record<string, {
+ *       player: string,
+ *       town: string | null,
+ *       crossings: number,
+ *       x: number,
+ *       y: number,
+ *       z: number,
+ *       dimension: string,
+ *       at: number
+ *     }>,
+ *     content?: {
+ *       hash: string,
+ *       packs: Array<{id: string, version: string, hash: string}>,
+ *       recordedAtDay: number
+ *     },
  *     archive: Array<{time: number, event: string, important?: boolean}>,
  *     processedEventIds: string[]
  *   }
@@ -313,9 +410,22 @@ const QUEST_TYPES = new Set(['trade_n', 'visit_town', 'rumor_task'])
 const RUMOR_TASK_KINDS = new Set(['rumor_trade', 'rumor_visit', 'rumor_choice'])
 const QUEST_STATES = new Set(['offered', 'accepted', 'in_progress', 'completed', 'cancelled', 'failed'])
 const CLOCK_PHASES = new Set(['day', 'night'])
-const CLOCK_SEASONS = new Set(['dawn', 'long_night'])
+const CLOCK_SEASONS = new Set(['dawn', 'thaw', 'harvest', 'ashfall', 'long_night'])
+const MAX_SEASON_LENGTH_DAYS = 120
+const DEFAULT_CLOCK_AUTO_PHASE_SECONDS = 600
+const MIN_CLOCK_AUTO_PHASE_SECONDS = 5
+const MAX_CLOCK_AUTO_PHASE_SECONDS = 86400
 const STORY_FACTION_NAMES = ['iron_pact', 'veil_church']
-const STORY_FACTION_NAME_SET = new Set(STORY_FACTION_NAMES)
+const STORY_FACTION_ID_PATTERN = /^[a-z][a-z0-9_]{2,31}$/
+const REP_BONUS_MOD_SUFFIX = '_rep_bonus'
+const TREATY_KINDS = new Set(['war', 'truce', 'alliance', 'trade_pact'])
+const TREATY_STATUSES = new Set(['proposed', 'active', 'broken', 'expired', 'superseded'])
+const TREATY_OPEN_STATUSES = new Set(['proposed', 'active'])
+const MAX_TREATY_DAYS = 60
+const MAX_ECONOMY_TRADE_EVENTS = 120
+const MAX_ECONOMY_TRADED_ENTRIES = 120
+const MAX_QUEST_PROGRESS_LOG_ENTRIES = 12
+const MAX_DIPLOMACY_TREATIES = 60
 const WORLD_EVENT_TYPES = new Set(['festival', 'shortage', 'omen', 'patrol', 'fog', 'tax_day'])
 const RUMOR_KINDS = new Set(['grounded', 'supernatural', 'political'])
 const DECISION_STATES = new Set(['open', 'chosen', 'expired'])
@@ -342,6 +452,8 @@ const SALVAGE_TARGET_KEYS = new Set([
   'collapsed_tunnel_tools'
 ])
 const SALVAGE_STATUSES = new Set(['planned', 'resolved', 'failed'])
+const CONTENT_HASH_PATTERN = /^[0-9a-f]{64}$/
+const MAX_CONTENT_PACK_RECORDS = 32
 const MAX_PROJECT_REQUIREMENTS_KEYS = 12
 const MAX_PROJECT_EFFECTS_KEYS = 12
 const MAX_PROJECT_ENTRIES = 120
@@ -455,22 +567,28 @@ const WORLD_EVENT_MOD_KEYS = new Set([
   'unrest',
   'prosperity',
   'trade_reward_bonus',
-  'visit_reward_bonus',
-  'iron_pact_rep_bonus',
-  'veil_church_rep_bonus'
+  'visit_reward_bonus'
 ])
 const STORY_FACTION_DEFAULTS = {
   iron_pact: {
     towns: ['alpha'],
     doctrine: 'Order through steel.',
-    rivals: ['veil_church']
+    rivals: ['veil_church'],
+    allies: []
   },
   veil_church: {
     towns: ['beta'],
     doctrine: 'Truth through shadow.',
-    rivals: ['iron_pact']
+    rivals: ['iron_pact'],
+    allies: []
   }
 }
+const CREATED_STORY_FACTION_DEFAULTS = {
+  towns: [],
+  doctrine: 'Unwritten doctrine.',
+  rivals: [],
+  allies: []
+}
 
 /**
  * @param {unknown} repInput
@@ -584,24 +702,39 @@ function normalizeStoryTowns(townsInput) {
 }
 
 /**
- * @param {unknown} rivalsInput
+ * Built-in factions plus those registered with `story: true`, built-ins first.
+ * @param {Record<string, any>} factions
+ */
+function listStoryFactionNames(factions) {
+  const created = Object.keys(factions)
+    .filter((name) => {
+      if (STORY_FACTION_DEFAULTS[name]) return false
+      const entry = factions[name]
+      return Boolean(entry && typeof entry === 'object' && !Array.isArray(entry) && entry.story === true && STORY_FACTION_ID_PATTERN.test(name))
+    })
+    .sort((a, b) => a.localeCompare(b))
+  return [...STORY_FACTION_NAMES, ...created]
+}
+
+/**
+ * @param {unknown} namesInput
  * @param {string} factionName
+ * @param {Set<string>} knownNames
+ * @param {string[]} fallback used only when the list is missing entirely
  */
-function normalizeStoryRivals(rivalsInput, factionName) {
-  const fallback = STORY_FACTION_DEFAULTS[factionName]?.rivals || []
-  const source = Array.isArray(rivalsInput) ? rivalsInput : fallback
-  const rivals = []
+function normalizeStoryRelations(namesInput, factionName, knownNames, fallback) {
+  const source = Array.isArray(namesInput) ? namesInput : fallback
+  const names = []
   const seen = new Set()
   for (const item of source) {
-    const rival = asText(item, '', 80).toLowerCase()
-    if (!rival || rival === factionName) continue
-    if (!STORY_FACTION_NAME_SET.has(rival)) continue
-    if (seen.has(rival)) continue
-    seen.add(rival)
-    rivals.push(rival)
-  }
-  if (rivals.length === 0) return [...fallback]
-  return rivals
+    const name = asText(item, '', 80).toLowerCase()
+    if (!name || name === factionName) continue
+    if (!knownNames.has(name)) continue
+    if (seen.has(name)) continue
+    seen.add(name)
+    names.push(name)
+  }
+  return names
 }
 
 /**
@@ -625,23 +758,30 @@ function normalizeWorldFactionsShape(worldFactionsInput) {
     factions[name] = entry
   }
 
-  for (const factionName of STORY_FACTION_NAMES) {
-    const defaults = STORY_FACTION_DEFAULTS[factionName]
+  // Files written before faction registration have only the built-in pair and load unchanged.
+  const storyNames = listStoryFactionNames(source)
+  const knownNames = new Set(storyNames)
+  for (const factionName of storyNames) {
+    const defaults = STORY_FACTION_DEFAULTS[factionName] || CREATED_STORY_FACTION_DEFAULTS
     const raw = (source[factionName] && typeof source[factionName] === 'object' && !Array.isArray(source[factionName]))
       ? source[factionName]
       : {}
     const towns = normalizeStoryTowns(raw.towns)
     const hostility = Number(raw.hostilityToPlayer)
     const stability = Number(raw.stability)
+    const rivals = normalizeStoryRelations(raw.rivals, factionName, knownNames, defaults.rivals)
     const entry = {
       ...raw,
       name: factionName,
-      towns: towns.length > 0 ? towns : [...defaults.towns],
+      towns: Array.isArray(raw.towns) ? towns : [...defaults.towns],
       doctrine: asText(raw.doctrine, defaults.doctrine, 160),
-      rivals: normalizeStoryRivals(raw.rivals, factionName),
+      rivals,
+      allies: normalizeStoryRelations(raw.allies, factionName, knownNames, defaults.allies)
+        .filter(name => !rivals.includes(name)),
       hostilityToPlayer: Number.isFinite(hostility) ? clamp(Math.trunc(hostility), 0, 100) : 10,
       stability: Number.isFinite(stability) ? clamp(Math.trunc(stability), 0, 100) : 70
     }
+    if (!STORY_FACTION_DEFAULTS[factionName]) entry.story = true
     factions[factionName] = entry
   }
 
@@ -659,11 +799,61 @@ function normalizeClockShape(clockInput) {
   const phase = asText(source.phase, '', 20).toLowerCase()
   const season = asText(source.season, '', 20).toLowerCase()
   const updatedAt = normalizeIsoDateText(source.updated_at) || new Date().toISOString()
+  const auto = normalizeClockAutoShape(source.auto)
+  const server = normalizeServerClockShape(source.server)
+  const safeDay = Number.isInteger(day) && day >= 1 ? day : 1
+  const seasonDay = Number(source.season_day)
+  const seasonLength = Number(source.season_length)
   return {
-    day: Number.isInteger(day) && day >= 1 ? day : 1,
+    day: safeDay,
     phase: CLOCK_PHASES.has(phase) ? phase : 'day',
     season: CLOCK_SEASONS.has(season) ? season : 'dawn',
-    updated_at: updatedAt
+    updated_at: updatedAt,
+    ...(Number.isInteger(seasonDay) && seasonDay >= 1 ? { season_day: Math.min(seasonDay, safeDay) } : {}),
+    ...(Number.isInteger(seasonLength) && seasonLength >= 1
+      ? { season_length: Math.min(seasonLength, MAX_SEASON_LENGTH_DAYS) }
+      : {}),
+    ...(auto ? { auto } : {}),
+    ...(server ? { server } : {})
+  }
+}
+
+/**
+ * @param {unknown} serverInput
+ */
+function normalizeServerClockShape(serverInput) {
+  if (!serverInput || typeof serverInput !== 'object' || Array.isArray(serverInput)) return null
+  const epoch = Number(serverInput.epoch)
+  const day = Number(serverInput.day)
+  const phase = asText(serverInput.phase, '', 20).toLowerCase()
+  const at = Number(serverInput.at)
+  const ticks = Number(serverInput.ticks)
+  return {
+    epoch: Number.isInteger(epoch) && epoch >= 0 ? epoch : 0,
+    day: Number.isInteger(day) && day >= 0 ? day : 0,
+    phase: CLOCK_PHASES.has(phase) ? phase : 'day',
+    at: Number.isInteger(at) && at >= 0 ? at : 0,
+    ticks: Number.isInteger(ticks) && ticks >= 0 ? ticks : 0
+  }
+}
+
+/**
+ * @param {unknown} autoInput
+ */
+function normalizeClockAutoShape(autoInput) {
+  if (!autoInput || typeof autoInput !== 'object' || Array.isArray(autoInput)) return null
+  const phaseSeconds = Number(autoInput.phase_seconds)
+  const anchorAt = Number(autoInput.anchor_at)
+  const ticks = Number(autoInput.ticks)
+  const generation = Number(autoInput.generation)
+  return {
+    enabled: autoInput.enabled === true,
+    phase_seconds: Number.isInteger(phaseSeconds)
+      ? clamp(phaseSeconds, MIN_CLOCK_AUTO_PHASE_SECONDS, MAX_CLOCK_AUTO_PHASE_SECONDS)
+      : DEFAULT_CLOCK_AUTO_PHASE_SECONDS,
+    anchor_at: Number.isInteger(anchorAt) && anchorAt >= 0 ? anchorAt : 0,
+    ticks: Number.isInteger(ticks) && ticks >= 0 ? ticks : 0,
+    generation: Number.isInteger(generation) && generation >= 0 ? generation : 0
   }
 }
 
@@ -726,6 +916,16 @@ function normalizeMoodsShape(moodsInput) {
   return { byTown }
 }
 
+/**
+ * Fixed mod keys plus `<faction>_rep_bonus` for any story faction id.
+ * @param {string} key
+ */
+function isWorldEventModKey(key) {
+  if (WORLD_EVENT_MOD_KEYS.has(key)) return true
+  if (!key.endsWith(REP_BONUS_MOD_SUFFIX)) return false
+  return STORY_FACTION_ID_PATTERN.test(key.slice(0, -REP_BONUS_MOD_SUFFIX.length))
+}
+
 /**
  * @param {unknown} modsInput
  */
@@ -734,7 +934,7 @@ function normalizeEventModsShape(modsInput) {
   const mods = {}
   for (const [keyRaw, valueRaw] of Object.entries(modsInput)) {
     const key = asText(keyRaw, '', 80)
-    if (!key || !WORLD_EVENT_MOD_KEYS.has(key)) continue
+    if (!key || !isWorldEventModKey(key)) continue
     const value = Number(valueRaw)
     if (!Number.isFinite(value)) continue
     const safeValue = Math.trunc(value)
@@ -1006,9 +1206,93 @@ function normalizeEconomyShape(economyInput) {
   if (typeof source.minted_total === 'number' && Number.isFinite(source.minted_total) && source.minted_total >= 0) {
     economy.minted_total = source.minted_total
   }
+  const inventorySource = (source.inventories && typeof source.inventories === 'object' && !Array.isArray(source.inventories))
+    ? source.inventories
+    : {}
+  const inventories = {}
+  for (const [agentName, goodsRaw] of Object.entries(inventorySource)) {
+    const safeName = asText(agentName, '', 80)
+    if (!safeName || !goodsRaw || typeof goodsRaw !== 'object' || Array.isArray(goodsRaw)) continue
+    const goods = {}
+    for (const [goodRaw, qtyRaw] of Object.entries(goodsRaw)) {
+      const good = normalizeGoodKeyShape(goodRaw)
+      if (!good || !Number.isInteger(qtyRaw) || qtyRaw <= 0) continue
+      goods[good] = qtyRaw
+    }
+    if (Object.keys(goods).length > 0) inventories[safeName] = goods
+  }
+  if (Object.keys(inventories).length > 0) economy.inventories = inventories
+  const traded = (Array.isArray(source.traded) ? source.traded : [])
+    .map((entry) => {
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return null
+      const day = Number(entry.day)
+      const town = asText(entry.town, '', 80)
+      const good = normalizeGoodKeyShape(entry.good)
+      const units = Number(entry.units)
+      if (!Number.isInteger(day) || day < 0 || !town || !good) return null
+      if (!Number.isInteger(units) || units <= 0) return null
+      return { day, town, good, units }
+    })
+    .filter(Boolean)
+    .slice(-MAX_ECONOMY_TRADED_ENTRIES)
+  if (traded.length > 0) economy.traded = traded
+  const tradeEvents = (Array.isArray(source.trade_events) ? source.trade_events : [])
+    .map(normalizeTradeEventShape)
+    .filter(Boolean)
+    .slice(-MAX_ECONOMY_TRADE_EVENTS)
+  if (tradeEvents.length > 0) economy.trade_events = tradeEvents
   return economy
 }
 
+/**
+ * @param {unknown} entry
+ */
+function normalizeTradeEventShape(entry) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return null
+  const id = asText(entry.id, '', 200)
+  const day = Number(entry.day)
+  const at = Number(entry.at)
+  const market = asText(entry.market, '', 80)
+  const offerId = asText(entry.offer_id, '', 160)
+  const side = asText(entry.side, '', 8).toLowerCase()
+  const buyer = asText(entry.buyer, '', 80)
+  const seller = asText(entry.seller, '', 80)
+  const amount = Number(entry.amount)
+  const price = Number(entry.price)
+  if (!id || !Number.isInteger(day) || day < 0 || !market || !offerId || !buyer || !seller) return null
+  if (side !== 'buy' && side !== 'sell') return null
+  if (!Number.isInteger(amount) || amount <= 0 || !Number.isInteger(price) || price <= 0) return null
+  const event = {
+    id,
+    day,
+    at: Number.isFinite(at) && at >= 0 ? at : 0,
+    market,
+    offer_id: offerId,
+    side,
+    buyer,
+    seller,
+    amount,
+    price
+  }
+  const town = asText(entry.town, '', 80)
+  const good = normalizeGoodKeyShape(entry.good)
+  const quests = (Array.isArray(entry.quests) ? entry.quests : [])
+    .map(questId => asText(questId, '', 200))
+    .filter(Boolean)
+  if (town) event.town = town
+  if (good) event.good = good
+  if (quests.length > 0) event.quests = quests
+  return event
+}
+
+/**
+ * @param {unknown} value
+ */
+function normalizeGoodKeyShape(value) {
+  const key = asText(value, '', 40).toLowerCase()
+  return /^[a-z][a-z0-9_]*$/.test(key) ? key : ''
+}
+
 /**
  * @param {unknown} offerInput
  */
@@ -1021,12 +1305,13 @@ function normalizeMarketOfferShape(offerInput) {
   const price = Number(offerInput.price)
   const createdAt = Number(offerInput.created_at || 0) || 0
   const active = !!offerInput.active
+  const good = normalizeGoodKeyShape(offerInput.good)
   if (!offerId || !owner) return null
   if (side !== 'buy' && side !== 'sell') return null
   if (!Number.isInteger(amount) || amount < 0) return null
   if (active && amount <= 0) return null
   if (!Number.isInteger(price) || price <= 0) return null
-  return {
+  const offer = {
     offer_id: offerId,
     owner,
     side,
@@ -1035,6 +1320,8 @@ function normalizeMarketOfferShape(offerInput) {
     created_at: createdAt,
     active
   }
+  if (good) offer.good = good
+  return offer
 }
 
 /**
@@ -1177,8 +1464,10 @@ function normalizeQuestObjectiveAndProgress(type, objectiveInput, progressInput)
     if (objectiveKind !== 'trade_n') return null
     if (!Number.isInteger(n) || n < 1) return null
     if (!Number.isInteger(done) || done < 0) return null
+    const good = normalizeGoodKeyShape(objective.good)
     const normalizedObjective = { kind: 'trade_n', n }
     if (market) normalizedObjective.market = market
+    if (good) normalizedObjective.good = good
     return {
       objective: normalizedObjective,
       progress: { done }
@@ -1213,8 +1502,10 @@ function normalizeQuestObjectiveAndProgress(type, objectiveInput, progressInput)
       const done = Number(progress.done)
       if (!Number.isInteger(n) || n < 1) return null
       if (!Number.isInteger(done) || done < 0) return null
+      const good = normalizeGoodKeyShape(objective.good)
       normalizedObjective.n = n
       if (market) normalizedObjective.market = market
+      if (good) normalizedObjective.good = good
       return {
         objective: normalizedObjective,
         progress: { done }
@@ -1291,9 +1582,35 @@ function normalizeQuestShape(questInput) {
   if (acceptedAt) quest.accepted_at = acceptedAt
   if (owner) quest.owner = owner
   if (meta) quest.meta = meta
+  const progressLog = normalizeQuestProgressLogShape(questInput.progress_log)
+  if (progressLog.length > 0) quest.progress_log = progressLog
   return quest
 }
 
+/**
+ * @param {unknown} logInput
+ */
+function normalizeQuestProgressLogShape(logInput) {
+  return (Array.isArray(logInput) ? logInput : [])
+    .map((entry) => {
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return null
+      const tradeEventId = asText(entry.trade_event_id, '', 200)
+      const day = Number(entry.day)
+      const amount = Number(entry.amount)
+      const done = Number(entry.done)
+      const market = asText(entry.market, '', 80)
+      if (!tradeEventId || !market) return null
+      if (!Number.isInteger(day) || day < 0 || !Number.isInteger(amount) || amount <= 0) return null
+      if (!Number.isInteger(done) || done < 0) return null
+      const logEntry = { trade_event_id: tradeEventId, day, market, amount, done }
+      const good = normalizeGoodKeyShape(entry.good)
+      if (good) logEntry.good = good
+      return logEntry
+    })
+    .filter(Boolean)
+    .slice(-MAX_QUEST_PROGRESS_LOG_ENTRIES)
+}
+
 /**
  * @param {unknown} questsInput
  */
@@ -1585,10 +1902,112 @@ function normalizeProjectShape(projectInput) {
     startedAtDay,
     updatedAtDay
   }
+  const contributed = normalizeMajorMissionPayload(projectInput.contributed, MAX_PROJECT_REQUIREMENTS_KEYS)
+  for (const [good, qty] of Object.entries(contributed)) {
+    if (!Number.isInteger(qty) || qty <= 0) delete contributed[good]
+  }
+  if (Object.keys(contributed).length > 0) project.contributed = contributed
   if (supportsMajorMissionId) project.supportsMajorMissionId = supportsMajorMissionId
   return project
 }
 
+/**
+ * Content packs (contentPacks.js) add event types, project types and salvage
+ * targets at startup; they must be registered here before the first load or
+ * records using them are dropped as unknown.
+ * @param {{eventTypes?: string[], projectTypes?: string[], salvageTargetKeys?: string[]}} keys
+ */
+function registerContentKeys(keys) {
+  for (const type of keys?.eventTypes || []) WORLD_EVENT_TYPES.add(type)
+  for (const type of keys?.projectTypes || []) PROJECT_TYPES.add(type)
+  for (const key of keys?.salvageTargetKeys || []) SALVAGE_TARGET_KEYS.add(key)
+}
+
+/**
+ * @param {unknown} treatyInput
+ */
+function normalizeTreatyShape(treatyInput) {
+  if (!treatyInput || typeof treatyInput !== 'object' || Array.isArray(treatyInput)) return null
+  const id = asText(treatyInput.id, '', 200)
+  const kind = asText(treatyInput.kind, '', 20).toLowerCase()
+  const status = asText(treatyInput.status, '', 20).toLowerCase()
+  const factions = (Array.isArray(treatyInput.factions) ? treatyInput.factions : [])
+    .map(name => asText(name, '', 80).toLowerCase())
+    .filter(Boolean)
+  if (!id || !TREATY_KINDS.has(kind) || !TREATY_STATUSES.has(status)) return null
+  if (factions.length !== 2 || factions[0] === factions[1]) return null
+  factions.sort((a, b) => a.localeCompare(b))
+  const proposedBy = asText(treatyInput.proposedBy, '', 80).toLowerCase()
+  const asDay = (value) => {
+    const day = Number(value)
+    return Number.isInteger(day) && day >= 1 ? day : null
+  }
+  const durationDays = Number(treatyInput.durationDays)
+  return {
+    id,
+    kind,
+    factions,
+    proposedBy: factions.includes(proposedBy) ? proposedBy : factions[0],
+    status,
+    terms: asText(treatyInput.terms, '', 160),
+    durationDays: Number.isInteger(durationDays) && durationDays >= 1 ? Math.min(durationDays, MAX_TREATY_DAYS) : null,
+    proposedDay: asDay(treatyInput.proposedDay) || 1,
+    startedDay: asDay(treatyInput.startedDay),
+    endsDay: asDay(treatyInput.endsDay),
+    closedDay: asDay(treatyInput.closedDay)
+  }
+}
+
+/**
+ * Null when the world never used diplomacy, so older files keep their shape.
+ * @param {unknown} diplomacyInput
+ */
+function normalizeDiplomacyShape(diplomacyInput) {
+  if (!diplomacyInput || typeof diplomacyInput !== 'object' || Array.isArray(diplomacyInput)) return null
+  const seen = new Set()
+  const treaties = []
+  for (const entry of Array.isArray(diplomacyInput.treaties) ? diplomacyInput.treaties : []) {
+    const treaty = normalizeTreatyShape(entry)
+    if (!treaty || seen.has(treaty.id.toLowerCase())) continue
+    seen.add(treaty.id.toLowerCase())
+    treaties.push(treaty)
+  }
+  // Same trim as the diplomacy commands: open treaties stay, the oldest closed ones go.
+  let overflow = treaties.length - MAX_DIPLOMACY_TREATIES
+  return {
+    treaties: overflow > 0
+      ? treaties.filter((treaty) => {
+        if (overflow <= 0 || TREATY_OPEN_STATUSES.has(treaty.status)) return true
+        overflow -= 1
+        return false
+      })
+      : treaties
+  }
+}
+
+/**
+ * @param {unknown} contentInput
+ */
+function normalizeContentShape(contentInput) {
+  if (!contentInput || typeof contentInput !== 'object' || Array.isArray(contentInput)) return null
+  const hash = asText(contentInput.hash, '', 64).toLowerCase()
+  if (!CONTENT_HASH_PATTERN.test(hash)) return null
+  const packs = (Array.isArray(contentInput.packs) ? contentInput.packs : [])
+    .map((pack) => ({
+      id: asText(pack?.id, '', 40),
+      version: asText(pack?.version, '', 20),
+      hash: asText(pack?.hash, '', 64).toLowerCase()
+    }))
+    .filter(pack => pack.id && pack.version && CONTENT_HASH_PATTERN.test(pack.hash))
+    .slice(0, MAX_CONTENT_PACK_RECORDS)
+  const recordedAtDay = Number(contentInput.recordedAtDay)
+  return {
+    hash,
+    packs,
+    recordedAtDay: Number.isInteger(recordedAtDay) && recordedAtDay >= 1 ? recordedAtDay : 1
+  }
+}
+
 /**
  * @param {unknown} projectsInput
  */
@@ -2465,9 +2884,16 @@ function freshMemoryShape(input) {
       : {},
     nether: normalizeNetherShape(source.world?.nether, Number(source.world?.events?.seed)),
     execution: normalizeExecutionStateShape(source.world?.execution),
+    agentRoster: normalizeAgentRoster(source.world?.agentRoster),
     archive: Array.isArray(source.world?.archive) ? source.world.archive : [],
     processedEventIds: Array.isArray(source.world?.processedEventIds) ? source.world.processedEventIds : []
   }
+  const diplomacy = normalizeDiplomacyShape(source.world?.diplomacy)
+  if (diplomacy) world.diplomacy = diplomacy
+  const playerPresence = normalizePlayerPresence(source.world?.playerPresence)
+  if (playerPresence) world.playerPresence = playerPresence
+  const content = normalizeContentShape(source.world?.content)
+  if (content) world.content = content
   world.nether = normalizeNetherShape(world.nether, Number(world.events?.seed))
   reconcileMajorMissionState(world)
   world.players = normalizeWorldPlayersShape(world.players, world.towns)
@@ -2676,11 +3102,50 @@ function validateMemoryIntegritySnapshot(memory) {
     }
     const season = asText(world.clock.season, '', 20).toLowerCase()
     if (!CLOCK_SEASONS.has(season)) {
-      issues.push('world.clock.season must be "dawn" or "long_night".')
+      issues.push('world.clock.season must be one of "dawn", "thaw", "harvest", "ashfall" or "long_night".')
+    }
+    if (world.clock.season_day !== undefined && (
+      !Number.isInteger(world.clock.season_day) ||
+      world.clock.season_day < 1 ||
+      world.clock.season_day > world.clock.day
+    )) {
+      issues.push('world.clock.season_day must be integer 1..world.clock.day when present.')
+    }
+    if (world.clock.season_length !== undefined && (
+      !Number.isInteger(world.clock.season_length) ||
+      world.clock.season_length < 1 ||
+      world.clock.season_length > MAX_SEASON_LENGTH_DAYS
+    )) {
+      issues.push(`world.clock.season_length must be integer 1..${MAX_SEASON_LENGTH_DAYS} when present.`)
     }
     if (!normalizeIsoDateText(world.clock.updated_at)) {
       issues.push('world.clock.updated_at must be a valid ISO datetime string.')
     }
+    if (world.clock.auto !== undefined) {
+      const auto = world.clock.auto
+      if (!auto || typeof auto !== 'object' || Array.isArray(auto)) {
+        issues.push('world.clock.auto must be an object when present.')
+      } else {
+        if (typeof auto.enabled !== 'boolean') issues.push('world.clock.auto.enabled must be boolean.')
+        if (!Number.isInteger(auto.phase_seconds) || auto.phase_seconds < MIN_CLOCK_AUTO_PHASE_SECONDS || auto.phase_seconds > MAX_CLOCK_AUTO_PHASE_SECONDS) {
+          issues.push(`world.clock.auto.phase_seconds must be integer ${MIN_CLOCK_AUTO_PHASE_SECONDS}..${MAX_CLOCK_AUTO_PHASE_SECONDS}.`)
+        }
+        for (const key of ['anchor_at', 'ticks', 'generation']) {
+          if (!Number.isInteger(auto[key]) || auto[key] < 0) issues.push(`world.clock.auto.${key} must be integer >= 0.`)
+        }
+      }
+    }
+    if (world.clock.server !== undefined) {
+      const server = world.clock.server
+      if (!server || typeof server !== 'object' || Array.isArray(server)) {
+        issues.push('world.clock.server must be an object when present.')
+      } else {
+        if (!CLOCK_PHASES.has(server.phase)) issues.push('world.clock.server.phase must be "day" or "night".')
+        for (const key of ['epoch', 'day', 'at', 'ticks']) {
+          if (!Number.isInteger(server[key]) || server[key] < 0) issues.push(`world.clock.server.${key} must be integer >= 0.`)
+        }
+      }
+    }
   }
   if (!world.threat || typeof world.threat !== 'object' || Array.isArray(world.threat)) {
     issues.push('world.threat must be an object.')
@@ -2765,7 +3230,7 @@ function validateMemoryIntegritySnapshot(memory) {
   if (!world.factions || typeof world.factions !== 'object' || Array.isArray(world.factions)) {
     issues.push('world.factions must be an object.')
   } else {
-    for (const factionName of STORY_FACTION_NAMES) {
+    for (const factionName of listStoryFactionNames(world.factions)) {
       const faction = world.factions[factionName]
       if (!faction || typeof faction !== 'object' || Array.isArray(faction)) {
         issues.push(`world.factions.${factionName} must be an object.`)
@@ -2791,6 +3256,18 @@ function validateMemoryIntegritySnapshot(memory) {
           if (!asText(rival, '', 80)) issues.push(`world.factions.${factionName}.rivals contains invalid rival.`)
         }
       }
+      if (faction.allies !== undefined && !Array.isArray(faction.allies)) {
+        issues.push(`world.factions.${factionName}.allies must be an array.`)
+      }
+    }
+  }
+  if (world.diplomacy !== undefined) {
+    if (!world.diplomacy || !Array.isArray(world.diplomacy.treaties)) {
+      issues.push('world.diplomacy.treaties must be an array.')
+    } else {
+      for (const treaty of world.diplomacy.treaties) {
+        if (!normalizeTreatyShape(treaty)) issues.push('world.diplomacy.treaties contains invalid treaty.')
+      }
     }
   }
   if (!Array.isArray(world.markers)) {
@@ -2854,6 +3331,9 @@ function validateMemoryIntegritySnapshot(memory) {
         if (!Number.isFinite(Number(offer.created_at || 0))) {
           issues.push(`world.markets[${marketName || '?'}] offer created_at must be numeric.`)
         }
+        if (offer.good !== undefined && !normalizeGoodKeyShape(offer.good)) {
+          issues.push(`world.markets[${marketName || '?'}] offer good must be a lowercase good key when present.`)
+        }
       }
     }
   }
@@ -3297,6 +3777,13 @@ function validateMemoryIntegritySnapshot(memory) {
       issues.push(`world.towns is missing activeMajorMissionId mapping for town key ${townKey}.`)
     }
   }
+  if (world.agentRoster !== undefined) {
+    if (!world.agentRoster || typeof world.agentRoster !== 'object' || Array.isArray(world.agentRoster)) {
+      issues.push('world.agentRoster must be an object.')
+    } else if (Object.keys(world.agentRoster).length > MAX_AGENT_ROSTER_ENTRIES) {
+      issues.push(`world.agentRoster exceeds max entries ${MAX_AGENT_ROSTER_ENTRIES}.`)
+    }
+  }
   if (!world.actors || typeof world.actors !== 'object' || Array.isArray(world.actors)) {
     issues.push('world.actors must be an object.')
   } else {
@@ -3346,6 +3833,20 @@ function validateMemoryIntegritySnapshot(memory) {
       }
     }
   }
+  if (world.playerPresence !== undefined) {
+    if (!world.playerPresence || typeof world.playerPresence !== 'object' || Array.isArray(world.playerPresence)) {
+      issues.push('world.playerPresence must be an object when present.')
+    } else {
+      if (Object.keys(world.playerPresence).length > MAX_PLAYER_PRESENCE_ENTRIES) {
+        issues.push(`world.playerPresence exceeds max entries ${MAX_PLAYER_PRESENCE_ENTRIES}.`)
+      }
+      for (const [playerKey, presence] of Object.entries(world.playerPresence)) {
+        if (!normalizePlayerPresenceEntry(presence, playerKey)) {
+          issues.push(`world.playerPresence.${playerKey || '?'} contains invalid presence.`)
+        }
+      }
+    }
+  }
   if (world.economy !== undefined) {
     if (!world.economy || typeof world.economy !== 'object' || Array.isArray(world.economy)) {
       issues.push('world.economy must be an object when present.')
@@ -3371,6 +3872,34 @@ function validateMemoryIntegritySnapshot(memory) {
           issues.push('world.economy.minted_total must be finite and >= 0 when present.')
         }
       }
+      if (world.economy.inventories !== undefined) {
+        const inventories = world.economy.inventories
+        if (!inventories || typeof inventories !== 'object' || Array.isArray(inventories)) {
+          issues.push('world.economy.inventories must be an object when present.')
+        } else {
+          for (const [agentName, goods] of Object.entries(inventories)) {
+            if (!goods || typeof goods !== 'object' || Array.isArray(goods)) {
+              issues.push(`world.economy.inventories[${agentName || '?'}] must be an object.`)
+              continue
+            }
+            for (const [good, qty] of Object.entries(goods)) {
+              if (!normalizeGoodKeyShape(good) || !Number.isInteger(qty) || qty <= 0) {
+                issues.push(`world.economy.inventories[${agentName || '?'}].${good || '?'} must be a positive integer.`)
+              }
+            }
+          }
+        }
+      }
+      if (world.economy.traded !== undefined && !Array.isArray(world.economy.traded)) {
+        issues.push('world.economy.traded must be an array when present.')
+      }
+      if (world.economy.trade_events !== undefined) {
+        if (!Array.isArray(world.economy.trade_events)) {
+          issues.push('world.economy.trade_events must be an array when present.')
+        } else if (world.economy.trade_events.some(entry => !normalizeTradeEventShape(entry))) {
+          issues.push('world.economy.trade_events contains invalid trade event.')
+        }
+      }
     }
   }
 
@@ -3383,7 +3912,11 @@ function validateMemoryIntegritySnapshot(memory) {
  *   fsModule?: typeof fs,
  *   logger?: ReturnType<typeof createLogger>,
  *   now?: () => number,
- *   enableTxTimers?: boolean
+ *   enableTxTimers?: boolean,
+ *   mode?: 'snapshot' | 'journal' | 'sqlite',
+ *   journalCompactEvery?: number,
+ *   sqlitePath?: string,
+ *   sqliteDriver?: 'native' | 'cli'
  * }} options
  */
 function createMemoryStore(options = {}) {
@@ -3397,29 +3930,113 @@ function createMemoryStore(options = {}) {
   const enableTxTimers = typeof options.enableTxTimers === 'boolean'
     ? options.enableTxTimers
     : process.argv.includes('--timers')
-  // Cross-process lock file used to serialize writers touching memory.json.
-  const lockPath = `${filePath}.lock`
+  // `snapshot` rewrites memory.json per commit; `journal` appends a diff record
+  // per commit to memory.json.journal and folds it into memory.json every
+  // `journalCompactEvery` records; `sqlite` writes changed rows to per-collection
+  // tables (memory.json is only read once, to seed an empty database).
+  // All processes sharing a file must use one mode.
+  const mode = ['journal', 'sqlite'].includes(options.mode) ? options.mode : 'snapshot'
+  const sqlitePath = mode === 'sqlite'
+    ? path.resolve(options.sqlitePath || `${filePath.replace(/\.json$/i, '')}.sqlite3`)
+    : null
+  const sqliteStorage = mode === 'sqlite'
+    ? createMemorySqliteStorage({ dbPath: sqlitePath, driver: options.sqliteDriver })
+    : null
+  // Cross-process lock file used to serialize writers touching durable memory.
+  const lockPath = `${sqlitePath || filePath}.lock`
   const maxLockRetries = 5
   const simulateCrash = process.argv.includes('--simulate-crash')
+  const journalPath = journalPathFor(filePath)
+  const journalCompactEvery = Number.isInteger(options.journalCompactEvery) && options.journalCompactEvery > 0
+    ? options.journalCompactEvery
+    : DEFAULT_JOURNAL_COMPACT_EVERY
 
   /** @type {MemoryState | null} */
   let state = null
   let txQueue = Promise.resolve()
+  // Working copy of the open `allowNested` transaction, seen by transactions and snapshots started inside it.
+  const nestedTransactionContext = new AsyncLocalStorage()
+  let journalSeq = 0
+  let journalRecordsSinceSnapshot = 0
+  // Snapshot mode found a leftover journal at load; drop it after the next full write.
+  let pendingJournalFold = false
+  // Journal/sqlite mode: a persist:false mutation is pending, or a write failed midway.
+  let inMemoryDiverged = false
+  let diskSignature = ''
+
+  function readDiskSignature() {
+    const parts = []
+    for (const target of [filePath, journalPath]) {
+      try {
+        const stat = fsModule.statSync(target)
+        parts.push(`${stat.size}:${stat.mtimeMs}`)
+      } catch {
+        parts.push('-')
+      }
+    }
+    return parts.join('|')
+  }
+
+  /**
+   * Load memory.json and replay any journal records newer than its
+   * `journalSeq`. A torn or out-of-order tail (crash mid-append) is discarded.
+   * @returns {MemoryState}
+   */
+  function readDurableState() {
+    const raw = JSON.parse(fsModule.readFileSync(filePath, 'utf-8'))
+    const baseSeq = Number.isInteger(raw?.journalSeq) ? raw.journalSeq : 0
+    const journalText = fsModule.existsSync(journalPath) ? fsModule.readFileSync(journalPath, 'utf-8') : ''
+    const parsed = parseJournalText(journalText, baseSeq)
+    const recovered = freshMemoryShape(raw)
+    for (const record of parsed.records) applyJournalOps(recovered, record.ops)
+    if (parsed.torn) {
+      logger.warn('memory_journal_tail_discarded', { journalPath, validBytes: parsed.validBytes })
+      if (mode === 'journal') fsModule.truncateSync(journalPath, parsed.validBytes)
+    }
+    journalSeq = parsed.lastSeq
+    journalRecordsSinceSnapshot = parsed.records.length
+    pendingJournalFold = mode === 'snapshot' && journalText.length > 0
+    return parsed.records.length > 0 ? freshMemoryShape(recovered) : recovered
+  }
+
+  /**
+   * Read the SQLite state, seeding an empty database from memory.json (and
+   * any journal tail) the first time.
+   * @returns {MemoryState}
+   */
+  function loadFromSqlite() {
+    const raw = sqliteStorage.readState()
+    if (raw) return freshMemoryShape(raw)
+    const seed = fsModule.existsSync(filePath) ? readJournaledMemoryFile(filePath, fsModule) : null
+    const seeded = freshMemoryShape(seed)
+    if (seed) {
+      sqliteStorage.writeState(null, seeded)
+      logger.info('memory_sqlite_imported', { filePath, sqlitePath })
+    }
+    return seeded
+  }
 
   function loadFromDisk() {
+    if (mode === 'sqlite') {
+      state = loadFromSqlite()
+      return state
+    }
     if (!fsModule.existsSync(filePath)) {
       state = freshMemoryShape(null)
+      journalSeq = 0
+      journalRecordsSinceSnapshot = 0
       return state
     }
 
     try {
-      const data = JSON.parse(fsModule.readFileSync(filePath, 'utf-8'))
-      state = freshMemoryShape(data)
+      state = readDurableState()
       return state
     } catch (err) {
       logger.warn('memory_load_failed_resetting', { filePath, error: err instanceof Error ? err.message : String(err) })
       state = freshMemoryShape(null)
       return state
+    } finally {
+      if (mode === 'journal') diskSignature = readDiskSignature()
     }
   }
 
@@ -3436,6 +4053,7 @@ function createMemoryStore(options = {}) {
   }
 
   async function loadFromDiskUnderLock() {
+    if (pendingJournalFold) return loadFromDisk()
     try {
       const payload = await fsPromises.readFile(filePath, 'utf-8')
       return freshMemoryShape(JSON.parse(payload))
@@ -3509,7 +4127,7 @@ function createMemoryStore(options = {}) {
 
   async function persistSnapshotAtomically(snapshot, phaseDurations) {
     const stringifyStartedAt = now()
-    const payload = JSON.stringify(snapshot, null, 2)
+    const payload = JSON.stringify(mode === 'journal' ? { ...snapshot, journalSeq } : snapshot, null, 2)
     if (phaseDurations) phaseDurations.stringifyMs = now() - stringifyStartedAt
     const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`
     try {
@@ -3531,14 +4149,127 @@ function createMemoryStore(options = {}) {
     }
   }
 
+  /**
+   * Fold the journal into memory.json and empty it. A crash between the two
+   * steps is harmless: records at or below the snapshot's journalSeq are skipped.
+   * @param {MemoryState} snapshot
+   * @param {Record<string, number> | null} phaseDurations
+   */
+  async function compactJournal(snapshot, phaseDurations) {
+    await persistSnapshotAtomically(snapshot, phaseDurations)
+    try {
+      await fsPromises.writeFile(journalPath, '', 'utf-8')
+    } catch (err) {
+      logger.warn('memory_journal_reset_failed', { journalPath, error: err instanceof Error ? err.message : String(err) })
+    }
+    journalRecordsSinceSnapshot = 0
+  }
+
+  /**
+   * @param {MemoryState} current
+   * @param {MemoryState} working
+   * @param {string} eventId
+   * @param {boolean} forceSnapshot
+   * @param {Record<string, number> | null} phaseDurations
+   */
+  async function appendJournalRecord(current, working, eventId, forceSnapshot, phaseDurations) {
+    if (forceSnapshot || !fsModule.existsSync(filePath)) {
+      await compactJournal(working, phaseDurations)
+      return
+    }
+    const stringifyStartedAt = now()
+    const ops = diffMemoryState(current, working)
+    if (ops.length === 0) return
+    const line = `${JSON.stringify(createJournalRecord(journalSeq + 1, eventId, ops))}\n`
+    if (phaseDurations) phaseDurations.stringifyMs = now() - stringifyStartedAt
+    try {
+      const writeStartedAt = now()
+      await fsPromises.appendFile(journalPath, line, 'utf-8')
+      if (phaseDurations) phaseDurations.writeMs = now() - writeStartedAt
+    } catch (err) {
+      // A partial line is dropped as a torn tail on the next load.
+      inMemoryDiverged = true
+      throw new AppError({
+        code: 'MEMORY_WRITE_FAILED',
+        message: 'Failed to append memory journal record.',
+        recoverable: false,
+        metadata: { journalPath, error: err instanceof Error ? err.message : String(err) }
+      })
+    }
+    journalSeq += 1
+    journalRecordsSinceSnapshot += 1
+    if (journalRecordsSinceSnapshot >= journalCompactEvery) await compactJournal(working, phaseDurations)
+  }
+
+  /**
+   * Journal and sqlite modes keep the committed state in memory between
+   * transactions and only re-read it when another writer (or a failed write)
+   * changed it.
+   */
+  function currentDurableState() {
+    const upToDate = mode === 'sqlite'
+      ? sqliteStorage.isCurrent()
+      : readDiskSignature() === diskSignature
+    if (state && !inMemoryDiverged && upToDate) return state
+    inMemoryDiverged = false
+    return loadFromDisk()
+  }
+
+  /**
+   * @param {MemoryState} current
+   * @param {MemoryState} working
+   * @param {Record<string, number> | null} phaseDurations
+   */
+  function writeSqliteState(current, working, phaseDurations) {
+    const writeStartedAt = now()
+    try {
+      sqliteStorage.writeState(current, working)
+    } catch (err) {
+      inMemoryDiverged = true
+      throw err
+    }
+    if (phaseDurations) phaseDurations.writeMs = now() - writeStartedAt
+  }
+
+  /**
+   * Run a transaction opened from inside an `allowNested` mutator against the
+   * outer working copy. It lands in the outer commit, or in nothing if a later
+   * step throws; a throw here leaves the outer working copy untouched.
+   * @param {{working: MemoryState}} open
+   * @param {(memory: MemoryState) => any} mutator
+   * @param {{eventId?: string}} opts
+   */
+  async function transactNested(open, mutator, opts) {
+    const eventId = opts.eventId ? asText(opts.eventId, '', 200) : ''
+    if (eventId && hasEvent(open.working.world.processedEventIds, eventId)) {
+      incrementMetric('duplicateEventsSkipped')
+      logger.warn(`DUPLICATE_EVENT_SKIPPED: ${eventId}`)
+      return { skipped: true, result: null, persisted: false }
+    }
+    const draft = cloneMemory(open.working)
+    const result = await nestedTransactionContext.run({ working: draft }, () => mutator(draft))
+    if (eventId) markEvent(draft, eventId)
+    for (const key of Object.keys(open.working)) {
+      if (!Object.prototype.hasOwnProperty.call(draft, key)) delete open.working[key]
+    }
+    Object.assign(open.working, draft)
+    return { skipped: false, result, persisted: false }
+  }
+
   /**
    * Serialize mutating transactions and commit only after successful persist.
+   * With `allowNested`, transactions opened inside the mutator (and snapshots
+   * read there) see its working copy instead of queueing behind it, so several
+   * steps commit or abort together.
    * @template T
    * @param {(memory: MemoryState) => T | Promise<T>} mutator
-   * @param {{eventId?: string, persist?: boolean}} [opts]
+   * @param {{eventId?: string, persist?: boolean, compact?: boolean, allowNested?: boolean}} [opts]
    * @returns {Promise<{skipped: boolean, result: T | null}>}
    */
   function transact(mutator, opts = {}) {
+    const open = nestedTransactionContext.getStore()
+    if (open) return transactNested(open, mutator, opts)
+
     const run = async () => {
       const eventId = opts.eventId ? asText(opts.eventId, '', 200) : ''
       const shouldPersist = opts.persist !== false
@@ -3573,10 +4304,25 @@ function createMemoryStore(options = {}) {
         const cloneStartedAt = phaseDurations ? now() : 0
         const working = cloneMemory(current)
         if (phaseDurations) phaseDurations.cloneMs = now() - cloneStartedAt
-        const result = await mutator(working)
+        const result = opts.allowNested === true
+          ? await nestedTransactionContext.run({ working }, () => mutator(working))
+          : await mutator(working)
 
         if (eventId) markEvent(working, eventId)
-        if (shouldPersist) await persistSnapshotAtomically(working, phaseDurations)
+        if (shouldPersist && mode === 'sqlite') {
+          writeSqliteState(current, working, phaseDurations)
+        } else if (shouldPersist && mode === 'journal') {
+          await appendJournalRecord(current, working, eventId, opts.compact === true, phaseDurations)
+          diskSignature = readDiskSignature()
+        } else if (shouldPersist) {
+          await persistSnapshotAtomically(working, phaseDurations)
+          if (pendingJournalFold) {
+            await fsPromises.unlink(journalPath).catch(() => {})
+            pendingJournalFold = false
+          }
+        } else if (mode !== 'snapshot') {
+          inMemoryDiverged = true
+        }
         state = working
 
         incrementMetric('transactionsCommitted')
@@ -3589,7 +4335,7 @@ function createMemoryStore(options = {}) {
           txResult = await withFileLock(async ({ lockWaitMs }) => {
             if (phaseDurations) phaseDurations.lockWaitMs = lockWaitMs
             // Persisted writes always reload inside the lock so each writer sees the latest committed snapshot.
-            const current = await loadFromDiskUnderLock()
+            const current = mode === 'snapshot' ? await loadFromDiskUnderLock() : currentDurableState()
             state = current
             return applyMutation(current)
           })
@@ -3620,7 +4366,8 @@ function createMemoryStore(options = {}) {
    * @returns {MemoryState}
    */
   function getSnapshot() {
-    return cloneMemory(ensureLoaded())
+    const open = nestedTransactionContext.getStore()
+    return cloneMemory(open ? open.working : ensureLoaded())
   }
 
   /**
@@ -3772,7 +4519,7 @@ function createMemoryStore(options = {}) {
   }
 
   async function saveAllMemory() {
-    await transact(() => {}, { persist: true, eventId: undefined })
+    await transact(() => {}, { persist: true, eventId: undefined, compact: true })
   }
 
   function validateMemoryIntegrity() {
@@ -3797,4 +4544,77 @@ function createMemoryStore(options = {}) {
   }
 }
 
-module.exports = { createMemoryStore, freshMemoryShape, validateMemoryIntegritySnapshot }
+/**
+ * One-shot copy of a memory.json (plus any journal tail) into a SQLite memory
+ * database. Refuses to replace an existing database unless `overwrite` is set.
+ * @param {{filePath: string, sqlitePath: string, sqliteDriver?: 'native' | 'cli', overwrite?: boolean}} options
+ * @returns {{sqlitePath: string, revision: number, collections: Record<string, number>}}
+ */
+function importMemoryJsonToSqlite(options) {
+  const raw = readJournaledMemoryFile(options.filePath)
+  if (!raw) {
+    throw new AppError({
+      code: 'MEMORY_IMPORT_FAILED',
+      message: 'Memory JSON file is missing or unreadable.',
+      recoverable: false,
+      metadata: { filePath: options.filePath }
+    })
+  }
+  const storage = createMemorySqliteStorage({ dbPath: options.sqlitePath, driver: options.sqliteDriver })
+  try {
+    if (storage.readState() && options.overwrite !== true) {
+      throw new AppError({
+        code: 'MEMORY_IMPORT_FAILED',
+        message: 'SQLite memory database already holds state; pass overwrite to replace it.',
+        recoverable: false,
+        metadata: { sqlitePath: options.sqlitePath }
+      })
+    }
+    const memory = freshMemoryShape(raw)
+    const { revision } = storage.writeState(null, memory)
+    const collections = {}
+    for (const key of Object.keys(MEMORY_SQLITE_COLLECTIONS)) collections[key] = memory.world[key].length
+    return { sqlitePath: options.sqlitePath, revision, collections }
+  } finally {
+    storage.close()
+  }
+}
+
+/**
+ * Write the state held in a SQLite memory database as a memory.json file
+ * (same shape and formatting as snapshot mode), e.g. to refresh fixtures.
+ * @param {{sqlitePath: string, filePath: string, sqliteDriver?: 'native' | 'cli'}} options
+ * @returns {MemoryState}
+ */
+function exportMemorySqliteToJson(options) {
+  const storage = createMemorySqliteStorage({ dbPath: options.sqlitePath, driver: options.sqliteDriver })
+  let raw = null
+  try {
+    raw = storage.readState()
+  } finally {
+    storage.close()
+  }
+  if (!raw) {
+    throw new AppError({
+      code: 'MEMORY_EXPORT_FAILED',
+      message: 'SQLite memory database holds no state.',
+      recoverable: false,
+      metadata: { sqlitePath: options.sqlitePath }
+    })
+  }
+  const memory = freshMemoryShape(raw)
+  const tempPath = `${options.filePath}.${process.pid}.${Date.now()}.tmp`
+  fs.mkdirSync(path.dirname(options.filePath), { recursive: true })
+  fs.writeFileSync(tempPath, JSON.stringify(memory, null, 2), 'utf-8')
+  fs.renameSync(tempPath, options.filePath)
+  return memory
+}
+
+module.exports = {
+  createMemoryStore,
+  exportMemorySqliteToJson,
+  freshMemoryShape,
+  importMemoryJsonToSqlite,
+  registerContentKeys,
+  validateMemoryIntegritySnapshot
+}
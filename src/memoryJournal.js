@@ -0,0 +1,229 @@
+const fs = require('fs')
+
+const MEMORY_JOURNAL_RECORD_TYPE = 'memory-journal.v1'
+const DEFAULT_JOURNAL_COMPACT_EVERY = 200
+const MAX_TRIM_CANDIDATES = 16
+
+function isPlainObject(value) {
+  return Boolean(value && typeof value === 'object' && !Array.isArray(value))
+}
+
+/**
+ * @param {string} filePath
+ */
+function journalPathFor(filePath) {
+  return `${filePath}.journal`
+}
+
+/**
+ * Find how many leading entries were dropped from `before` so that the rest of
+ * it is a prefix of `after` (the push-then-trim shape used by capped logs).
+ * @param {string[]} beforeKeys
+ * @param {string[]} afterKeys
+ * @returns {number} dropped count, or -1 when `after` is not a trim+append of `before`
+ */
+function findTrimAppendOffset(beforeKeys, afterKeys) {
+  if (beforeKeys.length === 0) return 0
+  const candidates = afterKeys.length === 0
+    ? []
+    : beforeKeys
+      .map((key, index) => (key === afterKeys[0] ? index : -1))
+      .filter(index => index >= 0)
+      .slice(0, MAX_TRIM_CANDIDATES)
+  candidates.push(beforeKeys.length)
+  for (const dropped of candidates) {
+    const kept = beforeKeys.length - dropped
+    if (kept > afterKeys.length) continue
+    let matches = true
+    for (let i = 0; i < kept; i += 1) {
+      if (beforeKeys[dropped + i] !== afterKeys[i]) {
+        matches = false
+        break
+      }
+    }
+    if (matches) return dropped
+  }
+  return -1
+}
+
+/**
+ * @param {unknown} before
+ * @param {unknown} after
+ * @param {string[]} path
+ * @param {Array<Record<string, unknown>>} ops
+ */
+function diffValue(before, after, path, ops) {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    for (const key of Object.keys(after)) {
+      if (!Object.prototype.hasOwnProperty.call(before, key)) {
+        ops.push({ op: 'set', path: [...path, key], value: after[key] })
+        continue
+      }
+      diffValue(before[key], after[key], [...path, key], ops)
+    }
+    for (const key of Object.keys(before)) {
+      if (!Object.prototype.hasOwnProperty.call(after, key)) ops.push({ op: 'delete', path: [...path, key] })
+    }
+    return
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const beforeKeys = before.map(item => JSON.stringify(item))
+    const afterKeys = after.map(item => JSON.stringify(item))
+    if (beforeKeys.length === afterKeys.length && beforeKeys.every((key, index) => key === afterKeys[index])) return
+    const dropped = findTrimAppendOffset(beforeKeys, afterKeys)
+    if (dropped >= 0 && dropped < before.length) {
+      ops.push({ op: 'splice', path, drop: dropped, append: after.slice(before.length - dropped) })
+      return
+    }
+    if (beforeKeys.length === afterKeys.length) {
+      // Same-length arrays of records (markets, projects, ...) usually change in place.
+      for (let i = 0; i < after.length; i += 1) {
+        if (beforeKeys[i] !== afterKeys[i]) diffValue(before[i], after[i], [...path, String(i)], ops)
+      }
+      return
+    }
+    ops.push({ op: 'set', path, value: after })
+    return
+  }
+
+  if (before === after) return
+  if (JSON.stringify(before) === JSON.stringify(after)) return
+  ops.push({ op: 'set', path, value: after })
+}
+
+/**
+ * Structural diff between two memory states. Objects are diffed per key;
+ * arrays become a trim+append `splice`, per-index diffs when their length is
+ * unchanged, or a whole replacement.
+ * @param {Record<string, unknown>} before
+ * @param {Record<string, unknown>} after
+ */
+function diffMemoryState(before, after) {
+  const ops = []
+  diffValue(before, after, [], ops)
+  return ops
+}
+
+/**
+ * @param {Record<string, any>} state
+ * @param {Array<Record<string, any>>} ops
+ */
+function applyJournalOps(state, ops) {
+  for (const entry of Array.isArray(ops) ? ops : []) {
+    const path = Array.isArray(entry?.path) ? entry.path : []
+    if (path.length === 0) continue
+    let parent = state
+    for (const key of path.slice(0, -1)) {
+      if (!isPlainObject(parent[key]) && !Array.isArray(parent[key])) parent[key] = {}
+      parent = parent[key]
+    }
+    const leaf = path[path.length - 1]
+    if (entry.op === 'set') parent[leaf] = entry.value
+    else if (entry.op === 'delete') delete parent[leaf]
+    else if (entry.op === 'splice') {
+      const current = Array.isArray(parent[leaf]) ? parent[leaf] : []
+      parent[leaf] = [...current.slice(Number(entry.drop) || 0), ...(Array.isArray(entry.append) ? entry.append : [])]
+    }
+  }
+  return state
+}
+
+/**
+ * @param {number} seq
+ * @param {string} eventId
+ * @param {Array<Record<string, unknown>>} ops
+ */
+function createJournalRecord(seq, eventId, ops) {
+  return { type: MEMORY_JOURNAL_RECORD_TYPE, seq, eventId: eventId || null, ops }
+}
+
+/**
+ * Parse journal text into records that continue `afterSeq` without gaps.
+ * Parsing stops at the first torn or out-of-order line; `validBytes` is the
+ * byte length of the usable prefix so callers can truncate a torn tail.
+ * @param {string} text
+ * @param {number} afterSeq
+ */
+function parseJournalText(text, afterSeq) {
+  const records = []
+  let validBytes = 0
+  let expectedSeq = null
+  let torn = false
+  let offset = 0
+  while (offset < text.length) {
+    const newline = text.indexOf('\n', offset)
+    if (newline < 0) {
+      torn = true
+      break
+    }
+    const line = text.slice(offset, newline)
+    let record = null
+    try {
+      record = JSON.parse(line)
+    } catch {
+      record = null
+    }
+    if (!isPlainObject(record) || record.type !== MEMORY_JOURNAL_RECORD_TYPE || !Number.isInteger(record.seq)) {
+      torn = true
+      break
+    }
+    if (expectedSeq !== null && record.seq !== expectedSeq) {
+      torn = true
+      break
+    }
+    expectedSeq = record.seq + 1
+    offset = newline + 1
+    validBytes += Buffer.byteLength(line, 'utf-8') + 1
+    if (record.seq > afterSeq) records.push(record)
+  }
+  if (records.length > 0 && records[0].seq !== afterSeq + 1) {
+    return { records: [], validBytes, torn: true, lastSeq: afterSeq }
+  }
+  return {
+    records,
+    validBytes,
+    torn,
+    lastSeq: records.length > 0 ? records[records.length - 1].seq : afterSeq
+  }
+}
+
+/**
+ * Read `memory.json` plus any journal tail newer than the snapshot's
+ * `journalSeq`. Returns the raw (unnormalized) state, or null when neither
+ * file holds usable data. Read-only; safe for out-of-process readers.
+ * @param {string} filePath
+ * @param {typeof fs} [fsModule]
+ */
+function readJournaledMemoryFile(filePath, fsModule = fs) {
+  let snapshot = null
+  try {
+    snapshot = JSON.parse(fsModule.readFileSync(filePath, 'utf-8'))
+  } catch {
+    snapshot = null
+  }
+  if (!isPlainObject(snapshot)) return null
+  const journalSeq = Number.isInteger(snapshot.journalSeq) ? snapshot.journalSeq : 0
+  let text = ''
+  try {
+    text = fsModule.readFileSync(journalPathFor(filePath), 'utf-8')
+  } catch {
+    text = ''
+  }
+  const parsed = parseJournalText(text, journalSeq)
+  for (const record of parsed.records) applyJournalOps(snapshot, record.ops)
+  snapshot.journalSeq = parsed.lastSeq
+  return snapshot
+}
+
+module.exports = {
+  DEFAULT_JOURNAL_COMPACT_EVERY,
+  MEMORY_JOURNAL_RECORD_TYPE,
+  applyJournalOps,
+  createJournalRecord,
+  diffMemoryState,
+  findTrimAppendOffset,
+  journalPathFor,
+  parseJournalText,
+  readJournaledMemoryFile
+}
@@ -0,0 +1,267 @@
+const { findTrimAppendOffset } = require('./memoryJournal')
+const { createSqliteDriver } = require('./sqliteDriver')
+
+/**
+ * Large, append-heavy world arrays get their own table keyed by a monotonic
+ * `seq`, so a commit that trims and appends a capped log touches only the
+ * dropped and added rows. Everything else is stored as JSON documents keyed
+ * by `agents`, `factions` or `world.<key>`.
+ */
+const MEMORY_SQLITE_COLLECTIONS = Object.freeze({
+  markets: 'memory_markets',
+  quests: 'memory_quests',
+  rumors: 'memory_rumors',
+  decisions: 'memory_decisions',
+  majorMissions: 'memory_major_missions',
+  projects: 'memory_projects',
+  salvageRuns: 'memory_salvage_runs',
+  chronicle: 'memory_chronicle',
+  news: 'memory_news',
+  markers: 'memory_markers',
+  archive: 'memory_archive',
+  processedEventIds: 'memory_processed_event_ids'
+})
+const COLLECTION_KEYS = Object.keys(MEMORY_SQLITE_COLLECTIONS)
+const TOP_LEVEL_DOCUMENT_KEYS = Object.freeze(['agents', 'factions'])
+const REVISION_META_KEY = 'memory.revision'
+
+function isPlainObject(value) {
+  return Boolean(value && typeof value === 'object' && !Array.isArray(value))
+}
+
+/**
+ * @param {Record<string, any> | null} state
+ * @returns {Map<string, string>}
+ */
+function documentEntries(state) {
+  const entries = new Map()
+  if (!isPlainObject(state)) return entries
+  for (const key of TOP_LEVEL_DOCUMENT_KEYS) {
+    if (state[key] !== undefined) entries.set(key, JSON.stringify(state[key]))
+  }
+  const world = isPlainObject(state.world) ? state.world : {}
+  for (const [key, value] of Object.entries(world)) {
+    if (MEMORY_SQLITE_COLLECTIONS[key] || value === undefined) continue
+    entries.set(`world.${key}`, JSON.stringify(value))
+  }
+  return entries
+}
+
+/**
+ * @param {Record<string, any> | null} state
+ * @param {string} key
+ * @returns {unknown[]}
+ */
+function collectionItems(state, key) {
+  const items = state?.world?.[key]
+  return Array.isArray(items) ? items : []
+}
+
+/**
+ * Row-level storage for one memory state in SQLite. It keeps the `seq` of
+ * every stored collection row so `writeState(before, after)` can emit only
+ * the inserts, updates and deletes that turn `before` into `after`.
+ * Callers serialize writers (memory.js holds its lock file around writes).
+ * @param {{
+ *   dbPath: string,
+ *   driver?: string,
+ *   sqliteCommand?: string
+ * }} options
+ */
+function createMemorySqliteStorage(options) {
+  const driver = createSqliteDriver({
+    driver: options.driver || 'native',
+    dbPath: options.dbPath,
+    sqliteCommand: options.sqliteCommand,
+    errorCode: 'MEMORY_SQLITE_ERROR',
+    errorMessage: 'SQLite memory store operation failed.'
+  })
+
+  let initialized = false
+  let revision = null
+  /** @type {Record<string, number[]>} */
+  let rowSeqs = {}
+  /** @type {Record<string, number>} */
+  let lastSeqs = {}
+
+  function ensureInitialized() {
+    if (initialized) return
+    driver.exec(`
+      PRAGMA journal_mode = WAL;
+      PRAGMA synchronous = NORMAL;
+      CREATE TABLE IF NOT EXISTS memory_documents (
+        doc_key TEXT PRIMARY KEY,
+        payload_json TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS memory_meta (
+        meta_key TEXT PRIMARY KEY,
+        meta_value TEXT NOT NULL
+      );
+      ${COLLECTION_KEYS.map((key) => `CREATE TABLE IF NOT EXISTS ${MEMORY_SQLITE_COLLECTIONS[key]} (
+        seq INTEGER PRIMARY KEY,
+        payload_json TEXT NOT NULL
+      );`).join('\n')}
+    `)
+    initialized = true
+  }
+
+  /**
+   * @returns {number | null} null when no state was ever written
+   */
+  function readRevision() {
+    ensureInitialized()
+    const rows = driver.all('SELECT meta_value FROM memory_meta WHERE meta_key = ? LIMIT 1;', [REVISION_META_KEY])
+    if (rows.length === 0) return null
+    const parsed = Number(rows[0].meta_value)
+    return Number.isInteger(parsed) ? parsed : 0
+  }
+
+  /**
+   * Whether the in-memory view still matches the database (no other writer
+   * committed since this storage last read or wrote).
+   */
+  function isCurrent() {
+    return revision !== null && readRevision() === revision
+  }
+
+  /**
+   * Assemble the raw (unnormalized) memory state, or null when empty.
+   * @returns {Record<string, any> | null}
+   */
+  function readState() {
+    ensureInitialized()
+    const currentRevision = readRevision()
+    if (currentRevision === null) {
+      revision = null
+      rowSeqs = {}
+      lastSeqs = {}
+      return null
+    }
+    const state = { world: {} }
+    for (const row of driver.all('SELECT doc_key, payload_json FROM memory_documents ORDER BY doc_key;')) {
+      const value = JSON.parse(row.payload_json)
+      if (row.doc_key.startsWith('world.')) state.world[row.doc_key.slice('world.'.length)] = value
+      else state[row.doc_key] = value
+    }
+    const nextRowSeqs = {}
+    const nextLastSeqs = {}
+    for (const key of COLLECTION_KEYS) {
+      const rows = driver.all(`SELECT seq, payload_json FROM ${MEMORY_SQLITE_COLLECTIONS[key]} ORDER BY seq;`)
+      state.world[key] = rows.map((row) => JSON.parse(row.payload_json))
+      nextRowSeqs[key] = rows.map((row) => Number(row.seq))
+      nextLastSeqs[key] = rows.length > 0 ? Number(rows[rows.length - 1].seq) : 0
+    }
+    revision = currentRevision
+    rowSeqs = nextRowSeqs
+    lastSeqs = nextLastSeqs
+    return state
+  }
+
+  /**
+   * @param {string} key
+   * @param {unknown[]} beforeItems
+   * @param {unknown[]} afterItems
+   * @param {Array<{sql: string, params?: unknown[]}>} statements
+   * @returns {{seqs: number[], lastSeq: number}}
+   */
+  function diffCollection(key, beforeItems, afterItems, statements) {
+    const table = MEMORY_SQLITE_COLLECTIONS[key]
+    const knownSeqs = rowSeqs[key] || []
+    let lastSeq = lastSeqs[key] || 0
+    const insert = (item) => {
+      lastSeq += 1
+      statements.push({ sql: `INSERT INTO ${table} (seq, payload_json) VALUES (?, ?);`, params: [lastSeq, JSON.stringify(item)] })
+      return lastSeq
+    }
+
+    const beforeKeys = beforeItems.map((item) => JSON.stringify(item))
+    const afterKeys = afterItems.map((item) => JSON.stringify(item))
+    const aligned = knownSeqs.length === beforeItems.length
+    if (aligned && beforeKeys.length === afterKeys.length && beforeKeys.every((entry, index) => entry === afterKeys[index])) {
+      return { seqs: knownSeqs, lastSeq }
+    }
+
+    if (aligned) {
+      const dropped = findTrimAppendOffset(beforeKeys, afterKeys)
+      if (dropped >= 0 && dropped < beforeItems.length) {
+        if (dropped > 0) {
+          statements.push({ sql: `DELETE FROM ${table} WHERE seq <= ?;`, params: [knownSeqs[dropped - 1]] })
+        }
+        const seqs = knownSeqs.slice(dropped)
+        for (const item of afterItems.slice(beforeItems.length - dropped)) seqs.push(insert(item))
+        return { seqs, lastSeq }
+      }
+      if (beforeKeys.length === afterKeys.length) {
+        afterKeys.forEach((entry, index) => {
+          if (entry !== beforeKeys[index]) {
+            statements.push({ sql: `UPDATE ${table} SET payload_json = ? WHERE seq = ?;`, params: [entry, knownSeqs[index]] })
+          }
+        })
+        return { seqs: knownSeqs, lastSeq }
+      }
+    }
+
+    statements.push({ sql: `DELETE FROM ${table};` })
+    return { seqs: afterItems.map(insert), lastSeq }
+  }
+
+  /**
+   * Persist `after` in one transaction. `before` must be the state this
+   * storage last read or wrote; pass null to rewrite every row.
+   * @param {Record<string, any> | null} before
+   * @param {Record<string, any>} after
+   */
+  function writeState(before, after) {
+    ensureInitialized()
+    if (revision === null) before = null
+    const statements = []
+    const beforeDocs = before ? documentEntries(before) : null
+    const afterDocs = documentEntries(after)
+    if (!beforeDocs) statements.push({ sql: 'DELETE FROM memory_documents;' })
+    for (const [docKey, payload] of afterDocs) {
+      if (beforeDocs && beforeDocs.get(docKey) === payload) continue
+      statements.push({ sql: 'INSERT OR REPLACE INTO memory_documents (doc_key, payload_json) VALUES (?, ?);', params: [docKey, payload] })
+    }
+    for (const docKey of beforeDocs ? beforeDocs.keys() : []) {
+      if (!afterDocs.has(docKey)) statements.push({ sql: 'DELETE FROM memory_documents WHERE doc_key = ?;', params: [docKey] })
+    }
+
+    const nextRowSeqs = {}
+    const nextLastSeqs = {}
+    if (!before) {
+      rowSeqs = {}
+      for (const key of COLLECTION_KEYS) statements.push({ sql: `DELETE FROM ${MEMORY_SQLITE_COLLECTIONS[key]};` })
+    }
+    for (const key of COLLECTION_KEYS) {
+      const next = diffCollection(key, collectionItems(before, key), collectionItems(after, key), statements)
+      nextRowSeqs[key] = next.seqs
+      nextLastSeqs[key] = next.lastSeq
+    }
+
+    const nextRevision = (revision ?? readRevision() ?? 0) + 1
+    statements.push({
+      sql: 'INSERT OR REPLACE INTO memory_meta (meta_key, meta_value) VALUES (?, ?);',
+      params: [REVISION_META_KEY, String(nextRevision)]
+    })
+    driver.transaction(statements)
+    revision = nextRevision
+    rowSeqs = nextRowSeqs
+    lastSeqs = nextLastSeqs
+    return { revision: nextRevision, statements: statements.length }
+  }
+
+  return {
+    driverName: driver.name,
+    initialize: ensureInitialized,
+    isCurrent,
+    readRevision,
+    readState,
+    writeState,
+    close: () => driver.close()
+  }
+}
+
+module.exports = {
+  MEMORY_SQLITE_COLLECTIONS,
+  createMemorySqliteStorage
+}
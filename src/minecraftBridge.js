@@ -1,23 +1,73 @@
 // src/minecraftBridge.js
 require("dotenv").config();
 
+const path = require("path");
 const mineflayer = require("mineflayer");
+const { pathfinder, Movements } = require("mineflayer-pathfinder");
 const { spawn } = require("child_process");
+const { createBrain } = require("./brain");
+const { createBroadcastChatLine, parseEngineReplyLine, parseEngineRosterLine } = require("./commandParsers");
+const {
+  createBridgeAgentState,
+  createMemorySqliteSnapshotReader,
+  parseLoopIntentLine,
+  readMemoryFileSnapshot,
+} = require("./bridgeAgentState");
+const { parseEngineEventLine } = require("./engineEvents");
+const { createPlayerPositionReport } = require("./playerPosition");
+const { MINECRAFT_TIME_SET_VALUES, createServerTimeReport } = require("./serverTime");
+const { createLogger } = require("./logger");
 
 const HOST = process.env.MC_HOST || "127.0.0.1";
 const PORT = parseInt(process.env.MC_PORT || "25565", 10);
 const VERSION = process.env.MC_VERSION || ""; // empty => auto
-const BOT_NAMES = (process.env.BOT_NAMES || "mara,eli,nox")
+// Optional allowlist of roster agents to log in; empty => every active agent.
+const BOT_NAMES = new Set((process.env.BOT_NAMES || "")
   .split(",")
-  .map((s) => s.trim())
-  .filter(Boolean);
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean));
 
 const CHAT_PREFIX = process.env.CHAT_PREFIX || "";
+// Brain autonomy (follow/wander/hostile reaction) driven by engine state; set BRIDGE_BRAIN=off to relay chat only.
+const BRAIN_ENABLED = String(process.env.BRIDGE_BRAIN || "on").trim().toLowerCase() !== "off";
+const STATE_REFRESH_MS = parseInt(process.env.BRIDGE_STATE_REFRESH_MS || "3000", 10);
+// How crier news, god announcements and execution results reach players: tellraw (needs op), chat or off.
+const BROADCAST_MODE = String(process.env.BRIDGE_BROADCAST_MODE || "tellraw").trim().toLowerCase();
+// Bot used for broadcasts; defaults to the first connected bot.
+const OPERATOR_BOT = String(process.env.BRIDGE_OPERATOR_BOT || "").trim().toLowerCase();
+// How often visible player positions are reported to the engine (player-position.v1); 0 disables.
+const POSITION_REPORT_MS = parseInt(process.env.BRIDGE_POSITION_REPORT_MS || "2000", 10);
+// Day/night sync: server (report server day/night to the engine), engine (/time set on engine clock advances) or off.
+const CLOCK_SYNC_MODE = String(process.env.BRIDGE_CLOCK_SYNC || "off").trim().toLowerCase();
+// Bot whose view of the server time is reported in server mode; defaults to the operator bot.
+const TIME_BOT = String(process.env.BRIDGE_TIME_BOT || "").trim().toLowerCase();
+const TIME_REPORT_MS = 1000;
+const ENGINE_EVENTS_FD = 3;
+// Same resolution as src/index.js so the bridge reads the memory file the engine writes.
+const MEMORY_FILE_PATH = process.env.MEMORY_STORE_FILE_PATH
+  ? path.resolve(process.env.MEMORY_STORE_FILE_PATH)
+  : path.resolve(__dirname, "./memory.json");
+const MEMORY_STORE_MODE = String(process.env.MEMORY_STORE_MODE || "snapshot").trim().toLowerCase();
 
-// Spawn upgraded CLI world engine (do not modify engine files)
+const logger = createLogger({ component: "bridge", minLevel: "info" });
+const agentState = createBridgeAgentState({
+  readMemory: MEMORY_STORE_MODE === "sqlite"
+    ? createMemorySqliteSnapshotReader({
+      dbPath: process.env.MEMORY_STORE_SQLITE_PATH
+        ? path.resolve(process.env.MEMORY_STORE_SQLITE_PATH)
+        : `${MEMORY_FILE_PATH.replace(/\.json$/i, "")}.sqlite3`,
+      driver: String(process.env.MEMORY_STORE_SQLITE_DRIVER || "native").trim().toLowerCase() === "cli" ? "cli" : "native",
+    })
+    : () => readMemoryFileSnapshot(MEMORY_FILE_PATH),
+});
+agentState.refresh();
+const stateRefreshTimer = setInterval(() => agentState.refresh(), STATE_REFRESH_MS);
+
+// Spawn the CLI world engine with a dedicated engine-event.v1 channel on fd 3.
 const engine = spawn(process.execPath, ["./src/index.js"], {
   cwd: process.cwd(),
-  stdio: ["pipe", "pipe", "pipe"],
+  env: { ...process.env, ENGINE_EVENTS_FD: String(ENGINE_EVENTS_FD) },
+  stdio: ["pipe", "pipe", "pipe", "pipe"],
 });
 
 engine.on("exit", (code) => {
@@ -28,11 +78,12 @@ engine.stderr.on("data", (d) => {
   process.stderr.write(`[Engine STDERR] ${d.toString()}`);
 });
 
-// Expected engine output: "Mara: ..." "Eli: ..." "Nox: ..."
-const replyRegex = /^\s*>?\s*(Mara|Eli|Nox)\s*:\s*(.+)\s*$/i;
-
+// The agent roster is owned by the engine (`god agent spawn|retire|list`).
+// The bridge learns it from `roster` engine events and keeps one bot per active agent.
 const bots = new Map();     // lowerName -> bot
+const brains = new Map();   // lowerName -> brain
 const lastSaid = new Map(); // lowerName -> lastMessage
+const lastReported = new Map(); // lowerName -> last reported block position
 
 function sendToEngine(line) {
   engine.stdin.write(line.trimEnd() + "\n");
@@ -45,20 +96,180 @@ function safeChat(bot, msg) {
   bot.chat(msg);
 }
 
-engine.stdout.on("data", (d) => {
-  const text = d.toString();
-  for (const rawLine of text.split(/\r?\n/)) {
-    if (!rawLine.trim()) continue;
-    const m = rawLine.match(replyRegex);
-    if (!m) continue;
+function syncRosterEntry(entry) {
+  const key = entry.name.toLowerCase();
+  if (BOT_NAMES.size > 0 && !BOT_NAMES.has(key)) return;
+  if (entry.active && !bots.has(key)) {
+    bots.set(key, startBot(entry.name));
+    return;
+  }
+  if (!entry.active && bots.has(key)) {
+    const bot = bots.get(key);
+    bots.delete(key);
+    lastSaid.delete(key);
+    stopBrain(key);
+    try { bot.quit("agent retired"); } catch {}
+  }
+}
+
+function syncRoster(agents) {
+  const active = new Map();
+  for (const agent of agents) {
+    if (agent && typeof agent.name === "string") active.set(agent.name.toLowerCase(), agent.name);
+  }
+  for (const name of active.values()) syncRosterEntry({ name, active: true });
+  for (const key of Array.from(bots.keys())) {
+    if (!active.has(key)) syncRosterEntry({ name: key, active: false });
+  }
+}
+
+function operatorBot() {
+  if (OPERATOR_BOT && bots.has(OPERATOR_BOT)) return bots.get(OPERATOR_BOT);
+  for (const bot of bots.values()) {
+    if (bot.entity) return bot;
+  }
+  return null;
+}
 
-    const agentName = m[1].toLowerCase();
-    const message = m[2].trim();
+// Report every player any bot can see (bots included), once per block moved.
+// The engine turns town crossings into visit_town quest progress.
+function reportPlayerPositions() {
+  const seen = new Set();
+  for (const bot of bots.values()) {
+    if (!bot.entity) continue;
+    const dimension = String(bot.game?.dimension || "overworld").replace(/^minecraft:/, "");
+    for (const [username, player] of Object.entries(bot.players || {})) {
+      const key = username.toLowerCase();
+      const position = player?.entity?.position;
+      if (!position || seen.has(key)) continue;
+      seen.add(key);
+      const x = Math.floor(position.x);
+      const y = Math.floor(position.y);
+      const z = Math.floor(position.z);
+      const blockKey = `${dimension}:${x}:${y}:${z}`;
+      if (lastReported.get(key) === blockKey) continue;
+      lastReported.set(key, blockKey);
+      sendToEngine(JSON.stringify(createPlayerPositionReport({ player: username, x, y, z, dimension, at: Date.now() })));
+    }
+  }
+}
+const positionReportTimer = POSITION_REPORT_MS > 0 ? setInterval(reportPlayerPositions, POSITION_REPORT_MS) : null;
 
-    const bot = bots.get(agentName);
-    if (!bot) continue;
+// Server mode: one designated bot reports each server day/night transition.
+// The engine dedupes by server day number, so resending the current phase is harmless.
+let lastServerPhaseKey = "";
+function reportServerTime() {
+  const bot = TIME_BOT && bots.has(TIME_BOT) ? bots.get(TIME_BOT) : operatorBot();
+  if (!bot || !bot.time || !Number.isFinite(bot.time.timeOfDay)) return;
+  const report = createServerTimeReport({ day: bot.time.day, timeOfDay: bot.time.timeOfDay, at: Date.now() });
+  const phaseKey = `${report.day}:${report.phase}`;
+  if (phaseKey === lastServerPhaseKey) return;
+  lastServerPhaseKey = phaseKey;
+  sendToEngine(JSON.stringify(report));
+}
+const timeReportTimer = CLOCK_SYNC_MODE === "server" ? setInterval(reportServerTime, TIME_REPORT_MS) : null;
 
-    safeChat(bot, message);
+function broadcast(text, color) {
+  const line = createBroadcastChatLine(text, { mode: BROADCAST_MODE, color });
+  if (!line) return;
+  const bot = operatorBot();
+  if (bot) bot.chat(line);
+}
+
+function routeEngineEvent(event) {
+  const payload = event.payload;
+  if (event.kind === "roster") {
+    syncRoster(Array.isArray(payload.agents) ? payload.agents : []);
+    return;
+  }
+  if (event.kind === "agent_say") {
+    const bot = bots.get(String(payload.agent || "").toLowerCase());
+    if (bot && payload.message) safeChat(bot, String(payload.message));
+    return;
+  }
+  if (event.kind === "loop_intent") {
+    agentState.applyLoopIntent({
+      agentName: payload.agent,
+      intent: payload.intent,
+      direction: payload.direction,
+      target: payload.target,
+    });
+    return;
+  }
+  if (event.kind === "crier_broadcast") {
+    broadcast(`[Crier${payload.town ? `:${payload.town}` : ""}] ${payload.message}`, "gold");
+    return;
+  }
+  if (event.kind === "announcement") {
+    const lines = Array.isArray(payload.lines) ? payload.lines : [];
+    broadcast(lines[0] || `God: ${payload.command}`, "light_purple");
+    return;
+  }
+  if (event.kind === "clock") {
+    // Engine mode: the engine clock leads and the operator bot follows it.
+    if (CLOCK_SYNC_MODE !== "engine" || payload.source === "server") return;
+    const bot = operatorBot();
+    const value = MINECRAFT_TIME_SET_VALUES[payload.phase];
+    if (bot && value !== undefined) bot.chat(`/time set ${value}`);
+    return;
+  }
+  if (event.kind === "execution_result") {
+    broadcast(`[World] ${payload.proposalType} ${payload.townId || ""} -> ${payload.status}`.replace(/\s+/g, " "), "aqua");
+  }
+}
+
+// engine-event.v1 is authoritative once it flows; until then (an engine that
+// ignores ENGINE_EVENTS_FD) the stdout roster, reply and [LOOP] lines drive the bots.
+let engineEventsSeen = false;
+
+function routeEngineStdoutLine(rawLine) {
+  if (rawLine.includes("--- WORLD ONLINE ---")) {
+    if (!engineEventsSeen) sendToEngine("god agent list");
+    return;
+  }
+  if (engineEventsSeen) return;
+
+  const rosterEntry = parseEngineRosterLine(rawLine);
+  if (rosterEntry) {
+    syncRosterEntry(rosterEntry);
+    return;
+  }
+
+  const loopIntent = parseLoopIntentLine(rawLine);
+  if (loopIntent) {
+    agentState.applyLoopIntent(loopIntent);
+    return;
+  }
+
+  const reply = parseEngineReplyLine(rawLine);
+  if (!reply) return;
+  const bot = bots.get(reply.name.toLowerCase());
+  if (bot) safeChat(bot, reply.message);
+}
+
+let eventBuffer = "";
+engine.stdio[ENGINE_EVENTS_FD].on("data", (d) => {
+  eventBuffer += d.toString();
+  const lines = eventBuffer.split(/\r?\n/);
+  eventBuffer = lines.pop();
+  for (const rawLine of lines) {
+    const event = parseEngineEventLine(rawLine);
+    if (!event) {
+      if (rawLine.trim()) console.warn(`[Bridge] ignoring malformed engine event: ${rawLine.slice(0, 120)}`);
+      continue;
+    }
+    engineEventsSeen = true;
+    routeEngineEvent(event);
+  }
+});
+
+let engineBuffer = "";
+engine.stdout.on("data", (d) => {
+  engineBuffer += d.toString();
+  const lines = engineBuffer.split(/\r?\n/);
+  engineBuffer = lines.pop();
+  for (const rawLine of lines) {
+    if (rawLine.trim()) routeEngineStdoutLine(rawLine);
   }
 });
 
@@ -78,6 +289,25 @@ function parseIncomingChat(message) {
   return { target, content };
 }
 
+function stopBrain(key) {
+  const brain = brains.get(key);
+  if (!brain) return;
+  brains.delete(key);
+  brain.stop();
+}
+
+function startBrain(bot, name) {
+  const key = name.toLowerCase();
+  if (!BRAIN_ENABLED || brains.has(key)) return;
+  bot.pathfinder.setMovements(new Movements(bot));
+  const brain = createBrain(bot, {
+    ...agentState.brainOptionsFor(name, () => bot.entity?.position || null),
+    logger: logger.child({ subsystem: "brain", agent: name }),
+  });
+  brains.set(key, brain);
+  brain.start();
+}
+
 function startBot(name) {
   const bot = mineflayer.createBot({
     host: HOST,
@@ -85,11 +315,15 @@ function startBot(name) {
     username: name,
     ...(VERSION ? { version: VERSION } : {}),
   });
+  if (BRAIN_ENABLED) bot.loadPlugin(pathfinder);
 
   bot.once("spawn", () => {
     console.log(`[Bridge] ${name} spawned on ${HOST}:${PORT}`);
+    startBrain(bot, name);
   });
 
+  bot.on("end", () => stopBrain(name.toLowerCase()));
+
   bot.on("chat", (username, message) => {
     if (!username) return;
     const u = username.toLowerCase();
@@ -97,7 +331,7 @@ function startBot(name) {
 
     // Ignore self and other bots to prevent loops
     if (u === self) return;
-    if (BOT_NAMES.map((n) => n.toLowerCase()).includes(u)) return;
+    if (bots.has(u)) return;
 
     const parsed = parseIncomingChat(message);
     if (!parsed) return;
@@ -112,17 +346,17 @@ function startBot(name) {
   return bot;
 }
 
-console.log(`[Bridge] starting Mineflayer bots... host=${HOST} port=${PORT} version=${VERSION || "(auto)"}`);
-console.log(`[Bridge] chat usage: "${CHAT_PREFIX}mara hello" / "${CHAT_PREFIX}eli hello" / "${CHAT_PREFIX}nox hello"`);
-
-for (const n of BOT_NAMES) {
-  bots.set(n.toLowerCase(), startBot(n));
-}
+console.log(`[Bridge] waiting for engine roster... host=${HOST} port=${PORT} version=${VERSION || "(auto)"}`);
+console.log(`[Bridge] chat usage: "${CHAT_PREFIX}<agent> hello" (add agents with "god agent spawn <name> <role> <faction> [town]")`);
 
 // Clean shutdown
 process.on("SIGINT", () => {
   console.log("\n[Bridge] shutting down...");
   try { sendToEngine("exit"); } catch {}
+  clearInterval(stateRefreshTimer);
+  if (positionReportTimer) clearInterval(positionReportTimer);
+  if (timeReportTimer) clearInterval(timeReportTimer);
+  for (const key of Array.from(brains.keys())) stopBrain(key);
   for (const bot of bots.values()) {
     try { bot.quit("bridge shutdown"); } catch {}
   }
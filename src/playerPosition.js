@@ -0,0 +1,316 @@
+const { AppError } = require('./errors')
+
+const PLAYER_POSITION_TYPE = 'player-position.v1'
+const PLAYER_POSITION_SCHEMA_VERSION = 1
+const DEFAULT_POSITION_DIMENSION = 'overworld'
+const DEFAULT_TOWN_VISIT_RADIUS = 16
+const MAX_TOWN_VISIT_RADIUS = 256
+const MAX_PLAYER_PRESENCE_ENTRIES = 256
+
+function isPlainObject(value) {
+  return Boolean(value && typeof value === 'object' && !Array.isArray(value))
+}
+
+function asText(value, fallback = '', maxLen = 80) {
+  if (typeof value !== 'string') return fallback
+  const trimmed = value.trim()
+  return trimmed ? trimmed.slice(0, maxLen) : fallback
+}
+
+function asFiniteNumber(value) {
+  if (typeof value !== 'number') return null
+  return Number.isFinite(value) ? value : null
+}
+
+function hasOnlyKeys(value, expectedKeys) {
+  return Object.keys(value).every((key) => expectedKeys.includes(key))
+}
+
+/**
+ * @param {unknown} tag
+ */
+function parseTownNameFromTag(tag) {
+  const safeTag = asText(tag, '', 80)
+  if (!safeTag) return ''
+  const match = /^(town|settlement)\s*:\s*(.+)$/i.exec(safeTag)
+  if (!match) return ''
+  return asText(match[2], '', 80)
+}
+
+/**
+ * @param {unknown} value
+ */
+function normalizeTownVisitRadius(value) {
+  const radius = Number(value)
+  if (!Number.isFinite(radius) || radius <= 0) return DEFAULT_TOWN_VISIT_RADIUS
+  return Math.min(radius, MAX_TOWN_VISIT_RADIUS)
+}
+
+/**
+ * @param {{player: string, x: number, y: number, z: number, dimension?: string, at?: number}} input
+ */
+function createPlayerPositionReport({ player, x, y, z, dimension, at } = {}) {
+  const report = {
+    type: PLAYER_POSITION_TYPE,
+    schemaVersion: PLAYER_POSITION_SCHEMA_VERSION,
+    player: asText(player, '', 80),
+    x: Number(x),
+    y: Number(y),
+    z: Number(z),
+    dimension: asText(dimension, DEFAULT_POSITION_DIMENSION, 40).toLowerCase()
+  }
+  const stamp = Number(at)
+  if (Number.isInteger(stamp) && stamp >= 0) report.at = stamp
+  return report
+}
+
+function isValidPlayerPositionReport(report) {
+  return Boolean(
+    isPlainObject(report) &&
+    hasOnlyKeys(report, ['type', 'schemaVersion', 'player', 'x', 'y', 'z', 'dimension', 'at']) &&
+    report.type === PLAYER_POSITION_TYPE &&
+    report.schemaVersion === PLAYER_POSITION_SCHEMA_VERSION &&
+    asText(report.player, '', 80) !== '' &&
+    asFiniteNumber(report.x) !== null &&
+    asFiniteNumber(report.y) !== null &&
+    asFiniteNumber(report.z) !== null &&
+    (report.dimension === undefined || asText(report.dimension, '', 40) !== '') &&
+    (report.at === undefined || (Number.isInteger(report.at) && report.at >= 0))
+  )
+}
+
+function parsePlayerPositionLine(line) {
+  if (typeof line !== 'string') {
+    return null
+  }
+
+  const trimmed = line.trim()
+  if (!trimmed.startsWith('{')) {
+    return null
+  }
+
+  let parsed
+  try {
+    parsed = JSON.parse(trimmed)
+  } catch {
+    return null
+  }
+
+  if (parsed?.type !== PLAYER_POSITION_TYPE) {
+    return null
+  }
+
+  if (!isValidPlayerPositionReport(parsed)) {
+    return null
+  }
+
+  return createPlayerPositionReport(parsed)
+}
+
+/**
+ * Last town crossing recorded for one player. Only crossings are persisted;
+ * positions reported while a player stays inside (or outside) a town are not.
+ * @param {unknown} input
+ * @param {string} [playerHint]
+ */
+function normalizePlayerPresenceEntry(input, playerHint = '') {
+  if (!isPlainObject(input)) return null
+  const player = asText(input.player, '', 80) || asText(playerHint, '', 80)
+  if (!player) return null
+  const crossings = Number(input.crossings)
+  const at = Number(input.at)
+  return {
+    player,
+    town: asText(input.town, '', 80) || null,
+    crossings: Number.isInteger(crossings) && crossings >= 0 ? crossings : 0,
+    x: Number.isFinite(Number(input.x)) ? Number(input.x) : 0,
+    y: Number.isFinite(Number(input.y)) ? Number(input.y) : 0,
+    z: Number.isFinite(Number(input.z)) ? Number(input.z) : 0,
+    dimension: asText(input.dimension, DEFAULT_POSITION_DIMENSION, 40).toLowerCase(),
+    at: Number.isInteger(at) && at >= 0 ? at : 0
+  }
+}
+
+/**
+ * Null when no player position was ever recorded, so older files keep their shape.
+ * @param {unknown} presenceInput
+ */
+function normalizePlayerPresence(presenceInput) {
+  if (!isPlainObject(presenceInput)) return null
+  const presence = {}
+  for (const [key, entry] of Object.entries(presenceInput)) {
+    const normalized = normalizePlayerPresenceEntry(entry, key)
+    if (!normalized) continue
+    presence[normalized.player.toLowerCase()] = normalized
+  }
+  const bounded = {}
+  for (const key of Object.keys(presence).sort().slice(0, MAX_PLAYER_PRESENCE_ENTRIES)) {
+    bounded[key] = presence[key]
+  }
+  return bounded
+}
+
+/**
+ * Town whose marker is nearest to the position, measured on the x/z plane,
+ * within `radius`. Town markers carry no dimension, so only the overworld
+ * has towns.
+ * @param {any} world
+ * @param {{x: number, z: number, dimension: string}} position
+ * @param {number} radius
+ * @returns {string | null}
+ */
+function findTownAtPosition(world, position, radius) {
+  if (position.dimension !== DEFAULT_POSITION_DIMENSION) return null
+  const byTown = new Map()
+  for (const marker of Array.isArray(world?.markers) ? world.markers : []) {
+    const townName = parseTownNameFromTag(marker?.tag)
+    const x = Number(marker?.x)
+    const z = Number(marker?.z)
+    if (!townName || !Number.isFinite(x) || !Number.isFinite(z)) continue
+    if (!byTown.has(townName.toLowerCase())) byTown.set(townName.toLowerCase(), { townName, x, z })
+  }
+  let best = null
+  for (const town of byTown.values()) {
+    const distance = Math.hypot(town.x - position.x, town.z - position.z)
+    if (distance > radius) continue
+    if (!best || distance < best.distance || (distance === best.distance && town.townName.localeCompare(best.townName) < 0)) {
+      best = { townName: town.townName, distance }
+    }
+  }
+  return best ? best.townName : null
+}
+
+/**
+ * @param {any} world
+ * @param {string} player
+ * @param {string} town
+ */
+function listVisitQuestsForTown(world, player, town) {
+  const owner = player.toLowerCase()
+  const target = town.toLowerCase()
+  return (Array.isArray(world?.quests) ? world.quests : [])
+    .filter(quest => quest?.type === 'visit_town'
+      && (quest.state === 'accepted' || quest.state === 'in_progress')
+      && asText(quest.owner, '', 80).toLowerCase() === owner
+      && asText(quest.objective?.town, '', 80).toLowerCase() === target
+      && asText(quest.id, '', 200) !== '')
+    .sort((a, b) => String(a.id).localeCompare(String(b.id)))
+}
+
+/**
+ * Turn `player-position.v1` reports into town crossings. Entering a town
+ * completes the player's accepted `visit_town` quests for that town through
+ * `god quest visit`, under an operation id derived from the player, the town
+ * and the crossing count. Quest visits run before the crossing is recorded,
+ * so a report replayed after a crash re-derives the same operation id and
+ * the visits dedupe instead of paying twice.
+ * @param {{
+ *   memoryStore: any,
+ *   godCommandService: {applyGodCommand: Function},
+ *   visitRadius?: number,
+ *   logger?: any
+ * }} deps
+ */
+function createPlayerPositionTracker(deps) {
+  if (!deps?.memoryStore || !deps?.godCommandService) {
+    throw new AppError({
+      code: 'PLAYER_POSITION_CONFIG_ERROR',
+      message: 'createPlayerPositionTracker requires memoryStore and godCommandService.',
+      recoverable: false
+    })
+  }
+  const memoryStore = deps.memoryStore
+  const godCommandService = deps.godCommandService
+  const visitRadius = normalizeTownVisitRadius(deps.visitRadius)
+  const logger = deps.logger || null
+
+  /**
+   * @param {{agents: unknown[], report: ReturnType<typeof createPlayerPositionReport>}} input
+   */
+  async function applyPlayerPosition({ agents, report }) {
+    if (!isValidPlayerPositionReport(report)) {
+      throw new AppError({
+        code: 'INVALID_PLAYER_POSITION',
+        message: 'Player position must be a valid player-position.v1 object.'
+      })
+    }
+    const world = memoryStore.getSnapshot().world
+    const playerKey = report.player.toLowerCase()
+    const previous = normalizePlayerPresenceEntry(world.playerPresence?.[playerKey], report.player)
+    const previousTown = previous?.town || null
+    const town = findTownAtPosition(world, report, visitRadius)
+    const result = {
+      player: report.player,
+      town,
+      previousTown,
+      crossed: false,
+      crossings: previous?.crossings || 0,
+      operationId: null,
+      visits: [],
+      outputLines: []
+    }
+    if ((town || '').toLowerCase() === (previousTown || '').toLowerCase()) return result
+
+    const crossings = town ? result.crossings + 1 : result.crossings
+    const operationId = town
+      ? `player-position:${playerKey}:enter:${town.toLowerCase()}:${crossings}`
+      : `player-position:${playerKey}:leave:${previousTown.toLowerCase()}:${crossings}`
+    result.crossed = true
+    result.crossings = crossings
+    result.operationId = operationId
+
+    if (town) {
+      for (const quest of listVisitQuestsForTown(world, report.player, town)) {
+        const command = `quest visit ${quest.id}`
+        const visit = await godCommandService.applyGodCommand({ agents, command, operationId })
+        result.visits.push({ questId: quest.id, command, result: visit })
+      }
+    }
+
+    await memoryStore.transact((memory) => {
+      const presence = normalizePlayerPresence(memory.world.playerPresence) || {}
+      presence[playerKey] = normalizePlayerPresenceEntry({
+        player: report.player,
+        town,
+        crossings,
+        x: report.x,
+        y: report.y,
+        z: report.z,
+        dimension: report.dimension,
+        at: report.at
+      })
+      memory.world.playerPresence = normalizePlayerPresence(presence)
+    }, { eventId: `${operationId}:presence` })
+
+    const questIds = result.visits.filter(visit => visit.result?.applied).map(visit => visit.questId)
+    result.outputLines.push(town
+      ? `PLAYER ENTERED TOWN: player=${report.player} town=${town} crossing=${crossings} quests=${questIds.join(',') || '-'}`
+      : `PLAYER LEFT TOWN: player=${report.player} town=${previousTown}`)
+    for (const visit of result.visits) {
+      if (visit.result?.applied) result.outputLines.push(...(visit.result.outputLines || []))
+    }
+    if (logger) {
+      logger.info('player_town_crossing', { player: report.player, town, previousTown, crossings, quests: questIds })
+    }
+    return result
+  }
+
+  return {
+    visitRadius,
+    applyPlayerPosition
+  }
+}
+
+module.exports = {
+  DEFAULT_TOWN_VISIT_RADIUS,
+  MAX_PLAYER_PRESENCE_ENTRIES,
+  PLAYER_POSITION_SCHEMA_VERSION,
+  PLAYER_POSITION_TYPE,
+  createPlayerPositionReport,
+  createPlayerPositionTracker,
+  findTownAtPosition,
+  isValidPlayerPositionReport,
+  normalizePlayerPresence,
+  normalizePlayerPresenceEntry,
+  parsePlayerPositionLine
+}
@@ -0,0 +1,107 @@
+const SERVER_TIME_TYPE = 'server-time.v1'
+const SERVER_TIME_SCHEMA_VERSION = 1
+const SERVER_TIME_PHASES = new Set(['day', 'night'])
+const MINECRAFT_DAY_TICKS = 24000
+// Vanilla night: mobs spawn and beds work between dusk and dawn.
+const MINECRAFT_NIGHT_START = 13000
+const MINECRAFT_NIGHT_END = 23000
+// `/time set <value>` targets used when the engine drives the server clock.
+const MINECRAFT_TIME_SET_VALUES = Object.freeze({ day: 1000, night: 13000 })
+
+function isPlainObject(value) {
+  return Boolean(value && typeof value === 'object' && !Array.isArray(value))
+}
+
+function hasOnlyKeys(value, expectedKeys) {
+  return Object.keys(value).every((key) => expectedKeys.includes(key))
+}
+
+/**
+ * @param {unknown} timeOfDay
+ * @returns {'day' | 'night'}
+ */
+function phaseForTimeOfDay(timeOfDay) {
+  const ticks = ((Math.trunc(Number(timeOfDay) || 0) % MINECRAFT_DAY_TICKS) + MINECRAFT_DAY_TICKS) % MINECRAFT_DAY_TICKS
+  return ticks >= MINECRAFT_NIGHT_START && ticks < MINECRAFT_NIGHT_END ? 'night' : 'day'
+}
+
+/**
+ * Server day a report belongs to. Minecraft only bumps its day counter at
+ * tick 0, but dawn (`23000`-`23999`) is already the next day's morning.
+ * @param {unknown} day
+ * @param {unknown} timeOfDay
+ * @returns {number}
+ */
+function serverDayForTime(day, timeOfDay) {
+  const ticks = ((Math.trunc(Number(timeOfDay) || 0) % MINECRAFT_DAY_TICKS) + MINECRAFT_DAY_TICKS) % MINECRAFT_DAY_TICKS
+  return Math.max(0, Math.trunc(Number(day) || 0)) + Math.floor((ticks + (MINECRAFT_DAY_TICKS - MINECRAFT_NIGHT_END)) / MINECRAFT_DAY_TICKS)
+}
+
+/**
+ * @param {{day: number, timeOfDay: number, at?: number}} input
+ */
+function createServerTimeReport({ day, timeOfDay, at } = {}) {
+  const report = {
+    type: SERVER_TIME_TYPE,
+    schemaVersion: SERVER_TIME_SCHEMA_VERSION,
+    day: serverDayForTime(day, timeOfDay),
+    phase: phaseForTimeOfDay(timeOfDay),
+    timeOfDay: ((Math.trunc(Number(timeOfDay) || 0) % MINECRAFT_DAY_TICKS) + MINECRAFT_DAY_TICKS) % MINECRAFT_DAY_TICKS
+  }
+  const stamp = Number(at)
+  if (Number.isInteger(stamp) && stamp >= 0) report.at = stamp
+  return report
+}
+
+function isValidServerTimeReport(report) {
+  return Boolean(
+    isPlainObject(report) &&
+    hasOnlyKeys(report, ['type', 'schemaVersion', 'day', 'phase', 'timeOfDay', 'at']) &&
+    report.type === SERVER_TIME_TYPE &&
+    report.schemaVersion === SERVER_TIME_SCHEMA_VERSION &&
+    Number.isInteger(report.day) && report.day >= 0 &&
+    SERVER_TIME_PHASES.has(report.phase) &&
+    (report.timeOfDay === undefined || (
+      Number.isInteger(report.timeOfDay) &&
+      report.timeOfDay >= 0 &&
+      report.timeOfDay < MINECRAFT_DAY_TICKS &&
+      phaseForTimeOfDay(report.timeOfDay) === report.phase
+    )) &&
+    (report.at === undefined || (Number.isInteger(report.at) && report.at >= 0))
+  )
+}
+
+function parseServerTimeLine(line) {
+  if (typeof line !== 'string') {
+    return null
+  }
+
+  const trimmed = line.trim()
+  if (!trimmed.startsWith('{')) {
+    return null
+  }
+
+  let parsed
+  try {
+    parsed = JSON.parse(trimmed)
+  } catch {
+    return null
+  }
+
+  if (parsed?.type !== SERVER_TIME_TYPE) {
+    return null
+  }
+
+  return isValidServerTimeReport(parsed) ? parsed : null
+}
+
+module.exports = {
+  MINECRAFT_TIME_SET_VALUES,
+  SERVER_TIME_SCHEMA_VERSION,
+  SERVER_TIME_TYPE,
+  createServerTimeReport,
+  isValidServerTimeReport,
+  parseServerTimeLine,
+  phaseForTimeOfDay,
+  serverDayForTime
+}
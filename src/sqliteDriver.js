@@ -0,0 +1,328 @@
+const fs = require('fs')
+const path = require('path')
+const { execFileSync } = require('child_process')
+
+const { AppError } = require('./errors')
+
+const SQLITE_DRIVER_NAMES = Object.freeze(['cli', 'native'])
+const SQLITE_BUSY_TIMEOUT_MS = 5000
+
+/**
+ * @typedef {{sql: string, params?: unknown[]}} SqlStatement
+ */
+
+/**
+ * @typedef {{
+ *   name: 'cli' | 'native',
+ *   exec: (sql: string) => void,
+ *   all: (sql: string, params?: unknown[]) => Array<Record<string, any>>,
+ *   run: (sql: string, params?: unknown[]) => void,
+ *   transaction: (statements: SqlStatement[]) => void,
+ *   close: () => void
+ * }} SqliteDriver
+ */
+
+/**
+ * Bound values keep the coercions the stores always relied on: integers are
+ * truncated, non-finite numbers become NULL and booleans become 0/1.
+ * @param {unknown} value
+ * @returns {string | number | null}
+ */
+function normalizeSqlParam(value) {
+  if (value === null || value === undefined) return null
+  if (typeof value === 'boolean') return value ? 1 : 0
+  if (typeof value === 'number') return Number.isFinite(value) ? Math.trunc(value) : null
+  return String(value)
+}
+
+/**
+ * @param {unknown} value
+ */
+function sqlLiteral(value) {
+  const normalized = normalizeSqlParam(value)
+  if (normalized === null) return 'NULL'
+  if (typeof normalized === 'number') return String(normalized)
+  return `'${normalized.replace(/'/g, "''")}'`
+}
+
+/**
+ * Inline `?` placeholders (outside quoted literals) for the sqlite3 CLI, which
+ * has no parameter binding on stdin.
+ * @param {string} sql
+ * @param {unknown[]} [params]
+ */
+function bindSqlParams(sql, params = []) {
+  let index = 0
+  let quote = ''
+  let output = ''
+  for (const char of String(sql || '')) {
+    if (quote) {
+      if (char === quote) quote = ''
+      output += char
+      continue
+    }
+    if (char === '\'' || char === '"') {
+      quote = char
+      output += char
+      continue
+    }
+    if (char === '?') {
+      if (index >= params.length) {
+        throw new Error(`Missing SQL parameter ${index + 1}.`)
+      }
+      output += sqlLiteral(params[index])
+      index += 1
+      continue
+    }
+    output += char
+  }
+  if (index !== params.length) {
+    throw new Error(`Expected ${index} SQL parameters, got ${params.length}.`)
+  }
+  return output
+}
+
+/**
+ * @param {SqlStatement[]} statements
+ */
+function normalizeStatements(statements) {
+  return (Array.isArray(statements) ? statements : [])
+    .filter((statement) => statement && typeof statement.sql === 'string' && statement.sql.trim())
+}
+
+/**
+ * @param {{errorCode: string, errorMessage: string, dbPath: string, driver: string, sqliteCommand?: string}} context
+ * @param {unknown} error
+ */
+function wrapSqliteError(context, error) {
+  if (error instanceof AppError) return error
+  return new AppError({
+    code: context.errorCode,
+    message: context.errorMessage,
+    recoverable: false,
+    metadata: {
+      dbPath: context.dbPath,
+      driver: context.driver,
+      ...(context.sqliteCommand ? { sqliteCommand: context.sqliteCommand } : {}),
+      error: error instanceof Error ? error.message : String(error)
+    }
+  })
+}
+
+/**
+ * @param {string} dbPath
+ * @param {typeof fs} fsModule
+ */
+function ensureParentDirectory(dbPath, fsModule) {
+  const dirPath = path.dirname(dbPath)
+  if (dirPath && dirPath !== '.') {
+    fsModule.mkdirSync(dirPath, { recursive: true })
+  }
+}
+
+/**
+ * Driver that pipes each batch to a `sqlite3` child process.
+ * @param {{
+ *   dbPath: string,
+ *   sqliteCommand?: string,
+ *   fsModule?: typeof fs,
+ *   errorCode: string,
+ *   errorMessage: string
+ * }} options
+ * @returns {SqliteDriver}
+ */
+function createSqliteCliDriver(options) {
+  const dbPath = options.dbPath
+  const sqliteCommand = options.sqliteCommand || 'sqlite3'
+  const fsModule = options.fsModule || fs
+  const errorContext = {
+    errorCode: options.errorCode,
+    errorMessage: options.errorMessage,
+    dbPath,
+    driver: 'cli',
+    sqliteCommand
+  }
+
+  function runScript(sql, { json = false } = {}) {
+    try {
+      ensureParentDirectory(dbPath, fsModule)
+      const args = ['-bail', '-cmd', `.timeout ${SQLITE_BUSY_TIMEOUT_MS}`]
+      if (json) args.push('-json')
+      args.push(dbPath)
+      const stdout = execFileSync(sqliteCommand, args, {
+        encoding: 'utf8',
+        windowsHide: true,
+        input: `${String(sql || '')}\n`,
+        maxBuffer: 10 * 1024 * 1024
+      })
+      if (!json) return []
+      if (!stdout.trim()) return []
+      const parsed = JSON.parse(stdout)
+      if (Array.isArray(parsed)) return parsed
+      if (parsed && typeof parsed === 'object') return [parsed]
+      return []
+    } catch (error) {
+      throw wrapSqliteError(errorContext, error)
+    }
+  }
+
+  function bind(sql, params) {
+    try {
+      return bindSqlParams(sql, params)
+    } catch (error) {
+      throw wrapSqliteError(errorContext, error)
+    }
+  }
+
+  return {
+    name: 'cli',
+    exec(sql) {
+      runScript(sql)
+    },
+    all(sql, params = []) {
+      return runScript(bind(sql, params), { json: true })
+    },
+    run(sql, params = []) {
+      runScript(bind(sql, params))
+    },
+    transaction(statements) {
+      const bound = normalizeStatements(statements).map((statement) => {
+        const text = bind(statement.sql, statement.params).trim()
+        return text.endsWith(';') ? text : `${text};`
+      })
+      runScript(['BEGIN IMMEDIATE;', ...bound, 'COMMIT;'].join('\n'))
+    },
+    close() {}
+  }
+}
+
+/**
+ * Driver backed by the built-in `node:sqlite` module: one connection per
+ * store, cached prepared statements and in-process transactions.
+ * @param {{
+ *   dbPath: string,
+ *   fsModule?: typeof fs,
+ *   errorCode: string,
+ *   errorMessage: string
+ * }} options
+ * @returns {SqliteDriver}
+ */
+function createSqliteNativeDriver(options) {
+  const dbPath = options.dbPath
+  const fsModule = options.fsModule || fs
+  const errorContext = {
+    errorCode: options.errorCode,
+    errorMessage: options.errorMessage,
+    dbPath,
+    driver: 'native'
+  }
+
+  let DatabaseSync = null
+  try {
+    ({ DatabaseSync } = require('node:sqlite'))
+  } catch (error) {
+    throw new AppError({
+      code: options.errorCode,
+      message: 'The sqlite-native backend requires a Node.js build with node:sqlite (22.5+).',
+      recoverable: false,
+      metadata: { dbPath, error: error instanceof Error ? error.message : String(error) }
+    })
+  }
+
+  let db = null
+  const statementCache = new Map()
+
+  function open() {
+    if (db) return db
+    ensureParentDirectory(dbPath, fsModule)
+    db = new DatabaseSync(dbPath)
+    db.exec(`PRAGMA busy_timeout = ${SQLITE_BUSY_TIMEOUT_MS};`)
+    return db
+  }
+
+  function prepare(sql) {
+    let statement = statementCache.get(sql)
+    if (!statement) {
+      statement = open().prepare(sql)
+      statementCache.set(sql, statement)
+    }
+    return statement
+  }
+
+  function withErrors(operation) {
+    try {
+      return operation()
+    } catch (error) {
+      throw wrapSqliteError(errorContext, error)
+    }
+  }
+
+  return {
+    name: 'native',
+    exec(sql) {
+      withErrors(() => open().exec(String(sql || '')))
+    },
+    all(sql, params = []) {
+      return withErrors(() => prepare(sql).all(...params.map(normalizeSqlParam)))
+    },
+    run(sql, params = []) {
+      withErrors(() => prepare(sql).run(...params.map(normalizeSqlParam)))
+    },
+    transaction(statements) {
+      withErrors(() => {
+        const connection = open()
+        connection.exec('BEGIN IMMEDIATE;')
+        try {
+          for (const statement of normalizeStatements(statements)) {
+            prepare(statement.sql).run(...(statement.params || []).map(normalizeSqlParam))
+          }
+          connection.exec('COMMIT;')
+        } catch (error) {
+          try {
+            connection.exec('ROLLBACK;')
+          } catch {
+            // The failed statement may already have ended the transaction.
+          }
+          throw error
+        }
+      })
+    },
+    close() {
+      statementCache.clear()
+      if (db) {
+        db.close()
+        db = null
+      }
+    }
+  }
+}
+
+/**
+ * @param {{
+ *   driver?: string,
+ *   dbPath: string,
+ *   sqliteCommand?: string,
+ *   fsModule?: typeof fs,
+ *   errorCode: string,
+ *   errorMessage: string
+ * }} options
+ * @returns {SqliteDriver}
+ */
+function createSqliteDriver(options) {
+  const driver = String(options.driver || 'cli').trim().toLowerCase()
+  if (!SQLITE_DRIVER_NAMES.includes(driver)) {
+    throw new AppError({
+      code: options.errorCode,
+      message: `Unknown SQLite driver: ${driver}`,
+      recoverable: false
+    })
+  }
+  return driver === 'native' ? createSqliteNativeDriver(options) : createSqliteCliDriver(options)
+}
+
+module.exports = {
+  SQLITE_DRIVER_NAMES,
+  bindSqlParams,
+  createSqliteDriver,
+  normalizeSqlParam
+}
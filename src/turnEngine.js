@@ -84,7 +84,7 @@ function createTurnEngine(deps) {
 
   /**
    * @param {{
-   *   agent: {name: string, faction: string, trust?: number, mood?: string, flags?: {rebellious?: boolean}, applyNpcTurn?: (turn: any) => void},
+   *   agent: {name: string, faction: string, town?: string | null, trust?: number, mood?: string, flags?: {rebellious?: boolean}, applyNpcTurn?: (turn: any) => void},
    *   rawTurn: unknown,
    *   fallbackTurn: {say: string, tone: string, trust_delta: number, memory_writes: any[], proposed_actions: any[]},
    *   operationId: string
@@ -172,7 +172,7 @@ function createTurnEngine(deps) {
     }
 
     const outcomes = await actionEngine.applyProposedActions({
-      agent: { name: agentName, faction },
+      agent: { name: agentName, faction, town: asText(input.agent.town, '', 80) || null },
       proposedActions: turn.proposed_actions,
       operationId: `${operationId}:actions`
     })
@@ -14,7 +14,12 @@ const ALLOWED_ACTIONS = new Set([
   'recruit',
   'call_meeting',
   'desert_faction',
-  'attack_player'
+  'attack_player',
+  'offer_trade',
+  'post_contract',
+  'start_rumor',
+  'volunteer_for_project',
+  'petition_mayor'
 ])
 const ALLOWED_SCOPES = new Set(['agent', 'faction', 'world'])
 
@@ -1,9 +1,11 @@
 const { createHash } = require('crypto')
 const { defaultActorName, defaultTownNameFromId } = require('./worldRegistry')
 const { normalizePlayerAssignment, normalizeTownSpawn } = require('./playerSpawn')
+const { normalizePlayerPresence } = require('./playerPosition')
 
 const WORLD_SNAPSHOT_TYPE = 'world-snapshot.v1'
 const WORLD_SNAPSHOT_SCHEMA_VERSION = 1
+const SNAPSHOT_SCOPE_KEYS = Object.freeze(['townId', 'factionId', 'missionId', 'projectId'])
 const TOWN_STOCKPILE_KEYS = ['food', 'tools', 'munitions', 'timber', 'stone', 'lampOil', 'sanctity']
 const TOWN_READINESS_KEYS = ['defense', 'economy', 'morale', 'gate', 'shelter']
 const TOWN_ECONOMY_KEYS = ['market', 'labor', 'build', 'caravan', 'wealth']
@@ -192,7 +194,26 @@ function normalizeFaction(entry) {
     stability: asInteger(entry?.stability),
     towns: sortStrings(entry?.towns),
     doctrine: asText(entry?.doctrine),
-    rivals: sortStrings(entry?.rivals)
+    rivals: sortStrings(entry?.rivals),
+    allies: sortStrings(entry?.allies)
+  }
+}
+
+function normalizeTreaty(entry) {
+  const id = asText(entry?.id)
+  if (!id) return null
+  return {
+    id,
+    kind: asText(entry?.kind),
+    factions: sortStrings(entry?.factions),
+    proposedBy: asText(entry?.proposedBy),
+    status: asText(entry?.status),
+    terms: asText(entry?.terms),
+    durationDays: asInteger(entry?.durationDays, null),
+    proposedDay: asInteger(entry?.proposedDay, 1),
+    startedDay: asInteger(entry?.startedDay, null),
+    endsDay: asInteger(entry?.endsDay, null),
+    closedDay: asInteger(entry?.closedDay, null)
   }
 }
 
@@ -342,7 +363,10 @@ function normalizeQuest(entry) {
     reward: asInteger(entry?.reward),
     title: asText(entry?.title),
     desc: asText(entry?.desc),
-    meta: normalizeScalarRecord(entry?.meta)
+    meta: normalizeScalarRecord(entry?.meta),
+    ...(Array.isArray(entry?.progress_log) && entry.progress_log.length > 0
+      ? { progress_log: entry.progress_log.map((logEntry) => normalizeScalarRecord(logEntry)) }
+      : {})
   }
 }
 
@@ -506,7 +530,31 @@ function projectAuthoritativeSnapshot(world) {
       day: asInteger(source.clock?.day, 1),
       phase: asText(source.clock?.phase, 'day'),
       season: asText(source.clock?.season, 'dawn'),
-      updated_at: asText(source.clock?.updated_at)
+      updated_at: asText(source.clock?.updated_at),
+      ...(source.clock?.season_day !== undefined ? { season_day: asInteger(source.clock.season_day, 1) } : {}),
+      ...(source.clock?.season_length !== undefined ? { season_length: asInteger(source.clock.season_length, 1) } : {}),
+      ...(isPlainObject(source.clock?.auto)
+        ? {
+            auto: {
+              enabled: source.clock.auto.enabled === true,
+              phase_seconds: asInteger(source.clock.auto.phase_seconds),
+              anchor_at: asInteger(source.clock.auto.anchor_at),
+              ticks: asInteger(source.clock.auto.ticks),
+              generation: asInteger(source.clock.auto.generation)
+            }
+          }
+        : {}),
+      ...(isPlainObject(source.clock?.server)
+        ? {
+            server: {
+              epoch: asInteger(source.clock.server.epoch),
+              day: asInteger(source.clock.server.day),
+              phase: asText(source.clock.server.phase, 'day'),
+              at: asInteger(source.clock.server.at),
+              ticks: asInteger(source.clock.server.ticks)
+            }
+          }
+        : {})
     },
     threat: {
       byTown: sortRecord(source.threat?.byTown, (value) => asInteger(value))
@@ -534,6 +582,10 @@ function projectAuthoritativeSnapshot(world) {
     salvageRuns: sortObjects(source.salvageRuns, normalizeSalvageRun, (entry) => entry.id),
     towns: sortRecord(source.towns, (entry) => normalizeTown(entry)),
     ...(Object.keys(players).length > 0 ? { players } : {}),
+    // Only town membership: coordinates, timestamps and crossing counts move on
+    // every boundary crossing and would make every in-flight handoff stale.
+    ...(isPlainObject(source.playerPresence) ? { playerPresence: sortRecord(normalizePlayerPresence(source.playerPresence), (entry) => ({ town: entry.town })) } : {}),
+    ...(Array.isArray(source.diplomacy?.treaties) ? { diplomacy: { treaties: sortObjects(source.diplomacy.treaties, normalizeTreaty, (entry) => entry.id) } } : {}),
     actors: sortRecord(source.actors, (entry) => normalizeActor(entry)),
     nether: {
       eventLedger: sortObjects(source.nether?.eventLedger, normalizeNetherLedgerEntry, (entry) => `${String(entry.day).padStart(6, '0')}:${entry.id}`),
@@ -565,11 +617,96 @@ function createAuthoritativeSnapshotProjection(world) {
   }
 }
 
+function normalizeSnapshotScope(scope) {
+  if (!isPlainObject(scope)) return null
+  const out = {}
+  for (const key of SNAPSHOT_SCOPE_KEYS) {
+    const value = asText(scope[key])
+    if (value) out[key] = value
+  }
+  return Object.keys(out).length > 0 ? out : null
+}
+
+function isValidSnapshotScope(scope) {
+  return Boolean(
+    isPlainObject(scope) &&
+    Object.keys(scope).length > 0 &&
+    Object.keys(scope).every((key) => SNAPSHOT_SCOPE_KEYS.includes(key) && asText(scope[key]) !== '')
+  )
+}
+
+function sameId(left, right) {
+  return asText(left).toLowerCase() === asText(right).toLowerCase()
+}
+
+/**
+ * Slice of a world-snapshot.v1 that a scoped proposal depends on. A town slice
+ * holds the town record, its threat and mood, the projects, missions, salvage
+ * runs and quests filed under it, the markets at its `town:<id>` markers and
+ * the balances of the offer owners and quest holders there; a faction slice
+ * holds the faction and its treaties; mission and project slices hold that one
+ * entry.
+ */
+function projectSnapshotScope(snapshot, scope) {
+  const safeScope = normalizeSnapshotScope(scope)
+  if (!safeScope) return null
+  const source = isPlainObject(snapshot) ? snapshot : {}
+  const slice = { scope: safeScope }
+  if (safeScope.townId) {
+    const townId = safeScope.townId
+    const townMarkers = new Set((source.markers || [])
+      .filter((entry) => sameId(entry.tag, `town:${townId}`))
+      .map((entry) => entry.name.toLowerCase()))
+    const markets = (source.markets || []).filter((entry) => entry.marker && townMarkers.has(entry.marker.toLowerCase()))
+    const quests = (source.quests || []).filter((entry) => sameId(entry.townId, townId) || sameId(entry.town, townId))
+    const accounts = new Set(markets.flatMap((market) => market.offers.map((offer) => offer.owner))
+      .concat(quests.map((quest) => quest.owner))
+      .filter(Boolean)
+      .map((name) => name.toLowerCase()))
+    slice.town = {
+      record: source.towns?.[townId] || null,
+      threat: source.threat?.byTown?.[townId] ?? null,
+      mood: source.moods?.byTown?.[townId] || null,
+      projects: (source.projects || []).filter((entry) => sameId(entry.townId, townId)),
+      majorMissions: (source.majorMissions || []).filter((entry) => sameId(entry.townId, townId)),
+      salvageRuns: (source.salvageRuns || []).filter((entry) => sameId(entry.townId, townId)),
+      quests,
+      markets,
+      ledger: Object.fromEntries(Object.entries(source.economy?.ledger || {})
+        .filter(([name]) => accounts.has(name.toLowerCase())))
+    }
+  }
+  if (safeScope.factionId) {
+    const factionId = safeScope.factionId
+    slice.faction = {
+      record: source.factions?.[factionId] || null,
+      treaties: (source.diplomacy?.treaties || []).filter((entry) => entry.factions.some((name) => sameId(name, factionId)))
+    }
+  }
+  if (safeScope.missionId) {
+    slice.mission = (source.majorMissions || []).find((entry) => entry.id === safeScope.missionId) || null
+  }
+  if (safeScope.projectId) {
+    slice.project = (source.projects || []).find((entry) => entry.id === safeScope.projectId) || null
+  }
+  return slice
+}
+
+function createScopedSnapshotHash(snapshot, scope) {
+  const slice = projectSnapshotScope(snapshot, scope)
+  return slice ? hashStableValue(slice) : null
+}
+
 module.exports = {
+  SNAPSHOT_SCOPE_KEYS,
   WORLD_SNAPSHOT_SCHEMA_VERSION,
   WORLD_SNAPSHOT_TYPE,
   createAuthoritativeSnapshotProjection,
+  createScopedSnapshotHash,
   hashStableValue,
+  isValidSnapshotScope,
+  normalizeSnapshotScope,
   projectAuthoritativeSnapshot,
+  projectSnapshotScope,
   stableStringify
 }
@@ -0,0 +1,167 @@
+const {
+  createAuthoritativeSnapshotProjection,
+  createScopedSnapshotHash,
+  isValidSnapshotScope,
+  normalizeSnapshotScope
+} = require('./worldSnapshotProjection')
+
+const WORLD_SNAPSHOT_REQUEST_TYPE = 'world-snapshot-request.v1'
+const WORLD_SNAPSHOT_REQUEST_SCHEMA_VERSION = 1
+const WORLD_SNAPSHOT_RESPONSE_TYPE = 'world-snapshot-response.v1'
+const WORLD_SNAPSHOT_RESPONSE_SCHEMA_VERSION = 1
+// Top-level sections of world-snapshot.v1; players, playerPresence and
+// diplomacy only appear once the world has them.
+const WORLD_SNAPSHOT_SECTIONS = Object.freeze([
+  'warActive',
+  'rules',
+  'player',
+  'factions',
+  'clock',
+  'threat',
+  'moods',
+  'events',
+  'rumors',
+  'decisions',
+  'markers',
+  'markets',
+  'economy',
+  'quests',
+  'majorMissions',
+  'projects',
+  'salvageRuns',
+  'towns',
+  'players',
+  'playerPresence',
+  'diplomacy',
+  'actors',
+  'nether'
+])
+
+function isPlainObject(value) {
+  return Boolean(value && typeof value === 'object' && !Array.isArray(value))
+}
+
+function hasOnlyKeys(value, expectedKeys) {
+  return Object.keys(value).every((key) => expectedKeys.includes(key))
+}
+
+function cloneValue(value) {
+  if (typeof structuredClone === 'function') return structuredClone(value)
+  return JSON.parse(JSON.stringify(value))
+}
+
+function isValidSectionList(sections) {
+  return Boolean(
+    Array.isArray(sections) &&
+    sections.length > 0 &&
+    sections.every((section) => WORLD_SNAPSHOT_SECTIONS.includes(section)) &&
+    new Set(sections).size === sections.length
+  )
+}
+
+function createWorldSnapshotRequest({ sections, hashOnly, scope } = {}) {
+  const selected = WORLD_SNAPSHOT_SECTIONS.filter((section) => Array.isArray(sections) && sections.includes(section))
+  const safeScope = normalizeSnapshotScope(scope)
+  return {
+    type: WORLD_SNAPSHOT_REQUEST_TYPE,
+    schemaVersion: WORLD_SNAPSHOT_REQUEST_SCHEMA_VERSION,
+    ...(selected.length > 0 ? { sections: selected } : {}),
+    ...(hashOnly === true ? { hashOnly: true } : {}),
+    ...(safeScope ? { scope: safeScope } : {})
+  }
+}
+
+function isValidWorldSnapshotRequest(request) {
+  return Boolean(
+    isPlainObject(request) &&
+    hasOnlyKeys(request, ['type', 'schemaVersion', 'sections', 'hashOnly', 'scope']) &&
+    request.type === WORLD_SNAPSHOT_REQUEST_TYPE &&
+    request.schemaVersion === WORLD_SNAPSHOT_REQUEST_SCHEMA_VERSION &&
+    (request.sections === undefined || isValidSectionList(request.sections)) &&
+    (request.hashOnly === undefined || typeof request.hashOnly === 'boolean') &&
+    (request.scope === undefined || isValidSnapshotScope(request.scope))
+  )
+}
+
+function parseWorldSnapshotRequestLine(line) {
+  if (typeof line !== 'string') {
+    return null
+  }
+
+  const trimmed = line.trim()
+  if (!trimmed.startsWith('{')) {
+    return null
+  }
+
+  let parsed
+  try {
+    parsed = JSON.parse(trimmed)
+  } catch {
+    return null
+  }
+
+  if (parsed?.type !== WORLD_SNAPSHOT_REQUEST_TYPE) {
+    return null
+  }
+
+  if (!isValidWorldSnapshotRequest(parsed)) {
+    return null
+  }
+
+  return createWorldSnapshotRequest(parsed)
+}
+
+/**
+ * Answer a snapshot request from the same world source the execution adapter
+ * hashes, so a planner can copy `snapshotHash` and `decisionEpoch` straight
+ * into a handoff. The hash always covers the whole snapshot; `sections` only
+ * trims what is returned. A `scope` adds the slice hash a scoped handoff
+ * declares as `expectedScopeHash`.
+ */
+function createWorldSnapshotResponseForRequest({
+  executionStore,
+  request
+} = {}) {
+  if (!isValidWorldSnapshotRequest(request)) {
+    throw new Error('Invalid world snapshot request')
+  }
+  if (!executionStore || typeof executionStore.readSnapshotSource !== 'function') {
+    throw new Error('executionStore snapshot source is required')
+  }
+
+  const projection = createAuthoritativeSnapshotProjection(executionStore.readSnapshotSource())
+  const sections = request.sections || null
+  const response = {
+    type: WORLD_SNAPSHOT_RESPONSE_TYPE,
+    schemaVersion: WORLD_SNAPSHOT_RESPONSE_SCHEMA_VERSION,
+    snapshotHash: projection.snapshotHash,
+    decisionEpoch: projection.decisionEpoch,
+    sections,
+    hashOnly: request.hashOnly === true,
+    ...(request.scope
+      ? { scope: request.scope, scopeHash: createScopedSnapshotHash(projection.snapshot, request.scope) }
+      : {})
+  }
+  if (response.hashOnly) return response
+
+  if (!sections) return cloneValue({ ...response, snapshot: projection.snapshot })
+  const snapshot = { type: projection.snapshot.type, schemaVersion: projection.snapshot.schemaVersion }
+  for (const section of sections) {
+    if (Object.prototype.hasOwnProperty.call(projection.snapshot, section)) {
+      snapshot[section] = projection.snapshot[section]
+    }
+  }
+  return cloneValue({ ...response, snapshot })
+}
+
+module.exports = {
+  WORLD_SNAPSHOT_REQUEST_SCHEMA_VERSION,
+  WORLD_SNAPSHOT_REQUEST_TYPE,
+  WORLD_SNAPSHOT_RESPONSE_SCHEMA_VERSION,
+  WORLD_SNAPSHOT_RESPONSE_TYPE,
+  WORLD_SNAPSHOT_SECTIONS,
+  createWorldSnapshotRequest,
+  createWorldSnapshotResponseForRequest,
+  isValidWorldSnapshotRequest,
+  parseWorldSnapshotRequestLine
+}
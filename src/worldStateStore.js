@@ -1,8 +1,7 @@
-const fs = require('fs')
 const path = require('path')
-const { execFileSync } = require('child_process')
 
 const { AppError } = require('./errors')
+const { createSqliteDriver } = require('./sqliteDriver')
 const { createAuthoritativeSnapshotProjection } = require('./worldSnapshotProjection')
 const {
   getActorRecord,
@@ -17,6 +16,11 @@ const {
 const WORLD_STATE_SCHEMA_VERSION = 1
 const WORLD_STATE_MIGRATION_META_KEY = 'world_state.migration.v1'
 const OFFICEHOLDER_ROLES = Object.freeze(['mayor', 'captain', 'warden'])
+const WORLD_META_UPSERT_SQL = `INSERT OR REPLACE INTO world_meta (
+  meta_key,
+  meta_value,
+  updated_at
+) VALUES (?, ?, ?);`
 
 function isPlainObject(value) {
   return Boolean(value && typeof value === 'object' && !Array.isArray(value))
@@ -39,13 +43,6 @@ function cloneValue(value) {
   return JSON.parse(JSON.stringify(value))
 }
 
-function sqlValue(value) {
-  if (value === null || value === undefined) return 'NULL'
-  if (typeof value === 'number') return Number.isFinite(value) ? String(Math.trunc(value)) : 'NULL'
-  if (typeof value === 'boolean') return value ? '1' : '0'
-  return `'${String(value).replace(/'/g, "''")}'`
-}
-
 function resolveNow(now) {
   return typeof now === 'function' ? now : () => Date.now()
 }
@@ -240,6 +237,7 @@ function createMemoryWorldStateStore({ memoryStore } = {}) {
 function createSqliteWorldStateStore({
   dbPath,
   sqliteCommand = 'sqlite3',
+  driver: driverName = 'cli',
   logger,
   now
 } = {}) {
@@ -247,43 +245,23 @@ function createSqliteWorldStateStore({
   const safeNow = resolveNow(now)
   const resolvedDbPath = asText(dbPath, 400) || path.resolve(__dirname, './execution.sqlite3')
   const resolvedSqliteCommand = asText(sqliteCommand, 200) || 'sqlite3'
+  const driver = createSqliteDriver({
+    driver: asText(driverName, 20) || 'cli',
+    dbPath: resolvedDbPath,
+    sqliteCommand: resolvedSqliteCommand,
+    errorCode: 'WORLD_STATE_SQLITE_ERROR',
+    errorMessage: 'SQLite world-state operation failed.'
+  })
 
   let initialized = false
 
-  function ensureParentDirectory() {
-    const dir = path.dirname(resolvedDbPath)
-    fs.mkdirSync(dir, { recursive: true })
-  }
-
-  function runSql(sql, { json = false } = {}) {
-    ensureParentDirectory()
-    const args = []
-    if (json) args.push('-json')
-    args.push(resolvedDbPath)
-    try {
-      const stdout = execFileSync(resolvedSqliteCommand, args, {
-        encoding: 'utf8',
-        windowsHide: true,
-        input: `${String(sql || '')}\n`,
-        maxBuffer: 10 * 1024 * 1024
-      })
-      if (!json) return stdout
-      if (!stdout || !stdout.trim()) return []
-      return JSON.parse(stdout)
-    } catch (error) {
-      throw new AppError({
-        code: 'WORLD_STATE_SQLITE_ERROR',
-        message: 'SQLite world-state operation failed.',
-        recoverable: false,
-        metadata: {
-          dbPath: resolvedDbPath,
-          sqliteCommand: resolvedSqliteCommand,
-          error: error instanceof Error ? error.message : String(error)
-        }
-      })
-    }
-  }
-
+  /**
+   * Statements that replace the stored world snapshot and its town/actor
+   * projections. Returned as `{sql, params}` so callers can fold them into a
+   * larger transaction.
+   * @param {Record<string, any>} world
+   * @param {{timestamp?: number}} [options]
+   */
   function buildReplaceWorldStatements(world, { timestamp } = {}) {
     const sourceWorld = isPlainObject(world) ? world : {}
     const ts = Number.isInteger(timestamp) ? timestamp : Math.trunc(safeNow())
@@ -291,78 +269,81 @@ function createSqliteWorldStateStore({
     const towns = buildTownRowsFromWorld(sourceWorld)
     const actors = buildActorRowsFromWorld(sourceWorld)
     const statements = [
-      `INSERT OR REPLACE INTO world_state_snapshots (
-        snapshot_id,
-        payload_json,
-        snapshot_hash,
-        decision_epoch,
-        created_at,
-        updated_at
-      ) VALUES (
-        1,
-        ${sqlValue(JSON.stringify(sourceWorld))},
-        ${sqlValue(projection.snapshotHash)},
-        ${sqlValue(asNullableInteger(projection.decisionEpoch))},
-        ${sqlValue(ts)},
-        ${sqlValue(ts)}
-      );`,
-      'DELETE FROM world_towns;',
-      'DELETE FROM world_actors;'
+      {
+        sql: `INSERT OR REPLACE INTO world_state_snapshots (
+          snapshot_id,
+          payload_json,
+          snapshot_hash,
+          decision_epoch,
+          created_at,
+          updated_at
+        ) VALUES (1, ?, ?, ?, ?, ?);`,
+        params: [
+          JSON.stringify(sourceWorld),
+          projection.snapshotHash,
+          asNullableInteger(projection.decisionEpoch),
+          ts,
+          ts
+        ]
+      },
+      { sql: 'DELETE FROM world_towns;' },
+      { sql: 'DELETE FROM world_actors;' }
     ]
 
     for (const town of towns) {
-      statements.push(`INSERT OR REPLACE INTO world_towns (
-        town_id,
-        name,
-        status,
-        region,
-        tags_json,
-        state_json,
-        created_at,
-        updated_at
-      ) VALUES (
-        ${sqlValue(town.townId)},
-        ${sqlValue(town.name)},
-        ${sqlValue(town.status)},
-        ${sqlValue(town.region)},
-        ${sqlValue(JSON.stringify(town.tags))},
-        ${sqlValue(JSON.stringify(town.state))},
-        ${sqlValue(ts)},
-        ${sqlValue(ts)}
-      );`)
+      statements.push({
+        sql: `INSERT OR REPLACE INTO world_towns (
+          town_id,
+          name,
+          status,
+          region,
+          tags_json,
+          state_json,
+          created_at,
+          updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?);`,
+        params: [
+          town.townId,
+          town.name,
+          town.status,
+          town.region,
+          JSON.stringify(town.tags),
+          JSON.stringify(town.state),
+          ts,
+          ts
+        ]
+      })
     }
 
     for (const actor of actors) {
-      statements.push(`INSERT OR REPLACE INTO world_actors (
-        actor_id,
-        town_id,
-        name,
-        role,
-        status,
-        metadata_json,
-        created_at,
-        updated_at
-      ) VALUES (
-        ${sqlValue(actor.actorId)},
-        ${sqlValue(actor.townId)},
-        ${sqlValue(actor.name)},
-        ${sqlValue(actor.role)},
-        ${sqlValue(actor.status)},
-        ${sqlValue(JSON.stringify(actor.metadata))},
-        ${sqlValue(ts)},
-        ${sqlValue(ts)}
-      );`)
+      statements.push({
+        sql: `INSERT OR REPLACE INTO world_actors (
+          actor_id,
+          town_id,
+          name,
+          role,
+          status,
+          metadata_json,
+          created_at,
+          updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?);`,
+        params: [
+          actor.actorId,
+          actor.townId,
+          actor.name,
+          actor.role,
+          actor.status,
+          JSON.stringify(actor.metadata),
+          ts,
+          ts
+        ]
+      })
     }
 
-    statements.push(`INSERT OR REPLACE INTO world_meta (
-      meta_key,
-      meta_value,
-      updated_at
-    ) VALUES (
-      'world_state.schema_version',
-      ${sqlValue(String(WORLD_STATE_SCHEMA_VERSION))},
-      ${sqlValue(ts)}
-    );`)
+    statements.push({
+      sql: WORLD_META_UPSERT_SQL,
+      params: ['world_state.schema_version', String(WORLD_STATE_SCHEMA_VERSION), ts]
+    })
 
     return statements
   }
@@ -370,7 +351,7 @@ function createSqliteWorldStateStore({
   function ensureInitialized() {
     if (initialized) return
 
-    runSql(`
+    driver.exec(`
       PRAGMA journal_mode=WAL;
       PRAGMA foreign_keys=ON;
       CREATE TABLE IF NOT EXISTS world_state_snapshots (
@@ -413,28 +394,29 @@ function createSqliteWorldStateStore({
     initialized = true
     safeLogger.info('world_state_store_sqlite_initialized', {
       backend: 'sqlite',
+      driver: driver.name,
       dbPath: resolvedDbPath
     })
   }
 
   function hasWorldSnapshot() {
     ensureInitialized()
-    const rows = runSql(`
+    const rows = driver.all(`
       SELECT COUNT(*) AS count
       FROM world_state_snapshots
       WHERE snapshot_id = 1;
-    `, { json: true })
+    `)
     return Number(rows?.[0]?.count || 0) > 0
   }
 
   function loadWorldSnapshot() {
     ensureInitialized()
-    const rows = runSql(`
+    const rows = driver.all(`
       SELECT payload_json
       FROM world_state_snapshots
       WHERE snapshot_id = 1
       LIMIT 1;
-    `, { json: true })
+    `)
     if (!Array.isArray(rows) || rows.length === 0) return null
     try {
       return cloneValue(JSON.parse(rows[0].payload_json))
@@ -448,17 +430,7 @@ function createSqliteWorldStateStore({
     const safeKey = asText(key, 120)
     if (!safeKey) return null
     const ts = Math.trunc(safeNow())
-    runSql(`
-      INSERT OR REPLACE INTO world_meta (
-        meta_key,
-        meta_value,
-        updated_at
-      ) VALUES (
-        ${sqlValue(safeKey)},
-        ${sqlValue(String(value ?? ''))},
-        ${sqlValue(ts)}
-      );
-    `)
+    driver.run(WORLD_META_UPSERT_SQL, [safeKey, String(value ?? ''), ts])
     return {
       key: safeKey,
       value: String(value ?? '')
@@ -469,12 +441,12 @@ function createSqliteWorldStateStore({
     ensureInitialized()
     const safeKey = asText(key, 120)
     if (!safeKey) return null
-    const rows = runSql(`
+    const rows = driver.all(`
       SELECT meta_key, meta_value
       FROM world_meta
-      WHERE meta_key = ${sqlValue(safeKey)}
+      WHERE meta_key = ?
       LIMIT 1;
-    `, { json: true })
+    `, [safeKey])
     if (!Array.isArray(rows) || rows.length === 0) return null
     return {
       key: rows[0].meta_key,
@@ -528,11 +500,11 @@ function createSqliteWorldStateStore({
 
   function listTowns() {
     ensureInitialized()
-    const rows = runSql(`
+    const rows = driver.all(`
       SELECT town_id, name, status, region, tags_json, state_json
       FROM world_towns
       ORDER BY town_id ASC;
-    `, { json: true })
+    `)
     return rows.map((row) => parseTownRow(row)).filter(Boolean)
   }
 
@@ -540,12 +512,12 @@ function createSqliteWorldStateStore({
     ensureInitialized()
     const safeTownId = asText(townId, 80)
     if (!safeTownId) return null
-    const rows = runSql(`
+    const rows = driver.all(`
       SELECT town_id, name, status, region, tags_json, state_json
       FROM world_towns
-      WHERE town_id = ${sqlValue(safeTownId)}
+      WHERE town_id = ?
       LIMIT 1;
-    `, { json: true })
+    `, [safeTownId])
     if (!Array.isArray(rows) || rows.length === 0) return null
     return parseTownRow(rows[0])
   }
@@ -554,12 +526,12 @@ function createSqliteWorldStateStore({
     ensureInitialized()
     const safeTownId = asText(townId, 80)
     if (!safeTownId) return []
-    const rows = runSql(`
+    const rows = driver.all(`
       SELECT actor_id, town_id, name, role, status, metadata_json
       FROM world_actors
-      WHERE town_id = ${sqlValue(safeTownId)}
+      WHERE town_id = ?
       ORDER BY role ASC, actor_id ASC;
-    `, { json: true })
+    `, [safeTownId])
     return rows.map((row) => parseActorRow(row)).filter(Boolean)
   }
 
@@ -567,12 +539,12 @@ function createSqliteWorldStateStore({
     ensureInitialized()
     const safeActorId = asText(actorId, 120)
     if (!safeActorId) return null
-    const rows = runSql(`
+    const rows = driver.all(`
       SELECT actor_id, town_id, name, role, status, metadata_json
       FROM world_actors
-      WHERE actor_id = ${sqlValue(safeActorId)}
+      WHERE actor_id = ?
       LIMIT 1;
-    `, { json: true })
+    `, [safeActorId])
     if (!Array.isArray(rows) || rows.length === 0) return null
     return parseActorRow(rows[0])
   }
@@ -581,19 +553,19 @@ function createSqliteWorldStateStore({
     ensureInitialized()
     const safeTownId = asText(townId, 80)
     if (!safeTownId) return []
-    const rows = runSql(`
+    const rows = driver.all(`
       SELECT actor_id, town_id, name, role, status, metadata_json
       FROM world_actors
-      WHERE town_id = ${sqlValue(safeTownId)}
+      WHERE town_id = ?
         AND status = 'active'
-        AND role IN (${OFFICEHOLDER_ROLES.map((role) => sqlValue(role)).join(', ')})
+        AND role IN (${OFFICEHOLDER_ROLES.map(() => '?').join(', ')})
       ORDER BY CASE role
         WHEN 'mayor' THEN 0
         WHEN 'captain' THEN 1
         WHEN 'warden' THEN 2
         ELSE 99
       END ASC, actor_id ASC;
-    `, { json: true })
+    `, [safeTownId, ...OFFICEHOLDER_ROLES])
     return rows.map((row) => parseActorRow(row)).filter(Boolean)
   }
 
@@ -602,21 +574,12 @@ function createSqliteWorldStateStore({
     const ts = Number.isInteger(options?.timestamp) ? options.timestamp : Math.trunc(safeNow())
     const statements = buildReplaceWorldStatements(world, { timestamp: ts })
     if (options?.includeMigrationMeta === true) {
-      statements.push(`INSERT OR REPLACE INTO world_meta (
-        meta_key,
-        meta_value,
-        updated_at
-      ) VALUES (
-        ${sqlValue(WORLD_STATE_MIGRATION_META_KEY)},
-        ${sqlValue('complete')},
-        ${sqlValue(ts)}
-      );`)
+      statements.push({
+        sql: WORLD_META_UPSERT_SQL,
+        params: [WORLD_STATE_MIGRATION_META_KEY, 'complete', ts]
+      })
     }
-    runSql([
-      'BEGIN IMMEDIATE;',
-      ...statements,
-      'COMMIT;'
-    ].join('\n'))
+    driver.transaction(statements)
     return loadWorldSnapshot()
   }
 
@@ -669,6 +632,7 @@ function createSqliteWorldStateStore({
     backendName: 'sqlite',
     dbPath: resolvedDbPath,
     sqliteCommand: resolvedSqliteCommand,
+    sqliteDriver: driver.name,
     initialize: ensureInitialized,
     hasWorldSnapshot,
     loadWorldSnapshot,
@@ -5,7 +5,8 @@ const test = require('node:test')
 const assert = require('node:assert/strict')
 
 const { createMemoryStore } = require('../src/memory')
-const { createActionEngine } = require('../src/actionEngine')
+const { buildGameplayCommand, createActionEngine } = require('../src/actionEngine')
+const { createGodCommandService } = require('../src/godCommands')
 
 function createStore() {
   const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mvp-action-'))
@@ -52,3 +53,152 @@ test('action engine ignores duplicate operation id', async () => {
   const world = memoryStore.recallWorld()
   assert.equal(world.factions.Pilgrims.stability, 71)
 })
+
+test('action engine runs gameplay actions through god commands with per-agent daily limits', async () => {
+  const memoryStore = createStore()
+  const godCommandService = createGodCommandService({ memoryStore })
+  const agents = [{ name: 'Mara', faction: 'Pilgrims', applyGodCommand: () => {} }]
+  for (const [index, command] of [
+    'mark add alpha_hall 0 64 0 town:alpha',
+    'market add bazaar alpha_hall',
+    'project start alpha lantern_line'
+  ].entries()) {
+    const result = await godCommandService.applyGodCommand({ agents, command, operationId: `seed-${index}` })
+    assert.equal(result.applied, true, command)
+  }
+  await memoryStore.rememberAgent('Mara', 'seeded', false, 'seed-agent')
+
+  const announced = []
+  const actionEngine = createActionEngine({
+    memoryStore,
+    godCommandService,
+    getAgents: () => agents,
+    onGodCommandApplied: ({ command }) => announced.push(command),
+    gameplayActionsPerDay: 2
+  })
+  const agent = { name: 'Mara', faction: 'Pilgrims', town: 'alpha' }
+
+  const outcomes = await actionEngine.applyProposedActions({
+    agent,
+    proposedActions: [
+      { type: 'offer_trade', target: 'sell 3 12', confidence: 0.9, reason: 'surplus' },
+      { type: 'start_rumor', target: 'political', confidence: 0.8, reason: 'stir' },
+      { type: 'volunteer_for_project', target: 'lantern_line', confidence: 0.9, reason: 'help' }
+    ],
+    operationId: 'turn-gameplay'
+  })
+
+  assert.deepEqual(outcomes.map(outcome => [outcome.type, outcome.accepted]), [
+    ['offer_trade', true],
+    ['start_rumor', true],
+    ['volunteer_for_project', false]
+  ])
+  assert.equal(outcomes[0].command, 'offer add bazaar Mara sell 3 12')
+  assert.equal(outcomes[1].command, 'rumor spawn alpha political 1 levy_accusations 1')
+  assert.match(outcomes[2].reason, /Rate limited/)
+  assert.deepEqual(announced, [outcomes[0].command, outcomes[1].command])
+
+  const world = memoryStore.recallWorld()
+  assert.equal(world.markets[0].offers.length, 1)
+  assert.equal(world.markets[0].offers[0].owner, 'Mara')
+  assert.equal(world.rumors.filter(rumor => rumor.town === 'alpha').length, 1)
+
+  const replay = await actionEngine.applyProposedActions({
+    agent,
+    proposedActions: [{ type: 'petition_mayor', target: 'mayor', confidence: 1, reason: 'retry' }],
+    operationId: 'turn-gameplay'
+  })
+  assert.match(replay[0].reason, /Duplicate operation/i)
+  assert.equal(memoryStore.recallWorld().markets[0].offers.length, 1)
+})
+
+test('action engine replay resumes gameplay commands a crash cut off after the budget was spent', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mvp-action-'))
+  const filePath = path.join(dir, 'memory.json')
+  const seedStore = createMemoryStore({ filePath })
+  const seedService = createGodCommandService({ memoryStore: seedStore })
+  const agents = [{ name: 'Mara', faction: 'Pilgrims', applyGodCommand: () => {} }]
+  for (const [index, command] of ['mark add alpha_hall 0 64 0 town:alpha', 'market add bazaar alpha_hall'].entries()) {
+    await seedService.applyGodCommand({ agents, command, operationId: `crash-seed-${index}` })
+  }
+  await seedStore.rememberAgent('Mara', 'seeded', false, 'crash-seed-agent')
+
+  const agent = { name: 'Mara', faction: 'Pilgrims', town: 'alpha' }
+  const proposedActions = [
+    { type: 'offer_trade', target: 'sell 3 12', confidence: 0.9, reason: 'surplus' },
+    { type: 'recruit', reason: 'rally' }
+  ]
+  let reached
+  const commandReached = new Promise((resolve) => { reached = resolve })
+  // The first process dies once the budget transaction has committed, before any command runs.
+  const crashing = createActionEngine({
+    memoryStore: seedStore,
+    godCommandService: {
+      applyGodCommand: () => {
+        reached()
+        return new Promise(() => {})
+      }
+    },
+    getAgents: () => agents
+  })
+  crashing.applyProposedActions({ agent, proposedActions, operationId: 'turn-crash' })
+  await commandReached
+
+  const memoryStore = createMemoryStore({ filePath })
+  const announced = []
+  const actionEngine = createActionEngine({
+    memoryStore,
+    godCommandService: createGodCommandService({ memoryStore }),
+    getAgents: () => agents,
+    onGodCommandApplied: ({ command }) => announced.push(command)
+  })
+  const replay = await actionEngine.applyProposedActions({ agent, proposedActions, operationId: 'turn-crash' })
+  assert.deepEqual(replay.map(outcome => [outcome.type, outcome.accepted]), [['offer_trade', true], ['recruit', false]])
+  assert.equal(replay[1].reason, 'Duplicate operation ignored.')
+  assert.deepEqual(announced, ['offer add bazaar Mara sell 3 12'])
+  assert.equal(memoryStore.recallWorld().markets[0].offers.length, 1)
+  assert.equal(memoryStore.getSnapshot().agents.Mara.pendingActions, undefined)
+  assert.equal(memoryStore.getSnapshot().world.factions.Pilgrims.stability, 71)
+
+  const again = await actionEngine.applyProposedActions({ agent, proposedActions, operationId: 'turn-crash' })
+  assert.deepEqual(again.map(outcome => outcome.reason), ['Duplicate operation ignored.', 'Duplicate operation ignored.'])
+  assert.equal(memoryStore.recallWorld().markets[0].offers.length, 1)
+})
+
+test('action engine rejects gameplay actions it cannot map to a command', async () => {
+  const memoryStore = createStore()
+  const godCommandService = createGodCommandService({ memoryStore })
+  await memoryStore.rememberAgent('Mara', 'seeded', false, 'seed-agent')
+  const actionEngine = createActionEngine({ memoryStore, godCommandService })
+
+  const homeless = await actionEngine.applyProposedActions({
+    agent: { name: 'Mara', faction: 'Pilgrims' },
+    proposedActions: [
+      { type: 'petition_mayor', target: 'mayor', confidence: 1, reason: 'x' },
+      { type: 'offer_trade', target: 'sell 3 12', confidence: 0.2, reason: 'x' }
+    ],
+    operationId: 'turn-homeless'
+  })
+  assert.deepEqual(homeless.map(outcome => outcome.reason), ['Agent has no home town.', 'Confidence too low.'])
+
+  const offline = await createActionEngine({ memoryStore }).applyProposedActions({
+    agent: { name: 'Mara', faction: 'Pilgrims', town: 'alpha' },
+    proposedActions: [{ type: 'start_rumor', target: 'grounded', confidence: 1, reason: 'x' }],
+    operationId: 'turn-offline'
+  })
+  assert.equal(offline[0].reason, 'Gameplay actions unavailable.')
+})
+
+test('offer_trade targets may name a good before the amount', () => {
+  const world = { markets: [], markers: [] }
+  const input = { type: 'offer_trade', agentName: 'Mara', townName: 'alpha' }
+  assert.deepEqual(
+    buildGameplayCommand(world, { ...input, target: 'sell lantern_oil 3 12 bazaar' }),
+    { command: 'offer add bazaar Mara sell lantern_oil 3 12' }
+  )
+  assert.deepEqual(
+    buildGameplayCommand(world, { ...input, target: 'buy 2 5 bazaar' }),
+    { command: 'offer add bazaar Mara buy 2 5' }
+  )
+  assert.deepEqual(buildGameplayCommand(world, { ...input, target: 'sell bread 3' }), { reason: 'Invalid trade target.' })
+})
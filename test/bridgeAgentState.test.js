@@ -0,0 +1,92 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const {
+  createBridgeAgentState,
+  deriveBridgeAgentState,
+  parseLoopIntentLine
+} = require('../src/bridgeAgentState')
+
+function createMemory() {
+  return {
+    agents: {
+      Mara: {
+        profile: {
+          world_intent: { intent: 'follow', intent_target: 'Eli', is_leader: false },
+          job: { role: 'scout' }
+        }
+      },
+      Eli: {
+        profile: {
+          world_intent: { intent: 'wander', intent_target: 'alpha_gate', is_leader: true },
+          job: { role: 'guard', home_marker: 'alpha_gate' }
+        }
+      },
+      Nox: {
+        profile: {
+          world_intent: { intent: 'idle', is_leader: false }
+        }
+      }
+    },
+    world: {
+      markers: [
+        { name: 'alpha_hall', x: 10, y: 64, z: 20, tag: 'town:alpha' },
+        { name: 'alpha_gate', x: 40, y: 65, z: -5, tag: '' }
+      ],
+      agentRoster: {
+        nox: { name: 'Nox', role: 'Scout', faction: 'Pilgrims', town: 'alpha', status: 'active' }
+      }
+    }
+  }
+}
+
+test('parseLoopIntentLine reads engine loop wander and follow lines', () => {
+  assert.deepEqual(parseLoopIntentLine('[LOOP] Mara wanders north.'), { agentName: 'Mara', intent: 'wander', direction: 'north' })
+  assert.deepEqual(parseLoopIntentLine('> [LOOP] Eli follows alpha_gate.'), { agentName: 'Eli', intent: 'follow', target: 'alpha_gate' })
+  assert.equal(parseLoopIntentLine('[LOOP] Mara wanders upward.'), null)
+  assert.equal(parseLoopIntentLine('Mara: hello'), null)
+})
+
+test('deriveBridgeAgentState maps leader, follow intents and home markers from durable memory', () => {
+  const memory = createMemory()
+
+  assert.deepEqual(deriveBridgeAgentState(memory, 'Mara'), {
+    partyOn: true,
+    leaderName: 'Eli',
+    homePos: null
+  })
+  assert.deepEqual(deriveBridgeAgentState(memory, 'Eli'), {
+    partyOn: false,
+    leaderName: null,
+    homePos: { x: 40, y: 65, z: -5 }
+  })
+  assert.deepEqual(deriveBridgeAgentState(memory, 'Nox'), {
+    partyOn: false,
+    leaderName: 'Eli',
+    homePos: { x: 10, y: 64, z: 20 }
+  })
+})
+
+test('bridge agent state steers wander anchors in the loop direction', () => {
+  const memory = createMemory()
+  const state = createBridgeAgentState({ readMemory: () => memory, wanderStep: 12 })
+  state.refresh()
+
+  const nox = state.brainOptionsFor('Nox')
+  assert.deepEqual(nox.getHomePos(), { x: 10, y: 64, z: 20 })
+
+  state.applyLoopIntent({ agentName: 'Nox', intent: 'wander', direction: 'north' })
+  assert.deepEqual(nox.getHomePos(), { x: 10, y: 64, z: 8 })
+
+  const mara = state.brainOptionsFor('Mara', () => ({ x: 0, y: 70, z: 0 }))
+  state.applyLoopIntent({ agentName: 'Mara', intent: 'wander', direction: 'east' })
+  assert.deepEqual(mara.getHomePos(), { x: 12, y: 70, z: 0 })
+
+  state.applyLoopIntent({ agentName: 'Nox', intent: 'follow', target: 'Mara' })
+  assert.equal(nox.getPartyOn(), true)
+  assert.equal(nox.getLeaderName(), 'Mara')
+
+  state.applyLoopIntent({ agentName: 'Nox', intent: 'follow', target: 'alpha_gate' })
+  assert.equal(nox.getPartyOn(), false)
+  assert.deepEqual(nox.getHomePos(), { x: 40, y: 65, z: -5 })
+})
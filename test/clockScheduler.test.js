@@ -0,0 +1,123 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { createMemoryStore } = require('../src/memory')
+const { createGodCommandService } = require('../src/godCommands')
+const { createClockScheduler } = require('../src/clockScheduler')
+const { createAuthoritativeSnapshotProjection } = require('../src/worldSnapshotProjection')
+
+const START_MS = Date.parse('2026-03-01T12:00:00.000Z')
+
+function createEngine() {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mvp-clock-scheduler-')), 'memory.json')
+  const memoryStore = createMemoryStore({ filePath })
+  const godCommandService = createGodCommandService({ memoryStore })
+  const agents = [{ name: 'Mara', faction: 'Pilgrims', applyGodCommand: () => {} }]
+  const apply = (command, operationId) => godCommandService.applyGodCommand({ agents, command, operationId })
+  const clock = { nowMs: START_MS }
+  const advanced = []
+  const scheduler = createClockScheduler({
+    godCommandService,
+    maxCatchUpTicks: 3,
+    now: () => clock.nowMs,
+    onAdvance: (result) => { advanced.push(result) }
+  })
+  return { filePath, memoryStore, godCommandService, apply, clock, scheduler, advanced }
+}
+
+test('god clock auto toggles the durable scheduler settings', async () => {
+  const { filePath, memoryStore, apply } = createEngine()
+  await assert.rejects(() => apply('clock auto', 'auto-missing'), /god clock auto <on/)
+  await assert.rejects(() => apply('clock auto rate', 'auto-rate-missing'), /god clock auto <on/)
+  await assert.rejects(() => apply('clock auto rate 2', 'auto-rate-low'), /god clock auto <on/)
+  await assert.rejects(() => apply('clock auto off 30', 'auto-off-seconds'), /god clock auto <on/)
+
+  const shown = await apply('clock', 'auto-show-before')
+  assert.equal(shown.outputLines.length, 3)
+
+  const on = await apply('clock auto on', 'auto-on')
+  assert.equal(on.audit, true)
+  assert.deepEqual(on.outputLines, ['GOD CLOCK AUTO: enabled=true phase_seconds=600 ticks=0 anchored=false'])
+  const rate = await apply('clock auto rate 30', 'auto-rate')
+  assert.deepEqual(rate.outputLines, ['GOD CLOCK AUTO: enabled=true phase_seconds=30 ticks=0 anchored=false'])
+  assert.equal((await apply('clock auto rate 30', 'auto-rate')).reason, 'Duplicate operation ignored.')
+  await apply('clock auto off', 'auto-off')
+  assert.deepEqual((await apply('clock', 'auto-show-after')).outputLines.slice(3), [
+    'GOD CLOCK AUTO: enabled=false phase_seconds=30 ticks=0 anchored=false'
+  ])
+
+  const reloaded = createMemoryStore({ filePath })
+  assert.deepEqual(reloaded.getSnapshot().world.clock.auto, {
+    enabled: false,
+    phase_seconds: 30,
+    anchor_at: 0,
+    ticks: 0,
+    generation: 3
+  })
+  assert.equal(reloaded.validateMemoryIntegrity().ok, true)
+  assert.equal(createAuthoritativeSnapshotProjection(memoryStore.getSnapshot().world).snapshot.clock.auto.generation, 3)
+})
+
+test('the clock scheduler advances one phase per elapsed period through the clock advance path', async () => {
+  const { memoryStore, apply, clock, scheduler, advanced } = createEngine()
+  await apply('mark add alpha_hall 0 64 0 town:alpha', 'scheduler-seed')
+  assert.equal((await scheduler.runOnce()).reason, 'disabled')
+
+  await apply('clock auto on 60', 'scheduler-on')
+  assert.equal((await scheduler.runOnce()).reason, 'anchored')
+  assert.equal(memoryStore.getSnapshot().world.clock.auto.anchor_at, START_MS)
+
+  clock.nowMs = START_MS + 59000
+  assert.equal((await scheduler.runOnce()).reason, 'waiting')
+
+  clock.nowMs = START_MS + 61000
+  const night = await scheduler.runOnce()
+  assert.equal(night.advanced, true)
+  assert.equal(night.operationId, 'clock-auto:1:0')
+  assert.deepEqual(night.outputLines, ['GOD CLOCK AUTO ADVANCE: ticks=1 skipped=0 day=1 phase=night season=dawn'])
+  assert.equal(memoryStore.getSnapshot().world.clock.auto.anchor_at, START_MS + 60000)
+  assert.equal((await scheduler.runOnce()).reason, 'waiting')
+
+  clock.nowMs = START_MS + 121000
+  const dawn = await scheduler.runOnce()
+  assert.equal(dawn.operationId, 'clock-auto:1:1')
+  const world = memoryStore.getSnapshot().world
+  assert.deepEqual([world.clock.day, world.clock.phase, world.clock.auto.ticks], [2, 'day', 2])
+  assert.equal(world.nether.lastTickDay, 2)
+  assert.ok(world.quests.some(quest => quest.meta?.contract === true && quest.meta.contract_day === 2))
+  assert.ok(world.chronicle.some(entry => entry.id === 'clock-auto:1:1:chronicle:clock_advance:tick:0'))
+  assert.equal(advanced.length, 2)
+
+  await apply('clock auto off', 'scheduler-off')
+  clock.nowMs = START_MS + 600000
+  assert.equal((await scheduler.runOnce()).reason, 'disabled')
+  assert.equal(memoryStore.getSnapshot().world.clock.day, 2)
+})
+
+test('after downtime the scheduler catches up a bounded number of phases once', async () => {
+  const { filePath, memoryStore, godCommandService, apply, clock, scheduler } = createEngine()
+  await apply('clock auto on 60', 'downtime-on')
+  await scheduler.runOnce()
+
+  clock.nowMs = START_MS + (10 * 60000) + 5000
+  const caughtUp = await scheduler.runOnce()
+  assert.deepEqual([caughtUp.ticks, caughtUp.skipped], [3, 7])
+  const auto = memoryStore.getSnapshot().world.clock.auto
+  assert.deepEqual([auto.ticks, auto.anchor_at], [3, START_MS + (10 * 60000)])
+  assert.deepEqual([memoryStore.getSnapshot().world.clock.day, memoryStore.getSnapshot().world.clock.phase], [2, 'night'])
+
+  // A second process on the same file sees the moved anchor and does nothing.
+  const restarted = createClockScheduler({
+    godCommandService: createGodCommandService({ memoryStore: createMemoryStore({ filePath }) }),
+    now: () => clock.nowMs
+  })
+  assert.equal((await restarted.runOnce()).reason, 'waiting')
+
+  // Replaying a step whose state already moved on is a no-op.
+  const replay = await godCommandService.advanceScheduledClock({ nowMs: clock.nowMs, maxCatchUpTicks: 3 })
+  assert.equal(replay.advanced, false)
+  assert.equal(memoryStore.getSnapshot().world.clock.auto.ticks, 3)
+})
@@ -1,7 +1,14 @@
 const test = require('node:test')
 const assert = require('node:assert/strict')
 
-const { parseCliInput, parseBridgeChat } = require('../src/commandParsers')
+const {
+  MINECRAFT_CHAT_LIMIT,
+  createBroadcastChatLine,
+  parseCliInput,
+  parseBridgeChat,
+  parseEngineReplyLine,
+  parseEngineRosterLine
+} = require('../src/commandParsers')
 
 test('parseCliInput parses talk command with target and message', () => {
   const parsed = parseCliInput('talk mara hello there')
@@ -35,3 +42,36 @@ test('parseBridgeChat preserves full god command payload', () => {
   assert.equal(parsed.type, 'god')
   assert.equal(parsed.command, 'say Mara Hold this line')
 })
+
+test('parseEngineRosterLine reads agent roster output from the engine', () => {
+  assert.deepEqual(
+    parseEngineRosterLine('GOD AGENT: name=Nox role=Scout faction=Pilgrims town=- status=active'),
+    { name: 'Nox', active: true }
+  )
+  assert.deepEqual(
+    parseEngineRosterLine('GOD AGENT: name=Eli role=Guard faction=Pilgrims town=- status=retired'),
+    { name: 'Eli', active: false }
+  )
+  assert.deepEqual(parseEngineRosterLine('GOD AGENT SPAWNED: name=Nox role=Scout faction=Pilgrims town=alpha'), { name: 'Nox', active: true })
+  assert.deepEqual(parseEngineRosterLine('> GOD AGENT RETIRED: name=Nox'), { name: 'Nox', active: false })
+  assert.equal(parseEngineRosterLine('GOD AGENT LIST: count=2 active=2'), null)
+})
+
+test('parseEngineReplyLine extracts agent replies without a hardcoded name list', () => {
+  assert.deepEqual(parseEngineReplyLine('> Nox: The gate holds.'), { name: 'Nox', message: 'The gate holds.' })
+  assert.equal(parseEngineReplyLine('--- WORLD ONLINE ---'), null)
+})
+
+test('createBroadcastChatLine keeps the whole tellraw command inside one chat packet', () => {
+  assert.equal(
+    createBroadcastChatLine('[Crier:alpha] Gate\nholds.', { color: 'gold' }),
+    '/tellraw @a {"text":"[Crier:alpha] Gate holds.","color":"gold"}'
+  )
+  const long = createBroadcastChatLine('"quoted" \\ '.repeat(60), { color: 'light_purple' })
+  assert.ok(long.length <= MINECRAFT_CHAT_LIMIT)
+  assert.ok(long.endsWith('","color":"light_purple"}'))
+  assert.equal(typeof JSON.parse(long.slice('/tellraw @a '.length)).text, 'string')
+  assert.equal(createBroadcastChatLine('x'.repeat(400), { mode: 'chat' }).length, MINECRAFT_CHAT_LIMIT)
+  assert.equal(createBroadcastChatLine('news', { mode: 'off' }), null)
+  assert.equal(createBroadcastChatLine(' \n ', { color: 'aqua' }), null)
+})
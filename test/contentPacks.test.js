@@ -0,0 +1,193 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { createMemoryStore } = require('../src/memory')
+const { createGodCommandService, registerContentPacks } = require('../src/godCommands')
+const {
+  buildContentBundle,
+  installContentPacks,
+  loadContentPacks,
+  recordContentPacksInWorld,
+  validateContentPack
+} = require('../src/contentPacks')
+
+// Registering packs extends process-wide tables, so these tests live in their
+// own file and run in order: rejected bundles first, then one install.
+
+function createTempDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix))
+}
+
+function createAgents() {
+  return [
+    { name: 'Mara', faction: 'Pilgrims', applyGodCommand: () => {} },
+    { name: 'Eli', faction: 'Pilgrims', applyGodCommand: () => {} }
+  ]
+}
+
+function harborPack() {
+  return {
+    schema: 'content-pack.v1',
+    id: 'harbor_tales',
+    version: '1.0.0',
+    title: 'Harbor Tales',
+    rumors: {
+      grounded: {
+        pier_ledgers: {
+          day: 'Dockhands in {town} argue over pier ledgers.',
+          night: 'Lamps burn late over the pier ledgers of {town}.'
+        }
+      }
+    },
+    events: {
+      flood_tide: {
+        title: 'A flood tide swamps the low quays.',
+        mods: { unrest: 1, trade_reward_bonus: 1 },
+        rumor: { kind: 'grounded', templateKeys: ['pier_ledgers'], severity: 2, expiresInDays: 2 }
+      }
+    },
+    missions: [{
+      id: 'sea_wall_watch',
+      title: 'Sea Wall Watch',
+      teaser: 'Wardens want hands on the sea wall.',
+      briefing: 'Hold the sea wall through the storm tide.',
+      phaseNotes: ['Stack sandbags.', 'Hold the breach.', 'Drain the quay.']
+    }],
+    projects: {
+      sea_wall: { requirements: { labor: 2, timber: 2 }, effects: { threatDelta: -1, hopeDelta: 1 } }
+    },
+    salvageTargets: {
+      sunken_barge: { supplyBase: 2, pressure: 0, stockpiles: ['food', 'timber'] }
+    }
+  }
+}
+
+function writePack(dir, name, pack) {
+  fs.writeFileSync(path.join(dir, name), JSON.stringify(pack, null, 2))
+}
+
+test('content pack validation names the file and field that broke', () => {
+  assert.throws(
+    () => validateContentPack({ ...harborPack(), schema: 'content-pack.v0' }, { file: 'harbor.json' }),
+    (error) => error.code === 'CONTENT_PACK_INVALID' && error.metadata.file === 'harbor.json' && error.metadata.path === 'schema'
+  )
+  const badMods = harborPack()
+  badMods.events.flood_tide.mods = { gold: 2 }
+  assert.throws(() => validateContentPack(badMods, { file: 'harbor.json' }), /events\.flood_tide\.mods\.gold is not one of/)
+  const factionMods = harborPack()
+  factionMods.events.flood_tide.mods = { fear: 1, ash_court_rep_bonus: 2 }
+  assert.deepEqual(validateContentPack(factionMods).events[0].mods, { ash_court_rep_bonus: 2, fear: 1 })
+  const badStockpiles = harborPack()
+  badStockpiles.salvageTargets.sunken_barge.stockpiles = ['food', 'gold']
+  assert.throws(() => validateContentPack(badStockpiles), /salvageTargets\.sunken_barge\.stockpiles/)
+  assert.throws(() => validateContentPack({ ...harborPack(), decks: {} }), /decks is not a content pack field/)
+})
+
+test('content pack hashes ignore file formatting and key order', () => {
+  const dir = createTempDir('mvp-content-packs-')
+  writePack(dir, 'harbor.json', harborPack())
+  const first = loadContentPacks({ dirPath: dir })
+
+  const reordered = harborPack()
+  fs.writeFileSync(path.join(dir, 'harbor.json'), JSON.stringify({
+    salvageTargets: reordered.salvageTargets,
+    projects: reordered.projects,
+    missions: reordered.missions,
+    events: reordered.events,
+    rumors: reordered.rumors,
+    title: reordered.title,
+    version: reordered.version,
+    id: reordered.id,
+    schema: reordered.schema
+  }))
+  const second = loadContentPacks({ dirPath: dir })
+  assert.match(first.hash, /^[0-9a-f]{64}$/)
+  assert.equal(second.hash, first.hash)
+  assert.equal(second.packs[0].hash, first.packs[0].hash)
+
+  const bumped = harborPack()
+  bumped.version = '1.0.1'
+  writePack(dir, 'harbor.json', bumped)
+  assert.notEqual(loadContentPacks({ dirPath: dir }).hash, first.hash)
+
+  assert.deepEqual(loadContentPacks({}), { hash: '', packs: [] })
+  assert.throws(() => loadContentPacks({ dirPath: path.join(dir, 'missing') }), /directory not found/)
+})
+
+test('switching content bundles back and forth records every switch', async () => {
+  const memoryStore = createMemoryStore({ filePath: path.join(createTempDir('mvp-content-switch-'), 'memory.json') })
+  const first = buildContentBundle([validateContentPack(harborPack())])
+  const second = buildContentBundle([validateContentPack({ ...harborPack(), version: '1.1.0' })])
+
+  for (const bundle of [first, second, first, second]) {
+    assert.equal((await recordContentPacksInWorld(memoryStore, bundle)).changed, true)
+    assert.equal(memoryStore.getSnapshot().world.content.hash, bundle.hash)
+  }
+  assert.equal((await recordContentPacksInWorld(memoryStore, second)).changed, false)
+  assert.equal((await recordContentPacksInWorld(memoryStore, buildContentBundle([]))).changed, true)
+  assert.equal(memoryStore.getSnapshot().world.content, undefined)
+})
+
+test('content packs may not claim the same key twice or redefine built-ins', async () => {
+  const harbor = validateContentPack(harborPack(), { file: 'harbor.json' })
+  const copycat = validateContentPack({ ...harborPack(), id: 'harbor_copy', rumors: {}, events: {}, missions: [], salvageTargets: {} }, { file: 'copy.json' })
+  assert.throws(() => buildContentBundle([harbor, copycat]), (error) => error.code === 'CONTENT_PACK_CONFLICT' && /project sea_wall/.test(error.message))
+
+  const builtin = validateContentPack({
+    schema: 'content-pack.v1',
+    id: 'trench_remix',
+    version: '1.0.0',
+    projects: { sea_wall_two: { requirements: { labor: 1 } }, trench_reinforcement: { requirements: { labor: 1 } } }
+  })
+  assert.throws(() => registerContentPacks(buildContentBundle([builtin])), (error) => error.code === 'CONTENT_PACK_CONFLICT')
+  const service = createGodCommandService({ memoryStore: createMemoryStore({ filePath: path.join(createTempDir('mvp-content-reject-'), 'memory.json') }) })
+  const rejected = await service.applyGodCommand({ agents: createAgents(), command: 'project start alpha sea_wall_two', operationId: 'reject-check' })
+  assert.equal(rejected.reason, 'Unknown project type.')
+})
+
+test('installed packs extend the engine, survive reloads and are recorded in the world', async () => {
+  const dir = createTempDir('mvp-content-install-')
+  writePack(dir, 'harbor.json', harborPack())
+  const bundle = installContentPacks(loadContentPacks({ dirPath: dir }))
+  assert.equal(registerContentPacks(bundle).hash, bundle.hash)
+
+  const filePath = path.join(createTempDir('mvp-content-world-'), 'memory.json')
+  const memoryStore = createMemoryStore({ filePath })
+  const service = createGodCommandService({ memoryStore })
+  const agents = createAgents()
+  const apply = (command, operationId) => service.applyGodCommand({ agents, command, operationId })
+
+  assert.deepEqual(await recordContentPacksInWorld(memoryStore, bundle), { changed: true, previousHash: '', hash: bundle.hash })
+  assert.equal((await recordContentPacksInWorld(memoryStore, bundle)).changed, false)
+  assert.deepEqual(memoryStore.getSnapshot().world.content.packs, [{ id: 'harbor_tales', version: '1.0.0', hash: bundle.packs[0].hash }])
+
+  const list = await apply('content list', 'content-list')
+  assert.equal(list.outputLines[0], `GOD CONTENT: packs=1 hash=${bundle.hash.slice(0, 12)} world_hash=${bundle.hash.slice(0, 12)} status=recorded`)
+  const show = await apply('content show harbor_tales', 'content-show')
+  assert.ok(show.outputLines.includes('GOD CONTENT PROJECT: pack=harbor_tales type=sea_wall requirements=labor:2,timber:2 effects=hopeDelta:1,threatDelta:-1'))
+  assert.ok(show.outputLines.includes('GOD CONTENT SALVAGE: pack=harbor_tales target=sunken_barge supply_base=2 pressure=0 stockpiles=food,timber'))
+  assert.equal((await apply('content show nowhere', 'content-show-missing')).reason, 'Unknown content pack.')
+
+  await apply('mark add alpha_hall 0 64 0 town:alpha', 'content-seed')
+  assert.equal((await apply('project start alpha sea_wall', 'content-project')).applied, true)
+  assert.equal((await apply('salvage plan alpha sunken_barge', 'content-salvage')).applied, true)
+
+  let floodEvent = null
+  await apply('event seed 7', 'content-event-seed')
+  for (let draw = 0; draw < 21 && !floodEvent; draw += 1) {
+    await apply('event draw alpha', `content-event-draw-${draw}`)
+    floodEvent = memoryStore.getSnapshot().world.events.active.find(event => event.type === 'flood_tide') || null
+  }
+  assert.ok(floodEvent, 'the extended deck should deal the pack event')
+  assert.deepEqual(floodEvent.mods, { unrest: 1, trade_reward_bonus: 1 })
+  assert.ok(memoryStore.getSnapshot().world.rumors.some(rumor => rumor.spawned_by_event_id === floodEvent.id && /pier ledgers/.test(rumor.text)))
+
+  const reloaded = createMemoryStore({ filePath }).getSnapshot().world
+  assert.ok(reloaded.projects.some(project => project.type === 'sea_wall'))
+  assert.ok(reloaded.salvageRuns.some(run => run.targetKey === 'sunken_barge'))
+  assert.ok(reloaded.events.active.some(event => event.type === 'flood_tide'))
+  assert.equal(reloaded.content.hash, bundle.hash)
+})
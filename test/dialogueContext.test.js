@@ -0,0 +1,97 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { createDialogueService } = require('../src/dialogue')
+const { buildDialogueWorldContext } = require('../src/dialogueContext')
+const { createExecutionStore } = require('../src/executionStore')
+const { createGodCommandService } = require('../src/godCommands')
+const { createMemoryStore } = require('../src/memory')
+
+function createWorld() {
+  return {
+    clock: { day: 5 },
+    majorMissions: [{ id: 'mm_alpha_1', townId: 'alpha', templateId: 'iron_siege', status: 'active', phase: 2 }],
+    rumors: [
+      { id: 'r1', town: 'alpha', text: 'Scouts saw torches past the ridge.', kind: 'grounded', severity: 1, starts_day: 4, expires_day: 8 },
+      { id: 'r2', town: 'alpha', text: 'The well water turned red.', kind: 'supernatural', severity: 3, starts_day: 4, expires_day: 8 },
+      { id: 'r3', town: 'beta', text: 'Not our town.', kind: 'grounded', severity: 5, starts_day: 4, expires_day: 8 }
+    ],
+    quests: [
+      { id: 'q1', town: 'alpha', state: 'offered', title: 'CONTRACT: Bread Basket', meta: { contract: true } },
+      { id: 'q2', town: 'alpha', state: 'completed', title: 'CONTRACT: Done', meta: { contract: true } }
+    ],
+    nether: { modifiers: { longNight: 2, omen: 0, scarcity: 1, threat: 0 } }
+  }
+}
+
+test('dialogue world context orders sections by priority and is deterministic', () => {
+  const input = {
+    agent: { name: 'Mara', town: 'alpha' },
+    world: createWorld(),
+    profile: { titles: ['Gatewarden'], traits: { courage: 3, greed: 1, faith: 2 }, rep: { pilgrims: 4, iron_pact: -6 } },
+    worldMemory: {
+      townSummary: { hope: 4, dread: 7, raidStatus: 'imminent', gateStatus: 'strained' },
+      recentChronicle: [{ message: 'The east wall held.' }]
+    }
+  }
+
+  const context = buildDialogueWorldContext(input)
+  assert.deepEqual(context.lines, [
+    'Home town: alpha.',
+    'Town pressure: hope 4, dread 7, raids imminent, gate strained.',
+    'Major mission: iron siege (active, phase 2).',
+    'Rumor (supernatural): The well water turned red.',
+    'Rumor (grounded): Scouts saw torches past the ridge.',
+    'Contract: CONTRACT: Bread Basket (offered).',
+    'Nether pressure: longNight 2, scarcity 1.',
+    'Your titles: Gatewarden.',
+    'Your traits: courage 3, greed 1, faith 2.',
+    'Your reputation: iron_pact -6, pilgrims 4.',
+    'Recently: The east wall held.'
+  ])
+  assert.equal(context.truncated, false)
+  assert.deepEqual(buildDialogueWorldContext(input), context)
+})
+
+test('dialogue world context drops lowest-priority lines past the token budget', () => {
+  const context = buildDialogueWorldContext({
+    agent: { name: 'Mara', town: 'alpha' },
+    world: createWorld(),
+    maxTokens: 25
+  })
+  assert.equal(context.truncated, true)
+  assert.ok(context.tokens <= 25)
+  assert.deepEqual(context.lines, [
+    'Home town: alpha.',
+    'Major mission: iron siege (active, phase 2).'
+  ])
+})
+
+test('dialogue prompt includes the agent home town context from the execution store', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mvp-dialogue-context-'))
+  const memoryStore = createMemoryStore({ filePath: path.join(dir, 'memory.json') })
+  const godCommandService = createGodCommandService({ memoryStore })
+  const executionStore = createExecutionStore({ memoryStore })
+  const agents = [{ name: 'Mara', faction: 'Pilgrims', applyGodCommand: () => {} }]
+  await godCommandService.applyGodCommand({ agents, command: 'mark add alpha_hall 0 64 0 town:alpha', operationId: 'ctx-town' })
+
+  const prompts = []
+  const service = createDialogueService({
+    memoryStore,
+    executionStore,
+    provider: {
+      name: 'capture',
+      generateTurn: async (request) => {
+        prompts.push(request.userPrompt)
+        return { say: 'Aye.', tone: 'calm', trust_delta: 0, memory_writes: [], proposed_actions: [] }
+      }
+    }
+  })
+
+  await service.generateDialogue({ name: 'Mara', role: 'Scout', faction: 'Pilgrims', mood: 'calm', trust: 3, combatState: 'peace', town: 'alpha' }, 'hello')
+  assert.match(prompts[0], /- Home town: alpha\./)
+  assert.match(prompts[0], /- Town pressure: hope \d+, dread \d+/)
+})
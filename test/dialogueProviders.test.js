@@ -0,0 +1,155 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { createDialogueService } = require('../src/dialogue')
+const {
+  createLocalDialogueProvider,
+  createScriptedDialogueProvider,
+  selectDialogueProvider
+} = require('../src/dialogueProviders')
+const { createMemoryStore } = require('../src/memory')
+
+function createAgent(overrides = {}) {
+  return { name: 'Mara', role: 'Scout', faction: 'Pilgrims', mood: 'calm', trust: 3, combatState: 'peace', town: 'alpha', ...overrides }
+}
+
+function createWorld() {
+  return {
+    clock: { day: 4, phase: 'day', season: 'dawn' },
+    moods: { byTown: { alpha: { fear: 6, unrest: 1, prosperity: 0 } } },
+    rumors: [
+      { id: 'r1', town: 'alpha', text: 'Lights move in the old mine.', kind: 'supernatural', severity: 2, starts_day: 3, expires_day: 6 },
+      { id: 'r2', town: 'beta', text: 'The ferry is cursed.', kind: 'supernatural', severity: 3, starts_day: 3, expires_day: 6 }
+    ],
+    majorMissions: []
+  }
+}
+
+test('scripted provider composes deterministic lines from mood, rumors and missions', async () => {
+  const provider = createScriptedDialogueProvider()
+  const world = createWorld()
+  const request = { agent: createAgent(), context: 'hello', world }
+
+  const first = await provider.generateTurn(request)
+  const second = await provider.generateTurn(request)
+  assert.deepEqual(first, second)
+  assert.equal(first.tone, 'calm')
+  assert.match(first.say, /Lights move in the old mine\.$/)
+
+  world.majorMissions = [{ id: 'mm1', townId: 'alpha', templateId: 'iron_siege', status: 'active' }]
+  const mission = await provider.generateTurn(request)
+  assert.match(mission.say, /iron siege/)
+
+  const fearful = await provider.generateTurn({
+    agent: createAgent({ combatState: 'war', town: 'gamma' }),
+    context: 'hello',
+    world: { ...createWorld(), moods: { byTown: { gamma: { fear: 1, unrest: 8, prosperity: 0 } } } }
+  })
+  assert.equal(fearful.tone, 'hostile')
+  assert.match(fearful.say, /gamma is restless/)
+})
+
+test('local provider posts chat completions and parses the json message', async () => {
+  const calls = []
+  const provider = createLocalDialogueProvider({
+    baseUrl: 'http://127.0.0.1:11434/v1/',
+    model: 'llama3',
+    requestTimeoutMs: 1000,
+    fetchImpl: async (url, init) => {
+      calls.push({ url, body: JSON.parse(init.body) })
+      return {
+        ok: true,
+        status: 200,
+        json: async () => ({ choices: [{ message: { content: JSON.stringify({ say: 'Aye.', tone: 'proud' }) } }] })
+      }
+    }
+  })
+
+  const turn = await provider.generateTurn({
+    agent: createAgent(),
+    context: 'hi',
+    world: {},
+    systemPrompt: 'sys',
+    userPrompt: 'user',
+    jsonSchema: { name: 'NpcTurn', schema: {} }
+  })
+  assert.deepEqual(turn, { say: 'Aye.', tone: 'proud' })
+  assert.equal(calls[0].url, 'http://127.0.0.1:11434/v1/chat/completions')
+  assert.equal(calls[0].body.model, 'llama3')
+  assert.equal(calls[0].body.response_format.json_schema.name, 'NpcTurn')
+})
+
+test('local provider aborts the request when the response body stalls past the deadline', async () => {
+  let signal = null
+  const provider = createLocalDialogueProvider({
+    baseUrl: 'http://127.0.0.1:11434/v1',
+    model: 'llama3',
+    requestTimeoutMs: 20,
+    fetchImpl: async (url, init) => {
+      signal = init.signal
+      return {
+        ok: true,
+        status: 200,
+        json: () => new Promise((resolve, reject) => {
+          init.signal.addEventListener('abort', () => reject(new Error('aborted')))
+        })
+      }
+    }
+  })
+
+  await assert.rejects(provider.generateTurn({
+    agent: createAgent(),
+    context: 'hi',
+    world: {},
+    systemPrompt: 'sys',
+    userPrompt: 'user',
+    jsonSchema: { name: 'NpcTurn', schema: {} }
+  }), /dialogue_request_timeout/)
+  assert.equal(signal.aborted, true)
+})
+
+test('dialogue provider selection follows DIALOGUE_PROVIDER and rejects unknown names', () => {
+  const base = { model: 'm', requestTimeoutMs: 1000 }
+  assert.equal(selectDialogueProvider({ ...base, env: {} }), null)
+  assert.equal(selectDialogueProvider({ ...base, env: { DIALOGUE_PROVIDER: 'scripted' } }).name, 'scripted')
+  assert.equal(selectDialogueProvider({ ...base, env: { DIALOGUE_PROVIDER: 'local', DIALOGUE_LOCAL_URL: 'http://x/v1' } }).name, 'local')
+  assert.equal(selectDialogueProvider({ ...base, env: { DIALOGUE_PROVIDER: 'openai' }, openaiClient: null }), null)
+  assert.throws(() => selectDialogueProvider({ ...base, env: { DIALOGUE_PROVIDER: 'local' } }), /DIALOGUE_LOCAL_URL/)
+  assert.throws(() => selectDialogueProvider({ ...base, env: { DIALOGUE_PROVIDER: 'oracle' } }), /Unknown DIALOGUE_PROVIDER/)
+})
+
+test('dialogue service passes provider output through sanitizeTurn', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mvp-dialogue-'))
+  const memoryStore = createMemoryStore({ filePath: path.join(dir, 'memory.json') })
+  const service = createDialogueService({
+    memoryStore,
+    provider: {
+      name: 'stub',
+      generateTurn: async () => ({
+        say: '  Keep moving.  ',
+        tone: 'smug',
+        trust_delta: 7,
+        memory_writes: [{ scope: 'bad', text: 'x', importance: 1 }],
+        proposed_actions: [{ type: 'burn_town', target: 'alpha', confidence: 1, reason: 'x' }]
+      })
+    }
+  })
+
+  const turn = await service.generateDialogue(createAgent(), 'hello')
+  assert.equal(service.providerName, 'stub')
+  assert.equal(turn.say, 'Keep moving.')
+  assert.equal(turn.tone, 'wary')
+  assert.equal(turn.trust_delta, 2)
+  assert.deepEqual(turn.memory_writes, [])
+  assert.equal(turn.proposed_actions[0].type, 'none')
+
+  const failing = createDialogueService({
+    memoryStore,
+    provider: { name: 'broken', generateTurn: async () => { throw new Error('offline') } },
+    logger: { info() {}, errorWithStack() {} }
+  })
+  assert.equal((await failing.generateDialogue(createAgent(), 'hello')).say, 'Speak.')
+})
@@ -0,0 +1,93 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const {
+  ENGINE_EVENT_TYPE,
+  createEngineEventChannel,
+  isValidEngineEvent,
+  parseEngineEventLine
+} = require('../src/engineEvents')
+
+test('engine event channel writes sequenced engine-event.v1 lines that parse back', () => {
+  const lines = []
+  const channel = createEngineEventChannel({ write: line => lines.push(line) })
+
+  channel.emit('agent_say', { agent: 'Mara', message: 'Hold the gate.' })
+  channel.emit('loop_intent', { agent: 'Eli', intent: 'wander', direction: 'north', target: null })
+
+  assert.equal(lines.length, 2)
+  assert.equal(lines.every(line => line.endsWith('\n')), true)
+  const events = lines.map(parseEngineEventLine)
+  assert.deepEqual(events.map(event => [event.type, event.seq, event.kind]), [
+    [ENGINE_EVENT_TYPE, 1, 'agent_say'],
+    [ENGINE_EVENT_TYPE, 2, 'loop_intent']
+  ])
+  assert.deepEqual(events[0].payload, { agent: 'Mara', message: 'Hold the gate.' })
+  assert.throws(() => channel.emit('mystery', {}), /Unknown engine event kind/)
+})
+
+test('engine event parsing rejects non-protocol lines', () => {
+  assert.equal(parseEngineEventLine('Mara: hello'), null)
+  assert.equal(parseEngineEventLine('{not json'), null)
+  assert.equal(parseEngineEventLine(JSON.stringify({ type: ENGINE_EVENT_TYPE, schemaVersion: 2, seq: 1, kind: 'roster', payload: {} })), null)
+  assert.equal(isValidEngineEvent({ type: ENGINE_EVENT_TYPE, schemaVersion: 1, seq: 1, kind: 'roster', payload: [] }), false)
+  assert.equal(isValidEngineEvent({ type: ENGINE_EVENT_TYPE, schemaVersion: 1, seq: 0, kind: 'roster', payload: {} }), false)
+})
+
+test('engine event channel is a no-op without a sink and disables itself on write failure', () => {
+  const idle = createEngineEventChannel()
+  assert.equal(idle.isEnabled(), false)
+  assert.equal(idle.emit('roster', { agents: [] }), null)
+
+  const warnings = []
+  let calls = 0
+  const channel = createEngineEventChannel({
+    write: () => {
+      calls += 1
+      throw Object.assign(new Error('write EPIPE'), { code: 'EPIPE' })
+    },
+    logger: { warn: (event, meta) => warnings.push({ event, meta }) }
+  })
+  assert.equal(channel.emit('roster', { agents: [] }), null)
+  assert.equal(channel.isEnabled(), false)
+  assert.equal(channel.emit('roster', { agents: [] }), null)
+  assert.equal(calls, 1)
+  assert.equal(warnings[0].event, 'engine_event_channel_closed')
+})
+
+test('engine event channel retries a busy pipe and keeps emitting after a transient failure', () => {
+  const written = []
+  let busy = 2
+  const fsModule = {
+    writeSync: (fd, buffer, offset, length) => {
+      if (busy > 0) {
+        busy -= 1
+        throw Object.assign(new Error('write EAGAIN'), { code: 'EAGAIN' })
+      }
+      // Take at most 10 bytes per call, as a nearly full pipe would.
+      const taken = Math.min(length, 10)
+      written.push(buffer.subarray(offset, offset + taken).toString('utf-8'))
+      return taken
+    }
+  }
+  const channel = createEngineEventChannel({ fd: 3, fsModule })
+  const event = channel.emit('roster', { agents: ['Mara'] })
+  assert.equal(event.seq, 1)
+  assert.deepEqual(parseEngineEventLine(written.join('')), event)
+
+  const warnings = []
+  let failures = 1
+  const flaky = createEngineEventChannel({
+    write: () => {
+      if (failures > 0) {
+        failures -= 1
+        throw Object.assign(new Error('write EAGAIN'), { code: 'EAGAIN' })
+      }
+    },
+    logger: { warn: (name, meta) => warnings.push({ name, meta }) }
+  })
+  assert.equal(flaky.emit('roster', { agents: [] }), null)
+  assert.equal(flaky.isEnabled(), true)
+  assert.equal(flaky.emit('roster', { agents: [] }).seq, 2)
+  assert.deepEqual(warnings.map(warning => warning.name), ['engine_event_dropped_write_failed'])
+})
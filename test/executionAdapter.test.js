@@ -8,7 +8,7 @@ const assert = require('node:assert/strict')
 const { createExecutionAdapter, isValidExecutionResult, parseExecutionHandoffLine } = require('../src/executionAdapter')
 const { createGodCommandService } = require('../src/godCommands')
 const { createMemoryStore } = require('../src/memory')
-const { createAuthoritativeSnapshotProjection } = require('../src/worldSnapshotProjection')
+const { createAuthoritativeSnapshotProjection, createScopedSnapshotHash } = require('../src/worldSnapshotProjection')
 
 function createStoreContext() {
   const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mvp-execution-adapter-'))
@@ -482,6 +482,322 @@ test('execution adapter classifies decision-epoch drift as stale before applying
   assert.equal(memoryStore.getSnapshot().world.execution.history.length, before.world.execution.history.length + 1)
 })
 
+test('execution adapter rejects handoffs whose declared preconditions fail against the snapshot', async () => {
+  const { memoryStore } = createStoreContext()
+  const service = createGodCommandService({ memoryStore })
+  const executionAdapter = createExecutionAdapter({ memoryStore, godCommandService: service })
+  const agents = createAgents()
+
+  await service.applyGodCommand({
+    agents,
+    command: 'mark add alpha_hall 0 64 0 town:alpha',
+    operationId: 'execution-adapter-declared-seed-town'
+  })
+  await service.applyGodCommand({
+    agents,
+    command: 'project start alpha lantern_line',
+    operationId: 'execution-adapter-declared-seed-project'
+  })
+  const world = memoryStore.getSnapshot().world
+  const project = world.projects[0]
+  const town = createAuthoritativeSnapshotProjection(memoryStore.recallWorld()).snapshot.towns.alpha
+
+  const rejected = await executionAdapter.executeHandoff({
+    handoff: createHandoff({
+      proposalType: 'PROJECT_ADVANCE',
+      command: `project advance alpha ${project.id}`,
+      args: { projectId: project.id },
+      snapshotHash: snapshotHashForStore(memoryStore),
+      preconditions: [
+        { kind: 'project_exists', targetId: project.id },
+        { kind: 'town_hope_at_least', value: town.hope + 1 },
+        { kind: 'stockpile_at_least', townId: 'alpha', key: 'food', value: town.stockpiles.food },
+        { kind: 'stockpile_at_least', key: 'gold', value: 1 },
+        { kind: 'project_status_is', projectId: project.id, value: 'completed' },
+        { kind: 'mission_phase_is', value: 1 },
+        { kind: 'town_dread_at_most', townId: 'nowhere', value: 10 }
+      ]
+    }),
+    agents
+  })
+
+  assert.equal(rejected.status, 'rejected')
+  assert.equal(rejected.reasonCode, 'PRECONDITION_FAILED')
+  assert.equal(isValidExecutionResult(rejected), true)
+  assert.deepEqual(rejected.evaluation.preconditions.failures, [
+    { kind: 'town_hope_at_least', detail: `Town alpha hope ${town.hope} is below ${town.hope + 1}.` },
+    { kind: 'stockpile_at_least', detail: 'Unknown stockpile: gold' },
+    { kind: 'project_status_is', detail: `Project ${project.id} is ${project.status}, not completed.` },
+    { kind: 'mission_phase_is', detail: 'No major mission active for alpha.' },
+    { kind: 'town_dread_at_most', detail: 'Unknown authoritative town: nowhere' }
+  ])
+  assert.equal(memoryStore.getSnapshot().world.projects[0].stage, project.stage)
+
+  const executed = await executionAdapter.executeHandoff({
+    handoff: createHandoff({
+      proposalType: 'PROJECT_ADVANCE',
+      command: `project advance alpha ${project.id}`,
+      args: { projectId: project.id },
+      actorId: 'eli',
+      snapshotHash: snapshotHashForStore(memoryStore),
+      preconditions: [
+        { kind: 'town_hope_at_least', value: town.hope },
+        { kind: 'project_status_is', projectId: project.id, value: project.status }
+      ]
+    }),
+    agents
+  })
+  assert.equal(executed.status, 'executed')
+  assert.equal(executed.evaluation.preconditions.passed, true)
+})
+
+test('execution adapter judges staleness against the declared scope slice only', async () => {
+  const { memoryStore } = createStoreContext()
+  const service = createGodCommandService({ memoryStore })
+  const executionAdapter = createExecutionAdapter({ memoryStore, godCommandService: service })
+  const agents = createAgents()
+  const apply = (command, operationId) => service.applyGodCommand({ agents, command, operationId })
+
+  await apply('mark add alpha_hall 0 64 0 town:alpha', 'execution-adapter-scope-seed-alpha')
+  await apply('mark add beta_hall 100 64 0 town:beta', 'execution-adapter-scope-seed-beta')
+  await apply('project start alpha lantern_line', 'execution-adapter-scope-seed-project')
+  const projectId = memoryStore.getSnapshot().world.projects[0].id
+  const plannedProjection = createAuthoritativeSnapshotProjection(memoryStore.recallWorld())
+  const scope = { townId: 'alpha' }
+  const scopeHash = createScopedSnapshotHash(plannedProjection.snapshot, scope)
+  const scopedHandoff = (actorId) => {
+    const handoff = createHandoff({
+      proposalType: 'PROJECT_ADVANCE',
+      command: `project advance alpha ${projectId}`,
+      args: { projectId },
+      actorId,
+      snapshotHash: plannedProjection.snapshotHash
+    })
+    handoff.executionRequirements.scope = scope
+    handoff.executionRequirements.expectedScopeHash = scopeHash
+    return handoff
+  }
+
+  const missingHash = scopedHandoff('mara')
+  delete missingHash.executionRequirements.expectedScopeHash
+  assert.equal(parseExecutionHandoffLine(JSON.stringify(missingHash)), null)
+
+  // Beta moves: the global hash drifts but alpha's slice does not.
+  await apply('threat set beta 40', 'execution-adapter-scope-beta-threat')
+  const unscoped = await executionAdapter.executeHandoff({
+    handoff: createHandoff({
+      proposalType: 'PROJECT_ADVANCE',
+      command: `project advance alpha ${projectId}`,
+      args: { projectId },
+      actorId: 'eli',
+      snapshotHash: plannedProjection.snapshotHash
+    }),
+    agents
+  })
+  assert.equal(unscoped.reasonCode, 'STALE_SNAPSHOT_HASH')
+
+  const scoped = await executionAdapter.executeHandoff({ handoff: scopedHandoff('mara'), agents })
+  assert.equal(scoped.status, 'executed')
+  assert.deepEqual(scoped.evaluation.staleCheck.scope, scope)
+  assert.equal(scoped.evaluation.staleCheck.actualScopeHash, scopeHash)
+  assert.equal(isValidExecutionResult(scoped), true)
+
+  // Alpha itself has now moved, so the same slice hash is stale.
+  const stale = await executionAdapter.executeHandoff({ handoff: scopedHandoff('scout'), agents })
+  assert.equal(stale.status, 'stale')
+  assert.equal(stale.reasonCode, 'STALE_SCOPE_HASH')
+  assert.notEqual(stale.evaluation.staleCheck.actualScopeHash, scopeHash)
+})
+
+test('execution adapter rejects a declared scope that misses the proposal target', async () => {
+  const { memoryStore } = createStoreContext()
+  const service = createGodCommandService({ memoryStore })
+  const executionAdapter = createExecutionAdapter({ memoryStore, godCommandService: service })
+  const agents = createAgents()
+  const apply = (command, operationId) => service.applyGodCommand({ agents, command, operationId })
+
+  await apply('mark add alpha_hall 0 64 0 town:alpha', 'execution-adapter-scope-cover-alpha')
+  await apply('mark add beta_hall 100 64 0 town:beta', 'execution-adapter-scope-cover-beta')
+  await apply('project start alpha lantern_line', 'execution-adapter-scope-cover-project-alpha')
+  await apply('project start beta lantern_line', 'execution-adapter-scope-cover-project-beta')
+  const [alphaProject, betaProject] = ['alpha', 'beta']
+    .map((townId) => memoryStore.getSnapshot().world.projects.find((entry) => entry.townId === townId).id)
+  const projection = createAuthoritativeSnapshotProjection(memoryStore.recallWorld())
+  const run = (scope, projectId, actorId) => {
+    const handoff = createHandoff({
+      proposalType: 'PROJECT_ADVANCE',
+      command: `project advance alpha ${projectId}`,
+      args: { projectId },
+      actorId,
+      snapshotHash: projection.snapshotHash
+    })
+    handoff.executionRequirements.scope = scope
+    handoff.executionRequirements.expectedScopeHash = createScopedSnapshotHash(projection.snapshot, scope)
+    return executionAdapter.executeHandoff({ handoff, agents })
+  }
+
+  const otherTown = await run({ townId: 'beta' }, alphaProject, 'mara')
+  assert.deepEqual([otherTown.status, otherTown.reasonCode], ['rejected', 'PRECONDITION_FAILED'])
+  assert.deepEqual(otherTown.evaluation.preconditions.failures, [
+    { kind: 'scope_covers_target', detail: `Declared scope does not cover town alpha, project ${alphaProject}.` }
+  ])
+
+  const projectOnly = await run({ projectId: alphaProject }, alphaProject, 'eli')
+  assert.deepEqual(projectOnly.evaluation.preconditions.failures, [
+    { kind: 'scope_covers_target', detail: 'Declared scope does not cover town alpha.' }
+  ])
+
+  const foreignProject = await run({ townId: 'alpha' }, betaProject, 'scout')
+  assert.equal(foreignProject.reasonCode, 'PRECONDITION_FAILED')
+  assert.deepEqual(foreignProject.evaluation.preconditions.failures, [
+    { kind: 'scope_covers_target', detail: `Declared scope does not cover project ${betaProject}.` }
+  ])
+  assert.deepEqual(memoryStore.getSnapshot().world.projects.map((entry) => entry.stage), projection.snapshot.projects.map((entry) => entry.stage))
+})
+
+test('a town scope slice moves with the town markets, quests and their traders\' balances', async () => {
+  const { memoryStore } = createStoreContext()
+  const service = createGodCommandService({ memoryStore })
+  const agents = createAgents()
+  const apply = (command, operationId) => service.applyGodCommand({ agents, command, operationId })
+  const alphaHash = () => createScopedSnapshotHash(
+    createAuthoritativeSnapshotProjection(memoryStore.recallWorld()).snapshot,
+    { townId: 'alpha' }
+  )
+
+  await apply('mark add alpha_hall 0 64 0 town:alpha', 'scope-slice-alpha')
+  await apply('mark add beta_hall 100 64 0 town:beta', 'scope-slice-beta')
+  await apply('market add bazaar alpha_hall', 'scope-slice-bazaar')
+  await apply('market add docks beta_hall', 'scope-slice-docks')
+
+  let before = alphaHash()
+  await apply('offer add docks Mara sell 4 3', 'scope-slice-beta-offer')
+  assert.equal(alphaHash(), before)
+
+  await apply('offer add bazaar Mara sell 4 3', 'scope-slice-alpha-offer')
+  assert.notEqual(alphaHash(), before)
+
+  before = alphaHash()
+  await apply('quest offer alpha trade_n 2 bazaar 7', 'scope-slice-alpha-quest')
+  assert.notEqual(alphaHash(), before)
+
+  // Eli has no offer or quest in alpha; Mara trades at the bazaar.
+  before = alphaHash()
+  await apply('mint Eli 20', 'scope-slice-mint-eli')
+  assert.equal(alphaHash(), before)
+  await apply('mint Mara 5', 'scope-slice-mint-mara')
+  assert.notEqual(alphaHash(), before)
+})
+
+test('a trade in another town leaves a town-scoped handoff fresh', async () => {
+  const { memoryStore } = createStoreContext()
+  const service = createGodCommandService({ memoryStore })
+  const executionAdapter = createExecutionAdapter({ memoryStore, godCommandService: service })
+  const agents = createAgents()
+  const apply = (command, operationId) => service.applyGodCommand({ agents, command, operationId })
+
+  await apply('mark add alpha_hall 0 64 0 town:alpha', 'scope-trade-alpha')
+  await apply('mark add beta_hall 100 64 0 town:beta', 'scope-trade-beta')
+  await apply('market add docks beta_hall', 'scope-trade-docks')
+  await apply('project start alpha lantern_line', 'scope-trade-project')
+  await apply('mint Mara 20', 'scope-trade-mint')
+  const projectId = memoryStore.getSnapshot().world.projects[0].id
+  const planned = createAuthoritativeSnapshotProjection(memoryStore.recallWorld())
+  const scope = { townId: 'alpha' }
+
+  await apply('offer add docks Eli sell 4 3', 'scope-trade-offer')
+  const offerId = memoryStore.getSnapshot().world.markets[0].offers[0].offer_id
+  const traded = await apply(`trade docks ${offerId} Mara 2`, 'scope-trade-fill')
+  assert.equal(traded.applied, true)
+
+  const handoff = createHandoff({
+    proposalType: 'PROJECT_ADVANCE',
+    command: `project advance alpha ${projectId}`,
+    args: { projectId },
+    snapshotHash: planned.snapshotHash
+  })
+  handoff.executionRequirements.scope = scope
+  handoff.executionRequirements.expectedScopeHash = createScopedSnapshotHash(planned.snapshot, scope)
+  const result = await executionAdapter.executeHandoff({ handoff, agents })
+  assert.deepEqual([result.status, result.reasonCode], ['executed', 'EXECUTED'])
+})
+
+test('execution adapter translates market, quest, rumor and salvage proposals into god commands', async () => {
+  const { memoryStore } = createStoreContext()
+  const service = createGodCommandService({ memoryStore })
+  const executionAdapter = createExecutionAdapter({ memoryStore, godCommandService: service })
+  const agents = createAgents()
+  const apply = (command, operationId) => service.applyGodCommand({ agents, command, operationId })
+  const run = (proposalType, args, actorId = 'mara') => executionAdapter.executeHandoff({
+    handoff: createHandoff({
+      proposalType,
+      command: proposalType.toLowerCase(),
+      args,
+      actorId,
+      snapshotHash: snapshotHashForStore(memoryStore)
+    }),
+    agents
+  })
+
+  await apply('mark add alpha_hall 0 64 0 town:alpha', 'execution-adapter-plane-seed-town')
+  await apply('market add bazaar alpha_hall', 'execution-adapter-plane-seed-market')
+  await apply('mint Eli 20', 'execution-adapter-plane-seed-mint')
+  await apply('quest offer alpha trade_n 2 bazaar 7', 'execution-adapter-plane-seed-quest')
+  await apply('rumor spawn alpha grounded 2 missing_goods 2', 'execution-adapter-plane-seed-rumor')
+  await apply('salvage plan alpha no_mans_land_scrap', 'execution-adapter-plane-seed-salvage')
+
+  const posted = await run('OFFER_POST', { marketName: 'Bazaar', owner: 'Mara', side: 'sell', amount: 10, price: 2 })
+  assert.equal(posted.status, 'executed')
+  assert.deepEqual(posted.authorityCommands, ['offer add bazaar Mara sell 10 2'])
+  const offerId = memoryStore.getSnapshot().world.markets[0].offers[0].offer_id
+
+  const traded = await run('TRADE_EXECUTE', { marketName: 'bazaar', offerId, buyer: 'Eli', amount: 3 })
+  assert.equal(traded.status, 'executed')
+  assert.deepEqual(traded.authorityCommands, [`trade bazaar ${offerId} Eli 3`])
+  assert.equal(memoryStore.getSnapshot().world.economy.ledger.Eli, 14)
+
+  const world = memoryStore.getSnapshot().world
+  const quest = world.quests[0]
+  const rumor = world.rumors[0]
+  const salvageRun = world.salvageRuns[0]
+  const rejected = []
+  for (const [proposalType, args] of [
+    ['TRADE_EXECUTE', { marketName: 'bazaar', offerId, buyer: 'Eli', amount: 99 }],
+    ['CONTRACT_ACCEPT', { questId: quest.id }],
+    ['QUEST_COMPLETE', { questId: quest.id }],
+    ['DECISION_CHOOSE', { decisionId: 'missing', optionKey: 'a' }],
+    ['SALVAGE_RESOLVE', { runId: salvageRun.id, outcomeKey: 'perfect' }],
+    ['OFFER_POST', { marketName: 'nowhere', side: 'barter', amount: 1, price: 0 }]
+  ]) {
+    rejected.push(await run(proposalType, args))
+  }
+  assert.ok(rejected.every(result => result.status === 'rejected' && result.reasonCode === 'PRECONDITION_FAILED'))
+  assert.deepEqual(rejected.map(result => result.evaluation.preconditions.failures.map(failure => failure.kind)), [
+    ['trade_args_valid'],
+    ['contract_exists'],
+    ['quest_state_valid'],
+    ['decision_exists'],
+    ['salvage_outcome_supported'],
+    ['market_exists', 'offer_args_valid']
+  ])
+
+  const accepted = await run('QUEST_ACCEPT', { questId: quest.id }, 'eli')
+  assert.deepEqual(accepted.authorityCommands, [`quest accept eli ${quest.id}`])
+  assert.equal(memoryStore.getSnapshot().world.quests[0].owner, 'Eli')
+
+  const resolvedRumor = await run('RUMOR_RESOLVE', { rumorId: rumor.id, questId: quest.id })
+  assert.deepEqual(resolvedRumor.authorityCommands, [`rumor resolve ${rumor.id} ${quest.id}`])
+  assert.equal(memoryStore.getSnapshot().world.rumors[0].resolved_by_quest_id, quest.id)
+  const repeatedRumor = await run('RUMOR_RESOLVE', { rumorId: rumor.id, questId: quest.id }, 'eli')
+  assert.equal(repeatedRumor.evaluation.preconditions.failures[0].kind, 'rumor_not_resolved_by_quest')
+
+  const salvaged = await run('SALVAGE_RESOLVE', { runId: salvageRun.id, outcomeKey: 'secure' })
+  assert.equal(salvaged.status, 'executed')
+  assert.deepEqual(salvaged.authorityCommands, [`salvage resolve alpha ${salvageRun.id} secure`])
+  assert.equal(memoryStore.getSnapshot().world.salvageRuns[0].status, 'resolved')
+  assert.equal(isValidExecutionResult(salvaged), true)
+})
+
 test('execution adapter classifies replayed handoffs as duplicate using durable execution history', async () => {
   const { filePath, memoryStore } = createStoreContext()
   const service = createGodCommandService({ memoryStore })
@@ -0,0 +1,230 @@
+const crypto = require('crypto')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const {
+  createExecutionAdapter,
+  isValidExecutionBundleResult,
+  parseExecutionBundleLine
+} = require('../src/executionAdapter')
+const { createExecutionStore } = require('../src/executionStore')
+const { createGodCommandService } = require('../src/godCommands')
+const { createMemoryStore } = require('../src/memory')
+const { createAuthoritativeSnapshotProjection } = require('../src/worldSnapshotProjection')
+
+function buildId(prefix, payload) {
+  return `${prefix}_${crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex')}`
+}
+
+function createEngine(adapterOverrides = {}) {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mvp-execution-bundle-')), 'memory.json')
+  const memoryStore = createMemoryStore({ filePath })
+  const godCommandService = createGodCommandService({ memoryStore })
+  const executionStore = createExecutionStore({ memoryStore })
+  const executionAdapter = createExecutionAdapter({ memoryStore, executionStore, godCommandService, ...adapterOverrides })
+  const agents = [
+    { name: 'Mara', faction: 'Pilgrims', applyGodCommand: () => {} },
+    { name: 'Eli', faction: 'Pilgrims', applyGodCommand: () => {} }
+  ]
+  const apply = (command, operationId) => godCommandService.applyGodCommand({ agents, command, operationId })
+  return { filePath, memoryStore, executionAdapter, agents, apply }
+}
+
+function createHandoff({ proposalType, args, snapshotHash, decisionEpoch = 1, preconditions = [] }) {
+  const proposalId = buildId('proposal', { proposalType, args, decisionEpoch })
+  return {
+    schemaVersion: 'execution-handoff.v1',
+    handoffId: buildId('handoff', { proposalId }),
+    advisory: true,
+    proposalId,
+    idempotencyKey: proposalId,
+    snapshotHash,
+    decisionEpoch,
+    proposal: {
+      schemaVersion: 'proposal.v2',
+      proposalId,
+      snapshotHash,
+      decisionEpoch,
+      type: proposalType,
+      actorId: 'mara',
+      townId: 'alpha',
+      priority: 0.9,
+      reason: 'Bundle test.',
+      reasonTags: ['test'],
+      args
+    },
+    command: proposalType.toLowerCase(),
+    executionRequirements: {
+      expectedSnapshotHash: snapshotHash,
+      expectedDecisionEpoch: decisionEpoch,
+      preconditions
+    }
+  }
+}
+
+function createBundle(memoryStore, members, idempotencyKey = 'bundle-key') {
+  const snapshotHash = createAuthoritativeSnapshotProjection(memoryStore.recallWorld()).snapshotHash
+  const handoffs = members.map((member) => createHandoff({ ...member, snapshotHash }))
+  return {
+    schemaVersion: 'execution-bundle.v1',
+    bundleId: buildId('bundle', { idempotencyKey, handoffs: handoffs.map(handoff => handoff.handoffId) }),
+    advisory: true,
+    idempotencyKey,
+    snapshotHash,
+    decisionEpoch: 1,
+    handoffs
+  }
+}
+
+async function seedWorld(apply) {
+  await apply('mark add alpha_hall 0 64 0 town:alpha', 'bundle-seed-town')
+  await apply('market add bazaar alpha_hall', 'bundle-seed-market')
+  await apply('project start alpha lantern_line', 'bundle-seed-project')
+  await apply('salvage plan alpha no_mans_land_scrap', 'bundle-seed-salvage')
+}
+
+test('execution-bundle lines parse only when every member shares the bundle snapshot', () => {
+  const memoryStore = createMemoryStore({ filePath: path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mvp-execution-bundle-')), 'memory.json') })
+  const bundle = createBundle(memoryStore, [
+    { proposalType: 'PROJECT_ADVANCE', args: { projectId: 'p-1' } },
+    { proposalType: 'SALVAGE_RESOLVE', args: { runId: 'r-1', outcomeKey: 'secure' } }
+  ])
+  assert.deepEqual(parseExecutionBundleLine(JSON.stringify(bundle)), bundle)
+  assert.equal(parseExecutionBundleLine(JSON.stringify(bundle.handoffs[0])), null)
+  assert.equal(parseExecutionBundleLine(JSON.stringify({ ...bundle, handoffs: [] })), null)
+  assert.equal(parseExecutionBundleLine(JSON.stringify({ ...bundle, handoffs: [bundle.handoffs[0], bundle.handoffs[0]] })), null)
+  assert.equal(parseExecutionBundleLine(JSON.stringify({ ...bundle, snapshotHash: 'b'.repeat(64) })), null)
+  assert.equal(parseExecutionBundleLine(JSON.stringify({ ...bundle, idempotencyKey: bundle.handoffs[1].idempotencyKey })), null)
+})
+
+test('execution bundles apply every member in one transaction and replay as duplicates', async () => {
+  const { filePath, memoryStore, executionAdapter, agents, apply } = createEngine()
+  await seedWorld(apply)
+  const world = memoryStore.getSnapshot().world
+  const project = world.projects[0]
+  const salvageRun = world.salvageRuns[0]
+
+  const bundle = createBundle(memoryStore, [
+    { proposalType: 'PROJECT_ADVANCE', args: { projectId: project.id } },
+    { proposalType: 'SALVAGE_RESOLVE', args: { runId: salvageRun.id, outcomeKey: 'secure' } },
+    { proposalType: 'OFFER_POST', args: { marketName: 'bazaar', owner: 'Mara', side: 'sell', amount: 4, price: 3 } }
+  ])
+  const result = await executionAdapter.executeBundle({ bundle, agents })
+  assert.equal(result.type, 'execution-bundle-result.v1')
+  assert.equal(isValidExecutionBundleResult(result), true)
+  assert.deepEqual([result.status, result.reasonCode, result.accepted, result.executed], ['executed', 'EXECUTED', true, true])
+  assert.deepEqual(result.outcomes.map(outcome => [outcome.proposalType, outcome.status]), [
+    ['PROJECT_ADVANCE', 'executed'],
+    ['SALVAGE_RESOLVE', 'executed'],
+    ['OFFER_POST', 'executed']
+  ])
+  assert.deepEqual(result.authorityCommands, [
+    `project advance alpha ${project.id}`,
+    `salvage resolve alpha ${salvageRun.id} secure`,
+    'offer add bazaar Mara sell 4 3'
+  ])
+
+  const reloaded = createMemoryStore({ filePath }).getSnapshot().world
+  assert.equal(reloaded.projects[0].stage, project.stage + 1)
+  assert.equal(reloaded.salvageRuns[0].status, 'resolved')
+  assert.equal(reloaded.markets[0].offers.length, 1)
+  assert.equal(reloaded.execution.history.filter(receipt => receipt.handoffId === bundle.bundleId).length, 1)
+  assert.equal(result.worldState.postExecutionSnapshotHash, createAuthoritativeSnapshotProjection(reloaded).snapshotHash)
+
+  const replay = await executionAdapter.executeBundle({ bundle: { ...bundle, bundleId: buildId('bundle', 'other') }, agents })
+  assert.deepEqual([replay.status, replay.reasonCode, replay.evaluation.duplicateCheck.duplicateOf], ['duplicate', 'DUPLICATE_BUNDLE', result.executionId])
+  assert.ok(replay.outcomes.every(outcome => outcome.status === 'duplicate'))
+  assert.equal(memoryStore.getSnapshot().world.projects[0].stage, project.stage + 1)
+})
+
+test('a member of an executed bundle submitted on its own replays as a duplicate', async () => {
+  const { memoryStore, executionAdapter, agents, apply } = createEngine()
+  await seedWorld(apply)
+  const project = memoryStore.getSnapshot().world.projects[0]
+  const bundle = createBundle(memoryStore, [
+    { proposalType: 'PROJECT_ADVANCE', args: { projectId: project.id } },
+    { proposalType: 'OFFER_POST', args: { marketName: 'bazaar', owner: 'Mara', side: 'sell', amount: 4, price: 3 } }
+  ], 'member-key')
+  const result = await executionAdapter.executeBundle({ bundle, agents })
+  assert.equal(result.status, 'executed')
+
+  for (const handoff of bundle.handoffs) {
+    const lone = await executionAdapter.executeHandoff({ handoff, agents })
+    assert.deepEqual([lone.status, lone.reasonCode], ['duplicate', 'DUPLICATE_HANDOFF'])
+    const receipt = memoryStore.getSnapshot().world.execution.history.find(entry => entry.handoffId === handoff.handoffId)
+    assert.deepEqual([receipt.status, lone.evaluation.duplicateCheck.duplicateOf], ['executed', receipt.executionId])
+  }
+  const world = memoryStore.getSnapshot().world
+  assert.equal(world.projects[0].stage, project.stage + 1)
+  assert.equal(world.markets[0].offers.length, 1)
+})
+
+test('a refused or failing member aborts the whole bundle without partial writes', async () => {
+  const { memoryStore, executionAdapter, agents, apply } = createEngine()
+  await seedWorld(apply)
+  await apply('offer add bazaar Mara sell 5 10', 'bundle-seed-offer')
+  const before = memoryStore.getSnapshot().world
+  const project = before.projects[0]
+  const offerId = before.markets[0].offers[0].offer_id
+
+  // Eli has no funds: the trade passes the snapshot checks but the engine refuses it after the project step ran.
+  const refused = await executionAdapter.executeBundle({
+    bundle: createBundle(memoryStore, [
+      { proposalType: 'PROJECT_ADVANCE', args: { projectId: project.id } },
+      { proposalType: 'TRADE_EXECUTE', args: { marketName: 'bazaar', offerId, buyer: 'Eli', amount: 2 } }
+    ], 'refused-key'),
+    agents
+  })
+  assert.equal(isValidExecutionBundleResult(refused), true)
+  assert.deepEqual([refused.status, refused.reasonCode], ['rejected', 'INSUFFICIENT_FUNDS'])
+  assert.deepEqual(refused.outcomes.map(outcome => outcome.reasonCode), ['BUNDLE_ABORTED', 'INSUFFICIENT_FUNDS'])
+  assert.deepEqual(refused.outcomes[1].failures, [
+    { kind: 'engine_rejected', detail: `trade bazaar ${offerId} Eli 2: Insufficient funds.` }
+  ])
+  const afterRefusal = memoryStore.getSnapshot().world
+  assert.equal(afterRefusal.projects[0].stage, project.stage)
+  assert.equal(afterRefusal.execution.pending.length, 0)
+
+  const rejected = await executionAdapter.executeBundle({
+    bundle: createBundle(memoryStore, [
+      { proposalType: 'PROJECT_ADVANCE', args: { projectId: project.id } },
+      { proposalType: 'SALVAGE_RESOLVE', args: { runId: 'missing', outcomeKey: 'secure' } }
+    ], 'precondition-key'),
+    agents
+  })
+  assert.deepEqual([rejected.status, rejected.reasonCode], ['rejected', 'PRECONDITION_FAILED'])
+  assert.deepEqual(rejected.outcomes.map(outcome => [outcome.status, outcome.reasonCode]), [
+    ['rejected', 'BUNDLE_ABORTED'],
+    ['rejected', 'PRECONDITION_FAILED']
+  ])
+  assert.equal(rejected.outcomes[1].failures[0].kind, 'salvage_run_exists')
+  assert.equal(memoryStore.getSnapshot().world.projects[0].stage, project.stage)
+})
+
+test('a bundle that committed before a crash replays as a duplicate, not a stale partial', async () => {
+  let crash = true
+  const { memoryStore, executionAdapter, agents, apply } = createEngine({
+    beforeTerminalReceiptPersist: async () => {
+      if (crash) throw new Error('simulated crash before receipt')
+    }
+  })
+  await seedWorld(apply)
+  const project = memoryStore.getSnapshot().world.projects[0]
+  const bundle = createBundle(memoryStore, [
+    { proposalType: 'PROJECT_ADVANCE', args: { projectId: project.id } }
+  ], 'crash-key')
+
+  await assert.rejects(() => executionAdapter.executeBundle({ bundle, agents }), /simulated crash/)
+  assert.equal(memoryStore.getSnapshot().world.projects[0].stage, project.stage + 1)
+
+  crash = false
+  const replay = await executionAdapter.executeBundle({ bundle, agents })
+  assert.deepEqual([replay.status, replay.reasonCode], ['duplicate', 'DUPLICATE_BUNDLE'])
+  const lone = await executionAdapter.executeHandoff({ handoff: bundle.handoffs[0], agents })
+  assert.equal(lone.reasonCode, 'DUPLICATE_HANDOFF')
+  assert.equal(memoryStore.getSnapshot().world.projects[0].stage, project.stage + 1)
+  assert.equal((await executionAdapter.executeBundle({ bundle, agents })).evaluation.duplicateCheck.duplicateOf, replay.executionId)
+})
@@ -16,6 +16,9 @@ const { createGodCommandService } = require('../src/godCommands')
 const { createMemoryStore } = require('../src/memory')
 const { createAuthoritativeSnapshotProjection } = require('../src/worldSnapshotProjection')
 
+// executionStoreSqliteNative.test.js re-runs this suite against the node:sqlite driver.
+const SQLITE_DRIVER = process.env.EXECUTION_STORE_TEST_SQLITE_DRIVER || 'cli'
+
 function createTempPaths(prefix) {
   const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix))
   return {
@@ -123,7 +126,7 @@ function createStoreAndAdapter({ memoryPath, sqlitePath, backendName }) {
   const now = fixedNowFactory()
   const memoryStore = createMemoryStore({ filePath: memoryPath, now })
   const persistenceBackend = backendName === 'sqlite'
-    ? createSqliteExecutionPersistence({ dbPath: sqlitePath, now })
+    ? createSqliteExecutionPersistence({ dbPath: sqlitePath, driver: SQLITE_DRIVER, now })
     : createMemoryExecutionPersistence({ memoryStore })
   const executionStore = createExecutionStore({
     memoryStore,
@@ -147,7 +150,7 @@ test('sqlite backend initializes schema and persists receipts for lookup', async
   const { memoryPath, sqlitePath } = createTempPaths('mvp-sqlite-store-')
   const now = fixedNowFactory()
   const memoryStore = createMemoryStore({ filePath: memoryPath, now })
-  const persistenceBackend = createSqliteExecutionPersistence({ dbPath: sqlitePath, now })
+  const persistenceBackend = createSqliteExecutionPersistence({ dbPath: sqlitePath, driver: SQLITE_DRIVER, now })
   const executionStore = createExecutionStore({
     memoryStore,
     persistenceBackend
@@ -294,7 +297,7 @@ test('sqlite world-state bootstrap migrates authoritative towns/actors from memo
 
   const executionStore = createExecutionStore({
     memoryStore,
-    persistenceBackend: createSqliteExecutionPersistence({ dbPath: sqlitePath, now })
+    persistenceBackend: createSqliteExecutionPersistence({ dbPath: sqlitePath, driver: SQLITE_DRIVER, now })
   })
 
   const towns = executionStore.listTowns()
@@ -339,7 +342,7 @@ test('sqlite world-state bootstrap tolerates large snapshots without command-lin
 
   const executionStore = createExecutionStore({
     memoryStore,
-    persistenceBackend: createSqliteExecutionPersistence({ dbPath: sqlitePath, now })
+    persistenceBackend: createSqliteExecutionPersistence({ dbPath: sqlitePath, driver: SQLITE_DRIVER, now })
   })
 
   const snapshotRow = sqliteJson(sqlitePath, `
@@ -363,7 +366,7 @@ test('sqlite world-memory sync reuses persisted chronicle projection when snapsh
   const firstMemoryStore = createMemoryStore({ filePath: memoryPath, now: firstNow })
   const firstExecutionStore = createExecutionStore({
     memoryStore: firstMemoryStore,
-    persistenceBackend: createSqliteExecutionPersistence({ dbPath: sqlitePath, now: firstNow })
+    persistenceBackend: createSqliteExecutionPersistence({ dbPath: sqlitePath, driver: SQLITE_DRIVER, now: firstNow })
   })
 
   await firstMemoryStore.transact((memory) => {
@@ -394,7 +397,7 @@ test('sqlite world-memory sync reuses persisted chronicle projection when snapsh
   const secondMemoryStore = createMemoryStore({ filePath: memoryPath, now: secondNow })
   const secondExecutionStore = createExecutionStore({
     memoryStore: secondMemoryStore,
-    persistenceBackend: createSqliteExecutionPersistence({ dbPath: sqlitePath, now: secondNow })
+    persistenceBackend: createSqliteExecutionPersistence({ dbPath: sqlitePath, driver: SQLITE_DRIVER, now: secondNow })
   })
   const secondRows = secondExecutionStore.listChronicleRecords({ townId: 'alpha', limit: 10 })
   const secondTimestamp = sqliteJson(sqlitePath, `
@@ -0,0 +1,58 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { createExecutionPersistenceBackend } = require('../src/executionStore')
+const { bindSqlParams, createSqliteDriver } = require('../src/sqliteDriver')
+
+process.env.EXECUTION_STORE_TEST_SQLITE_DRIVER = 'native'
+require('./executionStoreSqlite.test.js')
+
+function createTempDbPath(prefix) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix))
+  return path.join(dir, 'execution.sqlite3')
+}
+
+test('sqlite cli binding inlines parameters outside quoted literals', () => {
+  assert.equal(
+    bindSqlParams("SELECT ? AS a, '?' AS b, ? AS c, ? AS d, ? AS e;", ["it's", 4.9, null, true]),
+    "SELECT 'it''s' AS a, '?' AS b, 4 AS c, NULL AS d, 1 AS e;"
+  )
+  assert.throws(() => bindSqlParams('SELECT ?, ?;', [1]), /Missing SQL parameter 2/)
+  assert.throws(() => bindSqlParams('SELECT ?;', [1, 2]), /Expected 1 SQL parameters/)
+})
+
+test('sqlite drivers roll back the whole transaction when a statement fails', () => {
+  const dbPath = createTempDbPath('mvp-sqlite-native-tx-')
+  for (const name of ['cli', 'native']) {
+    const driver = createSqliteDriver({
+      driver: name,
+      dbPath: `${dbPath}.${name}`,
+      errorCode: 'TEST_SQLITE_ERROR',
+      errorMessage: 'test failed'
+    })
+    driver.exec('CREATE TABLE IF NOT EXISTS items (id TEXT PRIMARY KEY, qty INTEGER NOT NULL);')
+    driver.run('INSERT INTO items (id, qty) VALUES (?, ?);', ['seed', 1])
+
+    assert.throws(() => driver.transaction([
+      { sql: 'INSERT INTO items (id, qty) VALUES (?, ?);', params: ['a', 2] },
+      { sql: 'INSERT INTO items (id, qty) VALUES (?, ?);', params: ['b', null] }
+    ]), (error) => error.code === 'TEST_SQLITE_ERROR' && error.metadata.driver === name)
+
+    assert.deepEqual(driver.all('SELECT id, qty FROM items ORDER BY id;').map((row) => ({ ...row })), [{ id: 'seed', qty: 1 }])
+    driver.close()
+  }
+})
+
+test('sqlite-native backend selection reports the native driver', () => {
+  const backend = createExecutionPersistenceBackend({
+    backend: 'sqlite-native',
+    sqliteDbPath: createTempDbPath('mvp-sqlite-native-select-')
+  })
+  backend.initialize()
+  assert.equal(backend.backendName, 'sqlite')
+  assert.equal(backend.sqliteDriver, 'native')
+  assert.deepEqual(backend.listPendingExecutions(), [])
+})
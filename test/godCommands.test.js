@@ -13,6 +13,16 @@ function createStore() {
   return createMemoryStore({ filePath })
 }
 
+// No god command creates goods, so tests seed agent inventories directly.
+async function seedInventory(memoryStore, agentName, good, amount) {
+  await memoryStore.transact((memory) => {
+    const economy = memory.world.economy
+    const goods = { ...(economy.inventories?.[agentName] || {}) }
+    goods[good] = (goods[good] || 0) + amount
+    economy.inventories = { ...(economy.inventories || {}), [agentName]: goods }
+  }, { eventId: `test-seed-inventory:${agentName}:${good}:${amount}` })
+}
+
 function createAgents() {
   return [
     { name: 'Mara', faction: 'Pilgrims', applyGodCommand: () => {} },
@@ -686,6 +696,61 @@ test('trade is transactional and idempotent (no double-transfer on replay)', asy
   assert.equal(snapshot.world.markets[0].offers[0].active, true)
 })
 
+test('itemized trades move goods between inventories and feed market pulse', async () => {
+  const memoryStore = createStore()
+  const service = createGodCommandService({ memoryStore })
+  const agents = createAgents()
+  const apply = (command, operationId) => service.applyGodCommand({ agents, command, operationId })
+
+  await apply('mark add alpha_hall 0 64 0 town:alpha', 'goods-seed-town')
+  await apply('market add bazaar alpha_hall', 'goods-seed-market')
+  await apply('mint Eli 100', 'goods-seed-mint')
+  await apply('mint Mara 40', 'goods-seed-mint-mara')
+
+  assert.equal((await apply('offer add bazaar Eli sell gold 3 10', 'goods-bad-good')).reason, 'Unknown good.')
+  const sell = await apply('offer add bazaar Eli sell bread 15 2', 'goods-offer-sell')
+  assert.equal(sell.applied, true)
+  assert.match(sell.outputLines[0], /good=bread amount=15 price=2/)
+  const sellOfferId = memoryStore.getSnapshot().world.markets[0].offers[0].offer_id
+
+  // Eli has no bread yet, so the sale cannot settle.
+  const empty = await apply(`trade bazaar ${sellOfferId} Mara 2`, 'goods-trade-empty')
+  assert.equal(empty.reason, 'Insufficient goods.')
+
+  await seedInventory(memoryStore, 'Eli', 'bread', 20)
+  await assert.rejects(() => apply('inventory give Eli bread 20', 'goods-give'), /Usage: god inventory <agent>/)
+  const trade = await apply(`trade bazaar ${sellOfferId} Mara 12`, 'goods-trade')
+  assert.equal(trade.applied, true)
+  assert.match(trade.outputLines[0], /good=bread/)
+
+  let economy = memoryStore.getSnapshot().world.economy
+  assert.deepEqual(economy.inventories, { Eli: { bread: 8 }, Mara: { bread: 12 } })
+  assert.deepEqual(economy.traded, [{ day: 1, town: 'alpha', good: 'bread', units: 12 }])
+  assert.equal(economy.ledger.Mara, 16)
+
+  // A buy offer is filled by the counterparty handing over the goods.
+  const buy = await apply('offer add bazaar Eli buy bread 5 3', 'goods-offer-buy')
+  assert.equal(buy.applied, true)
+  const buyOfferId = memoryStore.getSnapshot().world.markets[0].offers[1].offer_id
+  assert.equal((await apply(`trade bazaar ${buyOfferId} Mara 5`, 'goods-trade-buy')).applied, true)
+  economy = memoryStore.getSnapshot().world.economy
+  assert.deepEqual(economy.inventories, { Eli: { bread: 13 }, Mara: { bread: 7 } })
+  assert.equal(economy.traded[0].units, 17)
+
+  const inventory = await apply('inventory Mara', 'goods-show')
+  assert.deepEqual(inventory.outputLines, [
+    'GOD INVENTORY: Mara goods=1 units=7',
+    'GOD INVENTORY ITEM: Mara good=bread label=Bread qty=7'
+  ])
+  assert.deepEqual((await apply('inventory Nobody', 'goods-show-empty')).outputLines, ['GOD INVENTORY: Nobody (empty)'])
+
+  const pulse = await apply('market pulse alpha', 'goods-pulse')
+  const hotBread = pulse.outputLines.find(line => line.startsWith('GOD MARKET PULSE HOT: good=Bread'))
+  assert.ok(hotBread)
+  assert.match(hotBread, /17 Bread traded lately/)
+
+})
+
 test('market validation failures are clean no-ops', async () => {
   const memoryStore = createStore()
   const service = createGodCommandService({ memoryStore })
@@ -1380,6 +1445,85 @@ test('trade_n progress is buyer-owned and increments exactly once under replay',
   assert.equal(memoryStore.validateMemoryIntegrity().ok, true)
 })
 
+test('committed trades record trade events that advance every matching trade quest with a progress log', async () => {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mvp-god-trade-events-')), 'memory.json')
+  const memoryStore = createMemoryStore({ filePath })
+  const service = createGodCommandService({ memoryStore })
+  const agents = createAgents()
+  const apply = (command, operationId) => service.applyGodCommand({ agents, command, operationId })
+
+  await apply('mark add alpha_hall 0 64 0 town:alpha', 'trade-event-seed-town')
+  await apply('market add bazaar alpha_hall', 'trade-event-seed-bazaar')
+  await apply('market add docks alpha_hall', 'trade-event-seed-docks')
+  await apply('mint Mara 60', 'trade-event-seed-mint')
+  await seedInventory(memoryStore, 'Eli', 'bread', 10)
+  await seedInventory(memoryStore, 'Eli', 'iron', 10)
+
+  await assert.rejects(() => apply('quest offer alpha trade_n 2 good:Gold!', 'trade-event-bad-good'), /Usage: god quest offer/)
+  const breadOffer = await apply('quest offer alpha trade_n 2 good:bread 5', 'trade-event-offer-bread')
+  assert.equal(breadOffer.applied, true)
+  await apply('quest offer alpha trade_n 1 docks 3', 'trade-event-offer-docks')
+  await apply('quest offer alpha trade_n 1 bazaar good:iron 4', 'trade-event-offer-iron')
+  const [breadQuestId, docksQuestId, ironQuestId] = memoryStore.getSnapshot().world.quests.map(quest => quest.id)
+  assert.deepEqual(memoryStore.getSnapshot().world.quests[0].objective, { kind: 'trade_n', n: 2, good: 'bread' })
+  assert.match(memoryStore.getSnapshot().world.quests[0].desc, /Buy 2 Bread lots/)
+  for (const questId of [breadQuestId, docksQuestId, ironQuestId]) {
+    await apply(`quest accept Mara ${questId}`, `trade-event-accept-${questId}`)
+  }
+
+  await apply('offer add bazaar Eli sell bread 5 2', 'trade-event-offer-add-bread')
+  await apply('offer add docks Eli sell iron 5 3', 'trade-event-offer-add-iron')
+  const [breadOfferId] = memoryStore.getSnapshot().world.markets[0].offers.map(offer => offer.offer_id)
+  const [ironOfferId] = memoryStore.getSnapshot().world.markets[1].offers.map(offer => offer.offer_id)
+
+  const first = await apply(`trade bazaar ${breadOfferId} Mara 2`, 'trade-event-bread-a')
+  assert.equal(first.applied, true)
+  const tradeEvents = memoryStore.getSnapshot().world.economy.trade_events
+  assert.equal(tradeEvents.length, 1)
+  assert.match(tradeEvents[0].id, /^te_[0-9a-z]+_1$/)
+  assert.deepEqual({ ...tradeEvents[0], id: undefined, at: undefined }, {
+    id: undefined,
+    at: undefined,
+    day: 1,
+    market: 'bazaar',
+    town: 'alpha',
+    offer_id: breadOfferId,
+    side: 'sell',
+    good: 'bread',
+    buyer: 'Mara',
+    seller: 'Eli',
+    amount: 2,
+    price: 2,
+    quests: [breadQuestId]
+  })
+  assert.equal(first.outputLines[1], `GOD TRADE QUESTS: trade_event=${tradeEvents[0].id} advanced=${breadQuestId} completed=-`)
+  assert.equal((await apply(`trade bazaar ${breadOfferId} Mara 2`, 'trade-event-bread-a')).reason, 'Duplicate operation ignored.')
+
+  // Iron at the docks moves the docks quest but not the bazaar-only iron quest.
+  const dockTrade = await apply(`trade docks ${ironOfferId} Mara 1`, 'trade-event-iron-a')
+  assert.match(dockTrade.outputLines[1], new RegExp(`advanced=${docksQuestId} completed=${docksQuestId}$`))
+  await apply(`trade bazaar ${breadOfferId} Mara 1`, 'trade-event-bread-b')
+
+  const world = createMemoryStore({ filePath }).getSnapshot().world
+  const byId = Object.fromEntries(world.quests.map(quest => [quest.id, quest]))
+  assert.equal(byId[breadQuestId].state, 'completed')
+  assert.deepEqual(byId[breadQuestId].progress_log.map(entry => [entry.market, entry.good, entry.amount, entry.done]), [
+    ['bazaar', 'bread', 2, 1],
+    ['bazaar', 'bread', 1, 2]
+  ])
+  assert.equal(byId[docksQuestId].state, 'completed')
+  assert.equal(byId[ironQuestId].state, 'accepted')
+  assert.equal(byId[ironQuestId].progress_log, undefined)
+  assert.equal(world.economy.trade_events.length, 3)
+  assert.equal(memoryStore.validateMemoryIntegrity().ok, true)
+
+  const show = await apply(`quest show ${breadQuestId}`, 'trade-event-show')
+  assert.ok(show.outputLines.includes('GOD QUEST OBJECTIVE: kind=trade_n n=2 market=- good=bread'))
+  const logLines = show.outputLines.filter(line => line.startsWith('GOD QUEST PROGRESS LOG:'))
+  assert.equal(logLines.length, 2)
+  assert.equal(logLines[0], `GOD QUEST PROGRESS LOG: day=1 trade_event=${world.economy.trade_events[0].id} market=bazaar good=bread amount=2 done=1`)
+})
+
 test('quest complete pays reward exactly once under replay', async () => {
   const memoryStore = createStore()
   const service = createGodCommandService({ memoryStore })
@@ -1695,6 +1839,71 @@ test('clock season command is transactional, idempotent, and validates input', a
   assert.deepEqual(afterInvalid, beforeInvalid)
 })
 
+test('season cycle rolls over at dawn and surfaces seasonal modifiers', async () => {
+  const memoryStore = createStore()
+  const service = createGodCommandService({ memoryStore })
+  const agents = createAgents()
+  const apply = (command, operationId) => service.applyGodCommand({ agents, command, operationId })
+
+  await apply('mark add alpha_hall 0 64 0 town:alpha', 'season-cycle-seed')
+  await assert.rejects(() => apply('clock season length 0', 'season-length-zero'), /god clock season length <days>/)
+  const length = await apply('clock season length 2', 'season-length')
+  assert.deepEqual(length.outputLines, [
+    'GOD CLOCK SEASON CYCLE: season=dawn day_in_season=1/2 next=thaw summary=calm_opening_season'
+  ])
+
+  await apply('clock advance 3', 'season-advance-a')
+  assert.equal(memoryStore.getSnapshot().world.clock.season, 'dawn')
+  await apply('clock advance 1', 'season-advance-b')
+  const rolled = memoryStore.getSnapshot().world
+  assert.deepEqual([rolled.clock.day, rolled.clock.season, rolled.clock.season_day], [3, 'thaw', 3])
+  assert.ok(rolled.news.some(entry => entry.msg === 'Season turns to thaw: meltwater roads and early planting.'))
+
+  const shown = await apply('clock', 'season-show')
+  assert.deepEqual(shown.outputLines.slice(1, 3), [
+    'GOD CLOCK SEASON CYCLE: season=thaw day_in_season=1/2 next=harvest summary=meltwater_roads_and_early_planting',
+    'GOD CLOCK SEASON MODIFIERS: threat=+4/-4 market=timber+1|herbs+1|lantern_oil-1 autonomy=day:timber+1 nether=CALM_BEFORE_STORMx2 rumors=thaw_floodmarks|meltwater_voices|ferry_tolls'
+  ])
+  const board = await apply('town board alpha 10', 'season-board')
+  assert.ok(board.outputLines.includes(
+    'GOD TOWN BOARD SEASON PULSE: season=thaw day_in_season=1/2 next=harvest summary=meltwater_roads_and_early_planting'
+  ))
+  const pulse = await apply('market pulse alpha', 'season-pulse')
+  assert.ok(pulse.outputLines.some(line => line.includes('thaw floods call for timber')))
+
+  await apply('clock advance 4', 'season-advance-c')
+  assert.equal(memoryStore.getSnapshot().world.clock.season, 'harvest')
+  await apply('clock season long_night', 'season-set-long-night')
+  await apply('clock advance 4', 'season-advance-d')
+  // The cycle wraps back to thaw; dawn only opens a new world.
+  assert.deepEqual(
+    [memoryStore.getSnapshot().world.clock.season, memoryStore.getSnapshot().world.clock.season_day],
+    ['thaw', 7]
+  )
+  assert.equal(memoryStore.validateMemoryIntegrity().ok, true)
+})
+
+test('legacy worlds without a season start day keep their season at the next dawn', async () => {
+  const memoryStore = createStore()
+  const service = createGodCommandService({ memoryStore })
+  const agents = createAgents()
+  const apply = (command, operationId) => service.applyGodCommand({ agents, command, operationId })
+
+  // Saved before seasons tracked where they started: day 30, season but no season_day.
+  await memoryStore.transact((memory) => {
+    memory.world.clock = { day: 30, phase: 'night', season: 'thaw', updated_at: '2025-01-01T00:00:00.000Z' }
+  }, { eventId: 'legacy-season-seed' })
+  assert.equal(memoryStore.getSnapshot().world.clock.season_day, undefined)
+  const shown = await apply('clock', 'legacy-season-show')
+  assert.ok(shown.outputLines.some(line => line.startsWith('GOD CLOCK SEASON CYCLE: season=thaw day_in_season=1/')))
+
+  await apply('clock advance 1', 'legacy-season-dawn')
+  const clock = memoryStore.getSnapshot().world.clock
+  assert.deepEqual([clock.day, clock.phase, clock.season, clock.season_day], [31, 'day', 'thaw', 30])
+  assert.equal(memoryStore.getSnapshot().world.news.some(entry => entry.msg.startsWith('Season turns to')), false)
+  assert.equal(memoryStore.validateMemoryIntegrity().ok, true)
+})
+
 test('threat set clamps values and rejects non-finite inputs with no mutation', async () => {
   const memoryStore = createStore()
   const service = createGodCommandService({ memoryStore })
@@ -1774,6 +1983,230 @@ test('faction set validates unknown town/faction and applies valid assignment',
   assert.equal(memoryStore.validateMemoryIntegrity().ok, true)
 })
 
+test('faction create registers story factions with relations, towns and rep that survive reload', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mvp-god-factions-'))
+  const filePath = path.join(dir, 'memory.json')
+  const memoryStore = createMemoryStore({ filePath })
+  const service = createGodCommandService({ memoryStore })
+  const agents = createAgents()
+  const apply = (command, operationId) => service.applyGodCommand({ agents, command, operationId })
+
+  await apply('mark add alpha_hall 0 64 0 town:alpha', 'faction-create-seed-town')
+  const created = await apply('faction create ash_court Ash remembers every debt.', 'faction-create-ash')
+  assert.equal(created.applied, true)
+  assert.deepEqual(created.outputLines, ['GOD FACTION CREATE: name=ash_court doctrine=Ash remembers every debt.'])
+  assert.equal((await apply('faction create ash_court Again.', 'faction-create-ash-again')).reason, 'Faction already exists.')
+  assert.equal((await apply('faction create Iron_Pact Steel twice.', 'faction-create-dup')).reason, 'Faction already exists.')
+  assert.equal((await apply('faction create x1 Too short.', 'faction-create-bad-id')).reason, 'Invalid faction id.')
+  await assert.rejects(apply('faction create tide_guild', 'faction-create-no-doctrine'), /god faction create <factionId> <doctrine\.\.\.>/)
+
+  assert.equal((await apply('faction ally ash_court iron_pact', 'faction-ally')).applied, true)
+  let factions = memoryStore.getSnapshot().world.factions
+  assert.deepEqual(factions.iron_pact.allies, ['ash_court'])
+  assert.deepEqual(factions.ash_court.allies, ['iron_pact'])
+  const rival = await apply('faction rival iron_pact ash_court', 'faction-rival')
+  assert.deepEqual(rival.outputLines, ['GOD FACTION RELATION: a=iron_pact b=ash_court relation=rival'])
+  factions = memoryStore.getSnapshot().world.factions
+  assert.deepEqual(factions.iron_pact.allies, [])
+  assert.deepEqual(factions.iron_pact.rivals, ['veil_church', 'ash_court'])
+  assert.deepEqual(factions.ash_court.rivals, ['iron_pact'])
+  assert.equal((await apply('faction ally ash_court nobody', 'faction-ally-unknown')).reason, 'Unknown faction.')
+  assert.equal((await apply('faction neutral ash_court ash_court', 'faction-self')).reason, 'A faction cannot relate to itself.')
+
+  assert.equal((await apply('faction set alpha ash_court', 'faction-set-ash')).applied, true)
+  assert.equal((await apply('rep add Mara ash_court 5', 'faction-rep-ash')).applied, true)
+  const repShow = await apply('rep Mara', 'faction-rep-show')
+  assert.deepEqual(repShow.outputLines, ['GOD REP: agent=Mara iron_pact=0 veil_church=0 ash_court=5'])
+  const list = await apply('faction list', 'faction-list')
+  assert.equal(list.outputLines[0], 'GOD FACTION LIST: count=3')
+  assert.ok(list.outputLines.includes('GOD FACTION: name=ash_court towns=alpha doctrine=Ash remembers every debt. rivals=iron_pact allies=-'))
+  const board = await apply('town board alpha', 'faction-board')
+  assert.ok(board.outputLines.some(line => line.startsWith('GOD TOWN BOARD FACTION: town=alpha name=ash_court doctrine=Ash remembers every debt. rivals=iron_pact')))
+  assert.equal(memoryStore.validateMemoryIntegrity().ok, true)
+
+  const reloaded = createMemoryStore({ filePath }).getSnapshot().world.factions
+  assert.equal(reloaded.ash_court.story, true)
+  assert.deepEqual(reloaded.ash_court.towns, ['alpha'])
+  assert.deepEqual(reloaded.iron_pact.towns, [])
+  assert.deepEqual(reloaded.iron_pact.rivals, ['veil_church', 'ash_court'])
+})
+
+test('event rep bonuses follow the faction registry and skip unknown factions', async () => {
+  const memoryStore = createStore()
+  const service = createGodCommandService({ memoryStore })
+  const agents = createAgents()
+  const apply = (command, operationId) => service.applyGodCommand({ agents, command, operationId })
+
+  await apply('mark add alpha_hall 0 64 0 town:alpha', 'registry-rep-seed-town')
+  await apply('faction create ash_court Ash remembers every debt.', 'registry-rep-create')
+  await memoryStore.transact((memory) => {
+    memory.world.clock = { day: 2, phase: 'day', season: 'dawn', updated_at: '2026-02-22T00:00:00.000Z' }
+    memory.world.events = {
+      seed: 1337,
+      index: 0,
+      active: [{
+        id: 'e-ash',
+        type: 'omen',
+        town: 'alpha',
+        starts_day: 2,
+        ends_day: 2,
+        mods: { fear: 1, ash_court_rep_bonus: 2, ghost_rep_bonus: 3 }
+      }]
+    }
+  }, { eventId: 'registry-rep-seed-events' })
+  assert.deepEqual(memoryStore.getSnapshot().world.events.active[0].mods, { fear: 1, ash_court_rep_bonus: 2, ghost_rep_bonus: 3 })
+
+  await apply('quest offer alpha visit_town alpha 0', 'registry-rep-offer')
+  const questId = memoryStore.getSnapshot().world.quests[0].id
+  await apply(`quest accept Mara ${questId}`, 'registry-rep-accept')
+  assert.equal((await apply(`quest visit ${questId}`, 'registry-rep-visit')).applied, true)
+  const snapshot = memoryStore.getSnapshot()
+  assert.deepEqual(snapshot.agents.Mara.profile.rep, { ash_court: 2 })
+  const completion = snapshot.world.chronicle.find(entry => entry.type === 'quest_complete')
+  assert.equal(completion.meta.ash_court_rep_bonus, 2)
+  assert.equal(completion.meta.iron_pact_rep_bonus, 0)
+  assert.equal(Object.prototype.hasOwnProperty.call(completion.meta, 'ghost_rep_bonus'), false)
+  assert.match(completion.msg, /\+2 ash_court rep/)
+})
+
+test('diplomacy treaties steer route risk, contracts and gate pressure and lapse with the clock', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mvp-god-diplomacy-'))
+  const filePath = path.join(dir, 'memory.json')
+  const memoryStore = createMemoryStore({ filePath })
+  const service = createGodCommandService({ memoryStore })
+  const agents = createAgents()
+  const apply = (command, operationId) => service.applyGodCommand({ agents, command, operationId })
+  const peaceStore = createStore()
+  const peaceService = createGodCommandService({ memoryStore: peaceStore })
+  for (const store of [memoryStore, peaceStore]) {
+    const seedService = store === memoryStore ? service : peaceService
+    await seedService.applyGodCommand({ agents, command: 'mark add alpha_hall 0 64 0 town:alpha', operationId: 'diplomacy-seed-alpha' })
+    await seedService.applyGodCommand({ agents, command: 'mark add beta_gate 200 64 0 town:beta', operationId: 'diplomacy-seed-beta' })
+  }
+  await memoryStore.transact((memory) => {
+    const contract = (id, type, objective) => ({
+      id,
+      type,
+      state: 'offered',
+      town: 'alpha',
+      offered_at: '2026-02-22T00:00:00.000Z',
+      objective,
+      progress: type === 'visit_town' ? { visited: false } : { done: 0 },
+      reward: 3,
+      title: 'CONTRACT: Test',
+      desc: 'Test contract.',
+      meta: { contract: true, kind: 'contract_delivery', contract_day: 1 }
+    })
+    memory.world.quests.push(
+      contract('q_route_beta', 'visit_town', { kind: 'visit_town', town: 'beta' }),
+      contract('q_trade_alpha', 'trade_n', { kind: 'trade_n', n: 1 })
+    )
+  }, { eventId: 'diplomacy-seed-contracts' })
+
+  const war = await apply('diplomacy propose iron_pact veil_church war Border dispute.', 'diplomacy-war')
+  assert.equal(war.applied, true)
+  assert.match(war.outputLines[0], /^GOD DIPLOMACY PROPOSE: id=tr_\S+ kind=war factions=iron_pact\|veil_church status=active days=- terms=Border dispute\.$/)
+  assert.equal(war.outputLines[1], 'GOD DIPLOMACY CONTRACTS CANCELLED: ids=q_route_beta')
+  let snapshot = memoryStore.getSnapshot()
+  const warId = snapshot.world.diplomacy.treaties[0].id
+  assert.equal(snapshot.world.quests.find(quest => quest.id === 'q_route_beta').state, 'cancelled')
+  assert.equal(snapshot.world.quests.find(quest => quest.id === 'q_trade_alpha').state, 'offered')
+  assert.ok(snapshot.world.chronicle.some(entry => entry.type === 'diplomacy' && entry.msg === 'DIPLOMACY: iron_pact declares war on veil_church. Terms: Border dispute.'))
+
+  assert.equal((await apply('diplomacy propose iron_pact veil_church war', 'diplomacy-war-again')).reason, 'Treaty already in force.')
+  assert.equal((await apply('diplomacy propose iron_pact veil_church alliance', 'diplomacy-ally-at-war')).reason, 'Factions at war must agree a truce first.')
+  assert.equal((await apply('diplomacy propose iron_pact veil_church feud', 'diplomacy-bad-kind')).reason, 'Unknown treaty kind.')
+  assert.equal((await apply('diplomacy propose iron_pact veil_church truce 0', 'diplomacy-bad-days')).reason, 'Invalid treaty days.')
+  assert.equal((await apply('diplomacy propose iron_pact ash_court truce', 'diplomacy-unknown')).reason, 'Unknown faction.')
+
+  const board = await apply('town board alpha 5', 'diplomacy-board')
+  assert.ok(board.outputLines.includes('GOD TOWN BOARD DIPLOMACY: faction=iron_pact wars=veil_church truces=- alliances=- trade_pacts=-'))
+  assert.ok(board.outputLines.some(line => line.startsWith('GOD TOWN BOARD ROUTE RISK:') && line.includes('war with veil_church closes the lanes')))
+
+  await apply('clock advance 2', 'diplomacy-war-clock')
+  await peaceService.applyGodCommand({ agents, command: 'clock advance 2', operationId: 'diplomacy-war-clock' })
+  snapshot = memoryStore.getSnapshot()
+  assert.equal(snapshot.world.quests.some(quest => quest.type === 'visit_town' && quest.state === 'offered'), false)
+  assert.ok(snapshot.world.towns.alpha.gate.pressure > peaceStore.getSnapshot().world.towns.alpha.gate.pressure)
+
+  const truce = await apply('diplomacy propose veil_church iron_pact truce 1 Bury the dead at the ford.', 'diplomacy-truce')
+  assert.match(truce.outputLines[0], /kind=truce factions=iron_pact\|veil_church status=proposed days=1 terms=Bury the dead at the ford\.$/)
+  const truceId = memoryStore.getSnapshot().world.diplomacy.treaties[1].id
+  const accepted = await apply(`diplomacy accept ${truceId}`, 'diplomacy-truce-accept')
+  assert.equal(accepted.outputLines[0], `GOD DIPLOMACY ACCEPT: id=${truceId} kind=truce factions=iron_pact|veil_church ends_day=3 superseded=${warId}`)
+  assert.equal((await apply(`diplomacy accept ${truceId}`, 'diplomacy-truce-accept-again')).reason, 'Treaty is not awaiting acceptance.')
+
+  const offer = await apply('diplomacy propose iron_pact veil_church trade_pact', 'diplomacy-pact')
+  assert.match(offer.outputLines[0], /kind=trade_pact .* status=proposed days=7 terms=-$/)
+  const offerId = memoryStore.getSnapshot().world.diplomacy.treaties[2].id
+  assert.equal((await apply(`diplomacy break ${offerId}`, 'diplomacy-pact-withdraw')).outputLines[0], `GOD DIPLOMACY BREAK: id=${offerId} kind=trade_pact factions=iron_pact|veil_church was=proposed`)
+  assert.equal((await apply(`diplomacy break ${offerId}`, 'diplomacy-pact-withdraw-again')).reason, 'Treaty is not in force.')
+
+  await apply('clock advance 4', 'diplomacy-truce-clock')
+  snapshot = memoryStore.getSnapshot()
+  assert.deepEqual(snapshot.world.diplomacy.treaties.map(treaty => treaty.status), ['superseded', 'expired', 'broken'])
+  assert.ok(snapshot.world.news.some(entry => entry.msg === 'DIPLOMACY: The truce between iron_pact and veil_church runs out.'))
+  const list = await apply('diplomacy list veil_church', 'diplomacy-list')
+  assert.equal(list.outputLines[0], 'GOD DIPLOMACY: treaties=3 active=0 proposed=0')
+  assert.equal(memoryStore.validateMemoryIntegrity().ok, true)
+
+  const reloaded = createMemoryStore({ filePath }).getSnapshot().world.diplomacy.treaties
+  assert.deepEqual(reloaded.map(treaty => [treaty.kind, treaty.status]), [['war', 'superseded'], ['truce', 'expired'], ['trade_pact', 'broken']])
+})
+
+test('concurrent diplomacy accept and break re-check the treaty inside the transaction', async () => {
+  const memoryStore = createStore()
+  const service = createGodCommandService({ memoryStore })
+  const agents = createAgents()
+  const apply = (command, operationId) => service.applyGodCommand({ agents, command, operationId })
+  await apply('diplomacy propose iron_pact veil_church trade_pact', 'race-propose')
+  const treatyId = memoryStore.getSnapshot().world.diplomacy.treaties[0].id
+
+  const accepts = await Promise.all([
+    apply(`diplomacy accept ${treatyId}`, 'race-accept-a'),
+    apply(`diplomacy accept ${treatyId}`, 'race-accept-b')
+  ])
+  assert.deepEqual(accepts.map(result => result.applied), [true, false])
+  assert.equal(accepts[1].reason, 'Treaty is not awaiting acceptance.')
+
+  const breaks = await Promise.all([
+    apply(`diplomacy break ${treatyId}`, 'race-break-a'),
+    apply(`diplomacy break ${treatyId}`, 'race-break-b')
+  ])
+  assert.deepEqual(breaks.map(result => result.applied), [true, false])
+  assert.equal(breaks[1].reason, 'Treaty is not in force.')
+  const world = memoryStore.getSnapshot().world
+  assert.equal(world.diplomacy.treaties[0].status, 'broken')
+  assert.equal(world.chronicle.filter(entry => entry.type === 'diplomacy' && /is broken/.test(entry.msg)).length, 1)
+})
+
+test('diplomacy propose refuses new treaties once the open cap is reached', async () => {
+  const memoryStore = createStore()
+  const service = createGodCommandService({ memoryStore })
+  const agents = createAgents()
+  await memoryStore.transact((memory) => {
+    memory.world.diplomacy = {
+      treaties: Array.from({ length: 60 }, (_, index) => ({
+        id: `open-${index}`,
+        kind: 'trade_pact',
+        factions: [`guild_${index}`, `house_${index}`],
+        proposedBy: `guild_${index}`,
+        status: 'proposed',
+        proposedDay: 1
+      }))
+    }
+  }, { eventId: 'treaty-cap-seed' })
+
+  const refused = await service.applyGodCommand({ agents, command: 'diplomacy propose iron_pact veil_church trade_pact', operationId: 'treaty-cap-full' })
+  assert.equal(refused.applied, false)
+  assert.equal(refused.reason, 'Too many open treaties; break or let some lapse first.')
+  assert.equal(memoryStore.getSnapshot().world.diplomacy.treaties.length, 60)
+
+  await service.applyGodCommand({ agents, command: 'diplomacy break open-0', operationId: 'treaty-cap-break' })
+  const proposed = await service.applyGodCommand({ agents, command: 'diplomacy propose iron_pact veil_church trade_pact', operationId: 'treaty-cap-room' })
+  assert.equal(proposed.applied, true)
+})
+
 test('rep add enforces integer policy, validates agent/faction, and is idempotent', async () => {
   const memoryStore = createStore()
   const service = createGodCommandService({ memoryStore })
@@ -2756,6 +3189,72 @@ test('marker runtime side effects execute only after durable commit', async () =
   assert.deepEqual(trace, ['tx_start', 'tx_commit', 'runtime_mark'])
 })
 
+test('god command batches run runtime effects only after the batch commits', async () => {
+  const memoryStore = createStore()
+  const marks = []
+  const service = createGodCommandService({
+    memoryStore,
+    runtimeMark: ({ action, markerName }) => { marks.push(`${action}:${markerName}`) }
+  })
+  const agents = createAgents()
+
+  const aborted = await service.applyGodCommandBatch({
+    agents,
+    eventId: 'batch-runtime-aborted',
+    steps: [
+      { command: 'mark add camp 1 2 3 alpha', operationId: 'batch-runtime-aborted:1' },
+      { command: 'project advance alpha missing', operationId: 'batch-runtime-aborted:2' }
+    ]
+  })
+  assert.deepEqual([aborted.applied, aborted.failedIndex], [false, 1])
+  assert.deepEqual(marks, [])
+  assert.deepEqual(memoryStore.getSnapshot().world.markers, [])
+
+  const applied = await service.applyGodCommandBatch({
+    agents,
+    eventId: 'batch-runtime-applied',
+    steps: [
+      { command: 'mark add camp 1 2 3 alpha', operationId: 'batch-runtime-applied:1' },
+      { command: 'mark add well 4 5 6 alpha', operationId: 'batch-runtime-applied:2' }
+    ]
+  })
+  assert.equal(applied.applied, true)
+  assert.deepEqual(marks, ['add:camp', 'add:well'])
+
+  await service.applyGodCommand({ agents, command: 'mark remove well', operationId: 'batch-runtime-after' })
+  assert.deepEqual(marks, ['add:camp', 'add:well', 'remove:well'])
+})
+
+test('commands running beside a god command batch keep their own runtime effects', async () => {
+  const memoryStore = createStore()
+  const marks = []
+  const service = createGodCommandService({
+    memoryStore,
+    runtimeMark: ({ action, markerName }) => { marks.push(`${action}:${markerName}`) }
+  })
+  const agents = createAgents()
+  // Hold the batch back so the other commands commit while it is still pending.
+  const originalTransact = memoryStore.transact.bind(memoryStore)
+  memoryStore.transact = async (mutator, opts = {}) => {
+    if (String(opts.eventId || '').startsWith('batch-side')) await new Promise(resolve => setTimeout(resolve, 20))
+    return originalTransact(mutator, opts)
+  }
+  const batch = (eventId, steps) => service.applyGodCommandBatch({
+    agents,
+    eventId,
+    steps: steps.map((command, index) => ({ command, operationId: `${eventId}:${index + 1}` }))
+  })
+
+  const [aborted, applied, lone] = await Promise.all([
+    batch('batch-side-aborted', ['mark add camp 1 2 3 alpha', 'project advance alpha missing']),
+    batch('batch-side-applied', ['mark add well 4 5 6 alpha']),
+    service.applyGodCommand({ agents, command: 'mark add gate 7 8 9 alpha', operationId: 'batch-side-lone' })
+  ])
+  assert.deepEqual([aborted.applied, applied.applied, lone.applied], [false, true, true])
+  assert.deepEqual(marks.slice().sort(), ['add:gate', 'add:well'])
+  assert.deepEqual(memoryStore.getSnapshot().world.markers.map(marker => marker.name).sort(), ['gate', 'well'])
+})
+
 test('rumor list/show are read-only and do not mutate state', async () => {
   const memoryStore = createStore()
   const seedService = createGodCommandService({ memoryStore })
@@ -3916,6 +4415,106 @@ test('town board includes project and salvage sections', async () => {
   assert.equal(memoryStore.validateMemoryIntegrity().ok, true)
 })
 
+test('project stages debit stockpiles and contributed goods, and salvage refills stockpiles', async () => {
+  const memoryStore = createStore()
+  const service = createGodCommandService({ memoryStore })
+  const agents = createAgents()
+  const apply = (command, operationId) => service.applyGodCommand({ agents, command, operationId })
+
+  await apply('mark add alpha_hall 0 64 0 town:alpha', 'materials-seed-alpha')
+  const start = await apply('project start alpha field_chapel', 'materials-start')
+  const projectId = /project_id=([^ ]+)/.exec(start.outputLines?.[0] || '')?.[1] || ''
+  assert.ok(projectId)
+
+  // Wool has no town stockpile, so the chapel waits on contributions.
+  const blocked = await apply(`project advance alpha ${projectId}`, 'materials-advance-blocked')
+  assert.equal(blocked.applied, false)
+  assert.equal(blocked.reason, 'Project stage blocked: missing wool:2.')
+  const board = await apply('town board alpha 10', 'materials-board')
+  assert.ok(board.outputLines.includes(`GOD TOWN BOARD PROJECT BLOCKED: id=${projectId} next=advance missing=wool:2 pooled=-`))
+
+  assert.equal((await apply(`project contribute alpha ${projectId} Mara wool 2`, 'materials-no-wool')).reason, 'Insufficient goods.')
+  await seedInventory(memoryStore, 'Mara', 'wool', 10)
+  assert.equal((await apply(`project contribute alpha ${projectId} Mara iron 1`, 'materials-wrong-good')).reason, 'Project does not need that good.')
+  assert.equal((await apply(`project contribute alpha ${projectId} Mara wool 7`, 'materials-too-much')).reason, 'Contribution exceeds remaining need.')
+  const contribute = await apply(`project contribute alpha ${projectId} Mara wool 4`, 'materials-contribute')
+  assert.equal(contribute.applied, true)
+  assert.equal(contribute.outputLines[0], `GOD PROJECT CONTRIBUTE: town=alpha project_id=${projectId} agent=Mara good=wool amount=4 pooled=4`)
+  const replay = await apply(`project contribute alpha ${projectId} Mara wool 2`, 'materials-contribute')
+  assert.equal(replay.reason, 'Duplicate operation ignored.')
+
+  const foodBefore = Number(memoryStore.getSnapshot().world.towns.alpha.stockpiles.food)
+  const advance = await apply(`project advance alpha ${projectId}`, 'materials-advance')
+  assert.equal(advance.applied, true)
+  let snapshot = memoryStore.getSnapshot()
+  let project = snapshot.world.projects.find(entry => entry.id === projectId)
+  assert.deepEqual(project.contributed, { wool: 2 })
+  assert.equal(snapshot.world.towns.alpha.stockpiles.food, foodBefore - 1)
+  assert.deepEqual(snapshot.world.economy.inventories, { Mara: { wool: 6 } })
+
+  await apply(`project advance alpha ${projectId}`, 'materials-advance-2')
+  const completeBlocked = await apply(`project complete alpha ${projectId}`, 'materials-complete-blocked')
+  assert.equal(completeBlocked.reason, 'Project stage blocked: missing wool:2.')
+  await apply(`project contribute alpha ${projectId} Mara wool 2`, 'materials-contribute-2')
+  assert.equal((await apply(`project complete alpha ${projectId}`, 'materials-complete')).applied, true)
+  snapshot = memoryStore.getSnapshot()
+  project = snapshot.world.projects.find(entry => entry.id === projectId)
+  assert.equal(project.status, 'completed')
+  assert.equal(project.contributed, undefined)
+
+  await apply('salvage plan alpha ruined_hamlet_supplies', 'materials-salvage-plan')
+  const run = memoryStore.getSnapshot().world.salvageRuns.find(entry => entry.targetKey === 'ruined_hamlet_supplies')
+  const stockpilesBefore = { ...memoryStore.getSnapshot().world.towns.alpha.stockpiles }
+  const resolve = await apply(`salvage resolve alpha ${run.id} secure`, 'materials-salvage-resolve')
+  assert.equal(resolve.applied, true)
+  const resolved = memoryStore.getSnapshot().world.salvageRuns.find(entry => entry.id === run.id)
+  const supplies = resolved.result.supplies
+  assert.equal(resolved.result.stockpile_food + resolved.result.stockpile_timber, supplies)
+  assert.match(resolve.outputLines[0], new RegExp(`stockpiles=food:${resolved.result.stockpile_food},timber:${resolved.result.stockpile_timber}`))
+  const stockpilesAfter = memoryStore.getSnapshot().world.towns.alpha.stockpiles
+  assert.equal(stockpilesAfter.food, stockpilesBefore.food + resolved.result.stockpile_food)
+  assert.equal(stockpilesAfter.timber, stockpilesBefore.timber + resolved.result.stockpile_timber)
+  assert.equal(memoryStore.validateMemoryIntegrity().ok, true)
+})
+
+test('a salvage crew brings goods home that can be sold, traded and contributed', async () => {
+  const memoryStore = createStore()
+  const service = createGodCommandService({ memoryStore })
+  const agents = createAgents()
+  const apply = (command, operationId) => service.applyGodCommand({ agents, command, operationId })
+
+  await apply('mark add alpha_hall 0 64 0 town:alpha', 'haul-seed-alpha')
+  await apply('market add bazaar alpha_hall', 'haul-seed-market')
+  await apply('mint Eli 50', 'haul-seed-mint')
+  await apply('salvage plan alpha ruined_hamlet_supplies', 'haul-plan')
+  const run = memoryStore.getSnapshot().world.salvageRuns[0]
+  await assert.rejects(() => apply(`salvage resolve alpha ${run.id} secure Mara extra`, 'haul-usage'), /god salvage resolve <townName> <runId> <outcomeKey> \[agent\]/)
+  assert.equal((await apply(`salvage resolve alpha ${run.id} secure Nobody`, 'haul-unknown')).reason, 'Unknown agent.')
+
+  const stockpilesBefore = { ...memoryStore.getSnapshot().world.towns.alpha.stockpiles }
+  const resolve = await apply(`salvage resolve alpha ${run.id} secure mara`, 'haul-resolve')
+  const result = memoryStore.getSnapshot().world.salvageRuns[0].result
+  assert.equal(resolve.applied, true)
+  assert.match(resolve.outputLines[0], new RegExp(`stockpiles=- crew=Mara haul=bread:${result.stockpile_food},timber:${result.stockpile_timber}$`))
+  assert.deepEqual(memoryStore.getSnapshot().world.towns.alpha.stockpiles, stockpilesBefore)
+  assert.deepEqual(memoryStore.getSnapshot().world.economy.inventories, {
+    Mara: { bread: result.stockpile_food, timber: result.stockpile_timber }
+  })
+
+  const posted = await apply('offer add bazaar Mara sell timber 1 4', 'haul-offer')
+  assert.equal(posted.applied, true)
+  const offerId = memoryStore.getSnapshot().world.markets[0].offers[0].offer_id
+  assert.equal((await apply(`trade bazaar ${offerId} Eli 1`, 'haul-trade')).applied, true)
+  assert.equal(memoryStore.getSnapshot().world.economy.inventories.Eli.timber, 1)
+
+  const start = await apply('project start alpha ration_depot', 'haul-project')
+  const projectId = /project_id=([^ ]+)/.exec(start.outputLines[0])[1]
+  const contributed = await apply(`project contribute alpha ${projectId} Mara bread 1`, 'haul-contribute')
+  assert.equal(contributed.applied, true)
+  assert.equal(memoryStore.getSnapshot().world.economy.inventories.Mara.bread, result.stockpile_food - 1)
+  assert.equal(memoryStore.validateMemoryIntegrity().ok, true)
+})
+
 test('project and salvage histories remain bounded during command mutations', async () => {
   const memoryStore = createStore()
   const service = createGodCommandService({ memoryStore })
@@ -4632,3 +5231,89 @@ test('town register provisions an authoritative town entry and default officehol
   assert.ok(snapshot.world.actors['gamma.warden'])
   assert.ok(snapshot.world.actors['gamma.townsfolk'])
 })
+
+test('agent roster spawn/retire/list persist the roster and notify the runtime once', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mvp-god-commands-'))
+  const filePath = path.join(dir, 'memory.json')
+  const memoryStore = createMemoryStore({ filePath })
+  const rosterEvents = []
+  const service = createGodCommandService({
+    memoryStore,
+    runtimeRoster: ({ action, entry }) => {
+      rosterEvents.push(`${action}:${entry.name}`)
+    }
+  })
+  const agents = createAgents()
+
+  const initial = await service.applyGodCommand({ agents, command: 'agent list', operationId: 'roster-list-initial' })
+  assert.deepEqual(initial.outputLines, [
+    'GOD AGENT LIST: count=2 active=2',
+    'GOD AGENT: name=Eli role=Guard faction=Pilgrims town=- status=active',
+    'GOD AGENT: name=Mara role=Scout faction=Pilgrims town=- status=active'
+  ])
+
+  await service.applyGodCommand({ agents, command: 'mark add alpha_hall 0 64 0 town:alpha', operationId: 'roster-town' })
+  const spawned = await service.applyGodCommand({ agents, command: 'agent spawn Nox Scout Pilgrims alpha', operationId: 'roster-spawn' })
+  assert.equal(spawned.applied, true)
+  assert.deepEqual(spawned.outputLines, ['GOD AGENT SPAWNED: name=Nox role=Scout faction=Pilgrims town=alpha'])
+  const replay = await service.applyGodCommand({ agents, command: 'agent spawn Nox Scout Pilgrims alpha', operationId: 'roster-spawn' })
+  assert.equal(replay.applied, false)
+  assert.equal(replay.reason, 'Agent already active.')
+  const again = await service.applyGodCommand({ agents, command: 'agent spawn nox Scout Pilgrims', operationId: 'roster-spawn-again' })
+  assert.equal(again.reason, 'Agent already active.')
+  const badTown = await service.applyGodCommand({ agents, command: 'agent spawn Vale Scout Pilgrims nowhere', operationId: 'roster-spawn-bad-town' })
+  assert.equal(badTown.reason, 'Unknown town.')
+
+  const retired = await service.applyGodCommand({ agents, command: 'agent retire Eli', operationId: 'roster-retire' })
+  assert.deepEqual(retired.outputLines, ['GOD AGENT RETIRED: name=Eli'])
+  const retiredAgain = await service.applyGodCommand({ agents, command: 'agent retire Eli', operationId: 'roster-retire-again' })
+  assert.equal(retiredAgain.reason, 'Agent already retired.')
+  const unknown = await service.applyGodCommand({ agents, command: 'agent retire Ghost', operationId: 'roster-retire-unknown' })
+  assert.equal(unknown.reason, 'Unknown agent.')
+
+  assert.deepEqual(rosterEvents, ['spawn:Nox', 'retire:Eli'])
+
+  const reloaded = createMemoryStore({ filePath })
+  const roster = reloaded.getSnapshot().world.agentRoster
+  assert.deepEqual(Object.keys(roster), ['eli', 'mara', 'nox'])
+  assert.equal(roster.nox.town, 'alpha')
+  assert.equal(roster.eli.status, 'retired')
+  assert.equal(reloaded.getSnapshot().world.news.some(item => item.topic === 'agent' && /Nox joins/.test(item.msg)), true)
+})
+
+test('agent spawn refuses a full roster and makes room by dropping retired agents', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mvp-god-commands-'))
+  const filePath = path.join(dir, 'memory.json')
+  const memoryStore = createMemoryStore({ filePath })
+  const service = createGodCommandService({ memoryStore })
+  const agents = createAgents()
+  await memoryStore.transact((memory) => {
+    memory.world.agentRoster = Object.fromEntries(Array.from({ length: 64 }, (_, index) => {
+      const name = `Agent_${String(index).padStart(2, '0')}`
+      return [name.toLowerCase(), { name, role: 'Scout', faction: 'Pilgrims', town: null, status: 'active', spawned_at: index + 1 }]
+    }))
+  }, { eventId: 'roster-full-seed' })
+
+  const full = await service.applyGodCommand({ agents, command: 'agent spawn Zed Scout Pilgrims', operationId: 'roster-full-spawn' })
+  assert.equal(full.applied, false)
+  assert.equal(full.reason, 'Agent roster is full; retire an agent first.')
+
+  await service.applyGodCommand({ agents, command: 'agent retire Agent_05', operationId: 'roster-full-retire' })
+  const spawned = await service.applyGodCommand({ agents, command: 'agent spawn Zed Scout Pilgrims', operationId: 'roster-full-spawn-again' })
+  assert.equal(spawned.applied, true)
+  const roster = memoryStore.getSnapshot().world.agentRoster
+  assert.equal(Object.keys(roster).length, 64)
+  assert.equal(roster.agent_05, undefined)
+
+  const reloaded = createMemoryStore({ filePath }).getSnapshot().world.agentRoster
+  assert.deepEqual(Object.keys(reloaded), Object.keys(roster))
+  assert.equal(reloaded.zed.status, 'active')
+})
+
+test('agent spawn rejects names that cannot be Minecraft usernames', async () => {
+  const service = createGodCommandService({ memoryStore: createStore() })
+  await assert.rejects(
+    service.applyGodCommand({ agents: createAgents(), command: 'agent spawn N! Scout Pilgrims', operationId: 'roster-bad-name' }),
+    (err) => err.code === 'INVALID_GOD_COMMAND'
+  )
+})
@@ -0,0 +1,246 @@
+const crypto = require('crypto')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { createExecutionAdapter, isValidExecutionResult } = require('../src/executionAdapter')
+const { createExecutionStore } = require('../src/executionStore')
+const { createGodCommandService } = require('../src/godCommands')
+const { createEngineHttpServer } = require('../src/httpServer')
+const { createMemoryStore } = require('../src/memory')
+const { createPlayerPositionTracker } = require('../src/playerPosition')
+const { createAuthoritativeSnapshotProjection } = require('../src/worldSnapshotProjection')
+
+function createAgents() {
+  return [
+    { name: 'Mara', faction: 'Pilgrims', applyGodCommand: () => {} },
+    { name: 'Eli', faction: 'Pilgrims', applyGodCommand: () => {} }
+  ]
+}
+
+function buildId(prefix, payload) {
+  return `${prefix}_${crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex')}`
+}
+
+function createEngine(overrides = {}, { trackPlayers = false } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mvp-http-server-'))
+  const memoryStore = createMemoryStore({ filePath: path.join(dir, 'memory.json') })
+  const godCommandService = createGodCommandService({ memoryStore })
+  const executionStore = createExecutionStore({ memoryStore })
+  const executionAdapter = createExecutionAdapter({ memoryStore, executionStore, godCommandService })
+  const agents = createAgents()
+  const server = createEngineHttpServer({
+    godCommandService,
+    executionAdapter,
+    executionStore,
+    getAgents: () => agents,
+    getStatusSnapshot: () => ({ agentsOnline: agents.length }),
+    ...(trackPlayers ? { playerPositionTracker: createPlayerPositionTracker({ memoryStore, godCommandService }) } : {}),
+    ...overrides
+  })
+  return { memoryStore, godCommandService, server, agents }
+}
+
+async function request(baseUrl, method, route, body) {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: { 'content-type': 'application/json' },
+    body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+  })
+  return {
+    status: response.status,
+    body: await response.json()
+  }
+}
+
+async function withServer(engine, fn) {
+  const bound = await engine.server.listen({ port: 0 })
+  try {
+    await fn(`http://127.0.0.1:${bound.port}`)
+  } finally {
+    await engine.server.close()
+  }
+}
+
+test('http server applies god commands with caller-supplied operation ids and audits them', async () => {
+  const audited = []
+  const engine = createEngine({
+    onGodCommandApplied: ({ command, operationId }) => {
+      audited.push({ command, operationId })
+    }
+  })
+
+  await withServer(engine, async (baseUrl) => {
+    const first = await request(baseUrl, 'POST', '/god', {
+      command: 'mark add alpha_hall 0 64 0 town:alpha',
+      operationId: 'http-seed-town'
+    })
+    assert.equal(first.status, 200)
+    assert.equal(first.body.applied, true)
+    assert.equal(first.body.operationId, 'http-seed-town')
+
+    const replay = await request(baseUrl, 'POST', '/god', {
+      command: 'mark add alpha_hall 0 64 0 town:alpha',
+      operationId: 'http-seed-town'
+    })
+    assert.equal(replay.status, 200)
+    assert.equal(replay.body.applied, false)
+    assert.equal(replay.body.reason, 'Duplicate operation ignored.')
+  })
+
+  assert.deepEqual(audited, [{ command: 'mark add alpha_hall 0 64 0 town:alpha', operationId: 'http-seed-town' }])
+  assert.equal(engine.memoryStore.getSnapshot().world.markers.some(marker => marker.name === 'alpha_hall'), true)
+})
+
+test('http server executes handoffs and answers world-memory requests', async () => {
+  const engine = createEngine()
+
+  await withServer(engine, async (baseUrl) => {
+    await request(baseUrl, 'POST', '/god', {
+      command: 'mark add alpha_hall 0 64 0 town:alpha',
+      operationId: 'http-handoff-seed-town'
+    })
+    await request(baseUrl, 'POST', '/god', {
+      command: 'project start alpha lantern_line',
+      operationId: 'http-handoff-seed-project'
+    })
+    const projectId = engine.memoryStore.getSnapshot().world.projects[0].id
+    const snapshotHash = createAuthoritativeSnapshotProjection(engine.memoryStore.recallWorld()).snapshotHash
+    const proposalId = buildId('proposal', { projectId })
+    const handoff = {
+      schemaVersion: 'execution-handoff.v1',
+      handoffId: buildId('handoff', { proposalId }),
+      advisory: true,
+      proposalId,
+      idempotencyKey: proposalId,
+      snapshotHash,
+      decisionEpoch: 1,
+      proposal: {
+        schemaVersion: 'proposal.v2',
+        proposalId,
+        snapshotHash,
+        decisionEpoch: 1,
+        type: 'PROJECT_ADVANCE',
+        actorId: 'mara',
+        townId: 'alpha',
+        priority: 0.9,
+        reason: 'HTTP adapter test.',
+        reasonTags: ['test'],
+        args: { projectId }
+      },
+      command: `project advance alpha ${projectId}`,
+      executionRequirements: {
+        expectedSnapshotHash: snapshotHash,
+        expectedDecisionEpoch: 1,
+        preconditions: []
+      }
+    }
+
+    const executed = await request(baseUrl, 'POST', '/execution-handoff', handoff)
+    assert.equal(executed.status, 200)
+    assert.equal(executed.body.type, 'execution-result.v1')
+    assert.equal(executed.body.status, 'executed')
+    assert.equal(isValidExecutionResult(executed.body), true)
+
+    const context = await request(baseUrl, 'POST', '/world-memory', {
+      type: 'world-memory-request.v1',
+      schemaVersion: 1,
+      scope: { townId: 'alpha', factionId: null, chronicleLimit: 5, historyLimit: 5 }
+    })
+    assert.equal(context.status, 200)
+    assert.equal(context.body.type, 'world-memory-context.v1')
+    assert.equal(context.body.scope.townId, 'alpha')
+
+    const polled = await request(baseUrl, 'POST', '/world-snapshot', {
+      type: 'world-snapshot-request.v1',
+      schemaVersion: 1,
+      sections: ['projects'],
+      hashOnly: true
+    })
+    assert.equal(polled.status, 200)
+    assert.equal(polled.body.type, 'world-snapshot-response.v1')
+    assert.equal(polled.body.snapshotHash, createAuthoritativeSnapshotProjection(engine.memoryStore.recallWorld()).snapshotHash)
+    assert.equal(polled.body.snapshot, undefined)
+
+    const status = await request(baseUrl, 'GET', '/status')
+    assert.equal(status.status, 200)
+    assert.deepEqual(status.body, { agentsOnline: 2 })
+  })
+})
+
+test('http server returns structured json errors', async () => {
+  const engine = createEngine()
+
+  await withServer(engine, async (baseUrl) => {
+    const badJson = await request(baseUrl, 'POST', '/god', '{not json')
+    assert.equal(badJson.status, 400)
+    assert.deepEqual(badJson.body, {
+      error: { code: 'HTTP_INVALID_JSON', message: 'Request body must be valid JSON.', recoverable: true }
+    })
+
+    const badHandoff = await request(baseUrl, 'POST', '/execution-handoff', { schemaVersion: 'execution-handoff.v1' })
+    assert.equal(badHandoff.status, 400)
+    assert.equal(badHandoff.body.error.code, 'INVALID_EXECUTION_HANDOFF')
+
+    const badBundle = await request(baseUrl, 'POST', '/execution-bundle', { schemaVersion: 'execution-bundle.v1', handoffs: [] })
+    assert.equal(badBundle.status, 400)
+    assert.equal(badBundle.body.error.code, 'INVALID_EXECUTION_BUNDLE')
+
+    const badMemory = await request(baseUrl, 'POST', '/world-memory', { type: 'world-memory-request.v1' })
+    assert.equal(badMemory.status, 400)
+    assert.equal(badMemory.body.error.code, 'INVALID_WORLD_MEMORY_REQUEST')
+
+    const badSnapshot = await request(baseUrl, 'POST', '/world-snapshot', { type: 'world-snapshot-request.v1', schemaVersion: 1, sections: ['gold'] })
+    assert.equal(badSnapshot.status, 400)
+    assert.equal(badSnapshot.body.error.code, 'INVALID_WORLD_SNAPSHOT_REQUEST')
+
+    const missingRoute = await request(baseUrl, 'GET', '/nope')
+    assert.equal(missingRoute.status, 404)
+    assert.equal(missingRoute.body.error.code, 'HTTP_NOT_FOUND')
+
+    const wrongMethod = await request(baseUrl, 'GET', '/god')
+    assert.equal(wrongMethod.status, 405)
+    assert.equal(wrongMethod.body.error.code, 'HTTP_METHOD_NOT_ALLOWED')
+  })
+})
+
+test('http server routes player positions without auditing the quest visits as god commands', async () => {
+  const audited = []
+  const engine = createEngine({
+    onGodCommandApplied: ({ command, operationId }) => {
+      audited.push({ command, operationId })
+    }
+  }, { trackPlayers: true })
+  const apply = (command, operationId) => engine.godCommandService.applyGodCommand({ agents: engine.agents, command, operationId })
+  const position = { type: 'player-position.v1', schemaVersion: 1, player: 'Mara', x: 2, y: 64, z: 2 }
+
+  await withServer(createEngine(), async (baseUrl) => {
+    const notEnabled = await request(baseUrl, 'POST', '/player-position', position)
+    assert.equal(notEnabled.status, 404)
+    assert.equal(notEnabled.body.error.code, 'HTTP_NOT_FOUND')
+  })
+
+  await apply('mark add alpha_hall 0 64 0 town:alpha', 'http-position-seed')
+  await apply('quest offer alpha visit_town alpha 6', 'http-position-offer')
+  const questId = engine.memoryStore.getSnapshot().world.quests[0].id
+  await apply(`quest accept Mara ${questId}`, 'http-position-accept')
+
+  await withServer(engine, async (baseUrl) => {
+    const invalid = await request(baseUrl, 'POST', '/player-position', { ...position, x: 'near' })
+    assert.equal(invalid.status, 400)
+    assert.equal(invalid.body.error.code, 'INVALID_PLAYER_POSITION')
+
+    const entered = await request(baseUrl, 'POST', '/player-position', position)
+    assert.equal(entered.status, 200)
+    assert.equal(entered.body.town, 'alpha')
+    assert.equal(entered.body.visits[0].result.applied, true)
+    assert.equal(entered.body.visits[0].command, `quest visit ${questId}`)
+    assert.deepEqual(audited, [])
+
+    const again = await request(baseUrl, 'POST', '/player-position', position)
+    assert.equal(again.body.crossed, false)
+    assert.deepEqual(audited, [])
+  })
+})
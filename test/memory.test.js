@@ -61,6 +61,52 @@ test('memory store sanitizes additive economy ledger shape on load', () => {
   assert.equal(store.validateMemoryIntegrity().ok, true)
 })
 
+test('memory store keeps only the newest traded volume entries on load', () => {
+  const filePath = createTempMemoryPath()
+  const traded = Array.from({ length: 130 }, (_, index) => ({ day: index + 1, town: 'alpha', good: 'bread', units: 1 }))
+  fs.writeFileSync(filePath, JSON.stringify({ world: { economy: { ledger: {}, traded } } }, null, 2), 'utf-8')
+
+  const snapshot = createMemoryStore({ filePath }).loadAllMemory()
+  assert.equal(snapshot.world.economy.traded.length, 120)
+  assert.equal(snapshot.world.economy.traded[0].day, 11)
+})
+
+test('memory store keeps open treaties and drops the oldest closed ones on load', () => {
+  const filePath = createTempMemoryPath()
+  const treaty = (index, status) => ({
+    id: `treaty-${index}`,
+    kind: 'trade_pact',
+    factions: ['iron_pact', 'veil_church'],
+    status,
+    proposedDay: index + 1
+  })
+  const treaties = Array.from({ length: 70 }, (_, index) => treaty(index, index < 5 ? 'active' : 'expired'))
+  fs.writeFileSync(filePath, JSON.stringify({ world: { diplomacy: { treaties } } }, null, 2), 'utf-8')
+
+  const loaded = createMemoryStore({ filePath }).loadAllMemory().world.diplomacy.treaties
+  assert.equal(loaded.length, 60)
+  assert.deepEqual(loaded.slice(0, 5).map(entry => entry.status), ['active', 'active', 'active', 'active', 'active'])
+  assert.equal(loaded[5].id, 'treaty-15')
+})
+
+test('memory store trims an oversized agent roster by dropping retired then oldest agents on load', () => {
+  const filePath = createTempMemoryPath()
+  const agentRoster = Object.fromEntries(Array.from({ length: 66 }, (_, index) => {
+    const name = `Agent_${String(index).padStart(2, '0')}`
+    const status = index < 2 ? 'retired' : 'active'
+    return [name.toLowerCase(), { name, role: 'Scout', faction: 'Pilgrims', status, spawned_at: 1000 - index }]
+  }))
+  agentRoster.zed = { name: 'Zed', role: 'Guard', faction: 'Pilgrims', status: 'active', spawned_at: 5000 }
+  fs.writeFileSync(filePath, JSON.stringify({ world: { agentRoster } }, null, 2), 'utf-8')
+
+  const roster = createMemoryStore({ filePath }).loadAllMemory().world.agentRoster
+  assert.equal(Object.keys(roster).length, 64)
+  assert.equal(roster.agent_00, undefined)
+  assert.equal(roster.agent_01, undefined)
+  assert.equal(roster.agent_65, undefined)
+  assert.equal(roster.zed.status, 'active')
+})
+
 test('memory store sanitizes additive markets shape on load', () => {
   const filePath = createTempMemoryPath()
   const payload = {
@@ -0,0 +1,134 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { createMemoryStore } = require('../src/memory')
+const {
+  applyJournalOps,
+  diffMemoryState,
+  journalPathFor,
+  parseJournalText,
+  readJournaledMemoryFile
+} = require('../src/memoryJournal')
+
+function createTempMemoryPath() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mvp-memory-journal-'))
+  return path.join(dir, 'memory.json')
+}
+
+function readJournalLines(filePath) {
+  const journalPath = journalPathFor(filePath)
+  if (!fs.existsSync(journalPath)) return []
+  return fs.readFileSync(journalPath, 'utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line))
+}
+
+test('journal diff round-trips trimmed logs, in-place record edits and deletions', () => {
+  const before = {
+    world: {
+      archive: [{ event: 'a' }, { event: 'b' }, { event: 'c' }],
+      markets: [{ name: 'alpha', offers: [] }, { name: 'beta', offers: [] }],
+      flags: { keep: true, drop: 1 }
+    },
+    processedEventIds: ['e1', 'e2']
+  }
+  const after = {
+    world: {
+      archive: [{ event: 'b' }, { event: 'c' }, { event: 'd' }],
+      markets: [{ name: 'alpha', offers: [] }, { name: 'beta', offers: [{ id: 'o1' }] }],
+      flags: { keep: true }
+    },
+    processedEventIds: ['e1', 'e2', 'e3'],
+    added: 5
+  }
+
+  const ops = diffMemoryState(before, after)
+  assert.deepEqual(ops.find(op => op.path.join('.') === 'world.archive'), {
+    op: 'splice', path: ['world', 'archive'], drop: 1, append: [{ event: 'd' }]
+  })
+  assert.ok(ops.every(op => op.path[0] !== 'world' || op.path[1] !== 'markets' || op.path[2] === '1'))
+  assert.deepEqual(applyJournalOps(structuredClone(before), ops), after)
+  assert.deepEqual(diffMemoryState(after, structuredClone(after)), [])
+})
+
+test('journal parser stops at a torn tail or a sequence gap', () => {
+  const line = seq => `${JSON.stringify({ type: 'memory-journal.v1', seq, eventId: null, ops: [] })}\n`
+  const whole = line(1) + line(2)
+
+  const torn = parseJournalText(`${whole}{"type":"memory-jou`, 0)
+  assert.equal(torn.torn, true)
+  assert.equal(torn.lastSeq, 2)
+  assert.equal(torn.validBytes, Buffer.byteLength(whole))
+
+  const gap = parseJournalText(line(1) + line(3), 0)
+  assert.equal(gap.torn, true)
+  assert.equal(gap.lastSeq, 1)
+
+  const compacted = parseJournalText(whole, 2)
+  assert.deepEqual(compacted.records, [])
+  assert.equal(compacted.lastSeq, 2)
+})
+
+test('journal mode appends one record per commit and reloads the same state', async () => {
+  const filePath = createTempMemoryPath()
+  const store = createMemoryStore({ filePath, mode: 'journal', journalCompactEvery: 50 })
+
+  await store.rememberWorld('first', false, 'op-1')
+  await store.rememberWorld('second', false, 'op-2')
+  await store.rememberWorld('second-duplicate', false, 'op-2')
+  await store.rememberWorld('third', false, 'op-3')
+
+  // The first commit writes the base snapshot; later ones only append.
+  const records = readJournalLines(filePath)
+  assert.deepEqual(records.map(record => record.seq), [1, 2])
+  assert.deepEqual(records.map(record => record.eventId), ['op-2:world', 'op-3:world'])
+  assert.ok(fs.statSync(journalPathFor(filePath)).size < fs.statSync(filePath).size)
+
+  const reloaded = createMemoryStore({ filePath, mode: 'journal' })
+  assert.deepEqual(reloaded.loadAllMemory(), store.loadAllMemory())
+  assert.deepEqual(reloaded.loadAllMemory().world.archive.map(entry => entry.event), ['first', 'second', 'third'])
+  assert.equal(reloaded.hasProcessedEvent('op-3:world'), true)
+  assert.equal(readJournaledMemoryFile(filePath).journalSeq, 2)
+})
+
+test('journal mode compacts into the snapshot and recovers from a torn tail', async () => {
+  const filePath = createTempMemoryPath()
+  const warnings = []
+  const logger = { info() {}, warn: (event) => warnings.push(event), error() {}, debug() {}, errorWithStack() {} }
+  const store = createMemoryStore({ filePath, mode: 'journal', journalCompactEvery: 3, logger })
+
+  for (let i = 1; i <= 4; i += 1) await store.rememberWorld(`event-${i}`, false, `op-${i}`)
+  assert.equal(readJournalLines(filePath).length, 0)
+  assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf-8')).journalSeq, 3)
+
+  await store.rememberWorld('event-5', false, 'op-5')
+  fs.appendFileSync(journalPathFor(filePath), '{"type":"memory-journal.v1","seq":5,"ops":[{"op":"se')
+
+  const recovered = createMemoryStore({ filePath, mode: 'journal', logger })
+  assert.deepEqual(recovered.loadAllMemory().world.archive.map(entry => entry.event).slice(-2), ['event-4', 'event-5'])
+  assert.ok(warnings.includes('memory_journal_tail_discarded'))
+  assert.equal(readJournalLines(filePath).length, 1)
+
+  await recovered.rememberWorld('event-6', false, 'op-6')
+  assert.deepEqual(readJournalLines(filePath).map(record => record.seq), [4, 5])
+
+  await recovered.saveAllMemory()
+  assert.equal(readJournalLines(filePath).length, 0)
+  const snapshotMode = createMemoryStore({ filePath })
+  assert.equal(snapshotMode.loadAllMemory().world.archive.length, 6)
+})
+
+test('snapshot mode folds a leftover journal and removes it on the next write', async () => {
+  const filePath = createTempMemoryPath()
+  const journaled = createMemoryStore({ filePath, mode: 'journal' })
+  await journaled.rememberWorld('base', false, 'op-base')
+  await journaled.rememberWorld('tail', false, 'op-tail')
+  assert.equal(readJournalLines(filePath).length, 1)
+
+  const store = createMemoryStore({ filePath })
+  assert.deepEqual(store.loadAllMemory().world.archive.map(entry => entry.event), ['base', 'tail'])
+  await store.rememberWorld('after', false, 'op-after')
+  assert.equal(fs.existsSync(journalPathFor(filePath)), false)
+  assert.deepEqual(createMemoryStore({ filePath }).loadAllMemory().world.archive.map(entry => entry.event), ['base', 'tail', 'after'])
+})
@@ -0,0 +1,92 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const {
+  createMemoryStore,
+  exportMemorySqliteToJson,
+  importMemoryJsonToSqlite
+} = require('../src/memory')
+const { createSqliteDriver } = require('../src/sqliteDriver')
+
+function createTempMemoryPaths() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mvp-memory-sqlite-'))
+  return {
+    filePath: path.join(dir, 'memory.json'),
+    sqlitePath: path.join(dir, 'memory.sqlite3')
+  }
+}
+
+function countRows(sqlitePath, table) {
+  const driver = createSqliteDriver({ driver: 'native', dbPath: sqlitePath, errorCode: 'TEST_SQLITE_ERROR', errorMessage: 'test failed' })
+  try {
+    return Number(driver.all(`SELECT COUNT(*) AS total FROM ${table};`)[0].total)
+  } finally {
+    driver.close()
+  }
+}
+
+test('sqlite mode persists commits and reloads the same state', async () => {
+  const { filePath, sqlitePath } = createTempMemoryPaths()
+  const store = createMemoryStore({ filePath, mode: 'sqlite', sqlitePath })
+
+  await store.rememberWorld('first', false, 'op-1')
+  await store.rememberWorld('second', false, 'op-2')
+  await store.rememberWorld('second-duplicate', false, 'op-2')
+  await store.rememberAgent('Mara', 'met the smith', false, 'op-3')
+
+  assert.equal(fs.existsSync(filePath), false)
+  assert.equal(countRows(sqlitePath, 'memory_archive'), 2)
+  assert.equal(countRows(sqlitePath, 'memory_processed_event_ids'), 3)
+
+  const reloaded = createMemoryStore({ filePath, mode: 'sqlite', sqlitePath })
+  assert.deepEqual(reloaded.loadAllMemory().world, store.loadAllMemory().world)
+  assert.deepEqual(reloaded.loadAllMemory().agents.Mara.short, store.loadAllMemory().agents.Mara.short)
+  assert.deepEqual(reloaded.loadAllMemory().world.archive.map(entry => entry.event), ['first', 'second'])
+  assert.equal(reloaded.hasProcessedEvent('op-2:world'), true)
+})
+
+test('sqlite mode seeds an empty database from an existing memory.json', async () => {
+  const { filePath, sqlitePath } = createTempMemoryPaths()
+  const snapshot = createMemoryStore({ filePath })
+  await snapshot.rememberWorld('from-json', false, 'op-json')
+
+  const infos = []
+  const logger = { info: (event) => infos.push(event), warn() {}, error() {}, debug() {}, errorWithStack() {} }
+  const store = createMemoryStore({ filePath, mode: 'sqlite', sqlitePath, logger })
+  assert.deepEqual(store.loadAllMemory().world.archive.map(entry => entry.event), ['from-json'])
+  assert.ok(infos.includes('memory_sqlite_imported'))
+
+  await store.rememberWorld('from-sqlite', false, 'op-sqlite')
+  assert.deepEqual(createMemoryStore({ filePath }).loadAllMemory().world.archive.map(entry => entry.event), ['from-json'])
+  assert.deepEqual(
+    createMemoryStore({ filePath, mode: 'sqlite', sqlitePath }).loadAllMemory().world.archive.map(entry => entry.event),
+    ['from-json', 'from-sqlite']
+  )
+})
+
+test('sqlite import refuses to overwrite without the flag and export round-trips', async () => {
+  const { filePath, sqlitePath } = createTempMemoryPaths()
+  const snapshot = createMemoryStore({ filePath })
+  await snapshot.rememberWorld('alpha', false, 'op-a')
+  await snapshot.rememberWorld('beta', false, 'op-b')
+
+  const summary = importMemoryJsonToSqlite({ filePath, sqlitePath })
+  assert.equal(summary.revision, 1)
+  assert.equal(summary.collections.archive, 2)
+  assert.throws(
+    () => importMemoryJsonToSqlite({ filePath, sqlitePath }),
+    (error) => error.code === 'MEMORY_IMPORT_FAILED'
+  )
+  assert.equal(importMemoryJsonToSqlite({ filePath, sqlitePath, overwrite: true }).revision, 2)
+
+  const exportPath = path.join(path.dirname(filePath), 'exported.json')
+  exportMemorySqliteToJson({ sqlitePath, filePath: exportPath })
+  assert.deepEqual(JSON.parse(fs.readFileSync(exportPath, 'utf-8')), snapshot.loadAllMemory())
+  assert.throws(
+    () => exportMemorySqliteToJson({ sqlitePath: path.join(path.dirname(filePath), 'empty.sqlite3'), filePath: exportPath }),
+    (error) => error.code === 'MEMORY_EXPORT_FAILED'
+  )
+})
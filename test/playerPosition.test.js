@@ -0,0 +1,133 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { createMemoryStore } = require('../src/memory')
+const { createGodCommandService } = require('../src/godCommands')
+const {
+  createPlayerPositionReport,
+  createPlayerPositionTracker,
+  findTownAtPosition,
+  parsePlayerPositionLine
+} = require('../src/playerPosition')
+const { createAuthoritativeSnapshotProjection } = require('../src/worldSnapshotProjection')
+
+function createAgents() {
+  return [
+    { name: 'Mara', faction: 'Pilgrims', applyGodCommand: () => {} },
+    { name: 'Eli', faction: 'Pilgrims', applyGodCommand: () => {} }
+  ]
+}
+
+function createEngine() {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mvp-player-position-')), 'memory.json')
+  const memoryStore = createMemoryStore({ filePath })
+  const godCommandService = createGodCommandService({ memoryStore })
+  const tracker = createPlayerPositionTracker({ memoryStore, godCommandService, visitRadius: 8 })
+  const agents = createAgents()
+  const apply = (command, operationId) => godCommandService.applyGodCommand({ agents, command, operationId })
+  const report = (player, x, z, extra = {}) => tracker.applyPlayerPosition({
+    agents,
+    report: createPlayerPositionReport({ player, x, y: 64, z, ...extra })
+  })
+  return { filePath, memoryStore, apply, report }
+}
+
+test('player-position lines parse strictly and default the dimension', () => {
+  assert.deepEqual(
+    parsePlayerPositionLine('{"type":"player-position.v1","schemaVersion":1,"player":"Mara","x":1.5,"y":64,"z":-2,"at":10}'),
+    { type: 'player-position.v1', schemaVersion: 1, player: 'Mara', x: 1.5, y: 64, z: -2, dimension: 'overworld', at: 10 }
+  )
+  assert.equal(parsePlayerPositionLine('{"type":"player-position.v1","schemaVersion":1,"player":"Mara","x":"1","y":64,"z":0}'), null)
+  assert.equal(parsePlayerPositionLine('{"type":"player-position.v1","schemaVersion":2,"player":"Mara","x":1,"y":64,"z":0}'), null)
+  assert.equal(parsePlayerPositionLine('{"type":"player-position.v1","schemaVersion":1,"player":"Mara","x":1,"y":64,"z":0,"yaw":3}'), null)
+  assert.equal(parsePlayerPositionLine('god quest list'), null)
+
+  const world = {
+    markers: [
+      { name: 'alpha_hall', x: 0, y: 64, z: 0, tag: 'town:alpha' },
+      { name: 'beta_hall', x: 10, y: 64, z: 0, tag: 'town:beta' },
+      { name: 'well', x: 2, y: 64, z: 0, tag: 'landmark' }
+    ]
+  }
+  assert.equal(findTownAtPosition(world, { x: 4, z: 0, dimension: 'overworld' }, 8), 'alpha')
+  assert.equal(findTownAtPosition(world, { x: 6, z: 0, dimension: 'overworld' }, 8), 'beta')
+  assert.equal(findTownAtPosition(world, { x: 0, z: 30, dimension: 'overworld' }, 8), null)
+  assert.equal(findTownAtPosition(world, { x: 0, z: 0, dimension: 'the_nether' }, 8), null)
+})
+
+test('entering a town marker radius completes the owner visit_town quest once per crossing', async () => {
+  const { filePath, memoryStore, apply, report } = createEngine()
+  await apply('mark add alpha_hall 0 64 0 town:alpha', 'position-seed-alpha')
+  await apply('mark add beta_hall 100 64 0 town:beta', 'position-seed-beta')
+  await apply('quest offer alpha visit_town beta 6', 'position-offer')
+  const questId = memoryStore.getSnapshot().world.quests[0].id
+  await apply(`quest accept Mara ${questId}`, 'position-accept')
+
+  const outside = await report('Mara', 50, 0)
+  assert.equal(outside.crossed, false)
+  assert.equal(memoryStore.getSnapshot().world.playerPresence, undefined)
+
+  const byStranger = await report('Eli', 99, 0)
+  assert.equal(byStranger.crossed, true)
+  assert.deepEqual(byStranger.visits, [])
+  assert.equal(memoryStore.getSnapshot().world.quests[0].state, 'accepted')
+
+  const entered = await report('Mara', 96, 3)
+  assert.equal(entered.crossed, true)
+  assert.equal(entered.town, 'beta')
+  assert.equal(entered.operationId, 'player-position:mara:enter:beta:1')
+  assert.equal(entered.visits.length, 1)
+  assert.equal(entered.visits[0].result.applied, true)
+  assert.equal(entered.outputLines[0], `PLAYER ENTERED TOWN: player=Mara town=beta crossing=1 quests=${questId}`)
+  const completed = memoryStore.getSnapshot().world.quests[0]
+  assert.equal(completed.state, 'completed')
+  assert.deepEqual(completed.progress, { visited: true })
+  const balance = memoryStore.getSnapshot().world.economy.ledger.Mara
+
+  const stillInside = await report('Mara', 101, -2)
+  assert.equal(stillInside.crossed, false)
+  const insideHash = createAuthoritativeSnapshotProjection(memoryStore.getSnapshot().world).snapshotHash
+
+  const left = await report('Mara', 140, 0)
+  assert.equal(left.outputLines[0], 'PLAYER LEFT TOWN: player=Mara town=beta')
+  const reentered = await report('Mara', 100, 0)
+  assert.equal(reentered.operationId, 'player-position:mara:enter:beta:2')
+  assert.deepEqual(reentered.visits, [])
+  assert.equal(memoryStore.getSnapshot().world.economy.ledger.Mara, balance)
+  // Crossing counts and coordinates stay out of the hash; only town membership counts.
+  assert.equal(createAuthoritativeSnapshotProjection(memoryStore.getSnapshot().world).snapshotHash, insideHash)
+
+  const reloaded = createMemoryStore({ filePath }).getSnapshot().world
+  assert.equal(reloaded.playerPresence.mara.town, 'beta')
+  assert.equal(reloaded.playerPresence.mara.crossings, 2)
+  assert.equal(reloaded.playerPresence.eli.crossings, 1)
+  assert.deepEqual(createAuthoritativeSnapshotProjection(reloaded).snapshot.playerPresence, {
+    eli: { town: reloaded.playerPresence.eli.town },
+    mara: { town: 'beta' }
+  })
+})
+
+test('a crossing replayed before its presence was recorded reuses the operation id and pays once', async () => {
+  const { memoryStore, apply, report } = createEngine()
+  await apply('mark add alpha_hall 0 64 0 town:alpha', 'replay-seed-alpha')
+  await apply('quest offer alpha visit_town alpha 6', 'replay-offer-a')
+  await apply('quest offer alpha visit_town alpha 4', 'replay-offer-b')
+  const questIds = memoryStore.getSnapshot().world.quests.map(quest => quest.id)
+  await apply(`quest accept Mara ${questIds[0]}`, 'replay-accept-a')
+
+  // Simulate a crash after the visit committed but before the crossing did:
+  // the first quest is already paid under the crossing's operation id.
+  const visit = await apply(`quest visit ${questIds[0]}`, 'player-position:mara:enter:alpha:1')
+  assert.equal(visit.applied, true)
+  await apply(`quest accept Mara ${questIds[1]}`, 'replay-accept-b')
+  const balance = memoryStore.getSnapshot().world.economy.ledger.Mara
+
+  const entered = await report('Mara', 1, 1)
+  assert.equal(entered.operationId, 'player-position:mara:enter:alpha:1')
+  assert.deepEqual(entered.visits.map(entry => entry.questId), [questIds[1]])
+  assert.equal(memoryStore.getSnapshot().world.economy.ledger.Mara, balance + 4)
+  assert.deepEqual(memoryStore.getSnapshot().world.quests.map(quest => quest.state), ['completed', 'completed'])
+})
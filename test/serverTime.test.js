@@ -0,0 +1,127 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { createMemoryStore } = require('../src/memory')
+const { createGodCommandService } = require('../src/godCommands')
+const {
+  createServerTimeReport,
+  parseServerTimeLine,
+  phaseForTimeOfDay
+} = require('../src/serverTime')
+const { createAuthoritativeSnapshotProjection } = require('../src/worldSnapshotProjection')
+
+function createEngine() {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mvp-server-time-')), 'memory.json')
+  const memoryStore = createMemoryStore({ filePath })
+  const clockEvents = []
+  const godCommandService = createGodCommandService({
+    memoryStore,
+    runtimeClock: (event) => { clockEvents.push(event) }
+  })
+  const agents = [{ name: 'Mara', faction: 'Pilgrims', applyGodCommand: () => {} }]
+  const apply = (command, operationId) => godCommandService.applyGodCommand({ agents, command, operationId })
+  const sync = (day, timeOfDay) => godCommandService.syncServerClock({ report: createServerTimeReport({ day, timeOfDay }) })
+  const engineClock = () => memoryStore.getSnapshot().world.clock
+  return { filePath, memoryStore, godCommandService, apply, sync, engineClock, clockEvents }
+}
+
+test('server-time lines parse strictly and map time of day to a phase', () => {
+  assert.equal(phaseForTimeOfDay(0), 'day')
+  assert.equal(phaseForTimeOfDay(12999), 'day')
+  assert.equal(phaseForTimeOfDay(13000), 'night')
+  assert.equal(phaseForTimeOfDay(22999), 'night')
+  assert.equal(phaseForTimeOfDay(23000), 'day')
+  assert.equal(createServerTimeReport({ day: 4, timeOfDay: 22999 }).day, 4)
+  assert.equal(createServerTimeReport({ day: 4, timeOfDay: 23000 }).day, 5)
+  assert.equal(createServerTimeReport({ day: 5, timeOfDay: 0 }).day, 5)
+  assert.deepEqual(createServerTimeReport({ day: 4, timeOfDay: 24000 * 4 + 14000, at: 5 }), {
+    type: 'server-time.v1', schemaVersion: 1, day: 4, phase: 'night', timeOfDay: 14000, at: 5
+  })
+  assert.deepEqual(
+    parseServerTimeLine('{"type":"server-time.v1","schemaVersion":1,"day":3,"phase":"day"}'),
+    { type: 'server-time.v1', schemaVersion: 1, day: 3, phase: 'day' }
+  )
+  assert.equal(parseServerTimeLine('{"type":"server-time.v1","schemaVersion":1,"day":3,"phase":"day","timeOfDay":14000}'), null)
+  assert.equal(parseServerTimeLine('{"type":"server-time.v1","schemaVersion":1,"day":-1,"phase":"day"}'), null)
+  assert.equal(parseServerTimeLine('{"type":"server-time.v1","schemaVersion":1,"day":3,"phase":"dusk"}'), null)
+  assert.equal(parseServerTimeLine('{"type":"server-time.v1","schemaVersion":1,"day":3,"phase":"day","weather":"rain"}'), null)
+  assert.equal(parseServerTimeLine('god clock'), null)
+})
+
+test('server day transitions advance the engine clock once per server day and phase', async () => {
+  const { filePath, memoryStore, apply, sync, engineClock, clockEvents } = createEngine()
+
+  const baseline = await sync(10, 6000)
+  assert.equal(baseline.applied, true)
+  assert.equal(baseline.ticks, 0)
+  assert.deepEqual([engineClock().day, engineClock().phase], [1, 'day'])
+  assert.equal((await sync(10, 9000)).reason, 'unchanged')
+
+  const dusk = await sync(10, 13500)
+  assert.equal(dusk.operationId, 'server-time:0:10:night')
+  assert.deepEqual(dusk.outputLines, ['GOD CLOCK SYNC: server_day=10 server_phase=night ticks=1 day=1 phase=night season=dawn'])
+  assert.equal((await sync(10, 14000)).reason, 'unchanged')
+
+  // Sleeping skips straight to the next morning: one phase.
+  const morning = await sync(11, 0)
+  assert.deepEqual([morning.ticks, engineClock().day, engineClock().phase], [1, 2, 'day'])
+
+  // A long `/time add` is capped and keeps the phases matched.
+  const jump = await sync(20, 14000)
+  assert.equal(jump.ticks, 5)
+  assert.deepEqual([engineClock().day, engineClock().phase], [4, 'night'])
+
+  // An engine-side advance drifts the phase; the next server report realigns it.
+  await apply('clock advance 1', 'drift')
+  assert.equal(engineClock().phase, 'day')
+  const realigned = await sync(21, 1000)
+  assert.equal(realigned.ticks, 2)
+  assert.deepEqual([engineClock().day, engineClock().phase], [6, 'day'])
+
+  // `/time set` resets the server day counter: new epoch, phase-only alignment.
+  const rewound = await sync(0, 15000)
+  assert.equal(rewound.reason, 'rewound')
+  assert.equal(rewound.operationId, 'server-time:1:0:night')
+  assert.equal(rewound.ticks, 1)
+  assert.deepEqual(engineClock().server, { epoch: 1, day: 0, phase: 'night', at: 0, ticks: 10 })
+
+  assert.deepEqual(clockEvents.map(event => [event.source, event.ticks]), [
+    ['server', 1], ['server', 1], ['server', 5], ['god', 1], ['server', 2], ['server', 1]
+  ])
+  assert.ok((await apply('clock', 'show')).outputLines.includes('GOD CLOCK SERVER: epoch=1 server_day=0 server_phase=night ticks=10'))
+
+  const reloaded = createMemoryStore({ filePath })
+  assert.deepEqual(reloaded.getSnapshot().world.clock.server, engineClock().server)
+  assert.equal(reloaded.validateMemoryIntegrity().ok, true)
+  assert.equal(createAuthoritativeSnapshotProjection(memoryStore.getSnapshot().world).snapshot.clock.server.epoch, 1)
+})
+
+test('a natural day, night and dawn cycle moves the engine one phase at a time', async () => {
+  const { sync, engineClock, clockEvents } = createEngine()
+  await sync(10, 1000)
+  // Mineflayer's day counter only changes at tick 0, after dawn has started.
+  for (const [day, timeOfDay] of [
+    [10, 13000], [10, 18000], [10, 23000], [10, 23999], [11, 0], [11, 6000],
+    [11, 13000], [11, 23500], [12, 1000],
+    [12, 13000], [12, 23000], [13, 500]
+  ]) {
+    await sync(day, timeOfDay)
+  }
+  assert.deepEqual([engineClock().day, engineClock().phase], [4, 'day'])
+  assert.deepEqual(engineClock().server, { epoch: 0, day: 13, phase: 'day', at: 0, ticks: 6 })
+  assert.deepEqual(clockEvents.map(event => event.ticks), [1, 1, 1, 1, 1, 1])
+})
+
+test('server time is ignored while the real-time scheduler owns the clock', async () => {
+  const { godCommandService, apply, sync, engineClock } = createEngine()
+  await apply('clock auto on 60', 'sync-auto-on')
+  assert.equal((await sync(3, 14000)).reason, 'auto_enabled')
+  assert.equal(engineClock().server, undefined)
+  await assert.rejects(
+    () => godCommandService.syncServerClock({ report: { type: 'server-time.v1', schemaVersion: 1, day: 1, phase: 'noon' } }),
+    (error) => error.code === 'INVALID_SERVER_TIME'
+  )
+})
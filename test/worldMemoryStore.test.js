@@ -378,9 +378,9 @@ test('world memory history and summaries are queryable through the store boundar
     food: 55,
     tools: 48,
     munitions: 44,
-    timber: 46,
+    timber: 45,
     stone: 44,
-    lampOil: 42,
+    lampOil: 39,
     sanctity: 50
   })
   assert.deepEqual(townSummary.readiness, {
@@ -531,9 +531,9 @@ test('world memory context keeps retrieval ordering stable and bounded', async (
     food: 55,
     tools: 48,
     munitions: 44,
-    timber: 46,
+    timber: 45,
     stone: 44,
-    lampOil: 42,
+    lampOil: 39,
     sanctity: 50
   })
   assert.deepEqual(worldMemoryContext.townSummary.readiness, {
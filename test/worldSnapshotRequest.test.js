@@ -0,0 +1,123 @@
+const crypto = require('crypto')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { createExecutionAdapter } = require('../src/executionAdapter')
+const { createExecutionStore } = require('../src/executionStore')
+const { createGodCommandService } = require('../src/godCommands')
+const { createMemoryStore } = require('../src/memory')
+const { createAuthoritativeSnapshotProjection, createScopedSnapshotHash } = require('../src/worldSnapshotProjection')
+const {
+  WORLD_SNAPSHOT_SECTIONS,
+  createWorldSnapshotRequest,
+  createWorldSnapshotResponseForRequest,
+  parseWorldSnapshotRequestLine
+} = require('../src/worldSnapshotRequest')
+
+function buildId(prefix, payload) {
+  return `${prefix}_${crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex')}`
+}
+
+function createEngine() {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mvp-world-snapshot-request-')), 'memory.json')
+  const memoryStore = createMemoryStore({ filePath })
+  const godCommandService = createGodCommandService({ memoryStore })
+  const executionStore = createExecutionStore({ memoryStore })
+  const executionAdapter = createExecutionAdapter({ memoryStore, executionStore, godCommandService })
+  const agents = [{ name: 'Mara', faction: 'Pilgrims', applyGodCommand: () => {} }]
+  const apply = (command, operationId) => godCommandService.applyGodCommand({ agents, command, operationId })
+  const fetchSnapshot = (input) => createWorldSnapshotResponseForRequest({
+    executionStore,
+    request: createWorldSnapshotRequest(input)
+  })
+  return { memoryStore, executionAdapter, agents, apply, fetchSnapshot }
+}
+
+test('world-snapshot-request lines parse strictly and normalize section order', () => {
+  assert.deepEqual(
+    parseWorldSnapshotRequestLine('{"type":"world-snapshot-request.v1","schemaVersion":1}'),
+    { type: 'world-snapshot-request.v1', schemaVersion: 1 }
+  )
+  assert.deepEqual(
+    parseWorldSnapshotRequestLine('{"type":"world-snapshot-request.v1","schemaVersion":1,"sections":["quests","towns"],"hashOnly":false}'),
+    { type: 'world-snapshot-request.v1', schemaVersion: 1, sections: ['quests', 'towns'] }
+  )
+  assert.equal(parseWorldSnapshotRequestLine('{"type":"world-snapshot-request.v1","schemaVersion":1,"sections":[]}'), null)
+  assert.equal(parseWorldSnapshotRequestLine('{"type":"world-snapshot-request.v1","schemaVersion":1,"sections":["gold"]}'), null)
+  assert.equal(parseWorldSnapshotRequestLine('{"type":"world-snapshot-request.v1","schemaVersion":1,"sections":["towns","towns"]}'), null)
+  assert.equal(parseWorldSnapshotRequestLine('{"type":"world-snapshot-request.v1","schemaVersion":1,"hashOnly":"yes"}'), null)
+  assert.equal(parseWorldSnapshotRequestLine('{"type":"world-snapshot-request.v1","schemaVersion":2}'), null)
+  assert.equal(parseWorldSnapshotRequestLine('{"type":"world-snapshot-request.v1","schemaVersion":1,"scope":{}}'), null)
+  assert.equal(parseWorldSnapshotRequestLine('{"type":"world-snapshot-request.v1","schemaVersion":1,"scope":{"region":"north"}}'), null)
+  assert.deepEqual(
+    parseWorldSnapshotRequestLine('{"type":"world-snapshot-request.v1","schemaVersion":1,"scope":{"townId":" alpha "}}'),
+    { type: 'world-snapshot-request.v1', schemaVersion: 1, scope: { townId: 'alpha' } }
+  )
+  assert.equal(parseWorldSnapshotRequestLine('{"type":"world-memory-request.v1","schemaVersion":1}'), null)
+})
+
+test('snapshot responses carry the hash and epoch the execution adapter checks', async () => {
+  const { memoryStore, executionAdapter, agents, apply, fetchSnapshot } = createEngine()
+  await apply('mark add alpha_hall 0 64 0 town:alpha', 'snapshot-request-seed-town')
+  await apply('project start alpha lantern_line', 'snapshot-request-seed-project')
+
+  const projection = createAuthoritativeSnapshotProjection(memoryStore.recallWorld())
+  const full = fetchSnapshot()
+  assert.equal(full.type, 'world-snapshot-response.v1')
+  assert.deepEqual(full.snapshot, projection.snapshot)
+  assert.deepEqual([full.snapshotHash, full.decisionEpoch, full.sections, full.hashOnly], [projection.snapshotHash, 1, null, false])
+  for (const section of Object.keys(full.snapshot).filter(key => key !== 'type' && key !== 'schemaVersion')) {
+    assert.ok(WORLD_SNAPSHOT_SECTIONS.includes(section), section)
+  }
+
+  const filtered = fetchSnapshot({ sections: ['towns', 'projects', 'players'] })
+  assert.deepEqual(Object.keys(filtered.snapshot), ['type', 'schemaVersion', 'projects', 'towns'])
+  assert.equal(filtered.snapshotHash, projection.snapshotHash)
+
+  const polled = fetchSnapshot({ hashOnly: true })
+  assert.equal(polled.snapshot, undefined)
+  assert.equal(polled.snapshotHash, projection.snapshotHash)
+  assert.equal(polled.scopeHash, undefined)
+
+  const scoped = fetchSnapshot({ hashOnly: true, scope: { townId: 'alpha', projectId: 'missing' } })
+  assert.deepEqual(scoped.scope, { townId: 'alpha', projectId: 'missing' })
+  assert.equal(scoped.scopeHash, createScopedSnapshotHash(projection.snapshot, { townId: 'alpha', projectId: 'missing' }))
+  assert.notEqual(scoped.scopeHash, fetchSnapshot({ hashOnly: true, scope: { townId: 'alpha' } }).scopeHash)
+
+  const projectId = memoryStore.getSnapshot().world.projects[0].id
+  const proposalId = buildId('proposal', { projectId })
+  const handoff = {
+    schemaVersion: 'execution-handoff.v1',
+    handoffId: buildId('handoff', { proposalId }),
+    advisory: true,
+    proposalId,
+    idempotencyKey: proposalId,
+    snapshotHash: polled.snapshotHash,
+    decisionEpoch: polled.decisionEpoch,
+    proposal: {
+      schemaVersion: 'proposal.v2',
+      proposalId,
+      snapshotHash: polled.snapshotHash,
+      decisionEpoch: polled.decisionEpoch,
+      type: 'PROJECT_ADVANCE',
+      actorId: 'mara',
+      townId: 'alpha',
+      priority: 0.9,
+      reason: 'Snapshot request test.',
+      reasonTags: ['test'],
+      args: { projectId }
+    },
+    command: `project advance alpha ${projectId}`,
+    executionRequirements: {
+      expectedSnapshotHash: polled.snapshotHash,
+      expectedDecisionEpoch: polled.decisionEpoch,
+      preconditions: []
+    }
+  }
+  const result = await executionAdapter.executeHandoff({ handoff, agents })
+  assert.equal(result.status, 'executed')
+  assert.notEqual(fetchSnapshot({ hashOnly: true }).snapshotHash, polled.snapshotHash)
+})